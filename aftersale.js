@@ -0,0 +1,86 @@
+// aftersale.js
+// Жизнь после сделки: собеседник присылает паспорта кандидатов, спрашивает про запись в посольство, жалуется на задержки
+// и требует возврат, если за REG_LONGTERM_MONTHS слота так и не было. Машина фаз — в состоянии сессии (S.afterSale),
+// реплики и триггеры — на языке сессии (locales.js: text.afterSale, cues.afterSale); вызывает её server.js
+// (runLLM: есть реплика собеседника — модель не зовём).
+// Импорт: import { startAfterSale, afterSaleStep, describeAfterSale, AFTER_SALE_PHASES, AFTER_SALE_MONTH_MS } from './aftersale.js';
+
+import { getLocale } from './locales.js';
+
+/*
+  AfterSale: { phase, candidates, month, sent, startedTurn, startedAt, waitFrom }
+    phase      — handover → registration → booked | refund → done
+    month      — полных симулированных месяцев ожидания слота: время ходов (S.turnAt) от waitFrom / AFTER_SALE_MONTH_MS
+    sent       — паспорта уже отправлены (первый ход после сделки)
+    waitFrom   — время хода, на котором паспорта подтвердили и началось ожидание записи (ms)
+  Фазы:
+    handover     — «отправляю паспорта N кандидатов»; ждём подтверждения получения
+    registration — «когда запись?»; менеджер называет слот → booked; нет — собеседник пишет, только когда прошёл
+                   ещё месяц («прошёл месяц…», со 2-го — жалобы, с longtermMonths — refund); в пределах месяца — line ''
+    refund       — «по договору положен возврат €N за кандидата»; менеджер подтверждает возврат → done
+    booked       — слот есть: собеседник доволен, дальше — обычный разговор (done)
+    done         — машина молчит, отвечает модель
+
+  Часы симуляции: настоящие полгода ожидания тренировка не переживёт (SESSION_TTL_HOURS, штраф темпа за паузу больше
+  суток), поэтому месяц ожидания — AFTER_SALE_MONTH_MS реального времени между ходами, по умолчанию 10 минут:
+  жалобы — примерно через 20 минут, возврат — через час. Считается по времени, а не по числу ходов.
+
+  ENV:
+    AFTER_SALE_MONTH_MS=600000   — сколько реального времени считается месяцем ожидания записи
+*/
+
+export const AFTER_SALE_PHASES = ['handover', 'registration', 'refund', 'booked', 'done'];
+
+export const AFTER_SALE_MONTH_MS = Number(process.env.AFTER_SALE_MONTH_MS) || 10 * 60_000;
+
+const COMPLAIN_FROM_MONTH = 2;
+
+export function startAfterSale({ candidates = 1, turn = 0, at = null } = {}){
+  return { phase: 'handover', candidates, month: 0, sent: false, startedTurn: turn, startedAt: at, waitFrom: null };
+}
+
+/*
+  Ход после сделки: state — текущая фаза, text — реплика менеджера, at — время хода (ms), monthMs — длина месяца симуляции.
+  → { state, line, event } — line: реплика собеседника ('' — отвечает модель), event: смена фазы ('from>to') или null.
+  Чистая функция: server.js сначала смотрит на line (звать ли модель), потом сохраняет state.
+*/
+export function afterSaleStep(state, { text = '', locale, at = null, monthMs = AFTER_SALE_MONTH_MS, longtermMonths = 6, refundEur = 250 } = {}){
+  const L = getLocale(locale);
+  const T = L.text.afterSale, C = L.cues.afterSale;
+  const t = String(text).toLowerCase();
+  const s = { ...state };
+  let line = '';
+
+  switch (s.phase) {
+    case 'handover':
+      if (!s.sent) { s.sent = true; line = T.passports(s.candidates); }
+      else if (C.received.test(t)) { s.phase = 'registration'; s.waitFrom = at; line = T.askSlots; }
+      else line = T.confirmReceipt;
+      break;
+    case 'registration': {
+      if (C.slot.test(t)) { s.phase = 'booked'; line = T.booked; break; }
+      const month = s.waitFrom != null && at != null ? Math.floor((at - s.waitFrom) / monthMs) : 0;
+      if (month <= s.month) break; // месяц ещё не прошёл — новостей нет, отвечает модель
+      s.month = month;
+      if (s.month >= longtermMonths) { s.phase = 'refund'; line = T.refund(s.month, refundEur); }
+      else line = s.month >= COMPLAIN_FROM_MONTH ? T.delay(s.month) : T.noNews;
+      break;
+    }
+    case 'refund':
+      if (C.refund.test(t)) { s.phase = 'done'; line = T.refundDone; }
+      else line = T.refundAgain(refundEur);
+      break;
+    case 'booked':
+      s.phase = 'done';
+      break;
+    default:
+      break;
+  }
+  return { state: s, line, event: s.phase !== state.phase ? `${state.phase}>${s.phase}` : null };
+}
+
+// Строка для промпта модели: сделка уже состоялась — не продавать заново
+export function describeAfterSale(state){
+  if (!state) return '';
+  return `— after_sale: сделка состоялась (кандидатов: ${state.candidates}), фаза ${state.phase}, ожидание слота ${state.month} мес. — не продавай заново, говори о кандидатах и записи`;
+}
@@ -0,0 +1,204 @@
+// checks.js
+// Сверка документов: факты Demand ↔ слова менеджера, внутренняя согласованность Demand, сборы ↔ прайс,
+// подпись/реквизиты в контракте. Несоответствия штрафуют доверие (rules.checks) и дают Али конкретную придирку
+// на языке сессии (формулировки — locales.js). Реплики менеджера разбираются на ru/en/pl/hi сразу.
+// Импорт: import { checkEvidence, contractMarks } from './checks.js';
+
+import { getLocale } from './locales.js';
+import { PRICEBOOK_FEES } from './pricebook.js';
+
+/*
+  Discrepancy: { code, detail, objection }   — detail на английском для тренера, objection — на языке сессии
+    salary_mismatch      — зарплата в чате ≠ нетто в Demand (>10%, в одной валюте)
+    location_mismatch    — менеджер называет другой город, чем в Demand
+    period_mismatch      — срок контракта в чате ≠ Employment Period в Demand
+    hours_schedule       — часы в месяц в Demand не сходятся с графиком (>20%)
+    fee_not_in_pricebook — названный сервисный сбор не из прайса (части и суммы из pricebook.js)
+    coop_unsigned        — в загруженном контракте о сотрудничестве нет подписи/печати
+    coop_no_company_id   — в контракте нет реквизитов компании (IČO/рег. номер)
+*/
+
+const CITIES = [
+  ['Прага',     /(прага|праге|прагу|праги|praha|prague|prag[aię]|pradze|प्राग)/i],
+  ['Брно',      /(брно|brno|ब्रनो)/i],
+  ['Пардубице', /(пардубиц|pardubic)/i],
+  ['Острава',   /(острав|ostrav)/i],
+  ['Пльзень',   /(пльзен|plze[nň]|pilsen)/i],
+  ['Градец-Кралове', /(градец|hradec)/i],
+  ['Млада-Болеслав', /(болеслав|boleslav)/i],
+  ['Вроцлав',   /(вроцлав|wroc[lł]aw)/i],
+  ['Варшава',   /(варшав|warsaw|warszaw|वारसॉ|वॉरसॉ)/i],
+  ['Краков',    /(кракова?|кракове|krak[oó]w|cracow)/i],
+  ['Познань',   /(познан|pozna[nń])/i],
+  ['Гданьск',   /(гданьск|gda[nń]sk)/i]
+];
+
+const SALARY_RX = /(зарплат|salary|wage|нетто|\bnet\b|оклад|на\s*руки|wynagrodz|pensj|netto|वेतन|तनख्वाह|सैलरी)/i;
+const WORK_RX   = /(работ|ваканс|объект|завод|склад|производств|локац|город|location|work|job|site|prac|magazyn|fabryk|miast|काम|शहर|लोकेशन)/i;
+const PERIOD_RX = /(контракт|договор|период|срок|contract|period|umow|okres|कॉन्ट्रैक्ट|अनुबंध|अवधि)/i;
+const FEE_RX    = /(сервисн|сбор|\bfee\b|услуг|за\s*кандидата|per\s*candidate|комисси|opłat|prowizj|za\s*kandydata|फीस|शुल्क)/i;
+
+const sentences = (t = '') => String(t).split(/(?<=[.!?।\n])\s+/).filter(s => s.trim());
+const toNum = (s) => Number(String(s).replace(/[\s ]/g, '').replace(/[.,](?=\d{3}\b)/g, '').replace(',', '.'));
+
+function currencyOf(s = ''){
+  if (/(czk|kč|крон)/i.test(s)) return 'CZK';
+  if (/(eur|€|евро)/i.test(s)) return 'EUR';
+  if (/(pln|zł|злот)/i.test(s)) return 'PLN';
+  return '';
+}
+
+function cityIn(text = ''){
+  for (const [name, rx] of CITIES) if (rx.test(text)) return name;
+  return '';
+}
+// Как город написан в тексте — для придирки не по-русски («Pardubice», а не «Пардубице»)
+function cityWord(text = ''){
+  for (const [, rx] of CITIES) { const m = String(text).match(rx); if (m) return String(text).slice(m.index).match(/^[\p{L}\p{M}-]+/u)?.[0] || m[0]; }
+  return '';
+}
+
+function periodMonths(text = ''){
+  const m = String(text).match(/(\d+)\s*(мес|month|mies|महीन|год|года|лет|year|rok|lat|साल)/i);
+  if (!m) return null;
+  const n = Number(m[1]);
+  return /^(мес|month|mies|महीन)/i.test(m[2]) ? n : n * 12;
+}
+
+// Часы в месяц по графику: «8 h/day, 5 days», «6:00–14:30 Mon–Fri» и т.п.; null — не разобрать
+function monthlyFromSchedule(schedule = ''){
+  const s = String(schedule);
+  let perDay = null;
+  const range = s.match(/(\d{1,2})[:.](\d{2})\s*[-–]\s*(\d{1,2})[:.](\d{2})/);
+  if (range) perDay = (Number(range[3]) * 60 + Number(range[4]) - Number(range[1]) * 60 - Number(range[2])) / 60 - 0.5; // обед
+  const hours = s.match(/(\d+(?:[.,]\d+)?)\s*(h|ч|hours|час)/i);
+  if (!range && hours) perDay = toNum(hours[1]);
+
+  let days = null;
+  const d = s.match(/(\d)\s*(days|day|дн)/i);
+  if (d) days = Number(d[1]);
+  else if (/(mon|пн)\w*\s*[-–]\s*(fri|пт)/i.test(s)) days = 5;
+  else if (/(mon|пн)\w*\s*[-–]\s*(sat|сб)/i.test(s)) days = 6;
+
+  if (!perDay || !days) return null;
+  return Math.round(perDay * days * 4.33);
+}
+
+/* ── Проверки ── */
+function checkSalary(facts, texts){
+  const sal = facts.salary;
+  if (!sal?.value) return null;
+  for (const t of texts) for (const s of sentences(t)) {
+    if (!SALARY_RX.test(s)) continue;
+    const m = s.match(/(\d{1,3}(?:[\s .,]\d{3})+|\d{3,})\s*(czk|kč|крон\w*|eur|€|евро|pln|zł)?/i);
+    if (!m) continue;
+    const claim = toNum(m[1]);
+    const cur = currencyOf(m[2] || s) || sal.currency;
+    if (cur !== sal.currency || !claim) continue;
+    if (Math.abs(claim - sal.value) / sal.value > 0.1) {
+      return {
+        code: 'salary_mismatch',
+        detail: `${claim} ${cur} vs ${sal.value} ${sal.currency}`,
+        args: { doc: sal.value, claim, currency: sal.currency }
+      };
+    }
+  }
+  return null;
+}
+
+function checkLocation(facts, texts){
+  const docCity = cityIn(facts.location);
+  if (!docCity) return null;
+  for (const t of texts) for (const s of sentences(t)) {
+    if (!WORK_RX.test(s)) continue;
+    const said = cityIn(s);
+    if (said && said !== docCity) {
+      return {
+        code: 'location_mismatch',
+        detail: `${said} vs ${docCity}`,
+        args: { doc: docCity, said, docText: cityWord(facts.location), saidText: cityWord(s) }
+      };
+    }
+  }
+  return null;
+}
+
+function checkPeriod(facts, texts){
+  const docMonths = periodMonths(facts.period);
+  if (!docMonths) return null;
+  for (const t of texts) for (const s of sentences(t)) {
+    if (!PERIOD_RX.test(s)) continue;
+    const said = periodMonths(s);
+    if (said && said !== docMonths) {
+      return {
+        code: 'period_mismatch',
+        detail: `${said} vs ${docMonths} months`,
+        args: { doc: facts.period, said }
+      };
+    }
+  }
+  return null;
+}
+
+function checkHours(facts){
+  if (!facts.hours_monthly || !facts.schedule) return null;
+  const expected = monthlyFromSchedule(facts.schedule);
+  if (!expected || Math.abs(facts.hours_monthly - expected) / expected <= 0.2) return null;
+  return {
+    code: 'hours_schedule',
+    detail: `${facts.hours_monthly} h/month vs ~${expected} by schedule`,
+    args: { monthly: facts.hours_monthly, expected }
+  };
+}
+
+function checkFees(texts){
+  for (const t of texts) for (const s of sentences(t)) {
+    if (!FEE_RX.test(s) || SALARY_RX.test(s)) continue; // смешение с зарплатой ловит textSignals
+    for (const m of s.matchAll(/€\s*(\d{2,5})|(\d{2,5})\s*(?:€|eur\b|евро)/gi)) {
+      const fee = Number(m[1] || m[2]);
+      if (!PRICEBOOK_FEES.has(fee)) {
+        return {
+          code: 'fee_not_in_pricebook',
+          detail: `€${fee}`,
+          args: { fee }
+        };
+      }
+    }
+  }
+  return null;
+}
+
+function checkCoop(details){
+  const coop = details.coop_contract_pdf;
+  if (!coop) return [];
+  const out = [];
+  if (coop.signed === false) out.push({ code: 'coop_unsigned', detail: coop.filename || '' });
+  if (coop.companyId === false) out.push({ code: 'coop_no_company_id', detail: coop.filename || '' });
+  return out;
+}
+
+/*
+  facts   — demandFacts сессии (+ извлечённые на этом ходу)
+  details — evidenceDetails (загруженные документы: signed/companyId)
+  texts   — все реплики менеджера, включая текущую
+  locale  — язык придирки (по умолчанию ru)
+*/
+export function checkEvidence({ facts = {}, details = {}, texts = [], locale } = {}){
+  const say = getLocale(locale).checks;
+  return [
+    checkSalary(facts, texts),
+    checkLocation(facts, texts),
+    checkPeriod(facts, texts),
+    checkHours(facts),
+    checkFees(texts),
+    ...checkCoop(details)
+  ].filter(Boolean).map(({ code, detail, args = {} }) => ({ code, detail, objection: say[code](args) }));
+}
+
+// Признаки подписи/реквизитов в тексте контракта (для загрузки документов)
+export function contractMarks(text = ''){
+  return {
+    signed: /(signature|signed|podpis|razítko|stamp|seal|подпис|печать)/i.test(text),
+    companyId: /((?<!\p{L})IČO?(?!\p{L})|company\s*id|registration\s*(no|number)|рег\.?\s*номер|ИНН|KRS|NIP)/iu.test(text)
+  };
+}
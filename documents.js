@@ -0,0 +1,122 @@
+// documents.js
+// Загруженные документы: извлечение текста (PDF/текст — локально, без внешних сервисов) и классификация
+// в ключи доказательств (те же, что выдаёт normalizeEvidenceKey в server.js).
+// Импорт: import { extractText, classifyDocument, DOCUMENT_LIMITS } from './documents.js';
+
+// Точка входа пакета в ESM запускает отладочный код pdf-parse — берём сам модуль
+import pdfParse from 'pdf-parse/lib/pdf-parse.js';
+import { log } from './logger.js';
+
+export const DOCUMENT_LIMITS = {
+  fileSize: Number(process.env.DOCUMENT_MAX_MB ?? 10) * 1024 * 1024,
+  files: 5,
+  textChars: 20000 // дальше текст не храним и не классифицируем
+};
+
+const TEXT_TYPES = /^(text\/|application\/(json|xml|rtf))/i;
+const TEXT_EXT = /\.(txt|md|csv|rtf|json|xml)$/i;
+
+export function isSupported({ mimetype = '', originalname = '' } = {}){
+  return mimetype === 'application/pdf' || /\.pdf$/i.test(originalname) || TEXT_TYPES.test(mimetype) || TEXT_EXT.test(originalname);
+}
+
+/*
+  pdf.js 1.10 (внутри pdf-parse) пишет предупреждения о битых файлах («Warning: Indexing all PDF objects») через
+  console.log прямо в stdout, мимо JSON-логов; уровень у встроенного (fake) воркера снаружи не настроить.
+  На время разбора такие строки уходят в logger.js, остальной console.log — как был. Разборы могут идти параллельно.
+*/
+const PDFJS_LINE = /^(Warning|Info|Deprecated API usage): /;
+let parsing = 0, consoleLog = null;
+
+async function parsePdf(data){
+  if (parsing++ === 0) {
+    consoleLog = console.log;
+    console.log = (...args) => {
+      const line = args.map(String).join(' ');
+      if (PDFJS_LINE.test(line)) log('warn', 'pdf.js', { message: line });
+      else consoleLog(...args);
+    };
+  }
+  try { return await pdfParse(data); }
+  finally { if (--parsing === 0) console.log = consoleLog; }
+}
+
+/* Текст документа. PDF без текстового слоя (скан) даёт '' — классифицировать такое нечем. */
+export async function extractText({ buffer, mimetype = '', originalname = '' }){
+  let text;
+  if (mimetype === 'application/pdf' || /\.pdf$/i.test(originalname)) {
+    // pdf.js 1.10 читает подпотоки из bytes.buffer без учёта byteOffset, а маленькие Buffer (multer, Buffer.concat)
+    // лежат в общем пуле со смещением — отдаём отдельную копию
+    const out = await parsePdf(new Uint8Array(buffer));
+    text = out.text || '';
+  } else {
+    text = buffer.toString('utf8');
+  }
+  return text.replace(/\r\n?/g, '\n').replace(/[ \t]+/g, ' ').replace(/\n{3,}/g, '\n\n').trim().slice(0, DOCUMENT_LIMITS.textChars);
+}
+
+/*
+  Классификация по ключевым словам (англ./чеш./рус. — как пишут в реальных документах).
+  Каждое совпадение — вес; выигрывает категория с наибольшим счётом, если он не ниже MIN_SCORE.
+  Название файла тоже учитывается (demand.pdf, coop-contract.pdf…).
+*/
+const KINDS = {
+  demand_letter: [
+    [/demand[\s_-]*letter|\bdemand\b|деманд/i, 3], [/number\s*of\s*(workers|vacanc|positions)|počet\s*pracovník/i, 2],
+    [/position[:\s]/i, 1], [/salary|mzda|зарплат/i, 1], [/accommod|ubytován|жиль/i, 1],
+    [/working\s*hours|workhours|pracovní\s*doba/i, 1], [/employment\s*period|location\s*of\s*work/i, 1]
+  ],
+  coop_contract_pdf: [
+    [/coop[\s_-]*contract|cooperation\s*agreement|agreement\s*on\s*cooperation|smlouva\s*o\s*spolupráci|договор\s*о\s*сотрудничеств|контракт\s*о\s*сотрудничеств/i, 4],
+    [/\bb2b\b|service\s*fee|recruitment\s*services|поставщик\s*услуг/i, 2],
+    [/the\s*parties|smluvní\s*strany|стороны\s*договор/i, 1], [/obligations\s*of|povinnosti|обязанности\s*сторон/i, 1],
+    [/signature|podpis|подпись/i, 1]
+  ],
+  sample_contract_pdf: [
+    [/employment\s*contract|pracovní\s*smlouva|трудов(ой|ого)\s*договор/i, 4],
+    [/\bemployee\b|zaměstnanec|работник/i, 1], [/trial\s*period|zkušební\s*doba|испытательн/i, 2],
+    [/sample|vzor|образец/i, 1]
+  ],
+  visa_sample: [
+    [/\bvisa\b|vízum|виза/i, 3], [/schengen|type\s*["«]?d["»]?|long[-\s]*term/i, 2],
+    [/embassy|velvyslanectví|посольств/i, 1], [/passport\s*(no|number)|číslo\s*pasu/i, 2]
+  ],
+  company_registry: [
+    [/commercial\s*register|obchodní\s*rejstřík|торгов(ый|ого)\s*реестр|business\s*register/i, 4],
+    [/(?<!\p{L})IČO?(?!\p{L})|company\s*id|registration\s*number|рег(истрационный)?\.?\s*номер/iu, 2],
+    [/registered\s*office|sídlo/i, 1]
+  ],
+  registry_proof: [
+    [/úřad\s*práce|labou?r\s*office|ministry\s*of\s*labou?r/i, 4],
+    [/employment\s*agency\s*licen[cs]e|povolení\s*ke\s*zprostředkování/i, 3]
+  ],
+  price_breakdown: [
+    [/price\s*list|price\s*breakdown|ceník|прайс/i, 4], [/per\s*candidate|za\s*kandidáta|за\s*кандидата/i, 2],
+    [/total|celkem|итого/i, 1]
+  ],
+  invoice_template: [
+    [/\binvoice\b|faktura|сч[её]т[-\s]*фактур|инвойс/i, 4], [/\bvat\b|dph|ндс/i, 1], [/iban|swift|bic/i, 1]
+  ],
+  nda: [
+    [/non[-\s]*disclosure|confidentiality\s*agreement|соглашение\s*о\s*неразглашени/i, 5]
+  ],
+  business_card: [
+    [/(tel|phone|mob)[.:]/i, 1], [/e-?mail[.:]|@[\w-]+\.\w+/i, 1], [/www\.|https?:\/\//i, 1]
+  ]
+};
+const MIN_SCORE = 3;
+
+export function classifyDocument(text = '', filename = ''){
+  const hay = `${filename}\n${text}`;
+  const scores = {};
+  for (const [key, rules] of Object.entries(KINDS)) {
+    scores[key] = rules.reduce((sum, [rx, w]) => sum + (rx.test(hay) ? w : 0), 0);
+  }
+  // визитка — короткий текст с контактами; в длинном документе контакты есть почти всегда
+  if (text.length > 600) scores.business_card = 0;
+
+  const [best, score] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0];
+  if (score < MIN_SCORE) return { key: null, confidence: 0, scores };
+  const total = Object.values(scores).reduce((a, b) => a + b, 0);
+  return { key: best, confidence: Math.round((score / total) * 100), scores };
+}
@@ -0,0 +1,47 @@
+// exit.js
+// Собеседник сам заканчивает разговор: повторные «гарантии»/«связи в посольстве», доверие на нуле несколько ходов подряд
+// или давление ход за ходом. Счётчики живут в состоянии сессии (S.exit) и пересчитываются в replay так же, как вживую.
+// Реплики прощания и «мы уже поговорили» — на языке сессии (locales.js: text.exit); закрытие сессии — server.js.
+// Импорт: import { exitCheck, EXIT_REASONS } from './exit.js';
+
+import { textSignals, pressureScore } from './trust.js';
+
+/*
+  Настройка — persona.exit: Partial<{ redFlags, redFlagTurns, trustFloor, floorTurns, pressureTurns }> поверх EXIT_DEFAULTS.
+  Counters (S.exit): { red, floor, pressure }
+    red      — ходов с флагом из redFlags за сессию (не сбрасывается)
+    floor    — ходов подряд с доверием ≤ trustFloor
+    pressure — ходов подряд с давлением (pressureScore < 0 или красный флаг pressure)
+*/
+
+export const EXIT_REASONS = ['red_flags', 'trust_floor', 'pressure'];
+
+const EXIT_DEFAULTS = {
+  redFlags: ['impossible_guarantee', 'embassy_connections_claim'],
+  redFlagTurns: 2,
+  trustFloor: 0,
+  floorTurns: 3,
+  pressureTurns: 3
+};
+
+const emptyCounters = () => ({ red: 0, floor: 0, pressure: 0 });
+
+/*
+  Ход: prev — счётчики до него (нет — нули). → { counters, reason }; reason — null или один из EXIT_REASONS
+  (если сработало несколько — по порядку EXIT_REASONS).
+*/
+export function exitCheck(prev, persona, { text = '', locale, trust = 0 } = {}){
+  const X = { ...EXIT_DEFAULTS, ...(persona?.exit || {}) };
+  const c = { ...emptyCounters(), ...(prev || {}) };
+  const signals = textSignals(text, locale);
+  if (signals.red.some(f => X.redFlags.includes(f))) c.red++;
+  c.floor = trust <= X.trustFloor ? c.floor + 1 : 0;
+  c.pressure = (pressureScore(text, locale) < 0 || signals.red.includes('pressure')) ? c.pressure + 1 : 0;
+
+  const hit = {
+    red_flags: c.red >= X.redFlagTurns,
+    trust_floor: c.floor >= X.floorTurns,
+    pressure: c.pressure >= X.pressureTurns
+  };
+  return { counters: c, reason: EXIT_REASONS.find(r => hit[r]) || null };
+}
@@ -0,0 +1,134 @@
+// intents.js
+// Классификатор интентов менеджера: ранжированный список { intent, confidence } — на реплику может прийтись
+// несколько интентов («сколько стоит жильё» — про жильё, а не про зарплату). Бэкенды за единым интерфейсом:
+// rules (выражения с весами у языка сессии, locales.js) | local (небольшая модель по HTTP) | llm (текущий провайдер).
+// Импорт: import { getClassifier, setClassifier, createClassifier, classifyRules, topIntents, INTENTS } from './intents.js';
+
+import { getLocale } from './locales.js';
+import { getProvider } from './providers.js';
+
+/*
+  Classifier: {
+    name,
+    classify(text, { locale, history, onUsage? }) → Promise<Intent[]>   — по убыванию confidence, без нулевых;
+                                                  onUsage(usage) — токены, если бэкенд ходил в LLM (usage.js)
+  }
+  Intent: { intent, confidence }   — confidence в [0, 1]
+
+  ENV:
+    INTENT_BACKEND=rules|local|llm                 (по умолчанию rules)
+    INTENT_MODEL_URL=http://localhost:8000/intents — для local: POST { text, locale } → { intents: Intent[] }
+  Ошибка или мусор от local/llm — откат на rules: без интентов postRules работать не должны.
+*/
+
+export const INTENTS = [
+  'ask_registration', 'ask_slots', 'ask_docs', 'ask_price', 'ask_candidates', 'ask_location',
+  'ask_accommodation', 'ask_hours', 'ask_job',
+  'ask_refund', 'ask_visa_rejection', 'ask_language_requirements', 'ask_company_background'
+];
+
+const DEFAULT_WEIGHT = 0.8;
+const TOP_MAX = 2;       // сколько интентов отрабатывают postRules
+const TOP_MARGIN = 0.2;  // второй — только если почти так же уверен, как первый
+
+const round2 = (x) => Math.round(x * 100) / 100;
+
+/* ── rules ── */
+// Совпавшие выражения интента складываются как независимые свидетельства: 1 − Π(1 − w).
+// При равной уверенности порядок — как в таблице языка.
+export function classifyRules(text = '', locale){
+  const t = String(text).toLowerCase();
+  const miss = new Map();
+  for (const [intent, rx, weight = DEFAULT_WEIGHT] of getLocale(locale).intents) {
+    if (rx.test(t)) miss.set(intent, (miss.get(intent) ?? 1) * (1 - weight));
+  }
+  return Array.from(miss, ([intent, m]) => ({ intent, confidence: round2(1 - m) }))
+    .sort((a, b) => b.confidence - a.confidence);
+}
+
+// Ответ внешнего бэкенда → Intent[]: только известные интенты, confidence в [0, 1], по убыванию
+function normalize(list){
+  if (!Array.isArray(list)) return null;
+  const best = new Map();
+  for (const x of list) {
+    const c = Number(x?.confidence);
+    if (!INTENTS.includes(x?.intent) || !(c > 0)) continue;
+    best.set(x.intent, Math.max(best.get(x.intent) || 0, Math.min(1, c)));
+  }
+  return Array.from(best, ([intent, c]) => ({ intent, confidence: round2(c) }))
+    .sort((a, b) => b.confidence - a.confidence);
+}
+
+function withFallback(name, classify){
+  return {
+    name,
+    async classify(text, opts = {}){
+      try {
+        const out = normalize(await classify(text, opts));
+        if (out) return out;
+      } catch { /* сеть/JSON — ниже откат на rules */ }
+      return classifyRules(text, opts.locale);
+    }
+  };
+}
+
+function createRulesClassifier(){
+  return { name: 'rules', classify: async (text, { locale } = {}) => classifyRules(text, locale) };
+}
+
+/* ── local: небольшая модель за HTTP (fastText/ONNX-сервис и т.п.) ── */
+function createLocalClassifier({ url = process.env.INTENT_MODEL_URL || 'http://localhost:8000/intents', timeoutMs = 2000 } = {}){
+  return withFallback('local', async (text, { locale } = {}) => {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text, locale }),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    if (!res.ok) throw new Error(`Intent model HTTP ${res.status}`);
+    return (await res.json())?.intents;
+  });
+}
+
+/* ── llm: короткий запрос к текущему провайдеру, ответ — JSON ── */
+const LLM_INSTRUCTION =
+  'Classify the intents of the last message of a recruitment-agency manager. ' +
+  `Allowed intents: ${INTENTS.join(', ')}. A message may have several intents or none. ` +
+  'Answer strictly with JSON: {"intents":[{"intent":"...","confidence":0.0}]}';
+
+function createLLMClassifier({ provider } = {}){
+  return withFallback('llm', async (text, { history = [], onUsage } = {}) => {
+    const context = history.slice(-4).map(h => `${h.role}: ${h.content}`).join('\n');
+    const resp = await (provider || getProvider()).chat({
+      temperature: 0,
+      max_tokens: 150,
+      response_format: { type: 'json_object' },
+      messages: [
+        { role: 'system', content: LLM_INSTRUCTION },
+        { role: 'user', content: `${context ? `Context:\n${context}\n\n` : ''}Message: ${text}` }
+      ]
+    });
+    if (resp?.usage) onUsage?.(resp.usage);
+    return JSON.parse(resp?.choices?.[0]?.message?.content || '{}').intents;
+  });
+}
+
+/* ── Реестр ── */
+export function createClassifier(name = process.env.INTENT_BACKEND || 'rules', opts = {}){
+  switch (String(name).toLowerCase()) {
+    case 'rules': return createRulesClassifier();
+    case 'local': return createLocalClassifier(opts);
+    case 'llm':   return createLLMClassifier(opts);
+    default: throw new Error(`Unknown intent backend: ${name}`);
+  }
+}
+
+let active = null;
+export function getClassifier(){ return (active ??= createClassifier()); }
+export function setClassifier(c){ active = c; return c; }
+
+// Интенты, по которым отвечают postRules: первый и ещё один, если он почти так же уверен
+export function topIntents(list = []){
+  const best = list[0]?.confidence || 0;
+  return list.filter((x, i) => i === 0 || x.confidence >= round2(best - TOP_MARGIN)).slice(0, TOP_MAX);
+}
@@ -0,0 +1,71 @@
+// llmjson.js
+// Терпимый разбор JSON из ответа модели: первый сбалансированный объект (а не жадное «от первой { до последней }»),
+// «умные» кавычки вместо ", висячие запятые, переводы строк внутри строк, объект, оборванный на max_tokens.
+// О схеме ответа ничего не знает — поля приводит и проверяет server.js.
+// Импорт: import { repairJson } from './llmjson.js';
+
+/*
+  repairJson(text) → { value, repaired } | null
+    value    — разобранное значение
+    repaired — false: JSON был валиден как есть (лишний текст вокруг не в счёт); true — понадобилась починка
+  null — объекта нет или починить не удалось.
+*/
+
+const SMART_QUOTES = new Set(['“', '”', '„', '‟', '″']);
+
+/*
+  Один проход с первой «{»: строки (обычные и в «умных» кавычках), стек скобок, последняя запятая вне строк —
+  место, где можно обрезать оборванный хвост. Всё, что чинится по дороге, поднимает fixed.
+*/
+function scan(src){
+  let out = '', str = null, esc = false, fixed = false, cut = null;
+  const stack = [];
+  for (const ch of src) {
+    if (str) {
+      if (esc) { out += ch; esc = false; continue; }
+      if (ch === '\\') { out += ch; esc = true; continue; }
+      if ((str === '"' && ch === '"') || (str === 'smart' && SMART_QUOTES.has(ch))) {
+        out += '"'; str = null; fixed ||= ch !== '"'; continue;
+      }
+      if (str === 'smart' && ch === '"') { out += '\\"'; continue; }
+      if (ch === '\n' || ch === '\r') { out += ch === '\n' ? '\\n' : ''; fixed = true; continue; }
+      out += ch;
+      continue;
+    }
+    if (ch === '"') { str = '"'; out += ch; continue; }
+    if (SMART_QUOTES.has(ch)) { str = 'smart'; out += '"'; fixed = true; continue; }
+    if (ch === '{' || ch === '[') { stack.push(ch === '{' ? '}' : ']'); out += ch; continue; }
+    if (ch === '}' || ch === ']') {
+      const trimmed = out.replace(/,\s*$/, '');
+      if (trimmed !== out) { out = trimmed; fixed = true; }
+      stack.pop();
+      out += ch;
+      if (!stack.length) return { text: out, fixed, complete: true };
+      continue;
+    }
+    if (ch === ',') cut = { at: out.length, stack: [...stack] };
+    out += ch;
+  }
+  return { text: esc ? out.slice(0, -1) : out, fixed, complete: false, str, stack, cut };
+}
+
+const tryParse = (text) => { try { return { value: JSON.parse(text) }; } catch { return null; } };
+const closers = (stack) => [...stack].reverse().join('');
+
+export function repairJson(text){
+  const src = String(text || '');
+  const start = src.indexOf('{');
+  if (start < 0) return null;
+  const s = scan(src.slice(start));
+
+  if (s.complete) {
+    const ok = tryParse(s.text);
+    return ok ? { value: ok.value, repaired: s.fixed } : null;
+  }
+
+  // Оборвано (max_tokens): закрываем строку и скобки; не вышло — отрезаем хвост после последней запятой
+  const closed = tryParse((s.text + (s.str ? '"' : '')).replace(/,\s*$/, '') + closers(s.stack));
+  if (closed) return { value: closed.value, repaired: true };
+  const cutTail = s.cut && tryParse(s.text.slice(0, s.cut.at) + closers(s.cut.stack));
+  return cutTail ? { value: cutTail.value, repaired: true } : null;
+}
@@ -0,0 +1,1066 @@
+// locales.js
+// Языки разговора: русский (по умолчанию), английский, польский, хинди. На язык — вставка в промпт,
+// заготовленные реплики, детекторы сигналов доверия (trust.js), интенты и триггеры пост-правил (server.js),
+// признаки и тексты скоркарты (scorecard.js).
+// Импорт: import { getLocale, hasLocale, listLocales, withLocale, DEFAULT_LOCALE } from './locales.js';
+
+/*
+  Locale: {
+    id, name,
+    prompt,                              — вставка в system prompt: на каком языке отвечать ('' — как в промпте)
+    signals: {                           — детекторы trust.js (текст уже в нижнем регистре)
+      greet, thanks, niceToMeet, urgent, threat, months, places, agreeable, delegating,
+      red: [[id, rx, rx?]], green: [[id, rx]], gray: [[id, rx]]  — флаг срабатывает, если совпали все rx
+      focus: { key: rx }, infoKeys: { key: rx }, payment, personal, courtesy,
+      absence                            — менеджер объясняет паузу в разговоре (pacing.js)
+    },
+    intents: [[intent, rx, weight?]],    — классификатор интентов (intents.js); вес по умолчанию 0.8, у интента может быть
+                                           несколько выражений: общие слова («сколько стоит») — с меньшим весом
+    cues: { askName, intro, payMethod, payWords, objection, price, permit, slots, pay, docAsk, docTalk,
+            handling: [rx],                    — признаки отработки возражения (scorecard.js: evaluateObjectionHandling)
+            afterSale: { received, slot, refund } },  — реплики менеджера после сделки (aftersale.js)
+    rebuttals: { id: { rx, line } }, paymentGate, stance: { stage: line }
+    text: { rapport[], registration(long, seasonal), fallback{}, docsNeeded, docsHave, paymentPref,
+            refund, visaRejection, languageAsk, budgetGoodbye, facts{}, purchase{},
+            pacing: { away(n, 'd'|'h'), dump }, exit: { red_flags, trust_floor, pressure, closed },
+            afterSale: { passports(n), confirmReceipt, askSlots, noNews, delay(m), booked, refund(m, eur), refundAgain(eur), refundDone } },
+    checks: { code: (args) => line }     — придирки к несоответствиям (checks.js)
+    scorecard: { greeting, intro, courtesy, personal, pay, docs, salary, fee, objection,  — признаки для скоркарты
+                 labels{}, tips{}, notes{}, redFlags{}, tipAt(turn, note, tip) }       тренера и её тексты (scorecard.js)
+    objections?, lines?(name)            — нет у ru: там реплики самой персоны (personas.js)
+    genderPairs: [[m, f]]                — грамматический род говорящего (applyGender)
+  }
+  Новый язык — ещё один объект с теми же ключами; русский остаётся эталоном и значением по умолчанию.
+*/
+
+export const DEFAULT_LOCALE = 'ru';
+
+const FEE_350 = /(€\s*350|350\s*€|\b350\b)/; // сервисный сбор, перепутанный с зарплатой — цифры одинаковы на всех языках
+
+function pluralRu(n, one, few, many){
+  const n10 = n % 10, n100 = n % 100;
+  if (n10 === 1 && n100 !== 11) return one;
+  if (n10 >= 2 && n10 <= 4 && (n100 < 12 || n100 > 14)) return few;
+  return many;
+}
+function pluralPl(n, one, few, many){
+  const n10 = n % 10, n100 = n % 100;
+  if (n === 1) return one;
+  if (n10 >= 2 && n10 <= 4 && (n100 < 12 || n100 > 14)) return few;
+  return many;
+}
+
+/* ── Русский ── */
+const RU_DOCS_TALK = /(документ|контракт|офер|виза|слот|приглашени|регистрац)/;
+const RU_FAST = /\b(1|2|3|4|5)\s*(дн(я|ей)?|day|days|сут|час(а|ов)?|hour|hours)\b|48\s*час|завтра/;
+
+const RU = {
+  id: 'ru',
+  name: 'Русский',
+  prompt: '',
+  signals: {
+    greet: /(здрав|добрый день|доброе утро|добрый вечер|приветствую)/,
+    thanks: /(спасибо|благодарю|пожалуйста)/,
+    niceToMeet: /(рад(а)? знакомству|приятно познакомиться)/,
+    urgent: /(срочно|немедленно|давайте быстрее|прямо сейчас|сегодня же)/,
+    threat: /(или мы уйд[её]м|иначе|последний шанс)/,
+    months: /\b(янв|фев|мар|апр|май|июн|июл|авг|сен|окт|ноя|дек|jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)\w*/i,
+    places: /\b(Прага|Brno|Пльзень|Warsaw|Варшава|Wrocław|Вроцлав|Katowice|Катовице|Чех|Польш)\w*/i,
+    agreeable: /(ок($|[.!?])|окей|да, конечно|что угодно|как скажете)/i,
+    delegating: /подбор|ищите|занимайтесь/i,
+    red: [
+      ['crypto_upfront', /\bкрипт|usdt|btc|eth\b/, /сразу|предоплат|аванс/],
+      ['impossible_guarantee', /гарантирую|100%|сто процентов|без отказов/],
+      ['pressure', /поторопитесь|только сегодня|срочно платите/],
+      ['embassy_connections_claim', /связи в посольстве|решаем через знакомых/],
+      ['unrealistic_timeline', RU_DOCS_TALK, RU_FAST],
+      ['fee_salary_confusion', /(зарплат|salary)/, FEE_350],
+      ['requisites_from_demand', /реквизит/, /demand/]
+    ],
+    green: [
+      ['mentions_bank_payment', /сч[её]т|инвойс|банковск/],
+      ['mentions_website', /сайт|website|https?:\/\//],
+      ['mentions_demand', /деманд|demand/],
+      ['mentions_contract', /контракт|офер|соглашени/i],
+      ['test_one_candidate', /тест(овый)? кандидат|с одного кандидата|1-?2 кандидата/i]
+    ],
+    gray: [
+      ['postpone', /позже|вернусь|через неделю|давайте потом/]
+    ],
+    focus: {
+      vacancy: /(ваканси|позици|role|position|должност)/,
+      salary: /(зарплат|salary|нетто|брутто)/,
+      housing: /(жиль|accommodat|общежит|проживан)/,
+      schedule: /(график|смен|hours|schedule|work\s*time)/,
+      location: /(локац|город|location|where)/,
+      documents: /(контракт|demand|документ|офер|agreement)/
+    },
+    infoKeys: {
+      vacancy: /(ваканси|позици|role|position|должност)/i,
+      salary: /(зарплат|salary|net|gross|нетто|брутто)/i,
+      housing: /(жиль|accommodat|общежит|проживан)/i,
+      schedule: /(график|смен|hours|schedule|work\s*time)/i,
+      location: /(локац|город|location|where|city)/i,
+      documents: /(контракт|офер|demand|документ|agreement)/i,
+      website: /(сайт|website|https?:\/\/)/i
+    },
+    payment: /(оплат|плат[её]ж|инвойс|сч[её]т|реквизит(ы)?)/i,
+    personal: /(семья|дети|женат|замужем|личн(ая|ые)|хобби|возраст|год(а)?|сколько лет|любим(ый|ая)|увлечен|чем увлекаешь|откуда ты|где живешь|семейное положение)/i,
+    courtesy: /(сэр|sir|пожалуйста|плиз|пжл|извините|простите|подскажите|будьте добры)/i,
+    absence: /(за (паузу|задержку|молчание|долгий ответ)|был(а)? (занят|занята|в отпуске|в дороге|болен|больна)|не мог(ла)? (ответить|написать)|пропал(а)?)/
+  },
+  intents: [
+    ['ask_registration', /(когда|последн(ий|ый)|дата).*(регист|слот|посольств|запис)/i],
+    ['ask_slots', /(слот|очеред|термин|запис)/i],
+    ['ask_docs', /(что\s+нужно|какие\s+документ\w*\s+нужн|что\s+прислать)/i],
+    ['ask_price', /(прайс|fee|€|eur|czk|зарплат)/i],
+    ['ask_price', /(цена|стоим|сколько\s+стоит)/i, 0.5],
+    ['ask_candidates', /(кандидат\w+).*(сколько|есть|доступн)/i],
+    ['ask_location', /(локац|город|место|location)/i],
+    ['ask_accommodation', /(жиль|accommodat|общежит|проживан)/i],
+    ['ask_hours', /(график|час(ов)?\s*в\s*месяц|смен|working\s*hours|work\s*time)/i],
+    ['ask_job', /(что\s+делать|обязан|описани[ея]\s+работ|job\s*description)/i],
+    ['ask_refund', /(возврат|верн[её]т[а-яё]*\s+(деньги|оплат)|верн[её]м\s+деньги|refund)/i],
+    ['ask_visa_rejection', /(отказ[а-яё]*\s+(в\s+)?виз|откаж[а-яё]*\s+в\s+виз|виз[а-яё]*\s+не\s+(дадут|выдадут)|visa\s+(rejection|refus))/i],
+    ['ask_language_requirements', /(язык|английск|english|language)/i],
+    ['ask_company_background', /(о\s+(вашей\s+)?компани|сколько\s+лет\s+(на\s+рынке|работаете)|давно\s+работаете|истори[а-яё]+\s+компании)/i]
+  ],
+  cues: {
+    askName: /(как.*зовут|вас зовут|ваше имя|who are you)/i,
+    intro: /(меня зовут|я\s+(генераль|менедж|представител)|renovogo)/i,
+    payMethod: /(банк|банковск|crypto|крипто|usdt|btc|eth|криптовалют)/i,
+    payWords: /оплат|плат[её]ж|инвойс|сч[её]т/i,
+    objection: /(цена|дорог|оплат|сч[её]т|инвойс)/i,
+    price: /(цена|стоим|дорог|price|€|eur|евро)/i,
+    permit: /(разрешен(ие|я)\s+на\s*работ|work\s*permit|zaměstnanecká|povolen[ií])/i,
+    slots: /(слот|очеред|термин|запис)/i,
+    pay: /(оплат|сч[её]т|инвойс|банк|pay|invoice)/i,
+    docAsk: /[^.?!]*(demand|деманд|b2b[-\s]*контракт|контракт\s*о\s*сотрудничестве|пришлите\s+документ|нужен\s+контракт|нужен\s+demand)[^.?!]*[.?!]/gi,
+    docTalk: /(demand|контракт|документ|полный контракт|сотрудничеств)/i,
+    handling: [
+      /(понимаю|не\s*настаиваю|спокойно|без\s*давления)/i,
+      /(вопрос\s*не\s*в\s*цене|ценност|репутац|долгосроч)/i,
+      /(начн[её]м?\s*с\s*одн(ого|ого\s*клиент|ого\s*кандид))/i,
+      /(проверьте\s*работу|проверить\s*работу|мисси|партнер|партнёр|над[её]жн)/i,
+      /(не\s*отвечайте\s*сейчас|как\s*будете\s*готовы)/i
+    ],
+    afterSale: {
+      received: /((?<!не\s)получ(ил|или|ено)|паспорта\s+(пришли|дошли|на\s+месте)|вс[её]\s+(дошло|читается))/i,
+      slot: /(слот|запис|термин|визит)[^.?!]*(\d{1,2}[./]\d{1,2}|\d{1,2}\s*(январ|феврал|марта|апрел|мая|июн|июл|август|сентябр|октябр|ноябр|декабр))/i,
+      refund: /((?<!не\s)верн[её]м|возврат[^.?!]*(оформ|отправ|сдела|провед)|оформ[а-яё]*\s+возврат|деньги\s+(верн|отправ))/i
+    }
+  },
+  rebuttals: {
+    pressure:       { rx: /(срочн|прямо сейчас|немедленн|сегодня\s*же|только\s*сегодня|within\s*24|24\s*час)/i,
+                      line: 'Мне некомфортно при давлении.' },
+    prepay:         { rx: /(предоплат|аванс|оплатить\s*до|до\s*визы|advance\s*payment|оплат.*(до|без)\s*(документ|контракт|demand|регистрац))/i,
+                      line: 'Предоплату не рассматриваю. Сначала подтверждения по документам.' },
+    cryptoOnly:     { rx: /(только\s*крипт|only\s*crypto)/i,
+                      line: 'Крипту не люблю. Если дойдём до оплаты — предпочту банковский счёт.' },
+    discount:       { rx: /(скидк|дешевле|сбросьте\s*цену|дискаунт)/i,
+                      line: 'Торг тут не главное — важнее прозрачность и проверяемость.' },
+    unrealDeadline: { rx: /(2\s*дня|48\s*час|за\s*два\s*дня|через\s*сутки)/i,
+                      line: 'Сроки «за два дня» звучат нереалистично.' }
+  },
+  paymentGate: 'Нужна уверенность в процессе. Платежи — после подтверждений.',
+  stance: {
+    Greeting:  'Давайте начнём с сути вопроса.',
+    Demand:    'Сначала описание вакансии и проверяемость.',
+    Contract:  'Хочу видеть договорённости на бумаге.',
+    Candidate: 'Готов двигаться аккуратно.',
+    Payment:   'Предпочитаю банковский счёт.',
+    Closing:   'Окей, на связи.'
+  },
+  text: {
+    rapport: [
+      'Какая позиция и локация вас интересуют?',
+      'Сколько кандидатов хотите рассмотреть на старте?',
+      'Вы как агент/работодатель? Как к вам обращаться?',
+      'Есть ли требования к языку и жилью?'
+    ],
+    registration: (long, seasonal) => `По долгосрочному — ${long} мес назад; по сезонному — ${seasonal} мес назад. Очереди нестабильные.`,
+    fallback: { payment: 'Мне важны подтверждения по документам.', other: 'Опишите, пожалуйста, предложение или пришлите документы.' },
+    docsNeeded: 'Обычно достаточно описания вакансии (Demand) и нашего B2B-контракта.',
+    docsHave: 'Документы уже есть. Давайте обсудим кандидатов.',
+    paymentPref: 'Предпочитаю оплату после визы или как минимум после подтверждения регистрации. Крипту не люблю, счёт — банковский.',
+    refund: 'Условия возврата должны быть прописаны в договоре: если виза не выдана, деньги возвращаются.',
+    visaRejection: 'Если посольство откажет, что будет с оплатой? Хочу видеть это отдельным пунктом, а не на словах.',
+    languageAsk: 'Язык зависит от позиции: на склад обычно хватает базового английского. Что указано в требованиях?',
+    budgetGoodbye: 'На сегодня, пожалуй, достаточно — мне пора. Вернёмся к разговору в другой раз. Всего доброго!',
+    pacing: {
+      away: (n, unit) => `Вы пропали на ${n} ${unit === 'd' ? pluralRu(n, 'день', 'дня', 'дней') : pluralRu(n, 'час', 'часа', 'часов')}. Что-то случилось?`,
+      dump: 'Не так быстро — мне нужно время, чтобы всё это посмотреть.'
+    },
+    exit: {
+      red_flags: 'Гарантий по визам не бывает, и «связи в посольстве» — не про честную работу. Думаю, нам не по пути. Всего доброго.',
+      trust_floor: 'Честно, я не вижу оснований продолжать. Спасибо за время, всего доброго.',
+      pressure: 'Под давлением я решений не принимаю. Давайте на этом закончим. Всего доброго.',
+      closed: 'Мы уже поговорили — решение я принял. Всего доброго.'
+    },
+    afterSale: {
+      passports: (n) => `Отправляю паспорта ${n} кандидат${pluralRu(n, 'а', 'ов', 'ов')} — сканы во вложении. Подтвердите, пожалуйста, получение.`,
+      confirmReceipt: 'Паспорта дошли? Подтвердите, пожалуйста, что всё получено и читается.',
+      askSlots: 'Спасибо. Когда запись в посольство? Какие слоты сейчас есть?',
+      noNews: 'Прошёл месяц. Есть новости по записи в посольство?',
+      delay: (m) => `Уже ${m} ${pluralRu(m, 'месяц', 'месяца', 'месяцев')} ни слота, ни новостей. Кандидаты спрашивают каждый день — что происходит?`,
+      booked: 'Отлично, слот есть — передам кандидатам. Что нужно подготовить к визиту?',
+      refund: (m, eur) => `Прошло ${m} ${pluralRu(m, 'месяц', 'месяца', 'месяцев')}, а слота так и нет. По договору в этом случае положен возврат €${eur} за кандидата. Когда вернёте деньги?`,
+      refundAgain: (eur) => `Я жду ответа по возврату €${eur} за кандидата. Это прописано в договоре — когда будут деньги?`,
+      refundDone: 'Хорошо, жду возврат. Если слоты появятся — вернёмся к кандидатам.'
+    },
+    facts: {
+      salary: (v, c) => `нетто от ${v} ${c}`,
+      accommodation: (eur) => `жильё ~€${eur}/мес`,
+      hours: (h) => `~${h} ч/мес`,
+      bySalary: (s) => `По деманду: ${s}.`,
+      byAccommodation: (s) => `По жилью из деманда: ${s}.`,
+      bySchedule: (s) => `График по деманду: ${s}.`,
+      byLocation: (s) => `Локация в деманде: ${s}.`,
+      byLanguage: (s) => `Требования к языку по деманду: ${s}.`,
+      seen: (what, terms) => `По деманду вижу: ${what}. Условия: ${terms}.`,
+      seenOnly: (what) => `По деманду вижу: ${what}.`,
+      termsOnly: (terms) => `Условия по деманду: ${terms}.`
+    },
+    purchase: {
+      sent: (n, crypto) => `Перевод отправлен за ${n} кандидат${pluralRu(n, 'а', 'ов', 'ов')}, принимайте деньги у себя ${crypto ? '(в крипто)' : '(на счёту)'}. Оплата ${crypto ? 'в криптовалюте' : 'по банковскому счёту'}.`,
+      ready: (n, crypto) => `Я готов с вами сотрудничать. Стартуем с ${n} кандидат${pluralRu(n, 'ом', 'ами', 'ами')}. ` +
+        (crypto ? 'Предоставьте, пожалуйста, криптовалютные реквизиты для оплаты.' : 'Предоставьте, пожалуйста, банковский счёт для оплаты.')
+    }
+  },
+  checks: {
+    salary_mismatch: ({ doc, claim, currency }) => `В Demand нетто ${doc} ${currency}, а вы пишете ${claim}. Где правда?`,
+    location_mismatch: ({ doc, said }) => `В Demand место работы — ${doc}, а вы говорите про ${said}. Уточните.`,
+    period_mismatch: ({ doc, said }) => `В Demand срок ${doc}, а у вас ${said} мес. Это разные условия.`,
+    hours_schedule: ({ monthly, expected }) => `В Demand ${monthly} ч/мес, но по графику выходит около ${expected}. Не сходится.`,
+    fee_not_in_pricebook: ({ fee }) => `Сбор €${fee} не совпадает с прайсом компании. Откуда эта сумма?`,
+    coop_unsigned: () => 'В контракте о сотрудничестве не вижу подписи и печати.',
+    coop_no_company_id: () => 'В контракте нет реквизитов компании — IČO, адреса. Так не проверить.'
+  },
+  scorecard: {
+    greeting: /(здрав|прив|добрый|доброе)/i,
+    intro: /(renovogo|меня зовут|я\s+[—-]?\s*менеджер|наша компания|мы\s+[—-]?\s*агентств|представля)/i,
+    courtesy: /(пожалуйста|спасибо|благодар|извините|подскажите|будьте добры)/i,
+    personal: /(семья|дети|женат|замужем|хобби|сколько лет|возраст|семейное положение)/i,
+    pay: /(оплат|предоплат|сч[её]т|инвойс|реквизит|перевод\s*денег|стоимост|цен[аыу])/i,
+    docs: /(demand|деманд|контракт|договор|документ|регистрац|лиценз)/i,
+    salary: /(зарплат|нетто|брутто)/i,
+    fee: /(сервисн|услуг|комисси|оплат[аиуы]?\s*(за|нам)|стоимост)/i,
+    objection: /(не\s*уверен|сомнева|подумаю|дорого|рискован|некомфортно|не\s*рассматриваю|не\s*готов|проверк|гарантии|где\s*гарант|позже|не\s*сейчас|обжигал|боюсь)/i,
+    labels: {
+      rapport: 'Контакт и представление', documents: 'Последовательность документов', objections: 'Работа с возражениями',
+      redFlags: 'Без красных флагов', feeSalary: 'Сервисный платёж ≠ зарплата', pacing: 'Темп разговора'
+    },
+    tips: {
+      rapport: 'Начните с приветствия и коротко представьтесь: кто вы, компания, сайт. Личные вопросы — только когда появилось доверие.',
+      documents: 'Сначала отправьте Demand и B2B-контракт о сотрудничестве, и только потом переходите к оплате.',
+      objections: 'На возражение ответьте спокойно: признайте сомнение, предложите проверить вас и начать с одного кандидата — без давления.',
+      redFlags: 'Уберите обещания «100% визы», «связи в посольстве», срочность и крипто-предоплату — Али воспринимает это как схему.',
+      feeSalary: 'Разводите деньги явно: зарплата кандидата — по Demand у работодателя, сервисный платёж — отдельно по счёту.',
+      pacing: 'Одна мысль и один вопрос за реплику, без «стен текста» и без разговора об оплате в первых сообщениях.'
+    },
+    notes: {
+      no_greeting: 'Нет приветствия в первом сообщении',
+      no_intro: 'Не представились: кто вы и какая компания',
+      personal_early: 'Личный вопрос в самом начале знакомства',
+      pay_before_docs: 'Разговор об оплате до Demand и контракта',
+      objection_pressed: 'На возражение ответили давлением',
+      objection_unhandled: 'Возражение без отработки',
+      fee_salary: 'Зарплата кандидата и сервисный платёж в одной фразе',
+      too_long: 'Слишком длинное сообщение',
+      too_many_questions: 'Слишком много вопросов за раз',
+      rushing: 'Торопите собеседника',
+      pay_early: 'Оплата в первых сообщениях',
+      repeat: 'Повтор того же сообщения'
+    },
+    redFlags: {
+      impossible_guarantee: 'Обещание гарантий — визу никто гарантировать не может',
+      pressure: 'Давление на собеседника',
+      crypto_upfront: 'Крипто-предоплата',
+      embassy_connections_claim: '«Связи в посольстве» — звучит как схема',
+      unrealistic_timeline: 'Нереалистичные сроки по документам',
+      requisites_from_demand: 'Реквизиты для оплаты «из Demand»'
+    },
+    tipAt: (turn, note, tip) => `Реплика ${turn} — ${note}. ${tip}`
+  },
+  genderPairs: [
+    ['рад', 'рада'], ['готов', 'готова'], ['согласен', 'согласна'],
+    ['смог', 'смогла'], ['мог', 'могла'], ['принял', 'приняла']
+  ]
+};
+
+/* ── English ── */
+const EN_DOCS_TALK = /(document|contract|offer|visa|slot|invitation|registration|permit)/;
+const EN_FAST = /\b(1|2|3|4|5)\s*(days?|hours?)\b|48\s*hours?|tomorrow/;
+
+const EN = {
+  id: 'en',
+  name: 'English',
+  prompt: 'ЯЗЫК: собеседник пишет по-английски. Отвечай ТОЛЬКО по-английски (это важнее «Отвечай по-русски» выше); ' +
+    'ключи JSON, стадии и actions не переводи. Reply in natural, plain English.',
+  signals: {
+    greet: /(hello|\bhi\b|good (morning|afternoon|evening)|greetings)/,
+    thanks: /(thank|please|appreciate)/,
+    niceToMeet: /((nice|pleased|glad) to meet)/,
+    urgent: /(urgent|immediately|right now|asap|today itself)/,
+    threat: /(or we (will )?(leave|walk away)|otherwise|last chance)/,
+    months: /\b(january|february|march|april|may\s+\d|june|july|august|september|october|november|december)\b/i,
+    places: /\b(prague|praha|brno|pilsen|plzen|warsaw|wroclaw|wrocław|katowice|krakow|czech|poland)\w*/i,
+    agreeable: /(\bok($|[.!?])|okay|yes, of course|whatever you (say|want)|as you wish)/i,
+    delegating: /(recruit|select|search|go ahead and find)/i,
+    red: [
+      ['crypto_upfront', /\b(crypto|usdt|btc|eth)/, /(upfront|in advance|prepay|advance payment|right away)/],
+      ['impossible_guarantee', /(i guarantee|guaranteed|100%|hundred percent|no refusals|zero rejections)/],
+      ['pressure', /(hurry up|today only|only today|pay (now|urgently|immediately))/],
+      ['embassy_connections_claim', /((contacts?|connections?|people) (in|at) the embassy|through (our )?friends)/],
+      ['unrealistic_timeline', EN_DOCS_TALK, EN_FAST],
+      ['fee_salary_confusion', /(salary|wage)/, FEE_350],
+      ['requisites_from_demand', /(bank details|banking details|payment details)/, /demand/]
+    ],
+    green: [
+      ['mentions_bank_payment', /(invoice|bank transfer|bank account|wire transfer)/],
+      ['mentions_website', /(website|https?:\/\/|www\.)/],
+      ['mentions_demand', /demand/],
+      ['mentions_contract', /(contract|offer|agreement)/],
+      ['test_one_candidate', /(test candidate|one candidate|single candidate|1-?2 candidates)/]
+    ],
+    gray: [
+      ['postpone', /(later|get back to you|next week|let's postpone)/]
+    ],
+    focus: {
+      vacancy: /(vacanc|position|role|job)/,
+      salary: /(salary|wage|\bnet\b|gross)/,
+      housing: /(accommodat|housing|hostel|dormitor)/,
+      schedule: /(schedule|shift|hours|work\s*time)/,
+      location: /(location|city|where)/,
+      documents: /(contract|demand|document|offer|agreement)/
+    },
+    infoKeys: {
+      vacancy: /(vacanc|position|role|job)/i,
+      salary: /(salary|wage|\bnet\b|gross)/i,
+      housing: /(accommodat|housing|hostel|dormitor)/i,
+      schedule: /(schedule|shift|hours|work\s*time)/i,
+      location: /(location|city|where)/i,
+      documents: /(contract|offer|demand|document|agreement)/i,
+      website: /(website|https?:\/\/)/i
+    },
+    payment: /(payment|\bpay\b|invoice|bank details|account number)/i,
+    personal: /(family|kids|children|married|wife|husband|hobby|hobbies|how old|your age|favou?rite|where do you live|where are you from|personal life)/i,
+    courtesy: /(\bsir\b|madam|please|\bpls\b|sorry|excuse me|could you|would you mind|kindly)/i,
+    absence: /(for the (delay|silence|late reply|pause)|was (busy|away|sick|ill|travell?ing|on (vacation|holiday|leave))|could ?n[o']t (reply|answer|write)|went silent)/
+  },
+  intents: [
+    ['ask_registration', /(when|last|date).*(registr|slot|embassy|appointment)/i],
+    ['ask_slots', /(slot|queue|appointment|booking)/i],
+    ['ask_docs', /(what\s+do\s+you\s+need|which\s+documents|what\s+(should|to)\s+(i\s+)?send)/i],
+    ['ask_price', /(price\s*list|fee|€|eur|czk|salary|wage)/i],
+    ['ask_price', /(price|cost|how\s+much)/i, 0.5],
+    ['ask_candidates', /(candidates?).*(how\s+many|available|do\s+you\s+have)/i],
+    ['ask_location', /(location|city|where)/i],
+    ['ask_accommodation', /(accommodat|housing|hostel|dormitor)/i],
+    ['ask_hours', /(schedule|hours\s+(per|a)\s+month|shift|working\s*hours|work\s*time)/i],
+    ['ask_job', /(what\s+will\s+they\s+do|duties|responsibilit|job\s*description)/i],
+    ['ask_refund', /(refund|money\s+back|get\s+(my|the|our)\s+money\s+back)/i],
+    ['ask_visa_rejection', /(visa\s+(is\s+)?(rejected|refused|denied|rejection|refusal)|(rejection|refusal)\s+of\s+(the\s+)?visa|embassy\s+(rejects|refuses))/i],
+    ['ask_language_requirements', /(language|english\s+level|speak\s+english)/i],
+    ['ask_company_background', /(about\s+your\s+company|how\s+long\s+(have\s+you\s+been|are\s+you)\s+(in\s+business|on\s+the\s+market|working)|company\s+(background|history))/i]
+  ],
+  cues: {
+    askName: /(your name|who are you|who am i talking)/i,
+    intro: /(my name is|i('m| am)\s+(the\s+)?(general|manager|representative|ceo|director)|renovogo)/i,
+    payMethod: /(bank|crypto|usdt|btc|eth)/i,
+    payWords: /(payment|\bpay\b|invoice|transfer)/i,
+    objection: /(price|expensive|payment|\bpay\b|invoice)/i,
+    price: /(price|cost|expensive|€|eur)/i,
+    permit: /(work\s*permit|zaměstnanecká|povolen[ií])/i,
+    slots: /(slot|queue|appointment|booking)/i,
+    pay: /(payment|\bpay\b|invoice|bank)/i,
+    docAsk: /[^.?!]*(demand|b2b[-\s]*contract|cooperation\s*(contract|agreement)|send\s+(the\s+|your\s+)?documents?|need\s+(a|the)\s+contract)[^.?!]*[.?!]/gi,
+    docTalk: /(demand|contract|document|cooperation)/i,
+    handling: [
+      /(i\s+understand|understandable|no\s+pressure|not\s+(going\s+to\s+)?push|take\s+your\s+time)/i,
+      /(not\s+(about|just\s+about)\s+(the\s+)?price|value|reputation|long[-\s]*term)/i,
+      /(start\s+with\s+(just\s+)?(one|a\s+single)\s+(candidate|client|person))/i,
+      /(check\s+(our|my)\s+work|verify|partner|reliab|mission)/i,
+      /(no\s+need\s+to\s+(answer|decide)\s+now|when(ever)?\s+you('re|\s+are)\s+ready)/i
+    ],
+    afterSale: {
+      received: /(?<!not\s|n't\s)(received|got\s+(them|the\s+passports|everything)|passports\s+(arrived|are\s+here)|all\s+readable)/i,
+      slot: /(slot|appointment|booking|visit)[^.?!]*(\d{1,2}[./]\d{1,2}|\d{1,2}(st|nd|rd|th)?\s+(of\s+)?(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)|(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)\w*\s+\d{1,2}\b)/i,
+      refund: /(?<!not\s|n't\s)(we('ll|\s+will)\s+(refund|return)|refund\s+(is\s+)?(processed|sent|approved|on\s+its\s+way)|(process|send|issue)\s+the\s+refund)/i
+    }
+  },
+  rebuttals: {
+    pressure:       { rx: /(urgent|right now|immediately|today only|only today|within\s*24|24\s*hours)/i,
+                      line: 'I am not comfortable being pressured.' },
+    prepay:         { rx: /(prepay|upfront|in advance|advance\s*payment|pay\s*before\s*(the\s*)?(visa|documents|contract|registration))/i,
+                      line: 'I do not do prepayment. Confirmations on the documents come first.' },
+    cryptoOnly:     { rx: /(only\s*crypto|crypto\s*only)/i,
+                      line: 'I do not like crypto. If we get to payment, I prefer a bank account.' },
+    discount:       { rx: /(discount|cheaper|lower\s*the\s*price)/i,
+                      line: 'Bargaining is not the point — transparency and verifiability matter more.' },
+    unrealDeadline: { rx: /(2\s*days|48\s*hours|in\s*two\s*days|within\s*a\s*day)/i,
+                      line: 'A two-day timeline sounds unrealistic.' }
+  },
+  paymentGate: 'I need confidence in the process. Payments come after confirmations.',
+  stance: {
+    Greeting:  'Let us start with the essentials.',
+    Demand:    'First the job description and something I can verify.',
+    Contract:  'I want to see the agreements on paper.',
+    Candidate: 'I am ready to move carefully.',
+    Payment:   'I prefer a bank account.',
+    Closing:   'Okay, stay in touch.'
+  },
+  text: {
+    rapport: [
+      'Which position and location do you have in mind?',
+      'How many candidates would you like to start with?',
+      'Are you an agent or an employer? How should I address you?',
+      'Are there any language or accommodation requirements?'
+    ],
+    registration: (long, seasonal) => `For long-term work it was ${long} months ago; for seasonal work — ${seasonal} months ago. The queues are unstable.`,
+    fallback: { payment: 'Confirmations on the documents matter to me.', other: 'Please describe your offer or send the documents.' },
+    docsNeeded: 'Usually a job description (Demand) and our B2B contract are enough.',
+    docsHave: 'We already have the documents. Let us discuss candidates.',
+    paymentPref: 'I prefer to pay after the visa, or at least after the registration is confirmed. I do not like crypto; a bank account is better.',
+    refund: 'Refund terms must be written into the agreement: if the visa is not issued, the money comes back.',
+    visaRejection: 'If the embassy refuses, what happens to the payment? I want to see that as a separate clause, not just in words.',
+    languageAsk: 'Language depends on the position: basic English is usually enough for a warehouse. What do the requirements say?',
+    budgetGoodbye: 'That is enough for today — I have to go now. Let us continue another time. Goodbye!',
+    pacing: {
+      away: (n, unit) => `You disappeared for ${n} ${unit === 'd' ? (n === 1 ? 'day' : 'days') : (n === 1 ? 'hour' : 'hours')}. Did something happen?`,
+      dump: 'Not so fast — I need time to look through all of this.'
+    },
+    exit: {
+      red_flags: 'Nobody can guarantee a visa, and "contacts at the embassy" are not how honest work is done. I think we are not a match. Goodbye.',
+      trust_floor: 'Honestly, I see no reason to continue. Thank you for your time, goodbye.',
+      pressure: 'I do not make decisions under pressure. Let us stop here. Goodbye.',
+      closed: 'We have already spoken — I have made my decision. Goodbye.'
+    },
+    afterSale: {
+      passports: (n) => `Sending passports for ${n} candidate${n === 1 ? '' : 's'} — scans attached. Please confirm you received them.`,
+      confirmReceipt: 'Did the passports arrive? Please confirm everything is received and readable.',
+      askSlots: 'Thank you. When is the embassy appointment? What slots are available now?',
+      noNews: 'A month has passed. Any news about the embassy appointment?',
+      delay: (m) => `It has been ${m} months with no slot and no news. The candidates ask me every day — what is going on?`,
+      booked: 'Great, there is a slot — I will tell the candidates. What should they prepare for the visit?',
+      refund: (m, eur) => `${m} months have passed and still no slot. The contract says there is a €${eur} refund per candidate in this case. When will you return the money?`,
+      refundAgain: (eur) => `I am still waiting for an answer about the €${eur} refund per candidate. It is in the contract — when will the money come?`,
+      refundDone: 'Fine, I will wait for the refund. If slots open up, we can come back to the candidates.'
+    },
+    facts: {
+      salary: (v, c) => `net from ${v} ${c}`,
+      accommodation: (eur) => `accommodation ~€${eur}/month`,
+      hours: (h) => `~${h} h/month`,
+      bySalary: (s) => `According to the Demand: ${s}.`,
+      byAccommodation: (s) => `Accommodation per the Demand: ${s}.`,
+      bySchedule: (s) => `Schedule per the Demand: ${s}.`,
+      byLocation: (s) => `Location in the Demand: ${s}.`,
+      byLanguage: (s) => `Language requirements per the Demand: ${s}.`,
+      seen: (what, terms) => `From the Demand I see: ${what}. Terms: ${terms}.`,
+      seenOnly: (what) => `From the Demand I see: ${what}.`,
+      termsOnly: (terms) => `Terms per the Demand: ${terms}.`
+    },
+    purchase: {
+      sent: (n, crypto) => `Transfer sent for ${n} candidate${n === 1 ? '' : 's'}, please check your ${crypto ? 'crypto wallet' : 'bank account'}.`,
+      ready: (n, crypto) => `I am ready to work with you. Let us start with ${n} candidate${n === 1 ? '' : 's'}. ` +
+        (crypto ? 'Please send your crypto details for the payment.' : 'Please send your bank account details for the payment.')
+    }
+  },
+  checks: {
+    salary_mismatch: ({ doc, claim, currency }) => `The Demand says net ${doc} ${currency}, but you write ${claim}. Which is it?`,
+    location_mismatch: ({ docText, saidText }) => `The Demand says the workplace is ${docText}, but you mention ${saidText}. Please clarify.`,
+    period_mismatch: ({ doc, said }) => `The Demand says ${doc}, but you say ${said} months. Those are different terms.`,
+    hours_schedule: ({ monthly, expected }) => `The Demand says ${monthly} h/month, but the schedule gives about ${expected}. It does not add up.`,
+    fee_not_in_pricebook: ({ fee }) => `A €${fee} fee does not match the company price list. Where does this amount come from?`,
+    coop_unsigned: () => 'I do not see a signature or stamp on the cooperation contract.',
+    coop_no_company_id: () => 'The contract has no company details — no IČO, no address. I cannot verify it like this.'
+  },
+  scorecard: {
+    greeting: /(\bhello|\bhi\b|\bhey\b|good\s*(morning|afternoon|evening)|\bdear\b)/i,
+    intro: /(renovogo|my\s*name\s*is|our\s*company|i('m|\s+am)\s+(a\s+|the\s+)?manager|we\s+are\s+(an?\s+)?agency)/i,
+    courtesy: /(please|thank|sorry|appreciate|could\s+you)/i,
+    personal: /(family|married|\bkids\b|children|hobby|how\s*old|your\s+age)/i,
+    pay: /(payment|invoice|prepay|price|\bcost|\bpay\b|bank\s+details)/i,
+    docs: /(demand|contract|document|licen[cs]e|registration)/i,
+    salary: /(salary|wage|\bnet\b|gross)/i,
+    fee: /(\bfee\b|commission|service\s+charge|\bcost)/i,
+    objection: /(not\s*(sure|ready|comfortable)|expensive|prepayment|unrealistic|risk|guarantee|after\s+the\s+(visa|work\s*permit)|time\s+(for|to)|think\s+about|later|not\s+now|cheated|check\s+(it|everything)\s+myself)/i,
+    labels: {
+      rapport: 'Rapport and introduction', documents: 'Document sequence', objections: 'Handling objections',
+      redFlags: 'No red flags', feeSalary: 'Service fee ≠ salary', pacing: 'Conversation pace'
+    },
+    tips: {
+      rapport: 'Open with a greeting and briefly introduce yourself: who you are, the company, the website. Personal questions only once there is trust.',
+      documents: 'Send the Demand and the B2B cooperation contract first, and only then move on to payment.',
+      objections: 'Answer an objection calmly: acknowledge the doubt, offer to verify you and to start with one candidate — no pressure.',
+      redFlags: 'Drop the "100% visa", "embassy connections", urgency and crypto prepayment — the client reads this as a scheme.',
+      feeSalary: 'Keep the money apart: the candidate salary follows the employer Demand, the service fee is a separate invoice.',
+      pacing: 'One idea and one question per message, no walls of text and no talk of payment in the first messages.'
+    },
+    notes: {
+      no_greeting: 'No greeting in the first message',
+      no_intro: 'No introduction: who you are and which company',
+      personal_early: 'Personal question at the very start of the acquaintance',
+      pay_before_docs: 'Payment discussed before the Demand and the contract',
+      objection_pressed: 'Objection answered with pressure',
+      objection_unhandled: 'Objection left unhandled',
+      fee_salary: 'Candidate salary and service fee in one sentence',
+      too_long: 'Message too long',
+      too_many_questions: 'Too many questions at once',
+      rushing: 'Rushing the other side',
+      pay_early: 'Payment in the first messages',
+      repeat: 'Same message repeated'
+    },
+    redFlags: {
+      impossible_guarantee: 'Promise of guarantees — nobody can guarantee a visa',
+      pressure: 'Pressure on the other side',
+      crypto_upfront: 'Crypto prepayment',
+      embassy_connections_claim: '"Embassy connections" — sounds like a scheme',
+      unrealistic_timeline: 'Unrealistic document timelines',
+      requisites_from_demand: 'Payment details "from the Demand"'
+    },
+    tipAt: (turn, note, tip) => `Message ${turn} — ${note}. ${tip}`
+  },
+  objections: {
+    budget: ['Honestly, this is expensive for me right now.', 'I am not ready to pay the full amount yet.'],
+    afterPermit: ['I prefer to pay after the visa, or at least after the registration is confirmed.'],
+    slots: ['First the appointment and a confirmation, then we can talk about payment.'],
+    delay: ['I will take some time for an internal check and select candidates.'],
+    fallback: 'Let us go carefully, without unnecessary risks.'
+  },
+  lines: (name) => ({
+    whoAmI: `My name is ${name}.`,
+    introGreeting: 'Nice to meet you. I am listening.',
+    greetings: ['Hello.', 'Hi.', 'Good afternoon.']
+  }),
+  genderPairs: []
+};
+
+/* ── Polski ── */
+const PL_DOCS_TALK = /(dokument|umow|ofert|wiz|termin|zaproszeni|rejestracj|zezwoleni)/;
+const PL_FAST = /(?<!\d)(1|2|3|4|5)\s*(dni|dzień|dnia|godzin\w*|doby)|48\s*godzin|jutro/;
+
+const PL = {
+  id: 'pl',
+  name: 'Polski',
+  prompt: 'ЯЗЫК: собеседник пишет по-польски. Отвечай ТОЛЬКО по-польски (это важнее «Отвечай по-русски» выше), ' +
+    'обращайся на «Pan/Pani»; ключи JSON, стадии и actions не переводи. Odpowiadaj wyłącznie po polsku.',
+  signals: {
+    greet: /(dzień dobry|dobry wieczór|witam|cześć)/,
+    thanks: /(dziękuję|dzięki|proszę)/,
+    niceToMeet: /(miło mi|miło (pana|panią) poznać|miło poznać)/,
+    urgent: /(pilnie|natychmiast|szybciej|od razu|jeszcze dziś)/,
+    threat: /(albo odejdziemy|inaczej|ostatnia szansa)/,
+    months: /(?<!\p{L})(stycz|luty|lutego|marca|marzec|kwie|maja|czerw|lipc|lipiec|sierp|wrze[sś]|pa[zź]dziern|listopad|grud)\p{L}*/iu,
+    places: /(prag|pradze|brno|pilzn|warszaw|wrocław|katowic|krak[oó]w|czech|polsk)/i,
+    agreeable: /(\bok($|[.!?])|okej|tak, oczywiście|jak pan chce|co tylko)/i,
+    delegating: /(rekrut|szukajcie|dobier|zajmijcie się)/i,
+    red: [
+      ['crypto_upfront', /(krypto|usdt|btc|eth)/, /(od razu|przedpłat|zaliczk|z góry)/],
+      ['impossible_guarantee', /(gwarantuję|100%|sto procent|bez odmów)/],
+      ['pressure', /(pospieszcie|pośpiesz|tylko dziś|tylko dzisiaj|pilnie zapłać)/],
+      ['embassy_connections_claim', /((znajomości|kontakty|znajomych) w ambasadzie|załatwimy przez znajomych)/],
+      ['unrealistic_timeline', PL_DOCS_TALK, PL_FAST],
+      ['fee_salary_confusion', /(wynagrodz|pensj|płac|salary)/, FEE_350],
+      ['requisites_from_demand', /(dane do przelewu|numer konta|rekwizyt)/, /demand/]
+    ],
+    green: [
+      ['mentions_bank_payment', /(faktur|przelew|konto bankowe|bankow)/],
+      ['mentions_website', /(stron[aęy] (www|internetow)|website|https?:\/\/|www\.)/],
+      ['mentions_demand', /demand/],
+      ['mentions_contract', /(umow|ofert|porozumieni)/],
+      ['test_one_candidate', /(testow\w* kandydat|jednego kandydata|1-?2 kandydat)/]
+    ],
+    gray: [
+      ['postpone', /(później|wrócę|za tydzień|odezwę się|odłóżmy)/]
+    ],
+    focus: {
+      vacancy: /(wakat|stanowisk|position)/,
+      salary: /(wynagrodz|pensj|netto|brutto|stawk)/,
+      housing: /(zakwaterow|mieszkani|hostel|nocleg)/,
+      schedule: /(grafik|zmian|godzin|harmonogram)/,
+      location: /(lokalizacj|miast|gdzie|miejsce pracy)/,
+      documents: /(umow|demand|dokument|ofert)/
+    },
+    infoKeys: {
+      vacancy: /(wakat|stanowisk|position)/i,
+      salary: /(wynagrodz|pensj|netto|brutto|stawk)/i,
+      housing: /(zakwaterow|mieszkani|hostel|nocleg)/i,
+      schedule: /(grafik|zmian|godzin|harmonogram)/i,
+      location: /(lokalizacj|miast|gdzie|miejsce pracy)/i,
+      documents: /(umow|ofert|demand|dokument)/i,
+      website: /(stron[aęy] (www|internetow)|website|https?:\/\/)/i
+    },
+    payment: /(płatnoś|zapłat|przelew|faktur|numer konta)/i,
+    personal: /(rodzin|dzieci|żonaty|zamężna|hobby|ile (pan|pani) ma lat|wiek|ulubion|skąd (pan|pani)|gdzie (pan|pani) mieszka|życie prywatne)/i,
+    courtesy: /(proszę|przepraszam|czy mógłby|czy mogłaby|uprzejmie|szanown)/i,
+    absence: /(za (zwłokę|opóźnienie|milczenie|przerwę)|był(am|em)? (zajęt|na urlopie|w podróży|chor)|nie mogł(am|em) (odpisać|odpowiedzieć))/
+  },
+  intents: [
+    ['ask_registration', /(kiedy|ostatni|data).*(rejestr|termin|ambasad|zapis)/i],
+    ['ask_slots', /(termin|kolejk|zapis|slot)/i],
+    ['ask_docs', /(co\s+(jest\s+)?potrzeb|jakie\s+dokument|co\s+(mam\s+)?(przesłać|wysłać))/i],
+    ['ask_price', /(cennik|fee|€|eur|czk|pln|wynagrodz|pensj)/i],
+    ['ask_price', /(cen[aęy]|koszt|ile\s+kosztuje)/i, 0.5],
+    ['ask_candidates', /(kandydat\w*).*(ilu|ile|dostępn|macie)/i],
+    ['ask_location', /(lokalizacj|miast|miejsce|gdzie)/i],
+    ['ask_accommodation', /(zakwaterow|mieszkani|hostel|nocleg)/i],
+    ['ask_hours', /(grafik|godzin\w*\s+(w|na)\s+miesiąc|zmian|godziny\s+pracy)/i],
+    ['ask_job', /(co\s+(będą|mają)\s+robić|obowiązk|opis\s+(pracy|stanowiska)|zakres\s+pracy)/i],
+    ['ask_refund', /(zwrot|oddacie\s+pieniądze|zwrócicie)/i],
+    ['ask_visa_rejection', /(odmow\w*\s+(wydania\s+)?wiz|wiz\w*\s+(nie\s+zostanie\s+wydana|odrzucon)|ambasada\s+odmówi)/i],
+    ['ask_language_requirements', /(język|angielsk|znajomość\s+język)/i],
+    ['ask_company_background', /(o\s+(waszej\s+)?firmie|jak\s+długo\s+(działacie|jesteście\s+na\s+rynku)|histori\w+\s+firmy)/i]
+  ],
+  cues: {
+    askName: /(jak\s+(się\s+)?(pan|pani)\s+nazywa|jak\s+ma\s+(pan|pani)\s+na\s+imię|kim\s+(pan|pani)\s+jest)/i,
+    intro: /(nazywam się|jestem\s+(dyrektor|menedżer|przedstawiciel|prezes)|renovogo)/i,
+    payMethod: /(bank|krypto|crypto|usdt|btc|eth)/i,
+    payWords: /(płatnoś|zapłat|przelew|faktur)/i,
+    objection: /(cen[aęy]|drogo|płatnoś|zapłat|faktur)/i,
+    price: /(cen[aęy]|koszt|drogo|€|eur|euro)/i,
+    permit: /(zezwoleni\w*\s+na\s+prac|work\s*permit|zaměstnanecká|povolen[ií])/i,
+    slots: /(termin|kolejk|zapis|slot)/i,
+    pay: /(płatnoś|zapłat|faktur|bank|przelew)/i,
+    docAsk: /[^.?!]*(demand|umow\w*\s+b2b|umow\w*\s+o\s+współprac|proszę\s+(przesłać|wysłać)\s+dokument|potrzebna\s+umowa)[^.?!]*[.?!]/gi,
+    docTalk: /(demand|umow|dokument|współprac)/i,
+    handling: [
+      /(rozumiem|nie\s+naciskam|spokojnie|bez\s+presji)/i,
+      /(nie\s+chodzi\s+o\s+cen|wartoś|reputacj|długoterminow)/i,
+      /(zaczn\w*\s+od\s+jedn(ego|ej)\s+(kandydat|klient|osob))/i,
+      /(sprawdzi\w*\s+(naszą\s+|moją\s+)?prac|partner|niezawodn|rzeteln|misj)/i,
+      /(nie\s+musi\s+(pan|pani)\s+odpowiadać\s+teraz|kiedy\s+(będzie\s+)?(pan|pani)\s+gotow)/i
+    ],
+    afterSale: {
+      received: /(?<!nie\s)(otrzymali|otrzymaliśmy|dostaliśmy|odebraliśmy|paszporty\s+(dotarły|są\s+u\s+nas)|wszystko\s+(dotarło|czytelne))/i,
+      slot: /(termin|slot|wizyt|zapis)[^.?!]*(\d{1,2}[./]\d{1,2}|\d{1,2}\s*(stycz|lut|mar|kwie|maj|czerw|lip|sierp|wrze|paźdz|listop|grud))/i,
+      refund: /(?<!nie\s)(zwrócimy|oddamy|zwrot\s+(jest\s+)?(zlecony|wysłany|w\s+drodze)|zlecimy\s+zwrot|zrobimy\s+zwrot)/i
+    }
+  },
+  rebuttals: {
+    pressure:       { rx: /(pilnie|od razu|natychmiast|jeszcze\s*dziś|tylko\s*dziś|w\s*ciągu\s*24|24\s*godzin)/i,
+                      line: 'Nie czuję się komfortowo pod presją.' },
+    prepay:         { rx: /(przedpłat|zaliczk|z\s*góry|zapłat\w*\s*przed\s*(wiz|dokument|umow|rejestracj))/i,
+                      line: 'Przedpłaty nie rozważam. Najpierw potwierdzenia dokumentów.' },
+    cryptoOnly:     { rx: /(tylko\s*krypto|only\s*crypto)/i,
+                      line: 'Nie lubię kryptowalut. Jeśli dojdziemy do płatności, wolę konto bankowe.' },
+    discount:       { rx: /(rabat|zniżk|taniej|obniż\w*\s*cen)/i,
+                      line: 'Targowanie się nie jest tu najważniejsze — ważniejsza jest przejrzystość.' },
+    unrealDeadline: { rx: /(2\s*dni|48\s*godzin|w\s*dwa\s*dni|w\s*ciągu\s*doby)/i,
+                      line: 'Termin „w dwa dni” brzmi nierealnie.' }
+  },
+  paymentGate: 'Potrzebuję pewności co do procesu. Płatności — po potwierdzeniach.',
+  stance: {
+    Greeting:  'Zacznijmy od konkretów.',
+    Demand:    'Najpierw opis oferty pracy i coś, co mogę sprawdzić.',
+    Contract:  'Chcę zobaczyć ustalenia na papierze.',
+    Candidate: 'Jestem gotowy działać ostrożnie.',
+    Payment:   'Wolę konto bankowe.',
+    Closing:   'Dobrze, jesteśmy w kontakcie.'
+  },
+  text: {
+    rapport: [
+      'Jakie stanowisko i lokalizacja Pana interesują?',
+      'Ilu kandydatów chce Pan rozważyć na start?',
+      'Jest Pan agentem czy pracodawcą? Jak mogę się do Pana zwracać?',
+      'Czy są wymagania dotyczące języka i zakwaterowania?'
+    ],
+    registration: (long, seasonal) => `Dla pracy długoterminowej — ${long} mies. temu; dla sezonowej — ${seasonal} mies. temu. Kolejki są niestabilne.`,
+    fallback: { payment: 'Zależy mi na potwierdzeniach dokumentów.', other: 'Proszę opisać ofertę albo przesłać dokumenty.' },
+    docsNeeded: 'Zwykle wystarczy opis oferty pracy (Demand) i nasza umowa B2B.',
+    docsHave: 'Dokumenty już są. Porozmawiajmy o kandydatach.',
+    paymentPref: 'Wolę zapłacić po wizie albo przynajmniej po potwierdzeniu rejestracji. Nie lubię kryptowalut, wolę konto bankowe.',
+    refund: 'Warunki zwrotu muszą być zapisane w umowie: jeśli wiza nie zostanie wydana, pieniądze wracają.',
+    visaRejection: 'Jeśli ambasada odmówi, co z płatnością? Chcę to widzieć jako osobny punkt, a nie tylko na słowo.',
+    languageAsk: 'Język zależy od stanowiska: do magazynu zwykle wystarczy podstawowy angielski. Co jest w wymaganiach?',
+    budgetGoodbye: 'Na dziś wystarczy — muszę już kończyć. Wrócimy do rozmowy innym razem. Do widzenia!',
+    pacing: {
+      away: (n, unit) => `Nie było kontaktu przez ${n} ${unit === 'd' ? pluralPl(n, 'dzień', 'dni', 'dni') : pluralPl(n, 'godzinę', 'godziny', 'godzin')}. Coś się stało?`,
+      dump: 'Nie tak szybko — potrzebuję czasu, żeby to wszystko przejrzeć.'
+    },
+    exit: {
+      red_flags: 'Nikt nie gwarantuje wizy, a „znajomości w ambasadzie” to nie jest uczciwa praca. Chyba nam nie po drodze. Do widzenia.',
+      trust_floor: 'Szczerze mówiąc, nie widzę powodu, żeby kontynuować. Dziękuję za czas, do widzenia.',
+      pressure: 'Pod presją nie podejmuję decyzji. Zakończmy na tym. Do widzenia.',
+      closed: 'Już rozmawialiśmy — podjąłem decyzję. Do widzenia.'
+    },
+    afterSale: {
+      passports: (n) => `Wysyłam paszporty ${n} ${pluralPl(n, 'kandydata', 'kandydatów', 'kandydatów')} — skany w załączniku. Proszę potwierdzić odbiór.`,
+      confirmReceipt: 'Czy paszporty dotarły? Proszę potwierdzić, że wszystko jest odebrane i czytelne.',
+      askSlots: 'Dziękuję. Kiedy jest termin w ambasadzie? Jakie terminy są teraz dostępne?',
+      noNews: 'Minął miesiąc. Są wieści w sprawie terminu w ambasadzie?',
+      delay: (m) => `Już ${m} ${pluralPl(m, 'miesiąc', 'miesiące', 'miesięcy')} bez terminu i bez wieści. Kandydaci pytają codziennie — co się dzieje?`,
+      booked: 'Świetnie, jest termin — przekażę kandydatom. Co trzeba przygotować na wizytę?',
+      refund: (m, eur) => `Minęło ${m} ${pluralPl(m, 'miesiąc', 'miesiące', 'miesięcy')}, a terminu nadal nie ma. Według umowy w takim przypadku należy się zwrot €${eur} za kandydata. Kiedy oddacie pieniądze?`,
+      refundAgain: (eur) => `Nadal czekam na odpowiedź w sprawie zwrotu €${eur} za kandydata. To jest w umowie — kiedy będą pieniądze?`,
+      refundDone: 'Dobrze, czekam na zwrot. Jeśli pojawią się terminy, wrócimy do kandydatów.'
+    },
+    facts: {
+      salary: (v, c) => `netto od ${v} ${c}`,
+      accommodation: (eur) => `zakwaterowanie ~€${eur}/mies.`,
+      hours: (h) => `~${h} godz./mies.`,
+      bySalary: (s) => `Według Demand: ${s}.`,
+      byAccommodation: (s) => `Zakwaterowanie według Demand: ${s}.`,
+      bySchedule: (s) => `Grafik według Demand: ${s}.`,
+      byLocation: (s) => `Lokalizacja w Demand: ${s}.`,
+      byLanguage: (s) => `Wymagania językowe według Demand: ${s}.`,
+      seen: (what, terms) => `W Demand widzę: ${what}. Warunki: ${terms}.`,
+      seenOnly: (what) => `W Demand widzę: ${what}.`,
+      termsOnly: (terms) => `Warunki według Demand: ${terms}.`
+    },
+    purchase: {
+      sent: (n, crypto) => `Przelew wysłany za ${n} ${pluralPl(n, 'kandydata', 'kandydatów', 'kandydatów')}, proszę sprawdzić ${crypto ? 'portfel krypto' : 'konto bankowe'}.`,
+      ready: (n, crypto) => `Jestem gotowy na współpracę. Zaczynamy od ${n} ${pluralPl(n, 'kandydata', 'kandydatów', 'kandydatów')}. ` +
+        (crypto ? 'Proszę podać dane portfela krypto do płatności.' : 'Proszę podać numer konta bankowego do płatności.')
+    }
+  },
+  checks: {
+    salary_mismatch: ({ doc, claim, currency }) => `W Demand jest netto ${doc} ${currency}, a Pan pisze ${claim}. Co jest prawdą?`,
+    location_mismatch: ({ docText, saidText }) => `W Demand miejsce pracy to ${docText}, a Pan pisze: ${saidText}. Proszę wyjaśnić.`,
+    period_mismatch: ({ doc, said }) => `W Demand okres to ${doc}, a u Pana ${said} mies. To inne warunki.`,
+    hours_schedule: ({ monthly, expected }) => `W Demand jest ${monthly} godz./mies., a z grafiku wychodzi około ${expected}. To się nie zgadza.`,
+    fee_not_in_pricebook: ({ fee }) => `Opłata €${fee} nie zgadza się z cennikiem firmy. Skąd ta kwota?`,
+    coop_unsigned: () => 'Na umowie o współpracy nie widzę podpisu ani pieczątki.',
+    coop_no_company_id: () => 'W umowie nie ma danych firmy — IČO, adresu. Tak nie da się tego sprawdzić.'
+  },
+  scorecard: {
+    greeting: /(dzień\s*dobry|witam|cześć|dobry\s*wieczór)/i,
+    intro: /(renovogo|nazywam\s*się|mam\s+na\s+imię|nasza\s*firma|jestem\s+(menedżer|przedstawiciel))/i,
+    courtesy: /(proszę|dziękuję|przepraszam|uprzejmie)/i,
+    personal: /(rodzin|dzieci|żonaty|mężatk|hobby|ile\s+(pan|pani)\s+ma\s+lat|wiek)/i,
+    pay: /(płatnoś|zapłat|przedpłat|faktur|cen[aęy]|koszt)/i,
+    docs: /(demand|umow|dokument|licencj|rejestracj)/i,
+    salary: /(wynagrodz|pensj|netto|brutto)/i,
+    fee: /(opłat|prowizj)/i,
+    objection: /(nie\s*(jestem\s*(gotow|pew)|czuję)|drogo|nierealn|przedpłat|ryzyk|gwarancj|po\s+wizie|po\s+zezwoleniu|czasu\s+na|zastanowię|później|oszuka)/i,
+    labels: {
+      rapport: 'Kontakt i przedstawienie się', documents: 'Kolejność dokumentów', objections: 'Praca z zastrzeżeniami',
+      redFlags: 'Bez czerwonych flag', feeSalary: 'Opłata serwisowa ≠ wynagrodzenie', pacing: 'Tempo rozmowy'
+    },
+    tips: {
+      rapport: 'Zacznij od powitania i krótko się przedstaw: kim jesteś, firma, strona. Pytania osobiste — dopiero gdy pojawi się zaufanie.',
+      documents: 'Najpierw wyślij Demand i umowę B2B o współpracy, dopiero potem przechodź do płatności.',
+      objections: 'Na zastrzeżenie odpowiedz spokojnie: przyznaj wątpliwość, zaproponuj sprawdzenie firmy i start od jednego kandydata — bez presji.',
+      redFlags: 'Usuń obietnice „100% wizy”, „znajomości w ambasadzie”, pośpiech i przedpłatę w kryptowalucie — klient odbiera to jako oszustwo.',
+      feeSalary: 'Wyraźnie rozdzielaj pieniądze: wynagrodzenie kandydata — według Demand pracodawcy, opłata serwisowa — osobno, na fakturę.',
+      pacing: 'Jedna myśl i jedno pytanie na wiadomość, bez „ścian tekstu” i bez rozmowy o płatności w pierwszych wiadomościach.'
+    },
+    notes: {
+      no_greeting: 'Brak powitania w pierwszej wiadomości',
+      no_intro: 'Brak przedstawienia się: kim jesteś i jaka firma',
+      personal_early: 'Pytanie osobiste na samym początku znajomości',
+      pay_before_docs: 'Rozmowa o płatności przed Demand i umową',
+      objection_pressed: 'Na zastrzeżenie odpowiedziano presją',
+      objection_unhandled: 'Zastrzeżenie bez odpowiedzi',
+      fee_salary: 'Wynagrodzenie kandydata i opłata serwisowa w jednym zdaniu',
+      too_long: 'Zbyt długa wiadomość',
+      too_many_questions: 'Zbyt wiele pytań naraz',
+      rushing: 'Poganianie rozmówcy',
+      pay_early: 'Płatność w pierwszych wiadomościach',
+      repeat: 'Powtórzona ta sama wiadomość'
+    },
+    redFlags: {
+      impossible_guarantee: 'Obietnica gwarancji — wizy nikt nie może zagwarantować',
+      pressure: 'Presja na rozmówcę',
+      crypto_upfront: 'Przedpłata w kryptowalucie',
+      embassy_connections_claim: '„Znajomości w ambasadzie” — brzmi jak oszustwo',
+      unrealistic_timeline: 'Nierealne terminy dokumentów',
+      requisites_from_demand: 'Dane do płatności „z Demand”'
+    },
+    tipAt: (turn, note, tip) => `Wiadomość ${turn} — ${note}. ${tip}`
+  },
+  objections: {
+    budget: ['Szczerze mówiąc, to dla mnie teraz drogo.', 'Na razie nie jestem gotowy zapłacić całej kwoty.'],
+    afterPermit: ['Wolę zapłacić po wizie albo przynajmniej po potwierdzeniu rejestracji.'],
+    slots: ['Najpierw termin i potwierdzenie, potem wrócę do płatności.'],
+    delay: ['Potrzebuję czasu na wewnętrzną weryfikację i dobór kandydatów.'],
+    fallback: 'Działajmy ostrożnie, bez zbędnego ryzyka.'
+  },
+  lines: (name) => ({
+    whoAmI: `Nazywam się ${name}.`,
+    introGreeting: 'Miło mi. Słucham.',
+    greetings: ['Dzień dobry.', 'Witam.', 'Słucham.']
+  }),
+  genderPairs: [
+    ['gotowy', 'gotowa'], ['zadowolony', 'zadowolona'], ['przekonany', 'przekonana'], ['pewien', 'pewna'],
+    ['mógłbym', 'mogłabym'], ['chciałbym', 'chciałabym'], ['byłem', 'byłam'], ['zrobiłem', 'zrobiłam'],
+    ['sprawdziłem', 'sprawdziłam'], ['zrozumiałem', 'zrozumiałam'], ['podjąłem', 'podjęłam']
+  ]
+};
+
+/* ── हिन्दी (деванагари и латиница — менеджеры пишут и так, и так) ── */
+const HI_DOCS_TALK = /(दस्तावेज़|दस्तावेज|कागज़|कॉन्ट्रैक्ट|अनुबंध|ऑफ़र|वीज़ा|वीजा|स्लॉट|रजिस्ट्रेशन|document|contract|visa|slot)/;
+const HI_FAST = /(?<!\d)(1|2|3|4|5|एक|दो|तीन)\s*(दिन|घंटे|din|ghante)|48\s*(घंटे|ghante)|कल तक|kal tak/;
+
+const HI = {
+  id: 'hi',
+  name: 'हिन्दी',
+  prompt: 'ЯЗЫК: собеседник пишет на хинди. Отвечай ТОЛЬКО на хинди деванагари (это важнее «Отвечай по-русски» выше), ' +
+    'вежливо, на «आप»; ключи JSON, стадии и actions не переводи. केवल हिन्दी में उत्तर दें।',
+  signals: {
+    greet: /(नमस्ते|नमस्कार|सुप्रभात|namaste|namaskar)/,
+    thanks: /(धन्यवाद|शुक्रिया|कृपया|dhanyavad|shukriya|kripya)/,
+    niceToMeet: /(मिलकर (बहुत )?(खुशी|अच्छा)|milkar khushi)/,
+    urgent: /(तुरंत|फ़ौरन|फौरन|अभी के अभी|आज ही|turant|jaldi karo|aaj hi)/,
+    threat: /(वरना|नहीं तो|आखिरी मौका|आख़िरी मौका|varna|aakhri mauka)/,
+    months: /(जनवरी|फ़रवरी|फरवरी|मार्च|अप्रैल|मई|जून|जुलाई|अगस्त|सितंबर|अक्टूबर|नवंबर|दिसंबर)/,
+    places: /(प्राग|ब्रनो|वारसॉ|वॉरसॉ|चेक|पोलैंड|prague|brno|warsaw|wroclaw|czech|poland)/i,
+    agreeable: /(ठीक है|जी हाँ|जैसा आप कहें|theek hai|jaisa aap kahen)/i,
+    delegating: /(भर्ती|ढूंढ|ढूँढ|चुनिए|bharti|dhoondh)/i,
+    red: [
+      ['crypto_upfront', /(क्रिप्टो|crypto|usdt|btc|eth)/, /(एडवांस|अग्रिम|पहले भुगतान|तुरंत|advance|pehle)/],
+      ['impossible_guarantee', /(गारंटी देता|गारंटी देते|100%|सौ प्रतिशत|बिना रिजेक्शन|guarantee)/],
+      ['pressure', /(जल्दी कीजिए|जल्दी करें|सिर्फ आज|सिर्फ़ आज|केवल आज|तुरंत भुगतान|sirf aaj)/],
+      ['embassy_connections_claim', /((दूतावास|एम्बेसी) में (संपर्क|पहचान|जान-पहचान|सेटिंग)|embassy (me|mein) (contact|setting))/],
+      ['unrealistic_timeline', HI_DOCS_TALK, HI_FAST],
+      ['fee_salary_confusion', /(वेतन|तनख्वाह|तनख़्वाह|सैलरी|salary|tankhwah)/, FEE_350],
+      ['requisites_from_demand', /(बैंक विवरण|खाता नंबर|bank details)/, /(demand|डिमांड)/]
+    ],
+    green: [
+      ['mentions_bank_payment', /(इनवॉइस|बैंक ट्रांसफर|बैंक खाता|invoice|bank transfer)/],
+      ['mentions_website', /(वेबसाइट|website|https?:\/\/|www\.)/],
+      ['mentions_demand', /(demand|डिमांड)/],
+      ['mentions_contract', /(कॉन्ट्रैक्ट|अनुबंध|समझौता|ऑफ़र|contract|agreement)/],
+      ['test_one_candidate', /(टेस्ट कैंडिडेट|एक उम्मीदवार|एक कैंडिडेट|1-?2 (उम्मीदवार|कैंडिडेट)|test candidate|ek candidate)/]
+    ],
+    gray: [
+      ['postpone', /(बाद में|अगले हफ़्ते|अगले हफ्ते|फिर बात करेंगे|baad me)/]
+    ],
+    focus: {
+      vacancy: /(वैकेंसी|पद|नौकरी|position|vacancy)/,
+      salary: /(वेतन|तनख्वाह|सैलरी|salary)/,
+      housing: /(आवास|रहने|हॉस्टल|accommodation)/,
+      schedule: /(शिफ्ट|घंटे|समय-सारणी|schedule|shift)/,
+      location: /(लोकेशन|शहर|कहाँ|कहां|location|city)/,
+      documents: /(कॉन्ट्रैक्ट|डिमांड|दस्तावेज़|दस्तावेज|demand|contract|document)/
+    },
+    infoKeys: {
+      vacancy: /(वैकेंसी|पद|नौकरी|position|vacancy)/i,
+      salary: /(वेतन|तनख्वाह|सैलरी|salary)/i,
+      housing: /(आवास|रहने|हॉस्टल|accommodation)/i,
+      schedule: /(शिफ्ट|घंटे|समय-सारणी|schedule|shift)/i,
+      location: /(लोकेशन|शहर|कहाँ|कहां|location|city)/i,
+      documents: /(कॉन्ट्रैक्ट|डिमांड|दस्तावेज़|दस्तावेज|demand|contract|document)/i,
+      website: /(वेबसाइट|website|https?:\/\/)/i
+    },
+    payment: /(भुगतान|पेमेंट|इनवॉइस|खाता नंबर|payment|invoice)/i,
+    personal: /(परिवार|बच्चे|शादी|पत्नी|पति|शौक|उम्र|कितने साल|पसंदीदा|कहाँ रहते|कहाँ से हैं|निजी जीवन|family|hobby|married)/i,
+    courtesy: /(सर|कृपया|माफ़ कीजिए|माफ कीजिए|क्षमा कीजिए|बताइए|sir|please|kripya)/i,
+    absence: /(देरी के लिए|देर के लिए|व्यस्त था|व्यस्त थी|छुट्टी पर था|छुट्टी पर थी|बीमार था|बीमार थी|जवाब नहीं दे पाया|जवाब नहीं दे पाई)/
+  },
+  intents: [
+    ['ask_registration', /(कब|आखिरी|आख़िरी|तारीख).*(रजिस्ट्रेशन|स्लॉट|दूतावास|अपॉइंटमेंट)/i],
+    ['ask_slots', /(स्लॉट|कतार|अपॉइंटमेंट|slot|appointment)/i],
+    ['ask_docs', /(क्या\s+चाहिए|कौन\s+से\s+दस्तावेज़?|क्या\s+भेजना|kya\s+chahiye)/i],
+    ['ask_price', /(फीस|शुल्क|fee|€|eur|czk|वेतन|तनख्वाह|सैलरी)/i],
+    ['ask_price', /(कीमत|दाम|कितने\s+का|कितना\s+खर्च|price)/i, 0.5],
+    ['ask_candidates', /(उम्मीदवार|कैंडिडेट).*(कितने|उपलब्ध)/i],
+    ['ask_location', /(लोकेशन|शहर|कहाँ|कहां|जगह)/i],
+    ['ask_accommodation', /(आवास|रहने\s+की|हॉस्टल|accommodation)/i],
+    ['ask_hours', /(शिफ्ट|घंटे|समय-सारणी|working\s*hours)/i],
+    ['ask_job', /(काम\s+क्या|जिम्मेदारी|ज़िम्मेदारी|जॉब\s+डिस्क्रिप्शन|job\s*description)/i],
+    ['ask_refund', /(रिफंड|रिफ़ंड|पैसे\s+वापस|refund)/i],
+    ['ask_visa_rejection', /(वीज़ा|वीजा).*(रिजेक्ट|रिजेक्शन|इनकार|मना|नहीं\s+मिला)|visa\s+reject/i],
+    ['ask_language_requirements', /(भाषा|अंग्रेज़ी|अंग्रेजी|इंग्लिश|english)/i],
+    ['ask_company_background', /(आपकी\s+कंपनी\s+के\s+बारे|कंपनी\s+कितने\s+साल|कितने\s+साल\s+से\s+काम)/i]
+  ],
+  cues: {
+    askName: /(आपका नाम|आप कौन|aapka naam|who are you)/i,
+    intro: /(मेरा नाम|मैं\s+(मैनेजर|प्रतिनिधि|निदेशक)|renovogo)/i,
+    payMethod: /(बैंक|क्रिप्टो|crypto|usdt|btc|eth|bank)/i,
+    payWords: /(भुगतान|पेमेंट|इनवॉइस|payment|invoice)/i,
+    objection: /(कीमत|दाम|महँगा|महंगा|भुगतान|पेमेंट|इनवॉइस)/i,
+    price: /(कीमत|दाम|महँगा|महंगा|price|€|eur|यूरो)/i,
+    permit: /(वर्क\s*परमिट|कार्य\s*अनुमति|work\s*permit|zaměstnanecká|povolen[ií])/i,
+    slots: /(स्लॉट|कतार|अपॉइंटमेंट|slot|appointment)/i,
+    pay: /(भुगतान|पेमेंट|इनवॉइस|बैंक|payment|invoice)/i,
+    docAsk: /[^.?!।]*(demand|डिमांड|b2b[-\s]*(contract|कॉन्ट्रैक्ट)|सहयोग\s*(अनुबंध|समझौता)|दस्तावेज़?\s+भेज)[^.?!।]*[.?!।]/gi,
+    docTalk: /(demand|डिमांड|कॉन्ट्रैक्ट|अनुबंध|दस्तावेज़|दस्तावेज|सहयोग)/i,
+    handling: [
+      /(समझता\s+हूँ|समझती\s+हूँ|कोई\s+दबाव\s+नहीं|आराम\s+से|samajhta|samajhti)/i,
+      /(सवाल\s+कीमत\s+का\s+नहीं|मूल्य|प्रतिष्ठा|साख|लंबे\s+समय|लंबी\s+अवधि)/i,
+      /(एक\s+(ही\s+)?(उम्मीदवार|कैंडिडेट|क्लाइंट)\s+से\s+शुरू)/i,
+      /(हमारा\s+काम\s+(जाँच|जांच|परख)|पार्टनर|साझेदार|भरोसेमंद|विश्वसनीय|मिशन)/i,
+      /(अभी\s+जवाब\s+(देने\s+की\s+ज़रूरत\s+)?नहीं|जब\s+आप\s+तैयार\s+हों)/i
+    ],
+    afterSale: {
+      received: /(मिल\s+गए|मिल\s+गया|प्राप्त\s+हो\s+गए|पहुँच\s+गए|received|mil gaye)/i,
+      slot: /(स्लॉट|अपॉइंटमेंट|slot|appointment)[^.?!।]*(\d{1,2}[./]\d{1,2}|\d{1,2}\s*(जनवरी|फ़रवरी|फरवरी|मार्च|अप्रैल|मई|जून|जुलाई|अगस्त|सितंबर|अक्टूबर|नवंबर|दिसंबर))/i,
+      refund: /(वापस\s+कर\s+देंगे|लौटा\s+देंगे|(रिफ़ंड|रिफंड|refund)\s+(भेज|प्रोसेस|कर\s+देंगे))/i
+    }
+  },
+  rebuttals: {
+    pressure:       { rx: /(तुरंत|अभी के अभी|आज ही|सिर्फ़? आज|24\s*घंटे)/i,
+                      line: 'दबाव में मुझे सहज महसूस नहीं होता।' },
+    prepay:         { rx: /(अग्रिम|एडवांस|पहले\s*भुगतान|वीज़ा\s*से\s*पहले\s*भुगतान|advance\s*payment)/i,
+                      line: 'मैं अग्रिम भुगतान नहीं करता हूँ। पहले दस्तावेज़ों की पुष्टि।' },
+    cryptoOnly:     { rx: /(सिर्फ़?\s*क्रिप्टो|केवल\s*क्रिप्टो|only\s*crypto)/i,
+                      line: 'मुझे क्रिप्टो पसंद नहीं। भुगतान तक पहुँचे तो बैंक खाता बेहतर है।' },
+    discount:       { rx: /(छूट|डिस्काउंट|सस्ता|कीमत\s*कम)/i,
+                      line: 'मोलभाव मुख्य बात नहीं है — पारदर्शिता और जाँच ज़्यादा ज़रूरी है।' },
+    unrealDeadline: { rx: /(2\s*दिन|दो\s*दिन|48\s*घंटे|एक\s*दिन\s*में)/i,
+                      line: '«दो दिन में» वाली समय-सीमा अवास्तविक लगती है।' }
+  },
+  paymentGate: 'मुझे प्रक्रिया पर भरोसा चाहिए। भुगतान पुष्टि के बाद।',
+  stance: {
+    Greeting:  'चलिए मुद्दे की बात से शुरू करते हैं।',
+    Demand:    'पहले नौकरी का विवरण और कुछ ऐसा जो मैं जाँच सकूँ।',
+    Contract:  'मैं समझौते काग़ज़ पर देखना चाहता हूँ।',
+    Candidate: 'मैं सावधानी से आगे बढ़ने को तैयार हूँ।',
+    Payment:   'मैं बैंक खाता पसंद करता हूँ।',
+    Closing:   'ठीक है, संपर्क में रहेंगे।'
+  },
+  text: {
+    rapport: [
+      'आपको कौन-सा पद और कौन-सी लोकेशन चाहिए?',
+      'शुरुआत में कितने उम्मीदवारों पर विचार करना चाहेंगे?',
+      'आप एजेंट हैं या नियोक्ता? आपको कैसे संबोधित करूँ?',
+      'क्या भाषा और आवास को लेकर कोई शर्तें हैं?'
+    ],
+    registration: (long, seasonal) => `लंबी अवधि के लिए — ${long} महीने पहले; सीज़नल के लिए — ${seasonal} महीने पहले। कतारें अस्थिर हैं।`,
+    fallback: { payment: 'मेरे लिए दस्तावेज़ों की पुष्टि ज़रूरी है।', other: 'कृपया अपना प्रस्ताव बताइए या दस्तावेज़ भेजिए।' },
+    docsNeeded: 'आम तौर पर नौकरी का विवरण (Demand) और हमारा B2B कॉन्ट्रैक्ट काफ़ी है।',
+    docsHave: 'दस्तावेज़ पहले से हैं। चलिए उम्मीदवारों पर बात करते हैं।',
+    paymentPref: 'मैं वीज़ा के बाद, या कम से कम रजिस्ट्रेशन की पुष्टि के बाद भुगतान करना पसंद करता हूँ। क्रिप्टो पसंद नहीं, बैंक खाता बेहतर है।',
+    refund: 'रिफंड की शर्तें समझौते में लिखी होनी चाहिए: अगर वीज़ा नहीं मिला, तो पैसे वापस।',
+    visaRejection: 'अगर दूतावास मना कर दे, तो भुगतान का क्या होगा? मैं इसे अलग शर्त के रूप में देखना चाहता हूँ, सिर्फ़ ज़बानी नहीं।',
+    languageAsk: 'भाषा पद पर निर्भर करती है: वेयरहाउस के लिए आमतौर पर बेसिक अंग्रेज़ी काफ़ी है। आवश्यकताओं में क्या लिखा है?',
+    budgetGoodbye: 'आज के लिए इतना काफ़ी है — मुझे अब जाना है। बाकी बात फिर कभी करेंगे। नमस्ते!',
+    pacing: {
+      away: (n, unit) => `आप ${n} ${unit === 'd' ? 'दिन' : 'घंटे'} के लिए गायब हो गए। सब ठीक है?`,
+      dump: 'इतनी जल्दी नहीं — मुझे यह सब देखने के लिए समय चाहिए।'
+    },
+    exit: {
+      red_flags: 'वीज़ा की गारंटी कोई नहीं दे सकता, और "दूतावास में पहचान" ईमानदार काम नहीं है। लगता है हमारा साथ नहीं बनेगा। नमस्ते।',
+      trust_floor: 'सच कहूँ तो मुझे आगे बात करने का कोई कारण नहीं दिखता। समय देने के लिए धन्यवाद, नमस्ते।',
+      pressure: 'मैं दबाव में फ़ैसले नहीं लेता हूँ। यहीं रुकते हैं। नमस्ते।',
+      closed: 'हम बात कर चुके हैं — मैं फ़ैसला कर चुका हूँ। नमस्ते।'
+    },
+    afterSale: {
+      passports: (n) => `${n} उम्मीदवारों के पासपोर्ट भेज रहा हूँ — स्कैन संलग्न हैं। कृपया मिलने की पुष्टि करें।`,
+      confirmReceipt: 'क्या पासपोर्ट पहुँच गए? कृपया पुष्टि करें कि सब मिल गया है और पढ़ा जा सकता है।',
+      askSlots: 'धन्यवाद। दूतावास में अपॉइंटमेंट कब है? अभी कौन से स्लॉट उपलब्ध हैं?',
+      noNews: 'एक महीना हो गया। दूतावास के अपॉइंटमेंट पर कोई ख़बर?',
+      delay: (m) => `${m} महीने हो गए — न स्लॉट, न कोई ख़बर। उम्मीदवार रोज़ पूछते हैं — क्या हो रहा है?`,
+      booked: 'बढ़िया, स्लॉट मिल गया — उम्मीदवारों को बता दूँगा। विज़िट के लिए क्या तैयार करना है?',
+      refund: (m, eur) => `${m} महीने बीत गए और अब तक स्लॉट नहीं मिला। अनुबंध के अनुसार इस स्थिति में प्रति उम्मीदवार €${eur} वापस मिलने चाहिए। पैसे कब लौटाएँगे?`,
+      refundAgain: (eur) => `मैं अब भी प्रति उम्मीदवार €${eur} की वापसी पर जवाब का इंतज़ार कर रहा हूँ। यह अनुबंध में लिखा है — पैसे कब आएँगे?`,
+      refundDone: 'ठीक है, वापसी का इंतज़ार करूँगा। स्लॉट खुलें तो उम्मीदवारों पर लौटेंगे।'
+    },
+    facts: {
+      salary: (v, c) => `नेट ${v} ${c} से`,
+      accommodation: (eur) => `आवास ~€${eur}/महीना`,
+      hours: (h) => `~${h} घंटे/महीना`,
+      bySalary: (s) => `डिमांड के अनुसार: ${s}।`,
+      byAccommodation: (s) => `डिमांड के अनुसार आवास: ${s}।`,
+      bySchedule: (s) => `डिमांड के अनुसार शेड्यूल: ${s}।`,
+      byLocation: (s) => `डिमांड में लोकेशन: ${s}।`,
+      byLanguage: (s) => `डिमांड के अनुसार भाषा की आवश्यकताएँ: ${s}।`,
+      seen: (what, terms) => `डिमांड में दिख रहा है: ${what}। शर्तें: ${terms}।`,
+      seenOnly: (what) => `डिमांड में दिख रहा है: ${what}।`,
+      termsOnly: (terms) => `डिमांड के अनुसार शर्तें: ${terms}।`
+    },
+    purchase: {
+      sent: (n, crypto) => `${n} उम्मीदवारों के लिए ट्रांसफर भेज दिया है, कृपया अपना ${crypto ? 'क्रिप्टो वॉलेट' : 'बैंक खाता'} देखें।`,
+      ready: (n, crypto) => `मैं आपके साथ काम करने को तैयार हूँ। ${n} उम्मीदवारों से शुरू करते हैं। ` +
+        (crypto ? 'कृपया भुगतान के लिए क्रिप्टो विवरण भेजें।' : 'कृपया भुगतान के लिए बैंक खाते का विवरण भेजें।')
+    }
+  },
+  checks: {
+    salary_mismatch: ({ doc, claim, currency }) => `डिमांड में नेट ${doc} ${currency} है, और आप ${claim} लिख रहे हैं। सच क्या है?`,
+    location_mismatch: ({ docText, saidText }) => `डिमांड में काम की जगह ${docText} है, और आप ${saidText} की बात कर रहे हैं। स्पष्ट कीजिए।`,
+    period_mismatch: ({ doc, said }) => `डिमांड में अवधि ${doc} है, और आप ${said} महीने कह रहे हैं। ये अलग शर्तें हैं।`,
+    hours_schedule: ({ monthly, expected }) => `डिमांड में ${monthly} घंटे/महीना है, पर शेड्यूल से लगभग ${expected} बनते हैं। मेल नहीं खाता।`,
+    fee_not_in_pricebook: ({ fee }) => `€${fee} की फीस कंपनी की प्राइस लिस्ट से मेल नहीं खाती। यह रकम कहाँ से आई?`,
+    coop_unsigned: () => 'सहयोग अनुबंध पर मुझे हस्ताक्षर या मुहर नहीं दिख रही।',
+    coop_no_company_id: () => 'अनुबंध में कंपनी का विवरण नहीं है — न IČO, न पता। ऐसे जाँच नहीं हो सकती।'
+  },
+  scorecard: {
+    greeting: /(नमस्ते|नमस्कार|namaste|hello)/i,
+    intro: /(renovogo|मेरा\s*नाम|हमारी\s*कंपनी|mera\s+naam)/i,
+    courtesy: /(कृपया|धन्यवाद|शुक्रिया|माफ़|please|dhanyavaad|shukriya)/i,
+    personal: /(परिवार|बच्चे|शादी|उम्र)/i,
+    pay: /(भुगतान|पेमेंट|इनवॉइस|कीमत|payment|invoice)/i,
+    docs: /(demand|डिमांड|कॉन्ट्रैक्ट|अनुबंध|दस्तावेज|contract)/i,
+    salary: /(वेतन|तनख्वाह|सैलरी|salary)/i,
+    fee: /(फीस|फ़ीस|शुल्क|\bfee\b)/i,
+    objection: /(महँगा|महंगा|तैयार\s*नहीं|सहज\s*महसूस\s*नहीं|अवास्तविक|जोखिम|गारंटी|वीज़ा\s+के\s+बाद|समय\s+चाहिए|बाद\s+में|धोखा)/i,
+    labels: {
+      rapport: 'संपर्क और परिचय', documents: 'दस्तावेज़ों का क्रम', objections: 'आपत्तियों का जवाब',
+      redFlags: 'कोई रेड फ़्लैग नहीं', feeSalary: 'सर्विस फ़ीस ≠ वेतन', pacing: 'बातचीत की गति'
+    },
+    tips: {
+      rapport: 'अभिवादन से शुरू करें और संक्षेप में परिचय दें: आप कौन हैं, कंपनी, वेबसाइट। निजी सवाल — भरोसा बनने के बाद ही।',
+      documents: 'पहले Demand और B2B सहयोग अनुबंध भेजें, उसके बाद ही भुगतान की बात करें।',
+      objections: 'आपत्ति का शांति से जवाब दें: शंका को स्वीकारें, जाँच करने और एक उम्मीदवार से शुरू करने का प्रस्ताव दें — बिना दबाव के।',
+      redFlags: '«100% वीज़ा», «दूतावास में संपर्क», जल्दबाज़ी और क्रिप्टो एडवांस हटाएँ — ग्राहक इसे धोखा समझता है।',
+      feeSalary: 'पैसों को साफ़ अलग रखें: उम्मीदवार का वेतन — नियोक्ता के Demand के अनुसार, सर्विस फ़ीस — अलग इनवॉइस से।',
+      pacing: 'एक संदेश में एक बात और एक सवाल, लंबे टेक्स्ट नहीं और शुरुआती संदेशों में भुगतान की बात नहीं।'
+    },
+    notes: {
+      no_greeting: 'पहले संदेश में अभिवादन नहीं',
+      no_intro: 'परिचय नहीं दिया: आप कौन हैं और कौन-सी कंपनी',
+      personal_early: 'जान-पहचान की शुरुआत में ही निजी सवाल',
+      pay_before_docs: 'Demand और अनुबंध से पहले भुगतान की बात',
+      objection_pressed: 'आपत्ति का जवाब दबाव से दिया',
+      objection_unhandled: 'आपत्ति का कोई जवाब नहीं',
+      fee_salary: 'उम्मीदवार का वेतन और सर्विस फ़ीस एक ही वाक्य में',
+      too_long: 'संदेश बहुत लंबा है',
+      too_many_questions: 'एक साथ बहुत सारे सवाल',
+      rushing: 'सामने वाले पर जल्दबाज़ी का दबाव',
+      pay_early: 'शुरुआती संदेशों में भुगतान',
+      repeat: 'वही संदेश दोबारा'
+    },
+    redFlags: {
+      impossible_guarantee: 'गारंटी का वादा — वीज़ा की गारंटी कोई नहीं दे सकता',
+      pressure: 'सामने वाले पर दबाव',
+      crypto_upfront: 'क्रिप्टो में एडवांस',
+      embassy_connections_claim: '«दूतावास में संपर्क» — धोखे जैसा लगता है',
+      unrealistic_timeline: 'दस्तावेज़ों की अवास्तविक समय-सीमा',
+      requisites_from_demand: 'भुगतान का विवरण «Demand से»'
+    },
+    tipAt: (turn, note, tip) => `संदेश ${turn} — ${note}। ${tip}`
+  },
+  objections: {
+    budget: ['सच कहूँ तो अभी यह मेरे लिए महँगा है।', 'अभी मैं पूरी रकम देने को तैयार नहीं हूँ।'],
+    afterPermit: ['मैं वीज़ा के बाद, या कम से कम रजिस्ट्रेशन की पुष्टि के बाद भुगतान करना पसंद करता हूँ।'],
+    slots: ['पहले अपॉइंटमेंट और पुष्टि, फिर भुगतान पर लौटूँगा।'],
+    delay: ['अंदरूनी जाँच और उम्मीदवार चुनने के लिए मुझे समय चाहिए।'],
+    fallback: 'चलिए सावधानी से, बिना बेवजह जोखिम के।'
+  },
+  lines: (name) => ({
+    whoAmI: `मेरा नाम ${name} है।`,
+    introGreeting: 'आपसे मिलकर खुशी हुई। बताइए।',
+    greetings: ['नमस्ते।', 'नमस्कार।', 'जी, बताइए।']
+  }),
+  // род в хинди — в глаголе первого лица: «करता हूँ» / «करती हूँ» (без «हूँ» это может быть третье лицо)
+  genderPairs: [
+    ['करता हूँ', 'करती हूँ'], ['चाहता हूँ', 'चाहती हूँ'], ['सकता हूँ', 'सकती हूँ'], ['रहा हूँ', 'रही हूँ'],
+    ['करूँगा', 'करूँगी'], ['लौटूँगा', 'लौटूँगी'], ['दूँगा', 'दूँगी'], ['चुका हूँ', 'चुकी हूँ'], ['लेता हूँ', 'लेती हूँ']
+  ]
+};
+
+const REGISTRY = new Map([RU, EN, PL, HI].map(l => [l.id, l]));
+
+export function getLocale(id){
+  const key = String(id || DEFAULT_LOCALE).toLowerCase().trim();
+  const l = REGISTRY.get(key);
+  if (!l) throw new Error(`Unknown locale: ${key}`);
+  return l;
+}
+
+export function hasLocale(id){ return REGISTRY.has(String(id || '').toLowerCase().trim()); }
+
+export function listLocales(){
+  return Array.from(REGISTRY.values()).map(({ id, name }) => ({ id, name, default: id === DEFAULT_LOCALE }));
+}
+
+/* Персона на языке сессии: у ru — свои реплики персоны, у остальных — реплики языка с её именем (persona.names),
+   а возражения — пул языка, поверх него свои возражения персоны на этом языке (persona.localized) */
+export function withLocale(persona, id){
+  const L = getLocale(id);
+  if (!L.lines) return { ...persona, locale: L.id };
+  const name = persona.names?.[L.id] || persona.name;
+  const objections = { ...L.objections, ...(persona.localized?.[L.id]?.objections || {}) };
+  return { ...persona, locale: L.id, objections, lines: L.lines(name) };
+}
@@ -0,0 +1,35 @@
+// logger.js
+// Структурированные логи: одна JSON-строка на событие, в каждой — requestId и sessionId текущего запроса
+// (контекст живёт в AsyncLocalStorage и переживает await внутри обработчика).
+// Импорт: import { log, withLogContext, setLogContext } from './logger.js';
+
+/*
+  Строка: { time, level, msg, requestId, sessionId, ...поля }   — requestId/sessionId = null вне запроса
+  ENV: LOG_LEVEL=debug|info|warn|error|silent   (по умолчанию info); warn и error — в stderr
+*/
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const als = new AsyncLocalStorage();
+
+// fn выполняется с контекстом ctx ({ requestId, sessionId }); всё, что она залогирует, — с этими полями
+export function withLogContext(ctx, fn){ return als.run(ctx, fn); }
+
+// Дописать поля в контекст текущего запроса (например, sessionId — когда он стал известен)
+export function setLogContext(fields){
+  const ctx = als.getStore();
+  if (ctx) Object.assign(ctx, fields);
+}
+
+export function log(level, msg, fields = {}){
+  const min = LEVELS[String(process.env.LOG_LEVEL || 'info').toLowerCase()] ?? LEVELS.info;
+  if ((LEVELS[level] ?? LEVELS.info) < min) return;
+  const ctx = als.getStore() || {};
+  const line = JSON.stringify({
+    time: new Date().toISOString(), level, msg,
+    requestId: ctx.requestId ?? null, sessionId: ctx.sessionId ?? null,
+    ...fields
+  });
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+}
@@ -0,0 +1,86 @@
+// metrics.js
+// Метрики в текстовом формате Prometheus (GET /metrics): счётчики и гистограммы с метками — без prom-client,
+// как и лимит запросов (miniRateLimit): нам хватает десятка метрик.
+// Импорт: import { metrics, renderMetrics, resetMetrics } from './metrics.js';
+
+/*
+  counter(name, help)            → { inc(labels?, n = 1) }
+  histogram(name, help, buckets) → { observe(labels, value), startTimer(labels?) → end(moreLabels?) → секунды }
+  Метки — плоский объект строк; набор меток у одной метрики — всегда один и тот же.
+*/
+
+const registry = new Map(); // name -> metric
+
+const escape = (v) => String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+const labelKey = (labels = {}) => JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+const fmtLabels = (entries) => entries.length ? `{${entries.map(([k, v]) => `${k}="${escape(v)}"`).join(',')}}` : '';
+
+function counter(name, help){
+  const series = new Map(); // labelKey -> value
+  const m = {
+    name, help, type: 'counter',
+    inc(labels = {}, n = 1){ const k = labelKey(labels); series.set(k, (series.get(k) || 0) + n); },
+    render: () => Array.from(series, ([k, v]) => `${name}${fmtLabels(JSON.parse(k))} ${v}`),
+    reset: () => series.clear()
+  };
+  registry.set(name, m);
+  return m;
+}
+
+function histogram(name, help, buckets){
+  const series = new Map(); // labelKey -> { counts[], sum, count }
+  const m = {
+    name, help, type: 'histogram',
+    observe(labels = {}, value){
+      const k = labelKey(labels);
+      const s = series.get(k) || { counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((le, i) => { if (value <= le) s.counts[i]++; });
+      s.sum += value; s.count++;
+      series.set(k, s);
+    },
+    startTimer(labels = {}){
+      const t0 = process.hrtime.bigint();
+      return (more = {}) => {
+        const sec = Number(process.hrtime.bigint() - t0) / 1e9;
+        m.observe({ ...labels, ...more }, sec);
+        return sec;
+      };
+    },
+    render: () => Array.from(series, ([k, s]) => {
+      const entries = JSON.parse(k);
+      return [
+        ...buckets.map((le, i) => `${name}_bucket${fmtLabels([...entries, ['le', le]])} ${s.counts[i]}`),
+        `${name}_bucket${fmtLabels([...entries, ['le', '+Inf']])} ${s.count}`,
+        `${name}_sum${fmtLabels(entries)} ${s.sum}`,
+        `${name}_count${fmtLabels(entries)} ${s.count}`
+      ];
+    }).flat(),
+    reset: () => series.clear()
+  };
+  registry.set(name, m);
+  return m;
+}
+
+/* ── Метрики сервиса ── */
+export const metrics = {
+  httpRequests: counter('http_requests_total', 'HTTP requests by route and status'),
+  httpDuration: histogram('http_request_duration_seconds', 'HTTP request latency by route',
+    [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]),
+  llmDuration: histogram('llm_request_duration_seconds', 'LLM call latency per attempt (chat or whole stream)',
+    [0.1, 0.25, 0.5, 1, 2, 4, 8, 16, 30]),
+  llmRetries: counter('llm_retries_total', 'LLM call attempts after the first one'),
+  llmParseFailures: counter('llm_json_parse_failures_total', 'Model replies that fell back to the canned reply (no JSON or schema mismatch)'),
+  llmRecovery: counter('llm_reply_recovery_total', 'How the model reply was obtained: clean, repaired, coerced, reask or fallback'),
+  trust: histogram('trust_score', 'Trust score per reply', [10, 20, 30, 40, 50, 60, 70, 80, 90, 100]),
+  stageTransitions: counter('stage_transitions_total', 'Stage changes between consecutive turns of a session'),
+  purchases: counter('purchase_decisions_total', 'Purchase decisions made by the persona'),
+  exits: counter('conversation_exits_total', 'Conversations ended by the persona (red flags, trust floor, pressure)'),
+  afterSale: counter('after_sale_transitions_total', 'Post-deal phase transitions (handover, registration, refund, booked)')
+};
+
+export function renderMetrics(){
+  return Array.from(registry.values(), m => [`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`, ...m.render()].join('\n'))
+    .join('\n') + '\n';
+}
+
+export function resetMetrics(){ for (const m of registry.values()) m.reset(); }
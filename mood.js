@@ -0,0 +1,100 @@
+// mood.js
+// Настроение собеседника по ходу сессии: раздражение, любопытство, подозрительность, теплота (0..100).
+// Реплика менеджера сдвигает шкалы (сигналы textSignals и давление pressureScore из trust.js, новые доказательства,
+// несоответствия в документах), между ходами шкалы затухают к базе персоны. Настроение уходит в промпт модели
+// и управляет возражениями (chooseObjection) и анти-повторами (repetitionGuard) — реакции последовательны.
+// Импорт: import { initialMood, updateMood, describeMood, moodEffects, MOOD_AXES } from './mood.js';
+
+import { textSignals, pressureScore } from './trust.js';
+
+/*
+  Mood: { irritation, curiosity, suspicion, warmth }   — целые 0..100
+  Настройка — persona.mood / scenario.mood: { baseline?: Partial<Mood>, decay? } поверх MOOD_DEFAULTS.
+  Ход: mood = decay(mood → baseline) + сдвиги реплики (веса — SHIFTS).
+*/
+
+export const MOOD_AXES = ['irritation', 'curiosity', 'suspicion', 'warmth'];
+
+const MOOD_DEFAULTS = {
+  baseline: { irritation: 10, curiosity: 40, suspicion: 40, warmth: 20 },
+  decay: 0.25 // доля пути к базе за ход
+};
+
+const SHIFTS = {
+  pressure:    { irritation: +4, warmth: -2 },                  // за каждый пункт давления (pressureScore < 0)
+  red:         { suspicion: +20, irritation: +5, warmth: -10 }, // за каждый красный флаг
+  green:       { warmth: +8, suspicion: -8, curiosity: +5 },    // за каждый зелёный
+  gray:        { suspicion: +5 },
+  newEvidence: { curiosity: +10, suspicion: -5 },               // за каждое впервые показанное доказательство (до 2)
+  discrepancy: { suspicion: +15, warmth: -5 }                   // за каждое несоответствие в документах
+};
+
+// Пороги, с которых настроение меняет поведение (moodEffects, describeMood)
+const HIGH = 60;
+const DOUBT = 70;
+
+const clamp = (x) => Math.max(0, Math.min(100, Math.round(x)));
+
+function settings(persona){
+  const m = persona?.mood || {};
+  return { baseline: { ...MOOD_DEFAULTS.baseline, ...(m.baseline || {}) }, decay: m.decay ?? MOOD_DEFAULTS.decay };
+}
+
+export function initialMood(persona){ return { ...settings(persona).baseline }; }
+
+/*
+  Настроение после реплики менеджера. prev — настроение до хода (нет — база персоны).
+  turn: { text, locale, newEvidences: число, discrepancies: число }
+*/
+export function updateMood(prev, persona, { text = '', locale, newEvidences = 0, discrepancies = 0 } = {}){
+  const { baseline, decay } = settings(persona);
+  const mood = {};
+  for (const k of MOOD_AXES) {
+    const v = prev?.[k] ?? baseline[k];
+    const step = (baseline[k] - v) * decay;
+    mood[k] = v + (Math.abs(step) < 1 ? Math.sign(step) : step); // не застревать в шаге от базы на округлении
+  }
+  const add = (shift, times) => { for (const [k, d] of Object.entries(shift)) mood[k] += d * times; };
+  const signals = textSignals(text, locale);
+  add(SHIFTS.pressure, Math.max(0, -pressureScore(text, locale)));
+  add(SHIFTS.red, signals.red.length);
+  add(SHIFTS.green, signals.green.length);
+  add(SHIFTS.gray, signals.gray.length);
+  add(SHIFTS.newEvidence, Math.min(2, newEvidences));
+  add(SHIFTS.discrepancy, discrepancies);
+  for (const k of MOOD_AXES) mood[k] = clamp(mood[k]);
+  return mood;
+}
+
+/*
+  Что настроение меняет в поведении:
+    irritated  — раздражён: возражение «не торопите» на любой триггер, без встречных вопросов
+    doubting   — подозрителен и ещё не верит: сам возвращается к сомнениям, даже без триггера
+    curious    — интересно: можно задать второй вопрос за реплику
+*/
+export function moodEffects(mood, trust = 0){
+  if (!mood) return { irritated: false, doubting: false, curious: false, maxQuestions: 1 };
+  const irritated = mood.irritation >= HIGH;
+  const curious = mood.curiosity >= HIGH && !irritated;
+  return {
+    irritated,
+    doubting: mood.suspicion >= DOUBT && trust < 50,
+    curious,
+    maxQuestions: irritated ? 0 : curious ? 2 : 1
+  };
+}
+
+// Строки для промпта: шкалы и подсказка по выраженным состояниям
+const HINTS = {
+  irritation: 'раздражение — отвечай суше и короче, без встречных вопросов',
+  curiosity: 'интерес — можно уточнить детали',
+  suspicion: 'подозрительность — проверяй каждое слово, возвращайся к сомнениям',
+  warmth: 'симпатия к собеседнику — тон теплее'
+};
+
+export function describeMood(mood){
+  if (!mood) return '';
+  const scales = MOOD_AXES.map(k => `${k}=${mood[k]}`).join(', ');
+  const hints = MOOD_AXES.filter(k => mood[k] >= HIGH).map(k => HINTS[k]);
+  return `— mood: ${scales}${hints.length ? `\n— настроение: ${hints.join('; ')}` : ''}`;
+}
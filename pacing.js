@@ -0,0 +1,65 @@
+// pacing.js
+// Темп разговора по реальному времени: долгое молчание менеджера между ходами и «вал» документов за секунды.
+// Время — таймштампы истории (at) и seenEvidences.lastAt; пороги — в наборе правил доверия (rules/trust-rules.json: pacing).
+// Штрафы доверия считает trust.js, реакцию собеседника («вы пропали на два дня») добавляет server.js.
+// Импорт: import { pacingOf, pacingLine, describePacing } from './pacing.js';
+
+import { getTrustRules } from './rules.js';
+import { getLocale } from './locales.js';
+
+/*
+  pacingOf({ history, now, seen, evidences, text, locale, rules }) → Pacing
+    history   — история сессии (запись с at — время хода, ms); без таймштампов молчание не считается
+    seen      — S.seenEvidences до этого хода: Map<key, { count, lastAt }>
+    evidences — доказательства этого хода
+  Pacing: {
+    at,        — время этого хода (ms)
+    gapSec,    — сколько прошло с прошлого хода (null — времени в истории нет)
+    silence,   — gapSec ≥ pacing.silenceHours
+    explained, — менеджер объяснил паузу («извините за задержку», «был в отпуске») — без штрафа и упрёка
+    docs,      — разных документов за окно pacing.dumpWindowSec, включая этот ход
+    dump       — этот ход довёл счёт до pacing.dumpDocs (реакция — один раз на «вал»)
+  }
+*/
+export function pacingOf({ history = [], now = Date.now(), seen = new Map(), evidences = [], text = '', locale, rules = getTrustRules() }){
+  const R = rules.pacing;
+  const lastAt = [...history].reverse().find(h => Number.isFinite(h?.at))?.at;
+  const gapSec = lastAt === undefined ? null : Math.max(0, Math.round((now - lastAt) / 1000));
+  const fresh = new Set(evidences.filter(k => !seen.has(k))).size;
+  const recent = Array.from(seen.values()).filter(r => r.lastAt && now - r.lastAt <= R.dumpWindowSec * 1000).length;
+  return {
+    at: now,
+    gapSec,
+    silence: gapSec !== null && gapSec >= R.silenceHours * 3600,
+    explained: getLocale(locale).signals.absence.test(String(text).toLowerCase()),
+    docs: recent + fresh,
+    dump: fresh > 0 && recent < R.dumpDocs && recent + fresh >= R.dumpDocs
+  };
+}
+
+const unexplainedSilence = (p) => Boolean(p?.silence && !p.explained);
+
+// Сколько не было менеджера: дни, а если порог молчания меньше суток — часы
+function away(gapSec){
+  const days = Math.floor(gapSec / 86400);
+  return days >= 1 ? [days, 'd'] : [Math.max(1, Math.floor(gapSec / 3600)), 'h'];
+}
+
+// Реплика собеседника на темп (на языке сессии); '' — реагировать не на что
+export function pacingLine(p, locale){
+  const T = getLocale(locale).text.pacing;
+  if (unexplainedSilence(p)) return T.away(...away(p.gapSec));
+  if (p?.dump) return T.dump;
+  return '';
+}
+
+// Строки для промпта модели
+export function describePacing(p){
+  const lines = [];
+  if (unexplainedSilence(p)) {
+    const [n, unit] = away(p.gapSec);
+    lines.push(`— pacing: менеджер молчал ${n} ${unit === 'd' ? 'дн.' : 'ч'} и не объяснил паузу — спроси, что случилось`);
+  }
+  if (p?.dump) lines.push(`— pacing: ${p.docs} документов почти разом — не спеши, скажи, что нужно время всё посмотреть`);
+  return lines.join('\n');
+}
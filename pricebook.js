@@ -0,0 +1,52 @@
+// pricebook.js
+// Прайс сервисных сборов — один раз, данными: из него собираются текст для промпта модели (server.js) и набор сумм,
+// с которыми сверяются сборы в репликах менеджера (checks.js: fee_not_in_pricebook). Сборы ≠ зарплата кандидата.
+// Импорт: import { PRICEBOOK, renderPricebook, PRICEBOOK_FEES } from './pricebook.js';
+
+/*
+  Pricebook: { version, markets: [{ title, lines: [[item]] }], registrationRefund: { eur, months } }
+    item: { label, parts: [€], total?, refund? }
+      parts   — сбор частями (первая — при старте, вторая — позже); сумма частей тоже считается ценой из прайса
+      total   — в тексте показать сумму: «€500 = €250 + €250»
+      refund  — к позиции приписать условие возврата (registrationRefund)
+*/
+export const PRICEBOOK = {
+  version: 1,
+  markets: [
+    { title: 'Czech Republic (service fees per candidate)', lines: [
+      [{ label: '3m', parts: [270, 150] }, { label: '6m', parts: [300, 150] }, { label: '9m', parts: [350, 150] }],
+      [{ label: '24m', parts: [350, 350] }],
+      [{ label: 'Embassy reg (LT only)', parts: [250, 250], total: true, refund: true }]
+    ] },
+    { title: 'Poland (service fees)', lines: [
+      [{ label: '9m seasonal', parts: [350, 150] }, { label: '12m', parts: [350, 350] }]
+    ] }
+  ],
+  registrationRefund: { eur: 250, months: 6 } // возврат, если за столько месяцев слота в посольстве не было
+};
+
+const sum = (parts) => parts.reduce((a, b) => a + b, 0);
+
+function renderItem({ label, parts, total, refund }, { eur, months }){
+  const fees = parts.map(p => `€${p}`).join(' + ');
+  return (total ? `${label}: €${sum(parts)} = ${fees}` : `${label} ${fees}`) +
+    (refund ? ` (refund €${eur} if >${months}m no slot)` : '');
+}
+
+/* Текст для system prompt: модель знает прайс, но Али как клиент цены не озвучивает */
+export function renderPricebook(pb = PRICEBOOK){
+  return [
+    '',
+    `[PRICEBOOK v${pb.version} — CZ/PL (fees, not salaries)]`,
+    ...pb.markets.flatMap(m => [
+      `— ${m.title}:`,
+      ...m.lines.map(items => '  ' + items.map(i => `• ${renderItem(i, pb.registrationRefund)}`).join('  '))
+    ]),
+    '— General: free verification; every PDF has verify guidelines; all under CZ/EU law.',
+    '— NOTE: Service fees are NOT employee salary. Never mix fees with wages.',
+    ''
+  ].join('\n');
+}
+
+// Суммы, которые менеджер может назвать честно: каждая часть сбора и сбор целиком, €
+export const PRICEBOOK_FEES = new Set(PRICEBOOK.markets.flatMap(m => m.lines.flat().flatMap(i => [...i.parts, sum(i.parts)])));
@@ -0,0 +1,168 @@
+// providers.js
+// LLM-провайдеры за единым интерфейсом: groq | openai (OpenAI-совместимый HTTP: llama.cpp/Ollama) | mock.
+// Импорт: import { getProvider, setProvider, createProvider } from './providers.js';
+
+/*
+  Provider: {
+    name, model,
+    chat(payload)      → Promise<completion>   — ответ в форме OpenAI: { choices:[{ message:{ content } }], usage }
+    stream(payload, onUsage?) → AsyncIterable<string> — куски текста ответа по мере генерации;
+                         onUsage(usage) — если провайдер сообщил токены в конце стрима (иначе usage.js оценит сам)
+  }
+  payload — параметры chat.completions в форме OpenAI (messages, temperature, max_tokens, …);
+  поле model провайдер подставляет сам, если его нет.
+
+  ENV:
+    LLM_PROVIDER=groq|openai|mock              (по умолчанию groq)
+    GROQ_API_KEY, GROQ_MODEL                   — для groq
+    LLM_BASE_URL=http://localhost:11434/v1     — для openai (Ollama; llama.cpp: http://localhost:8080/v1)
+    LLM_API_KEY, LLM_MODEL                     — для openai (ключ необязателен)
+    LLM_TIMEOUT_MS=60000                       — для openai: предел на весь запрос, включая стрим; дальше — ошибка
+                                                 провайдера (ретрай и лог в server.js), а не вечное ожидание
+    LLM_MOCK_SCRIPT=./mock-replies.json        — для mock: массив ответов (объект → JSON, строка → как есть)
+*/
+
+import fs from 'node:fs';
+import { Groq } from 'groq-sdk';
+
+/* ── groq ── */
+function createGroqProvider({ apiKey = process.env.GROQ_API_KEY, model = process.env.GROQ_MODEL || 'llama-3.1-8b-instant' } = {}){
+  const groq = new Groq({ apiKey });
+  return {
+    name: 'groq',
+    model,
+    chat: (payload) => groq.chat.completions.create({ model, ...payload }),
+    async *stream(payload, onUsage){
+      const s = await groq.chat.completions.create({ model, ...payload, stream: true });
+      for await (const chunk of s) {
+        const piece = chunk?.choices?.[0]?.delta?.content;
+        if (piece) yield piece;
+        const usage = chunk?.x_groq?.usage || chunk?.usage; // Groq кладёт usage в последний чанк
+        if (usage) onUsage?.(usage);
+      }
+    }
+  };
+}
+
+/* ── OpenAI-совместимый HTTP (llama.cpp / Ollama / vLLM) ── */
+function createOpenAICompatProvider({
+  baseURL = process.env.LLM_BASE_URL || 'http://localhost:11434/v1',
+  apiKey = process.env.LLM_API_KEY || '',
+  model = process.env.LLM_MODEL || 'llama3.1',
+  timeoutMs = Number(process.env.LLM_TIMEOUT_MS) || 60_000
+} = {}){
+  const url = baseURL.replace(/\/+$/, '') + '/chat/completions';
+  const headers = { 'Content-Type': 'application/json', ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}) };
+  // Зависший сервер: AbortSignal.timeout обрывает и ожидание ответа, и чтение тела — отдаём обычную ошибку провайдера
+  const timedOut = (e) => e?.name === 'TimeoutError' ? new Error(`LLM timeout: no answer in ${timeoutMs} ms`) : e;
+
+  async function post(body){
+    let res;
+    try {
+      res = await fetch(url, { method: 'POST', headers, body: JSON.stringify({ model, ...body }), signal: AbortSignal.timeout(timeoutMs) });
+    } catch (e) { throw timedOut(e); }
+    if (!res.ok) {
+      const text = await res.text().catch(() => '');
+      throw new Error(`LLM HTTP ${res.status}: ${text.slice(0, 300)}`);
+    }
+    return res;
+  }
+
+  return {
+    name: 'openai',
+    model,
+    async chat(payload){
+      const res = await post(payload);
+      try { return await res.json(); } catch (e) { throw timedOut(e); }
+    },
+    async *stream(payload, onUsage){
+      const res = await post({ ...payload, stream: true, stream_options: { include_usage: true } });
+      const dec = new TextDecoder();
+      let buf = '';
+      for await (const bytes of readBody(res.body, timedOut)) {
+        buf += dec.decode(bytes, { stream: true });
+        let nl;
+        while ((nl = buf.indexOf('\n')) >= 0) {
+          const line = buf.slice(0, nl).trim(); buf = buf.slice(nl + 1);
+          if (!line.startsWith('data:')) continue;
+          const data = line.slice(5).trim();
+          if (data === '[DONE]') return;
+          let chunk;
+          try { chunk = JSON.parse(data); }
+          catch { continue; } // неполная/служебная строка — пропускаем
+          const piece = chunk?.choices?.[0]?.delta?.content;
+          if (piece) yield piece;
+          if (chunk?.usage) onUsage?.(chunk.usage);
+        }
+      }
+    }
+  };
+}
+
+// Тело ответа по кускам; ошибка чтения (в том числе таймаут посреди стрима) — через mapError
+async function* readBody(body, mapError){
+  try { for await (const bytes of body) yield bytes; }
+  catch (e) { throw mapError(e); }
+}
+
+/* ── mock: детерминированный «сценарий» ответов ── */
+const DEFAULT_MOCK_REPLIES = [
+  { reply: 'Здравствуйте. Слушаю вас.', stage: 'Greeting', confidence: 30, needEvidence: false, suggestedActions: [] },
+  { reply: 'Расскажите подробнее о вакансии: позиция, локация, условия.', stage: 'Demand', confidence: 40, needEvidence: false, suggestedActions: [] },
+  { reply: 'Понял. Какие сроки по регистрации?', stage: 'Demand', confidence: 50, needEvidence: false, suggestedActions: [] }
+];
+
+/**
+ * replies — элементы сценария: объект (отдаётся как JSON), строка (как есть — удобно для «битого» JSON)
+ * или функция (messages) → объект|строка. По исчерпании сценарий идёт по кругу (loop=true) или повторяет последний.
+ */
+export function createMockProvider({ replies, loop = true } = {}){
+  let script = replies;
+  if (!script && process.env.LLM_MOCK_SCRIPT) script = JSON.parse(fs.readFileSync(process.env.LLM_MOCK_SCRIPT, 'utf8'));
+  if (!Array.isArray(script) || !script.length) script = DEFAULT_MOCK_REPLIES;
+
+  let cursor = 0;
+  const next = (messages) => {
+    const i = loop ? cursor % script.length : Math.min(cursor, script.length - 1);
+    cursor++;
+    const item = typeof script[i] === 'function' ? script[i](messages) : script[i];
+    return typeof item === 'string' ? item : JSON.stringify(item);
+  };
+  // грубая оценка токенов (~4 символа на токен) — чтобы usage был правдоподобным
+  const tok = (s) => Math.ceil(String(s || '').length / 4);
+  const usageOf = (payload, content) => {
+    const prompt_tokens = tok((payload.messages || []).map(m => m.content).join('\n'));
+    const completion_tokens = tok(content);
+    return { prompt_tokens, completion_tokens, total_tokens: prompt_tokens + completion_tokens };
+  };
+
+  return {
+    name: 'mock',
+    model: 'mock',
+    get calls(){ return cursor; },
+    reset(){ cursor = 0; },
+    async chat(payload){
+      const content = next(payload.messages);
+      return { choices: [{ message: { role: 'assistant', content } }], usage: usageOf(payload, content) };
+    },
+    async *stream(payload, onUsage){
+      const content = next(payload.messages);
+      for (let i = 0; i < content.length; i += 8) yield content.slice(i, i + 8);
+      onUsage?.(usageOf(payload, content));
+    }
+  };
+}
+
+export function createProvider(kind = process.env.LLM_PROVIDER || 'groq'){
+  switch (String(kind).toLowerCase()) {
+    case 'groq':   return createGroqProvider();
+    case 'openai': return createOpenAICompatProvider();
+    case 'mock':   return createMockProvider();
+    default: throw new Error(`Unknown LLM_PROVIDER: ${kind}`);
+  }
+}
+
+let active = null;
+
+export function getProvider(){ return (active ??= createProvider()); }
+export function setProvider(p){ active = p; return p; }
@@ -0,0 +1,82 @@
+// rules.js
+// Версионируемый набор правил доверия (rules/trust-rules.json): загрузка + zod-валидация на старте.
+// Импорт: import { getTrustRules } from './rules.js';
+
+/*
+  Путь к набору: TRUST_RULES=./rules/trust-rules.json (по умолчанию — рядом с кодом).
+  Невалидный набор роняет старт сервера — лучше упасть на деплое, чем считать доверие по мусору.
+  Активная версия отдаётся в /api/version и в meta каждого /api/reply.
+*/
+
+import fs from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { z } from 'zod';
+
+const DEFAULT_PATH = fileURLToPath(new URL('./rules/trust-rules.json', import.meta.url));
+
+const keyList = z.array(z.string().min(1));
+const weightMap = z.record(z.string(), z.number());
+
+export const TrustRulesSchema = z.object({
+  version: z.string().min(1),
+  evidence: z.object({ hard: keyList, medium: keyList, support: keyList }),
+  evidenceWeights: z.object({
+    hardEach: z.number(),
+    mediumEach: z.number(), mediumMax: z.number().int().min(0),
+    supportEach: z.number(), supportMax: z.number().int().min(0),
+    coopBonus: z.number(),
+    uniqBonuses: z.array(z.object({ min: z.number().int().min(1), bonus: z.number() }))
+  }),
+  stages: z.object({ candidateWithProof: z.number(), contractWithHard: z.number() }),
+  tone: z.object({ politeMax: z.number(), obsequiousMin: z.number().int(), obsequiousPenalty: z.number() }),
+  signals: z.object({ red: weightMap, green: weightMap }),
+  personal: z.object({
+    earlyBelow: z.number(),
+    earlyPenalty: z.number(),
+    brackets: z.array(z.object({ min: z.number(), cap: z.number().int().min(0), bonus: z.number() })).min(1)
+  }),
+  // cooldownSec — по таймштампам истории; cooldownTurns — если их нет (история от клиента, старые сессии)
+  courtesy: z.object({ bonus: z.number(), cooldownSec: z.number().min(0).default(360), cooldownTurns: z.number().int().min(0) }),
+  // Темп разговора (pacing.js); старые наборы — со значениями по умолчанию
+  pacing: z.object({
+    silenceHours: z.number().positive(),
+    silencePenalty: z.number(),
+    dumpDocs: z.number().int().min(2),
+    dumpWindowSec: z.number().positive(),
+    dumpPenalty: z.number()
+  }).default({ silenceHours: 24, silencePenalty: -5, dumpDocs: 5, dumpWindowSec: 30, dumpPenalty: -6 }),
+  micro: z.object({ infoKeysMax: z.number().int().min(0), noEarlyPayPressureBonus: z.number() }),
+  gates: z.object({
+    gate1: z.object({ cap: z.number(), minHard: z.number().int() }),
+    // Gate 2: minHard жёстких доказательств или minHardWithMedium жёстких + minMedium средних; старые наборы — 2 / 1+1
+    gate2: z.object({
+      cap: z.number(),
+      minHard: z.number().int().min(0).default(2),
+      minHardWithMedium: z.number().int().min(0).default(1),
+      minMedium: z.number().int().min(0).default(1)
+    }),
+    gate3: z.object({ cap: z.number(), minHard: z.number().int() }),
+    paymentStage: z.object({ below: z.number(), penalty: z.number() })
+  }),
+  checks: weightMap.default({}) // штрафы за несоответствия в документах (checks.js); старые наборы — без них
+});
+
+export function parseTrustRules(obj){
+  const rules = TrustRulesSchema.parse(obj);
+  // бракеты — от старшего к младшему, иначе «первый подходящий» сломается
+  rules.personal.brackets.sort((a, b) => b.min - a.min);
+  return rules;
+}
+
+export function loadTrustRules(file = process.env.TRUST_RULES || DEFAULT_PATH){
+  let raw;
+  try { raw = JSON.parse(fs.readFileSync(file, 'utf8')); }
+  catch (e) { throw new Error(`Cannot read trust rules ${file}: ${e.message}`); }
+  try { return parseTrustRules(raw); }
+  catch (e) { throw new Error(`Invalid trust rules ${file}: ${e.message}`); }
+}
+
+let active = loadTrustRules();
+
+export function getTrustRules(){ return active; }
+export function setTrustRules(rules){ active = parseTrustRules(rules); return active; }
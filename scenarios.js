@@ -0,0 +1,223 @@
+// scenarios.js
+// Тренировочные сценарии: стартовое доверие и стадия, какие доказательства засчитываются, свои возражения,
+// условия победы/поражения. Сценарий «накладывается» на персону (withScenario).
+// Импорт: import { getScenario, listScenarios, withScenario, countedEvidences, evaluateOutcome } from './scenarios.js';
+
+import { textSignals } from './trust.js';
+import { DEFAULT_LOCALE } from './locales.js';
+
+/*
+  Scenario: {
+    id, title, description, goal,          — карточка для фронта
+    persona,                               — персона по умолчанию (если запрос не задал свою)
+    baseTrust, initialStage,               — старт
+    brief,                                 — добавка к system prompt: что за ситуация у собеседника
+    evidences?: string[],                  — засчитываемые ключи (нет поля → все)
+    objections?: { budget[], afterPermit[], slots[], delay[], fallback } — частично поверх пулов персоны
+    localized?: { en|pl|hi: { brief, objections? } } — то же на других языках сессии (ru-текст туда не попадает)
+    policy?: { ... }                       — вкл/выкл контраргументов поверх persona.policy
+    mood?: { baseline?, decay? }           — настроение поверх persona.mood (mood.js)
+    maxTurns,                              — лимит ходов: не уложились — поражение
+    win:  Condition,                       — все поля должны выполниться
+    lose: Condition[]                      — достаточно одного
+  }
+  Condition: { reason, trustAtLeast?, trustBelow?, afterTurn?, stage?: string[], evidences?: string[],
+               committed?: true, redFlags?: string[], greenSignals?: string[], policy?: string[] }
+*/
+
+const COLD_FIRST_CONTACT = {
+  id: 'cold-first-contact',
+  title: 'Холодный первый контакт',
+  description: 'Али вас не знает и ничего не ждёт. Нужно представиться, не давить и довести до документов.',
+  goal: 'Получить интерес к Demand и B2B-контракту и поднять доверие до 50.',
+  persona: 'ali',
+  baseTrust: 20,
+  initialStage: 'Greeting',
+  brief: 'Тебе пишут впервые, ты не знаешь эту компанию. Отвечай коротко и настороженно.',
+  localized: {
+    en: { brief: 'This is the first time they write to you; you do not know this company. Answer briefly and warily.' },
+    pl: { brief: 'Piszą do ciebie pierwszy raz, nie znasz tej firmy. Odpowiadaj krótko i ostrożnie.' },
+    hi: { brief: 'तुम्हें पहली बार लिखा जा रहा है, तुम इस कंपनी को नहीं जानते। छोटा और सतर्क जवाब दो।' }
+  },
+  maxTurns: 20,
+  win: { reason: 'Демонстрация документов и доверие 50+', evidences: ['demand_letter', 'coop_contract_pdf'], trustAtLeast: 50 },
+  lose: [
+    { reason: 'Красный флаг: гарантии, «связи» или крипто-предоплата', redFlags: ['impossible_guarantee', 'embassy_connections_claim', 'crypto_upfront'] }
+  ]
+};
+
+const BURNED_BY_SCAMMER = {
+  id: 'burned-by-scammer',
+  title: 'Али уже обжёгся на мошеннике',
+  description: 'Месяц назад Али потерял предоплату. Сайт и визитка его не убеждают — только проверяемые документы.',
+  goal: 'Восстановить доверие до 60 через Demand, B2B-контракт и выписку из реестра.',
+  persona: 'ali',
+  baseTrust: 5,
+  initialStage: 'Greeting',
+  brief: 'Месяц назад «партнёр» взял у тебя предоплату и пропал. Ты подозрителен, проверяешь каждое слово. ' +
+    'Сайт и визитку может сделать кто угодно — верь только проверяемым документам.',
+  evidences: ['demand_letter', 'coop_contract_pdf', 'contract_pdf', 'company_registry', 'registry_proof', 'sample_contract_pdf'],
+  objections: {
+    delay: ['В прошлый раз мне тоже всё красиво показывали. Проверю сам.'],
+    fallback: 'Меня уже обманывали, так что не торопите.'
+  },
+  localized: {
+    en: {
+      brief: 'A month ago a "partner" took your prepayment and disappeared. You are suspicious and check every word. ' +
+        'Anyone can make a website and a business card — trust only verifiable documents.',
+      objections: {
+        delay: ['Last time they also showed me everything nicely. I will check it myself.'],
+        fallback: 'I have been cheated before, so do not rush me.'
+      }
+    },
+    pl: {
+      brief: 'Miesiąc temu „partner” wziął od ciebie przedpłatę i zniknął. Jesteś podejrzliwy, sprawdzasz każde słowo. ' +
+        'Stronę i wizytówkę może zrobić każdy — wierz tylko dokumentom, które da się sprawdzić.',
+      objections: {
+        delay: ['Ostatnim razem też wszystko ładnie mi pokazywano. Sprawdzę sam.'],
+        fallback: 'Już raz mnie oszukano, więc proszę mnie nie poganiać.'
+      }
+    },
+    hi: {
+      brief: 'एक महीने पहले एक «पार्टनर» तुमसे एडवांस लेकर गायब हो गया। तुम शक्की हो, हर शब्द जाँचते हो। ' +
+        'वेबसाइट और विज़िटिंग कार्ड कोई भी बना सकता है — सिर्फ़ जाँचे जा सकने वाले दस्तावेज़ों पर भरोसा करो।',
+      objections: {
+        delay: ['पिछली बार भी मुझे सब कुछ अच्छे से दिखाया गया था। मैं खुद जाँच करूँगा।'],
+        fallback: 'मुझे पहले धोखा मिल चुका है, इसलिए जल्दबाज़ी मत कीजिए।'
+      }
+    }
+  },
+  mood: { baseline: { suspicion: 65, warmth: 10 } },
+  maxTurns: 25,
+  win: { reason: 'Документы проверены, доверие 60+', evidences: ['demand_letter', 'coop_contract_pdf', 'company_registry'], trustAtLeast: 60 },
+  lose: [
+    { reason: 'Давление или гарантии — Али прекращает разговор', redFlags: ['pressure', 'impossible_guarantee', 'crypto_upfront'] },
+    { reason: 'Попросили предоплату — как в прошлый раз', policy: ['prepay'] }
+  ]
+};
+
+const TEN_AFTER_VISA = {
+  id: 'ten-after-visa',
+  title: '10 кандидатов, оплата после визы',
+  description: 'Али хочет сразу 10 человек, но платить готов только после визы. Нужно договориться о пилоте.',
+  goal: 'Договориться начать с 1–2 тестовых кандидатов, не соглашаясь на «всё после визы».',
+  persona: 'ali',
+  baseTrust: 30,
+  initialStage: 'Demand',
+  brief: 'Тебе нужно 10 кандидатов на стройку. Платить ты готов только после получения визы — это твоя позиция на старте. ' +
+    'Разговор начинается сразу с вакансии (Demand).',
+  objections: {
+    afterPermit: ['Мне нужно 10 человек, но плачу только после визы. Это не обсуждается.'],
+    budget: ['За 10 человек цена должна быть другой.', 'Заплачу за всех после виз — так надёжнее.']
+  },
+  localized: {
+    en: {
+      brief: 'You need 10 candidates for a construction site. At the start your position is to pay only after the visa is issued. ' +
+        'The conversation starts straight with the vacancy (Demand).',
+      objections: {
+        afterPermit: ['I need 10 people, but I pay only after the visa. That is not negotiable.'],
+        budget: ['For 10 people the price should be different.', 'I will pay for everyone after the visas — that is safer.']
+      }
+    },
+    pl: {
+      brief: 'Potrzebujesz 10 kandydatów na budowę. Na starcie twoje stanowisko: płacisz dopiero po otrzymaniu wizy. ' +
+        'Rozmowa zaczyna się od razu od oferty (Demand).',
+      objections: {
+        afterPermit: ['Potrzebuję 10 osób, ale płacę dopiero po wizie. To nie podlega dyskusji.'],
+        budget: ['Za 10 osób cena powinna być inna.', 'Zapłacę za wszystkich po wizach — tak jest pewniej.']
+      }
+    },
+    hi: {
+      brief: 'तुम्हें निर्माण स्थल के लिए 10 उम्मीदवार चाहिए। शुरुआत में तुम्हारी स्थिति यह है कि भुगतान सिर्फ़ वीज़ा मिलने के बाद होगा। ' +
+        'बातचीत सीधे वैकेंसी (Demand) से शुरू होती है।',
+      objections: {
+        afterPermit: ['मुझे 10 लोग चाहिए, लेकिन भुगतान सिर्फ़ वीज़ा के बाद करूँगा। इस पर कोई बातचीत नहीं।'],
+        budget: ['10 लोगों के लिए कीमत अलग होनी चाहिए।', 'सबका भुगतान वीज़ा के बाद करूँगा — ऐसे ज़्यादा सुरक्षित है।']
+      }
+    }
+  },
+  maxTurns: 20,
+  win: { reason: 'Согласован тестовый старт с доверием 60+', greenSignals: ['test_one_candidate'], trustAtLeast: 60 },
+  lose: [
+    { reason: 'Требование предоплаты — Али уходит к другому агентству', policy: ['prepay'] },
+    { reason: 'Давление на клиента', redFlags: ['pressure'] }
+  ]
+};
+
+const REGISTRY = new Map([COLD_FIRST_CONTACT, BURNED_BY_SCAMMER, TEN_AFTER_VISA].map(s => [s.id, s]));
+
+export function getScenario(id){
+  const key = String(id || '').toLowerCase().trim();
+  const s = REGISTRY.get(key);
+  if (!s) throw new Error(`Unknown scenario: ${key}`);
+  return s;
+}
+
+export function hasScenario(id){ return REGISTRY.has(String(id || '').toLowerCase().trim()); }
+
+// Публичная карточка — без промпта и условий в коде
+export function listScenarios(){
+  return Array.from(REGISTRY.values()).map(({ id, title, description, goal, persona, baseTrust, initialStage, maxTurns }) =>
+    ({ id, title, description, goal, persona, baseTrust, initialStage, maxTurns }));
+}
+
+/* Персона с наложенным сценарием: стартовое доверие, промпт, пулы возражений, политика.
+   Персона уже на языке сессии (withLocale): вне ru бриф и возражения — из scenario.localized этого языка */
+export function withScenario(persona, scenario){
+  if (!scenario) return persona;
+  const ru = !persona.locale || persona.locale === DEFAULT_LOCALE;
+  const own = ru ? scenario : scenario.localized?.[persona.locale] || {};
+  return {
+    ...persona,
+    prompt: `${persona.prompt}\n\n[Сценарий]\n${own.brief || scenario.brief}`,
+    trust: { ...persona.trust, baseTrust: scenario.baseTrust ?? persona.trust.baseTrust },
+    objections: { ...persona.objections, ...(own.objections || {}) },
+    policy: { ...(persona.policy || {}), ...(scenario.policy || {}) },
+    mood: {
+      ...(persona.mood || {}), ...(scenario.mood || {}),
+      baseline: { ...(persona.mood?.baseline || {}), ...(scenario.mood?.baseline || {}) }
+    }
+  };
+}
+
+export function countedEvidences(scenario, evidences = []){
+  if (!scenario?.evidences) return evidences;
+  return evidences.filter(k => scenario.evidences.includes(k));
+}
+
+/* ── Условия ── */
+function holds(c, ctx){
+  const signals = ctx.signals || textSignals(ctx.userText, ctx.locale);
+  if (c.trustAtLeast !== undefined && !(ctx.trust >= c.trustAtLeast)) return false;
+  if (c.trustBelow !== undefined && !(ctx.trust < c.trustBelow)) return false;
+  if (c.afterTurn !== undefined && !(ctx.turn >= c.afterTurn)) return false;
+  if (c.stage && !c.stage.includes(ctx.stage)) return false;
+  if (c.evidences && !c.evidences.every(k => ctx.seen.has(k))) return false;
+  if (c.committed && !ctx.committed) return false;
+  if (c.redFlags && !c.redFlags.some(f => signals.red.includes(f))) return false;
+  if (c.greenSignals && !c.greenSignals.some(f => signals.green.includes(f))) return false;
+  if (c.policy && !c.policy.some(id => (ctx.policy || []).includes(id))) return false;
+  return true;
+}
+
+// Собеседник сам закончил разговор (exit.js) — поражение, если условия сценария не назвали причину точнее
+const CLOSED_REASONS = {
+  red_flags: 'Собеседник закончил разговор: повторные гарантии или «связи»',
+  trust_floor: 'Собеседник закончил разговор: доверие на нуле',
+  pressure: 'Собеседник закончил разговор: давление ход за ходом'
+};
+
+/*
+  Итог хода: { status: 'won'|'lost', reason } или null (сценарий продолжается).
+  ctx: { turn, trust, stage, seen: Set, committed, userText, policy[], locale? }
+  Поражение проверяется раньше победы: красный флаг на «выигрышном» ходу — всё равно провал.
+*/
+export function evaluateOutcome(scenario, ctx){
+  if (!scenario) return null;
+  const c = { ...ctx, signals: textSignals(ctx.userText, ctx.locale) };
+  for (const l of scenario.lose || []) if (holds(l, c)) return { status: 'lost', reason: l.reason };
+  if (ctx.closed) return { status: 'lost', reason: CLOSED_REASONS[ctx.closed.reason] || 'Собеседник закончил разговор' };
+  if (scenario.win && holds(scenario.win, c)) return { status: 'won', reason: scenario.win.reason };
+  if (scenario.maxTurns && ctx.turn >= scenario.maxTurns) return { status: 'lost', reason: `Не уложились в ${scenario.maxTurns} ходов` };
+  return null;
+}
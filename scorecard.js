@@ -0,0 +1,178 @@
+// scorecard.js
+// Оценка работы менеджера для тренера: баллы по измерениям, аннотации к конкретным репликам, итог, оценка и советы.
+// Импорт: import { buildScorecard, evaluateObjectionHandling } from './scorecard.js';
+
+import { textSignals, pressureScore, countKinds } from './trust.js';
+import { getLocale } from './locales.js';
+
+/*
+  Измерения (0..100, null — «не применимо», в итог не входит):
+    rapport     — приветствие, представление, вежливость, без личных вопросов в начале
+    documents   — сначала Demand/контракт, потом разговор об оплате
+    objections  — как менеджер отвечает на возражения Али (evaluateObjectionHandling)
+    redFlags    — красные флаги из textSignals (гарантии, давление, крипто-предоплата…)
+    feeSalary   — сервисный платёж и зарплата кандидата не смешиваются
+    pacing      — темп: без давления, «стен текста», пачек вопросов и ранней оплаты
+
+  Аннотация: { turn, index, dimension, severity: 'warn'|'bad', message, excerpt }
+    turn  — номер реплики менеджера (1..), index — позиция в history
+*/
+
+// Веса измерений; названия, советы и признаки в репликах — у языка сессии (scorecard в locales.js)
+const WEIGHTS = { rapport: 0.15, documents: 0.20, objections: 0.20, redFlags: 0.20, feeSalary: 0.10, pacing: 0.15 };
+
+const excerpt = (t = '', n = 120) => { const s = String(t).replace(/\s+/g, ' ').trim(); return s.length > n ? s.slice(0, n - 1) + '…' : s; };
+const clamp = (n, a, b) => Math.max(a, Math.min(b, n));
+
+/* Отработка возражений: признание, ценность, тест с одного кандидата, проверяемость, без давления — на языке сессии */
+export function evaluateObjectionHandling(text='', locale){
+  const t = String(text).toLowerCase();
+  let score = 0;
+  for (const r of getLocale(locale).cues.handling) if (r.test(t)) score++;
+  let level = 'none', bonus = 0;
+  if (score >= 4) { level = 'strong'; bonus = 0.10; }
+  else if (score >= 2) { level = 'weak'; bonus = 0.03; }
+  return { level, bonus, score };
+}
+
+/* ── Измерения ── */
+function scoreRapport(turns, note, C){
+  if (!turns.length) return null;
+  let s = 40;
+  const first = turns[0];
+  if (C.greeting.test(first.text)) s += 25;
+  else note(first, 'warn', 'no_greeting');
+  if (turns.slice(0, 3).some(t => C.intro.test(t.text))) s += 20;
+  else note(first, 'warn', 'no_intro');
+  if (turns.some(t => C.courtesy.test(t.text))) s += 15;
+  for (const t of turns.slice(0, 3)) {
+    if (C.personal.test(t.text)) { s -= 15; note(t, 'warn', 'personal_early'); }
+  }
+  return s;
+}
+
+function scoreDocuments(turns, evidences, early, note, C){
+  const k = countKinds(evidences);
+  let docsAt = turns.find(t => C.docs.test(t.text))?.turn ?? Infinity;
+  if (k.hard) docsAt = Math.min(docsAt, 1); // документы приложены — считаем, что были с начала
+  const payEarly = turns.find(t => C.pay.test(t.text) && t.turn < docsAt);
+
+  if (early && !evidences.length && !payEarly) return null; // рано судить
+
+  let s = 40;
+  if (k.hard) s += 30;
+  if (k.med) s += 10;
+  if (k.uniq >= 2) s += 10;
+  if (turns.some(t => C.docs.test(t.text))) s += 10; // документы обсуждались словами
+  if (payEarly) { s -= 30; note(payEarly, 'bad', 'pay_before_docs'); }
+  else if (turns.some(t => C.pay.test(t.text))) s += 10; // к оплате — после документов
+  return s;
+}
+
+function scoreObjections(history, turns, note, locale, C){
+  const results = [];
+  for (const t of turns) {
+    const prev = history[t.index - 1];
+    if (!prev || prev.role !== 'assistant' || !C.objection.test(prev.content || '')) continue;
+    const fx = evaluateObjectionHandling(t.text, locale);
+    const pressed = pressureScore(t.text, locale) < 0;
+    let s = fx.level === 'strong' ? 100 : fx.level === 'weak' ? 65 : 25;
+    if (pressed) { s -= 25; note(t, 'bad', 'objection_pressed'); }
+    else if (fx.level === 'none') note(t, 'warn', 'objection_unhandled');
+    results.push(s);
+  }
+  if (!results.length) return null; // возражений не было
+  return results.reduce((a, b) => a + b, 0) / results.length;
+}
+
+function scoreRedFlags(turns, note, locale, C){
+  let s = 100;
+  for (const t of turns) {
+    for (const flag of textSignals(t.text, locale).red) {
+      if (!C.redFlags[flag]) continue; // fee_salary_confusion — в своём измерении
+      s -= 25;
+      note(t, 'bad', flag);
+    }
+  }
+  return s;
+}
+
+function scoreFeeSalary(turns, note, locale, C){
+  let s = 100;
+  for (const t of turns) {
+    const confused = textSignals(t.text, locale).red.includes('fee_salary_confusion')
+      || t.text.split(/(?<=[.!?।])\s+/).some(x => C.salary.test(x) && C.fee.test(x));
+    if (confused) { s -= 50; note(t, 'bad', 'fee_salary'); }
+  }
+  return s;
+}
+
+function scorePacing(turns, note, locale, C){
+  if (!turns.length) return null;
+  let s = 100;
+  const seen = new Set();
+  for (const t of turns) {
+    const norm = t.text.toLowerCase().replace(/\s+/g, ' ').trim();
+    if (t.text.length > 700) { s -= 15; note(t, 'warn', 'too_long'); }
+    if ((t.text.match(/\?/g) || []).length > 2) { s -= 10; note(t, 'warn', 'too_many_questions'); }
+    if (pressureScore(t.text, locale) < 0) { s -= 20; note(t, 'bad', 'rushing'); }
+    if (t.turn <= 2 && C.pay.test(t.text)) { s -= 20; note(t, 'warn', 'pay_early'); }
+    if (norm && seen.has(norm)) { s -= 10; note(t, 'warn', 'repeat'); }
+    seen.add(norm);
+  }
+  return s;
+}
+
+/* ── Итог ── */
+function gradeOf(final){
+  if (final >= 90) return 'A';
+  if (final >= 75) return 'B';
+  if (final >= 60) return 'C';
+  if (final >= 45) return 'D';
+  return 'F';
+}
+
+// locale — язык сессии: детекторы trust.js, признаки в репликах, тексты аннотаций и советов (scorecard в locales.js)
+export function buildScorecard({ history = [], evidences = [], locale } = {}){
+  const C = getLocale(locale).scorecard;
+  const turns = [];
+  history.forEach((h, index) => {
+    if (h.role === 'user') turns.push({ turn: turns.length + 1, index, text: String(h.content || '') });
+  });
+
+  const annotations = [];
+  const noteFor = (dimension) => (t, severity, code) =>
+    annotations.push({ turn: t.turn, index: t.index, dimension, severity, message: C.notes[code] ?? C.redFlags[code], excerpt: excerpt(t.text) });
+
+  const early = history.length < 6; // ранняя стадия беседы — о документах судить мягче
+  const raw = {
+    rapport:    scoreRapport(turns, noteFor('rapport'), C),
+    documents:  scoreDocuments(turns, evidences, early, noteFor('documents'), C),
+    objections: scoreObjections(history, turns, noteFor('objections'), locale, C),
+    redFlags:   scoreRedFlags(turns, noteFor('redFlags'), locale, C),
+    feeSalary:  scoreFeeSalary(turns, noteFor('feeSalary'), locale, C),
+    pacing:     scorePacing(turns, noteFor('pacing'), locale, C)
+  };
+
+  const dimensions = {};
+  let sum = 0, wsum = 0;
+  for (const [key, weight] of Object.entries(WEIGHTS)) {
+    const score = raw[key] == null ? null : Math.round(clamp(raw[key], 0, 100));
+    dimensions[key] = { label: C.labels[key], weight, score };
+    if (score != null) { sum += score * weight; wsum += weight; }
+  }
+
+  const final = clamp(Math.round(wsum ? sum / wsum : 0), 10, 100); // минимум 10, как раньше
+  annotations.sort((a, b) => a.turn - b.turn);
+
+  // Советы: по слабым измерениям (сначала самые слабые), со ссылкой на первую проблемную реплику
+  const tips = Object.entries(dimensions)
+    .filter(([, d]) => d.score != null && d.score < 70)
+    .sort((a, b) => a[1].score - b[1].score)
+    .map(([key]) => {
+      const at = annotations.find(a => a.dimension === key);
+      return { dimension: key, tip: at ? C.tipAt(at.turn, at.message, C.tips[key]) : C.tips[key] };
+    });
+
+  return { final, grade: gradeOf(final), dimensions, annotations, tips };
+}
@@ -6,40 +6,106 @@
    ────────────────────────────────────────────────────────────── */
 
 import 'dotenv/config';
+import { pathToFileURL } from 'node:url';
+import crypto from 'node:crypto';
 import express from 'express';
-import morgan from 'morgan';
 import cors from 'cors';
-import { Groq } from 'groq-sdk';
+import multer from 'multer';
 import { z } from 'zod';
-import { SYSTEM_PROMPT } from './prompt.js';
-import { computeTrust } from './trust.js';
+import { explainTrust } from './trust.js';
+import { getTrustRules } from './rules.js';
+import { getProvider } from './providers.js';
+import { getState, saveState, freshState, swapState, hasSession, resetState, listSessions } from './store.js';
+import { recordTurn, diffTurn, renderMarkdown, renderCSV } from './transcript.js';
+import { buildScorecard, evaluateObjectionHandling } from './scorecard.js';
+import { getPersona, listPersonas, applyGender, DEFAULT_PERSONA } from './personas.js';
+import { getScenario, listScenarios, withScenario, countedEvidences, evaluateOutcome } from './scenarios.js';
+import { extractText, classifyDocument, isSupported, DOCUMENT_LIMITS } from './documents.js';
+import { checkEvidence, contractMarks } from './checks.js';
+import { getLocale, listLocales, withLocale, DEFAULT_LOCALE } from './locales.js';
+import { getClassifier, classifyRules, topIntents } from './intents.js';
+import { tenantsEnabled, tenantByKey, tenantOrigins, countUsage, tenantCard, getTenants } from './tenants.js';
+import { recordUsage, estimateUsage, budgetExceeded, budgetsFor, dailyUsage, allDailyUsage } from './usage.js';
+import { log, withLogContext, setLogContext } from './logger.js';
+import { metrics, renderMetrics } from './metrics.js';
+import { repairJson } from './llmjson.js';
+import { updateMood, describeMood, moodEffects } from './mood.js';
+import { pacingOf, pacingLine, describePacing } from './pacing.js';
+import { exitCheck } from './exit.js';
+import { startAfterSale, afterSaleStep, describeAfterSale } from './aftersale.js';
+import { PRICEBOOK, renderPricebook } from './pricebook.js';
 
 const app = express();
 app.use(express.json({ limit: '1mb' }));
-app.use(morgan('dev'));
+
+/*
+  Каждый запрос: X-Request-Id (свой или от прокси), JSON-строка лога по завершении, метрики http_*.
+  Всё, что логируется внутри обработчика, несёт requestId и sessionId (logger.js).
+*/
+app.use((req, res, next) => {
+  const fromProxy = String(req.get('x-request-id') || '');
+  const ctx = { requestId: /^[\w.-]{1,64}$/.test(fromProxy) ? fromProxy : crypto.randomUUID(), sessionId: null };
+  res.set('X-Request-Id', ctx.requestId);
+  const end = metrics.httpDuration.startTimer();
+  res.on('finish', () => withLogContext(ctx, () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched'; // шаблон роута, а не путь — без взрыва меток
+    const sec = end({ method: req.method, route });
+    metrics.httpRequests.inc({ method: req.method, route, status: String(res.statusCode) });
+    log('info', 'request', { method: req.method, path: req.path, route, status: res.statusCode, ms: Math.round(sec * 1000), tenant: req.tenant?.id });
+  }));
+  withLogContext(ctx, next);
+});
 
 const allowed = (process.env.ALLOWED_ORIGINS || '')
   .split(',').map(s => s.trim()).filter(Boolean);
 
+// Разрешённые origin'ы — ALLOWED_ORIGINS плюс сайты всех тенантов (свой список тенанта проверяет tenantAuth)
 app.use(cors({
   origin: (origin, cb) => {
     if (!origin) return cb(null, true);
-    if (allowed.length === 0 || allowed.includes(origin)) return cb(null, true);
+    const list = [...allowed, ...tenantOrigins()];
+    if (list.length === 0 || list.includes(origin)) return cb(null, true);
     cb(new Error('Not allowed by CORS: ' + origin));
   },
   credentials: false
 }));
 
-const rlStore = new Map(); // ip -> { count, reset }
+const isMetered = (p) => p.startsWith('/api/') || p === '/chat';
+
+/*
+  Тенанты (tenants.js): если реестр задан, /api/* и /chat — только с ключом школы
+  (X-API-Key или Authorization: Bearer) и с её сайтов. Справочники и /api/admin (свой токен) — без ключа.
+*/
+const PUBLIC_API = new Set(['/api/ping', '/api/version', '/api/personas', '/api/scenarios', '/api/locales']);
+function tenantAuth(req, res, next){
+  if (!tenantsEnabled() || !isMetered(req.path) || PUBLIC_API.has(req.path) || req.path.startsWith('/api/admin')) return next();
+  const key = req.get('x-api-key') || String(req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+  const tenant = tenantByKey(key);
+  if (!tenant) return res.status(401).json({ ok: false, error: 'Invalid or missing API key' });
+  const origin = req.get('origin');
+  if (origin && tenant.origins.length && !tenant.origins.includes(origin)) {
+    return res.status(403).json({ ok: false, error: 'Origin not allowed for this API key' });
+  }
+  req.tenant = tenant;
+  countUsage(tenant.id, 'requests');
+  next();
+}
+app.use(tenantAuth);
+
+// Лимит в минуту: на школу (общий для всех её учеников), без тенантов — на IP
+const rlStore = new Map(); // tenant:<id> | ip -> { count, reset }
 function miniRateLimit(req, res, next){
-  if (!req.path.startsWith('/api/')) return next();
+  if (!isMetered(req.path)) return next();
   const ip = req.headers['x-forwarded-for']?.split(',')[0]?.trim() || req.ip || 'unknown';
+  const bucket = req.tenant ? `tenant:${req.tenant.id}` : ip;
+  const limit = req.tenant?.rateLimitPerMinute ?? 40;
   const now = Date.now();
-  const rec = rlStore.get(ip) || { count: 0, reset: now + 60_000 };
+  const rec = rlStore.get(bucket) || { count: 0, reset: now + 60_000 };
   if (now > rec.reset) { rec.count = 0; rec.reset = now + 60_000; }
   rec.count += 1;
-  rlStore.set(ip, rec);
-  if (rec.count > 40) {
+  rlStore.set(bucket, rec);
+  if (rec.count > limit) {
+    countUsage(req.tenant?.id, 'rateLimited');
     res.set('Retry-After', Math.ceil((rec.reset - now)/1000));
     return res.status(429).json({ ok:false, error:'Too many requests, try again later.' });
   }
@@ -47,34 +113,36 @@ function miniRateLimit(req, res, next){
 }
 app.use(miniRateLimit);
 
+// Сессии школ не пересекаются: «default» у двух тенантов — разные сессии
+function sessionKey(req, id){
+  const sid = req.tenant ? `${req.tenant.id}:${id}` : String(id);
+  setLogContext({ sessionId: sid }); // с этого момента строки лога запроса — с сессией
+  return sid;
+}
+
 /* ──────────────────────────────────────────────────────────────
    ЧАСТЬ 2. МОДЕЛЬ, ПРАЙС, СХЕМЫ
    ────────────────────────────────────────────────────────────── */
 
-const groq = new Groq({ apiKey: process.env.GROQ_API_KEY });
-const MODEL = process.env.GROQ_MODEL || 'llama-3.1-8b-instant';
+// Провайдер LLM (groq | openai | mock) — см. providers.js; создаём сразу, чтобы падать на старте, а не на первом ходе
+getProvider();
 const TEMPERATURE = Number(process.env.TEMPERATURE ?? 0.2);
 const REPLY_MAX_TOKENS = Number(process.env.REPLY_MAX_TOKENS ?? 320);
 const MAX_SENTENCES = Number(process.env.MAX_SENTENCES ?? 4);
 
-// PRICEBOOK остаётся только для внутреннего контекста модели;
+// PRICEBOOK (pricebook.js) остаётся только для внутреннего контекста модели;
 // Али как клиент НИКОГДА не озвучивает цены и не инициирует оплату.
-const PRICEBOOK = `
-[PRICEBOOK v1 — CZ/PL (fees, not salaries)]
-— Czech Republic (service fees per candidate):
-  • 3m €270 + €150  • 6m €300 + €150  • 9m €350 + €150
-  • 24m €350 + €350
-  • Embassy reg (LT only): €500 = €250 + €250 (refund €250 if >6m no slot)
-— Poland (service fees):
-  • 9m seasonal €350 + €150  • 12m €350 + €350
-— General: free verification; every PDF has verify guidelines; all under CZ/EU law.
-— NOTE: Service fees are NOT employee salary. Never mix fees with wages.
-`;
+const PRICEBOOK_PROMPT = renderPricebook();
+
+const STAGES = ["Greeting","Demand","Candidate","Contract","Payment","Closing"];
 
 const ChatSchema = z.object({
   sessionId: z.string().min(1),
   message: z.string().min(1),
-  stage: z.enum(["Greeting","Demand","Candidate","Contract","Payment","Closing"]).optional(),
+  stage: z.enum(STAGES).optional(),
+  persona: z.string().optional(),
+  scenarioId: z.string().optional(),
+  locale: z.string().optional(),
   evidences: z.array(z.string()).optional(),
   history: z.array(z.object({
     role: z.enum(["user","assistant"]),
@@ -85,7 +153,7 @@ const ChatSchema = z.object({
 
 const LLMShape = z.object({
   reply: z.string().min(1),
-  stage: z.enum(["Greeting","Demand","Candidate","Contract","Payment","Closing"]).optional(),
+  stage: z.enum(STAGES).optional(),
   confidence: z.number().min(0).max(100).optional(),
   needEvidence: z.boolean().optional(),
   suggestedActions: z.array(z.string()).optional()
@@ -97,28 +165,11 @@ const LLMShape = z.object({
 
 const clamp = (n, a, b) => Math.max(a, Math.min(b, n));
 
-const extractFirstJsonObject = (s) => {
-  const m = String(s||'').match(/\{[\s\S]*\}/);
-  if (!m) return null;
-  try { return JSON.parse(m[0]); } catch { return null; }
-};
-
-const sentSplit = (text) => String(text||'').split(/(?<=[.!?])\s+/).filter(Boolean);
+const sentSplit = (text) => String(text||'').split(/(?<=[.!?।])\s+/).filter(Boolean); // «।» — точка в хинди
 const limitSentences = (text, max=4) => sentSplit(text).slice(0, max).join(' ').trim();
 
 function logError(err, ctx=''){
-  console.error(`[${new Date().toISOString()}] ${ctx}:`, err?.stack || err);
-}
-
-// — анти-«женский род» (персона Али — мужчина)
-function forceMasculine(text){
-  return String(text||'')
-    .replace(/\bрада\b/gi, 'рад')
-    .replace(/\bготова\b/gi, 'готов')
-    .replace(/\bсогласна\b/gi, 'согласен')
-    .replace(/\bсмогла\b/gi, 'смог')
-    .replace(/\bмогла\b/gi, 'мог')
-    .replace(/\bприняла\b/gi, 'принял');
+  log('error', ctx || 'error', { error: String(err?.message || err), stack: err?.stack });
 }
 
 // [ALI-CLIENT] Нормализация и запрет «продажных» слов у клиента
@@ -137,7 +188,7 @@ function stripSalesy(text=''){
   return t.replace(/\s{2,}/g, ' ');
 }
 
-function splitSentences(t=''){ return String(t).split(/(?<=[.!?])\s+/).filter(s => s.trim()); }
+function splitSentences(t=''){ return String(t).split(/(?<=[.!?।])\s+/).filter(s => s.trim()); }
 function joinUniqueSentences(chunks=[]){
   const seen = new Set(); const out = [];
   for (const s of chunks.flatMap(splitSentences)) {
@@ -170,46 +221,52 @@ function conciseJoin(parts){ return parts.filter(Boolean).map(s=>String(s).trim(
 // — сид-рандом по sessionId
 function seededRand(str=''){ let h = 2166136261>>>0; for (let i=0;i<str.length;i++){ h^=str.charCodeAt(i); h=Math.imul(h,16777619);} return ()=>{h^=h<<13;h^=h>>>17;h^=h<<5;return ((h>>>0)%1000)/1000;}; }
 
-/* ПЕРСИСТЕНТНАЯ (в рамках процесса) ПАМЯТЬ СЕССИЙ */
-const sessionState = new Map();
-/*
-  sessionState: Map<sid, {
-    lastReply: string,
-    lastActions: string[],
-    seenEvidences: Map<key, { count: number, lastAt: number }>,
-    evidenceDetails: Record<string, any>,
-    lastObjection: string,
-    demandFacts: Record<string, any>,
-    turn: number,
-    repeatStats: { phraseCounts: Map<string, number>, lastUsedTurn: Map<string, number>, topicCounts: Record<string, number> },
-    alreadyCommitted: boolean
-  }>
-*/
-function getState(sid='default'){
-  if (!sessionState.has(sid)) {
-    sessionState.set(sid, {
-      lastReply: '', lastActions: [],
-      seenEvidences: new Map(),
-      evidenceDetails: Object.create(null),
-      lastObjection: '', demandFacts: Object.create(null),
-      turn: 0,
-      repeatStats: { phraseCounts: new Map(), lastUsedTurn: new Map(), topicCounts: Object.create(null) },
-      alreadyCommitted: false
-    });
+/* ПАМЯТЬ СЕССИЙ — см. store.js (getState/saveState, бэкенд file|memory, TTL) */
+
+/* ПЕРСОНА, СЦЕНАРИЙ И ЯЗЫК СЕССИИ: выбираются запросом (persona, scenarioId, locale), дальше живут в состоянии.
+   Чего нет ни в запросе, ни в сессии — берётся из настроек школы (tenant), затем по умолчанию.
+   Сценарий задаёт персону по умолчанию; персона переводится на язык сессии (withLocale), сценарий — поверх (withScenario). */
+function bindPersona(sid, id, scenarioId, locale, tenant){
+  const S = getState(sid);
+  if (tenant) S.tenant = tenant.id;
+  if (locale) S.locale = getLocale(locale).id;
+  else if (!S.locale && tenant?.locale) S.locale = tenant.locale;
+  if (scenarioId) {
+    const sc = getScenario(scenarioId);
+    if (S.scenario !== sc.id) { S.scenario = sc.id; S.outcome = null; }
+    if (!id && !S.persona) S.persona = sc.persona;
   }
-  return sessionState.get(sid);
+  if (id) S.persona = getPersona(id).id;
+  if (!S.persona) S.persona = tenant?.persona || DEFAULT_PERSONA;
+  return personaOf(sid);
+}
+function scenarioOf(sid){ const id = getState(sid).scenario; return id ? getScenario(id) : null; }
+function personaOf(sid){ return withScenario(withLocale(getPersona(getState(sid).persona), localeOf(sid)), scenarioOf(sid)); }
+function localeOf(sid){ return getState(sid).locale || DEFAULT_LOCALE; }
+
+function scenarioMeta(sid){
+  const S = getState(sid), sc = scenarioOf(sid);
+  if (!sc) return null;
+  return { id: sc.id, title: sc.title, goal: sc.goal, status: S.outcome?.status || 'active', ...(S.outcome ? { reason: S.outcome.reason, turn: S.outcome.turn } : {}) };
 }
 
 /* учёт «доказательств» */
-function bumpEvidence(sid, key, details){
+function bumpEvidence(sid, key, details, at = Date.now()){
   const S = getState(sid);
   const rec = S.seenEvidences.get(key) || { count: 0, lastAt: 0 };
-  rec.count += 1; rec.lastAt = Date.now();
+  rec.count += 1; rec.lastAt = at; // время хода — по нему pacing.js считает «вал» документов
   S.seenEvidences.set(key, rec);
   if (details && typeof details === 'object') S.evidenceDetails[key] = { ...(S.evidenceDetails[key]||{}), ...details };
   return rec.count;
 }
 function evidenceCountUnique(sid){ return getState(sid).seenEvidences.size; }
+
+/* Загруженные файлы (POST /api/sessions/:id/documents) и выданное тренером (admin API) считаются показанными на каждом следующем ходу */
+function documentEvidences(sid){
+  const S = getState(sid);
+  const keys = [...new Set([...(S.documents || []).map(d => d.key), ...S.grantedEvidences].filter(Boolean))];
+  return { keys, details: Object.fromEntries(keys.map(k => [k, S.evidenceDetails[k]]).filter(([, v]) => v)) };
+}
 function hasEvidence(sid, key){ return getState(sid).seenEvidences.has(key); }
 
 /* DEMAND: хранение и парсинг */
@@ -228,6 +285,7 @@ function extractDemandFactsFromDetails(details={}){
     if (meta.hours_monthly) out.hours_monthly = num(meta.hours_monthly);
     if (meta.schedule) out.schedule = String(meta.schedule).trim();
     if (meta.location) out.location = String(meta.location).trim();
+    if (meta.language) out.language = String(meta.language).trim();
   }
   const t = String(text);
   if (!out.position)   { const m = t.match(/Position[:\s-]*([^\n]+)/i); if (m) out.position = m[1].trim(); }
@@ -237,28 +295,31 @@ function extractDemandFactsFromDetails(details={}){
   if (!out.schedule)   { const m = t.match(/Workhours[:\s-]*([^\n]+)/i) || t.match(/Workday[:\s-]*([^\n]+)/i); if (m) out.schedule = m[1].trim(); }
   if (!out.period)     { const m = t.match(/Employment\s*Period[:\s-]*([^\n]+)/i); if (m) out.period = m[1].trim(); }
   if (!out.location)   { const m = t.match(/Location\s*of\s*work[:\s-]*([^\n]+)/i) || t.match(/Location[:\s-]*([^\n]+)/i); if (m) out.location = m[1].trim(); }
+  if (!out.language)   { const m = t.match(/Language(?:\s*requirements?)?[:\s-]*([^\n]+)/i); if (m) out.language = m[1].trim(); }
   return out;
 }
-function formatFactsShort(facts={}, topic='all'){
+function formatFactsShort(facts={}, topic='all', locale){
   const f = facts || {};
-  const salaryStr = f.salary?.value ? `нетто от ${f.salary.value} ${f.salary.currency}` : null;
-  const accomStr  = (f.accommodation?.cost_eur ? `жильё ~€${f.accommodation.cost_eur}/мес` : null);
-  const hoursStr  = (f.hours_monthly ? `~${f.hours_monthly} ч/мес` : null);
+  const T = getLocale(locale).text.facts;
+  const salaryStr = f.salary?.value ? T.salary(f.salary.value, f.salary.currency) : null;
+  const accomStr  = (f.accommodation?.cost_eur ? T.accommodation(f.accommodation.cost_eur) : null);
+  const hoursStr  = (f.hours_monthly ? T.hours(f.hours_monthly) : null);
   const schedStr  = (f.schedule ? `${f.schedule}` : null);
   const posStr    = (f.position ? `${f.position}` : null);
   const locStr    = (f.location ? `${f.location}` : null);
   const periodStr = (f.period ? `${f.period}` : null);
 
-  if (topic === 'salary' && salaryStr) return `По деманду: ${salaryStr}.`;
-  if (topic === 'accommodation' && accomStr) return `По жилью из деманда: ${accomStr}.`;
-  if (topic === 'hours' && (hoursStr || schedStr)) return `График по деманду: ${[hoursStr, schedStr].filter(Boolean).join(', ')}.`;
-  if (topic === 'location' && locStr) return `Локация в деманде: ${locStr}.`;
+  if (topic === 'salary' && salaryStr) return T.bySalary(salaryStr);
+  if (topic === 'accommodation' && accomStr) return T.byAccommodation(accomStr);
+  if (topic === 'hours' && (hoursStr || schedStr)) return T.bySchedule([hoursStr, schedStr].filter(Boolean).join(', '));
+  if (topic === 'location' && locStr) return T.byLocation(locStr);
+  if (topic === 'language') return f.language ? T.byLanguage(f.language) : null;
 
   const line1 = [posStr, locStr, periodStr].filter(Boolean).join(' • ');
   const line2 = [salaryStr, accomStr, hoursStr || schedStr].filter(Boolean).join(' • ');
-  if (line1 && line2) return `По деманду вижу: ${line1}. Условия: ${line2}.`;
-  if (line1) return `По деманду вижу: ${line1}.`;
-  if (line2) return `Условия по деманду: ${line2}.`;
+  if (line1 && line2) return T.seen(line1, line2);
+  if (line1) return T.seenOnly(line1);
+  if (line2) return T.termsOnly(line2);
   return '';
 }
 
@@ -267,37 +328,27 @@ function fixGuaranteeStoryText(t=''){
   return String(t).replace(/клиент\s+(обещал|дал|гарантир\w*)/gi, 'агент обещал').replace(/100%\s*гарант\w+/gi, '«гарантию» (что само по себе подозрительно)');
 }
 
-/* ── Лёгкий детектор интентов (NLU-lite) ── */
-function detectIntent(userText=''){
-  const t = String(userText).toLowerCase();
-  if (/(когда|последн(ий|ый)|дата).*(регист|слот|посольств|запис)/i.test(t)) return 'ask_registration';
-  if (/(слот|очеред|термин|запис)/i.test(t)) return 'ask_slots';
-  if (/(что\s+нужно|какие\s+документ\w*\s+нужн|что\s+прислать)/i.test(t)) return 'ask_docs';
-  if (/(цена|стоим|сколько\s+стоит|прайс|fee|€|eur|czk)/i.test(t)) return 'ask_price';
-  if (/(кандидат\w+).*(сколько|есть|доступн)/i.test(t)) return 'ask_candidates';
-  if (/(локац|город|место|location)/i.test(t)) return 'ask_location';
-  if (/(жиль|accommodat|общежит|проживан)/i.test(t)) return 'ask_accommodation';
-  if (/(график|час(ов)?\s*в\s*месяц|смен|working\s*hours|work\s*time)/i.test(t)) return 'ask_hours';
-  if (/(что\s+делать|обязан|описани[ея]\s+работ|job\s*description)/i.test(t)) return 'ask_job';
+/* Ответ по делу на интент: факты Demand или позиция персоны (возврат, отказ в визе, язык); null — пусть отвечает модель */
+const FACT_TOPICS = { ask_price: 'salary', ask_accommodation: 'accommodation', ask_hours: 'hours', ask_location: 'location', ask_job: 'all', ask_language_requirements: 'language' };
+function answerIntent(intent, facts={}, locale){
+  const T = getLocale(locale).text;
+  const fact = FACT_TOPICS[intent] && Object.keys(facts).length ? formatFactsShort(facts, FACT_TOPICS[intent], locale) : null;
+  if (fact) return { text: fact, demand: true };
+  if (intent === 'ask_refund') return { text: T.refund };
+  if (intent === 'ask_visa_rejection') return { text: T.visaRejection };
+  if (intent === 'ask_language_requirements') return { text: T.languageAsk };
   return null;
 }
 
 /* ── Раппорт-вопросы при низком доверии ── */
-const RAPPORT_QUESTIONS = [
-  'Какая позиция и локация вас интересуют?',
-  'Сколько кандидатов хотите рассмотреть на старте?',
-  'Вы как агент/работодатель? Как к вам обращаться?',
-  'Есть ли требования к языку и жилью?'
-];
 function nextRapportQuestion(sid){
-  const S = getState(sid); const i = (S.turn || 0) % RAPPORT_QUESTIONS.length;
-  return RAPPORT_QUESTIONS[i];
+  const S = getState(sid); const Q = getLocale(localeOf(sid)).text.rapport;
+  return Q[(S.turn || 0) % Q.length];
 }
 
 /* Удаление любых просьб документов из текста (защита от «подсказок») */
-function stripDocAsks(t=''){
-  const r = /[^.?!]*(demand|деманд|b2b[-\s]*контракт|контракт\s*о\s*сотрудничестве|пришлите\s+документ|нужен\s+контракт|нужен\s+demand)[^.?!]*[.?!]/gi;
-  return String(t).replace(r, '').replace(/\s{2,}/g,' ').trim();
+function stripDocAsks(t='', locale){
+  return String(t).replace(getLocale(locale).cues.docAsk, '').replace(/\s{2,}/g,' ').trim();
 }
 
 /* ──────────────────────────────────────────────────────────────
@@ -329,11 +380,12 @@ const normalizeActions = (arr) =>
     .filter(a => ACTION_WHITELIST.includes(a))))
     .sort((a,b)=> (ACTION_ORDER.get(a)||99)-(ACTION_ORDER.get(b)||99));
 
-const REG_LONGTERM_MONTHS = 6;
+const REG_LONGTERM_MONTHS = PRICEBOOK.registrationRefund.months;
 const REG_SEASONAL_MONTHS = 3;
+const REG_REFUND_EUR = PRICEBOOK.registrationRefund.eur; // PRICEBOOK: возврат, если за REG_LONGTERM_MONTHS слота не было
 
-function registrationAnswer(){
-  return `По долгосрочному — ${REG_LONGTERM_MONTHS} мес назад; по сезонному — ${REG_SEASONAL_MONTHS} мес назад. Очереди нестабильные.`;
+function registrationAnswer(locale){
+  return getLocale(locale).text.registration(REG_LONGTERM_MONTHS, REG_SEASONAL_MONTHS);
 }
 
 /* ПРОГРЕСС СТАДИИ ОТ ДОКУМЕНТОВ (исключает повторы запросов) */
@@ -351,14 +403,15 @@ function stageFromProofs(sid){
 // Greeting — только на САМОМ первом ходе и если нет новых вложений
 function craftHumanGreeting({ base='', userText='', sid } = {}){
   const S = getState(sid);
+  const P = personaOf(sid);
   const isFirstTurn = (S.turn || 0) === 0;
   if (!isFirstTurn) return String(base||'').trim(); // не приветствуем повторно
 
-  const intro = /(меня зовут|я\s+(генераль|менедж|представител)|renovogo)/i.test(userText);
-  if (intro) return 'Виктор, рад знакомству. Слушаю вас.';
-  const variants = ['Здравствуйте.', 'Привет.', 'Добрый день.', 'Слушаю.'];
+  const intro = getLocale(P.locale).cues.intro.test(userText);
+  if (intro) return P.lines.introGreeting;
+  const variants = P.lines.greetings;
   const first = String(base||'').trim();
-  return forceMasculine(splitSentences(first)[0] || variants[Math.floor(Math.random()*variants.length)]);
+  return applyGender(splitSentences(first)[0] || variants[Math.floor(Math.random()*variants.length)], P.gender, P.locale);
 }
 
 // Не переписываем вопросы — Али остаётся покупателем кандидатов
@@ -371,34 +424,112 @@ function rewriteVacancyQuestionToSupplierRole(text=''){
    ────────────────────────────────────────────────────────────── */
 
 // Сообщения для модели
-function buildMessages({ history = [], message, trust, evidences, evidenceDetails }) {
+function buildMessages({ history = [], message, trust, evidences, evidenceDetails, persona = getPersona(), mood, pacing, afterSale }) {
   const sys = {
     role: 'system',
     content:
-      SYSTEM_PROMPT +
+      persona.prompt +
       `\n\n[Контекст]\n` +
       `— trust=${trust}; evidences=${JSON.stringify(evidences || [])}\n` +
+      (mood ? describeMood(mood) + `\n` : '') +
+      (describePacing(pacing) ? describePacing(pacing) + `\n` : '') +
+      (afterSale ? describeAfterSale(afterSale) + `\n` : '') +
       `— evidence_details=${JSON.stringify(evidenceDetails || {})}\n` +
-      PRICEBOOK + `\n` +
+      PRICEBOOK_PROMPT + `\n` +
       // Greeting: без опросника/продажи, максимум 4 предложения, JSON only
       `Правила Greeting: короткое приветствие без требований и без продажи. ` +
       `Документы проси только реактивно (если собеседник сам спросил «что нужно»). ` +
       `Никогда не инициируй оплату и не озвучивай цены. ` +
-      `Отвечай СТРОГО одним JSON-объектом. Будь кратким (до ${MAX_SENTENCES} предложений).`
+      `Отвечай СТРОГО одним JSON-объектом. Будь кратким (до ${MAX_SENTENCES} предложений).` +
+      (getLocale(persona.locale).prompt ? `\n\n${getLocale(persona.locale).prompt}` : '')
   };
   const trimmed = (history||[]).slice(-12).map(h => ({ role: h.role, content: h.content }));
   return [sys, ...trimmed, { role: 'user', content: message }];
 }
 
+// Каждая попытка — в llm_request_duration_seconds, повторные — ещё и в llm_retries_total
 async function createChatWithRetry(payload, tries = 2) {
-  let lastErr;
+  const provider = getProvider();
+  const labels = { provider: provider.name, kind: 'chat' };
+  let lastErr, attempt = 0;
   while (tries--) {
-    try { return await groq.chat.completions.create(payload); }
-    catch (e) { lastErr = e; }
+    if (attempt++) metrics.llmRetries.inc(labels);
+    const end = metrics.llmDuration.startTimer(labels);
+    try {
+      const resp = await provider.chat(payload);
+      end({ outcome: 'ok' });
+      return resp;
+    } catch (e) {
+      end({ outcome: 'error' });
+      log('warn', 'llm call failed', { ...labels, attempt, error: String(e?.message || e) });
+      lastErr = e;
+    }
   }
   throw lastErr;
 }
 
+// Ответ модели не разобрался и после repairJson/coerceReply: один повторный запрос — с её ответом и ошибкой разбора
+function reaskModel(payload, raw, error){
+  return createChatWithRetry({
+    ...payload,
+    messages: [
+      ...payload.messages,
+      { role: 'assistant', content: String(raw).slice(0, 2000) },
+      { role: 'user', content: `Предыдущий ответ не разобран (${error}). Повтори ответ ОДНИМ JSON-объектом без текста вокруг: ` +
+        `{"reply": "...", "stage": "${STAGES.join('|')}", "confidence": 0-100, "needEvidence": true|false, "suggestedActions": []}` }
+    ]
+  }, 1);
+}
+
+// Стриминг: ретраим только если упали ДО первого токена (иначе клиент уже что-то увидел).
+// onUsage(usage) — токены, если провайдер сообщил их в конце стрима
+async function createChatStreamWithRetry(payload, onChunk, onUsage, tries = 2) {
+  const provider = getProvider();
+  const labels = { provider: provider.name, kind: 'stream' };
+  let lastErr, attempt = 0;
+  while (tries--) {
+    if (attempt++) metrics.llmRetries.inc(labels);
+    const end = metrics.llmDuration.startTimer(labels);
+    let got = false;
+    try {
+      let full = '';
+      for await (const piece of provider.stream(payload, onUsage)) {
+        got = true; full += piece;
+        onChunk(full);
+      }
+      end({ outcome: 'ok' });
+      return full;
+    } catch (e) {
+      end({ outcome: 'error' });
+      log('warn', 'llm stream failed', { ...labels, attempt, afterFirstToken: got, error: String(e?.message || e) });
+      lastErr = e;
+      if (got) break;
+    }
+  }
+  throw lastErr;
+}
+
+/* Частичный JSON → текущее значение "reply" (для стрима, пока объект не закрыт) */
+const JSON_ESC = { '"':'"', '\\':'\\', '/':'/', b:'\b', f:'\f', n:'\n', r:'\r', t:'\t' };
+function partialReply(buf=''){
+  const m = /"reply"\s*:\s*"/.exec(buf);
+  if (!m) return '';
+  let out = '';
+  for (let i = m.index + m[0].length; i < buf.length; i++) {
+    const ch = buf[i];
+    if (ch === '"') break;
+    if (ch !== '\\') { out += ch; continue; }
+    const nx = buf[i+1];
+    if (nx === undefined) break;                  // оборванный escape — ждём следующий чанк
+    if (nx === 'u') {
+      const hex = buf.slice(i+2, i+6);
+      if (hex.length < 4) break;
+      out += String.fromCharCode(parseInt(hex, 16)); i += 5;
+    } else { out += JSON_ESC[nx] ?? nx; i += 1; }
+  }
+  return out;
+}
+
 /** Жёсткий редиректор любых формулировок «контракта/реквизитов работодателя» → наш B2B контракт */
 function redirectEmployerContractToCoop(text=''){
   let t = String(text || '');
@@ -426,15 +557,17 @@ const STOP_PHRASES = [
   'какие вакансии у вас сейчас открыты?'
 ];
 const MAX_SAME_PHRASE   = 1; // за всю сессию
-const COOLDOWN_TURNS    = 6; // кулдаун повторной фразы
-const MAX_QUESTIONS_IN_MSG = 1;
+const COOLDOWN_MS       = 360_000; // кулдаун повторной фразы — по времени хода (S.turnAt)
+// Вопросов в реплике — по настроению (mood.js): раздражённый не переспрашивает, заинтересованный — до двух
 
 function normPhrase(s){ return String(s||'').toLowerCase().replace(/[^\p{L}\p{N}\s?.!,-]/gu,'').trim(); }
 
 function repetitionGuard(reply, sid){
   const S = getState(sid);
-  const { phraseCounts, lastUsedTurn } = S.repeatStats;
-  const turn = S.turn;
+  const { phraseCounts } = S.repeatStats;
+  const lastUsedAt = (S.repeatStats.lastUsedAt ||= new Map()); // сессии до таймштампов — без неё
+  const now = S.turnAt || Date.now();
+  const { maxQuestions } = moodEffects(S.mood);
 
   let sentences = splitSentences(reply);
   const out = [];
@@ -445,26 +578,36 @@ function repetitionGuard(reply, sid){
 
     if (STOP_PHRASES.some(p => ns.includes(p))) continue;
 
-    const lastTurn = lastUsedTurn.get(ns) ?? -999;
-    if (turn - lastTurn < COOLDOWN_TURNS) continue;
+    if (lastUsedAt.has(ns) && now - lastUsedAt.get(ns) < COOLDOWN_MS) continue;
 
     const cnt = phraseCounts.get(ns) ?? 0;
     if (cnt >= MAX_SAME_PHRASE) continue;
 
     if (/\?\s*$/.test(s)) {
-      if (questionsUsed >= MAX_QUESTIONS_IN_MSG) continue;
+      if (questionsUsed >= maxQuestions) continue;
       questionsUsed++;
     }
 
     out.push(s);
     phraseCounts.set(ns, cnt + 1);
-    lastUsedTurn.set(ns, turn);
+    lastUsedAt.set(ns, now);
   }
 
   if (out.length === 0) return 'Ок.';
   return out.join(' ');
 }
 
+// Кулдаун готовых реплик вне repetitionGuard (контраргументы политики): та же карта lastUsedAt и то же время хода
+function phraseFresh(sid, line){
+  const S = getState(sid);
+  const at = S.repeatStats.lastUsedAt?.get(normPhrase(line));
+  return at === undefined || (S.turnAt || Date.now()) - at >= COOLDOWN_MS;
+}
+function markPhrase(sid, line){
+  const S = getState(sid);
+  (S.repeatStats.lastUsedAt ||= new Map()).set(normPhrase(line), S.turnAt || Date.now());
+}
+
 /* ──────────────────────────────────────────────────────────────
    ЧАСТЬ 5.1. POST-RULES (главная логика «клиента»)
    ────────────────────────────────────────────────────────────── */
@@ -473,28 +616,35 @@ const TRUST_DOCS_THRESHOLD = 60; // до этого уровня — никак
 
 function chooseObjection({ sid, userText='', trust=0, uniqEvidence=0, hasDemand=false, hasCoop=false, stage='Greeting' }){
   const S = getState(sid);
+  const P = personaOf(sid);
   const rnd = seededRand(sid);
-  const hasPriceTalk   = /(цена|стоим|дорог|price|€|eur|евро)/i.test(userText);
-  const mentionsPermit = /(разрешен(ие|я)\s+на\s*работ|work\s*permit|zaměstnanecká|povolen[ií])/i.test(userText);
-  const mentionsSlots  = /(слот|очеред|термин|запис)/i.test(userText);
-  const mentionsPay    = /(оплат|сч[её]т|инвойс|банк|pay|invoice)/i.test(userText);
-
-  const poolBudget = ['Честно, для меня это сейчас дорого.', 'Пока не готов закрывать всю сумму.'];
-  const poolAfterPermit = ['Предпочитаю оплату после визы или хотя бы подтверждения регистрации.'];
-  const poolSlots = ['Сначала запись/подтверждение, потом вернусь к оплате.'];
-  const poolDelay = ['Возьму время на внутреннюю проверку и подберу кандидатов.'];
-
+  const C = getLocale(P.locale).cues;
+  const hasPriceTalk   = C.price.test(userText);
+  const mentionsPermit = C.permit.test(userText);
+  const mentionsSlots  = C.slots.test(userText);
+  const mentionsPay    = C.pay.test(userText);
+
+  const poolBudget = P.objections.budget;
+  const poolAfterPermit = P.objections.afterPermit;
+  const poolSlots = P.objections.slots;
+  const poolDelay = P.objections.delay;
+
+  // Настроение: раздражённый на любой триггер берёт паузу (delay); подозрительный сомневается и без повода —
+  // возвращается к цене, если прошлое возражение было о ней («согласился, а потом передумал»)
+  const mood = moodEffects(S.mood, trust);
   const hasTrigger = hasPriceTalk || mentionsPermit || mentionsSlots || mentionsPay || stage === 'Payment';
-  if (!hasTrigger) return null;
+  if (!hasTrigger && !mood.doubting) return null;
 
   let chosen = '';
-  if (hasPriceTalk)        chosen = poolBudget[Math.floor(rnd()*poolBudget.length)];
+  if (!hasTrigger)         chosen = poolBudget.includes(S.lastObjection) ? poolBudget[Math.floor(rnd()*poolBudget.length)] : poolDelay[Math.floor(rnd()*poolDelay.length)];
+  else if (mood.irritated) chosen = poolDelay[Math.floor(rnd()*poolDelay.length)];
+  else if (hasPriceTalk)   chosen = poolBudget[Math.floor(rnd()*poolBudget.length)];
   else if (mentionsPermit) chosen = poolAfterPermit[0];
   else if (mentionsSlots)  chosen = poolSlots[0];
   else                     chosen = poolDelay[Math.floor(rnd()*poolDelay.length)];
 
   if (S.lastObjection && S.lastObjection.toLowerCase() === chosen.toLowerCase()) {
-    chosen = 'Давайте аккуратно, без лишних рисков.';
+    chosen = P.objections.fallback;
   }
   S.lastObjection = chosen;
 
@@ -507,27 +657,31 @@ function chooseObjection({ sid, userText='', trust=0, uniqEvidence=0, hasDemand=
   return { text: chosen, stage: stageSuggestion };
 }
 
-function postRules({ parsed, trust, evidences, history, userText, sid, evidenceDetails }) {
+function postRules({ parsed, trust, evidences, history, userText, sid, evidenceDetails, intents }) {
   const S = getState(sid);
+  const P = personaOf(sid);
+  const L = getLocale(P.locale);
   S.turn = (S.turn || 0) + 1;
 
   // 0) Нормализуем вход
   userText = redirectEmployerContractToCoop(userText);
   const inc = new Set((evidences || []).filter(k => !S.seenEvidences.has(k)));
-  const intent = detectIntent(userText);
+  // Интенты — от классификатора (runLLM); без них — по правилам языка. Отвечаем на главные (до двух).
+  const top = topIntents(intents || classifyRules(userText, P.locale));
+  const asked = (...names) => top.some(x => names.includes(x.intent));
 
   let reply = String(parsed.reply || '').trim();
   const setActions = new Set(parsed.suggestedActions || []);
 
   // Быстрый ответ «кто ты?»
-  if (/(как.*зовут|вас зовут|ваше имя|who are you)/i.test(userText)) {
-    reply = 'Меня зовут Али.';
+  if (L.cues.askName.test(userText)) {
+    reply = P.lines.whoAmI;
     parsed.stage ??= 'Greeting';
   }
 
   // Регистрация/слоты — по делу
-  if (intent === 'ask_registration' || intent === 'ask_slots') {
-    reply = registrationAnswer();
+  if (asked('ask_registration', 'ask_slots')) {
+    reply = registrationAnswer(P.locale);
     parsed.stage = 'Demand';
     parsed.needEvidence = false;
   }
@@ -541,39 +695,37 @@ function postRules({ parsed, trust, evidences, history, userText, sid, evidenceD
     reply = rewriteVacancyQuestionToSupplierRole(reply);
   }
 
-  // DEMAND-факты — если менеджер спросил
-  const DF = getDemandFacts(sid);
-  if (Object.keys(DF).length) {
-    if (intent === 'ask_price')        { reply = formatFactsShort(DF,'salary') || reply; parsed.stage ??= 'Demand'; }
-    else if (intent === 'ask_accommodation') { reply = formatFactsShort(DF,'accommodation') || reply; parsed.stage ??= 'Demand'; }
-    else if (intent === 'ask_hours')   { reply = formatFactsShort(DF,'hours') || reply; parsed.stage ??= 'Demand'; }
-    else if (intent === 'ask_location'){ reply = formatFactsShort(DF,'location') || reply; parsed.stage ??= 'Demand'; }
-    else if (intent === 'ask_job')     { reply = formatFactsShort(DF,'all') || reply; parsed.stage ??= 'Demand'; }
+  // DEMAND-факты и позиции по главным интентам — если менеджер спросил («зарплата и жильё?» — оба ответа)
+  const answers = top.map(x => answerIntent(x.intent, getDemandFacts(sid), P.locale)).filter(Boolean);
+  if (answers.length) {
+    reply = joinUniqueSentences(answers.map(a => a.text));
+    if (answers.some(a => a.demand)) parsed.stage ??= 'Demand';
   }
 
-  // Тихо фиксируем материалы
+  // Тихо фиксируем материалы (со временем хода)
+  const bump = (key, details) => bumpEvidence(sid, key, details, S.turnAt || Date.now());
   if (inc.has('business_card') || (evidenceDetails && evidenceDetails.business_card)) {
-    bumpEvidence(sid, 'business_card', evidenceDetails?.business_card);
+    bump('business_card', evidenceDetails?.business_card);
   }
   if (inc.has('demand_letter')) {
-    bumpEvidence(sid, 'demand_letter');
+    bump('demand_letter');
     const facts = extractDemandFactsFromDetails(evidenceDetails || {});
     if (Object.keys(facts).length) setDemandFacts(sid, facts);
   }
-  if (inc.has('sample_contract_pdf')) bumpEvidence(sid, 'sample_contract_pdf');
-  if (inc.has('coop_contract_pdf'))   bumpEvidence(sid, 'coop_contract_pdf');
+  if (inc.has('sample_contract_pdf')) bump('sample_contract_pdf');
+  if (inc.has('coop_contract_pdf'))   bump('coop_contract_pdf');
   for (const key of ['visa_sample','presentation','video','website','company_registry','reviews','registry_proof','price_breakdown','slot_plan','invoice_template','nda']) {
-    if (inc.has(key)) bumpEvidence(sid, key, evidenceDetails?.[key]);
+    if (inc.has(key)) bump(key, evidenceDetails?.[key]);
   }
 
   // ── Trust-гард: пока доверие ниже порога и НЕ спросили «что нужно»,
   //     Али не просит документы и не даёт подсказок.
   const lowTrust = trust < TRUST_DOCS_THRESHOLD;
-  const askedDocs = intent === 'ask_docs';
+  const askedDocs = asked('ask_docs');
 
   if (lowTrust && !askedDocs) {
     // вырезаем из ответа любые просьбы документов/подсказки и не добавляем actions
-    reply = stripDocAsks(reply);
+    reply = stripDocAsks(reply, P.locale);
     setActions.delete('ask_demands');
     setActions.delete('ask_coop_contract');
 
@@ -590,13 +742,13 @@ function postRules({ parsed, trust, evidences, history, userText, sid, evidenceD
     const hasDemandEv = hasEvidence(sid,'demand_letter');
     const hasCoopEv   = hasEvidence(sid,'coop_contract_pdf');
     if (!hasDemandEv || !hasCoopEv) {
-      reply = 'Обычно достаточно описания вакансии (Demand) и нашего B2B-контракта.';
+      reply = L.text.docsNeeded;
       parsed.stage = hasDemandEv ? 'Contract' : 'Demand';
       parsed.needEvidence = true;
       if (!hasDemandEv) setActions.add('ask_demands');
       if (!hasCoopEv)   setActions.add('ask_coop_contract');
     } else {
-      reply = 'Документы уже есть. Давайте обсудим кандидатов.';
+      reply = L.text.docsHave;
       parsed.stage = 'Candidate';
       parsed.needEvidence = false;
     }
@@ -612,8 +764,8 @@ function postRules({ parsed, trust, evidences, history, userText, sid, evidenceD
   if (hasEvidence(sid,'coop_contract_pdf')) setActions.delete('ask_coop_contract');
 
   // Оплата — только реактивно
-  if (/(банк|банковск|crypto|крипто|usdt|btc|eth|криптовалют)/i.test(userText) && /оплат|плат[её]ж|инвойс|сч[её]т/i.test(userText)) {
-    reply = 'Предпочитаю оплату после визы или как минимум после подтверждения регистрации. Крипту не люблю, счёт — банковский.';
+  if (L.cues.payMethod.test(userText) && L.cues.payWords.test(userText)) {
+    reply = L.text.paymentPref;
     parsed.stage = 'Payment';
     parsed.needEvidence = false;
   }
@@ -622,7 +774,10 @@ function postRules({ parsed, trust, evidences, history, userText, sid, evidenceD
   const uniqEvidence = evidenceCountUnique(sid);
   const hasDemandEv = hasEvidence(sid,'demand_letter');
   const hasCoopEv   = hasEvidence(sid,'coop_contract_pdf');
-  if ((parsed.stage === 'Payment' && trust < 90) || /(цена|дорог|оплат|сч[её]т|инвойс)/i.test(userText)) {
+  // Про оплату политика ответит своим контраргументом (finishTurn) — платёжное возражение поверх него не добавляем
+  const rebutted = policyTriggers({ stage: parsed.stage, trust, userText, enabled: policyFor(P), locale: P.locale })
+    .fired.some(id => PAYMENT_RULES.includes(id));
+  if (!rebutted && ((parsed.stage === 'Payment' && trust < 90) || L.cues.objection.test(userText) || moodEffects(S.mood, trust).doubting)) {
     const obj = chooseObjection({ sid, userText, trust, uniqEvidence, hasDemand: hasDemandEv, hasCoop: hasCoopEv, stage: parsed.stage });
     if (obj) {
       reply = obj.text;
@@ -642,7 +797,7 @@ function postRules({ parsed, trust, evidences, history, userText, sid, evidenceD
   reply = cleanSales(reply);
   reply = stripSalesy(reply);
   reply = fixGuaranteeStoryText(reply);
-  reply = forceMasculine(reply);
+  reply = applyGender(reply, P.gender, P.locale);
   reply = limitSentences(reply, MAX_SENTENCES);
 
   // Анти-луп/повторы → осмысленный фолбэк
@@ -660,7 +815,7 @@ function postRules({ parsed, trust, evidences, history, userText, sid, evidenceD
   parsed.reply = reply.trim();
   parsed.suggestedActions = normalizeActions(Array.from(setActions));
 
-  if (/(demand|контракт|документ|полный контракт|сотрудничеств)/i.test(parsed.reply) && (!parsed.stage || parsed.stage === 'Greeting')) {
+  if (L.cues.docTalk.test(parsed.reply) && (!parsed.stage || parsed.stage === 'Greeting')) {
     parsed.stage = 'Demand';
   }
 
@@ -671,74 +826,66 @@ function postRules({ parsed, trust, evidences, history, userText, sid, evidenceD
    ЧАСТЬ 5.2. УСЛОВИЯ ПОКУПКИ И ПОЗИЦИЯ АЛИ
    ────────────────────────────────────────────────────────────── */
 
+/*
+  Политика Али: позиция по стадии + контраргументы на давление, предоплату, «только крипту», торг и
+  нереальные сроки. Слой между postRules и решением о покупке. Каждое правило включается/выключается
+  персоной (persona.policy) или вызовом (overrides); сработавшие id уходят в meta.policy.
+  Триггеры, контраргументы и позиции по стадиям — на языке сессии (locales.js: rebuttals, paymentGate, stance).
+*/
+const REBUTTAL_IDS = ['pressure', 'prepay', 'cryptoOnly', 'discount', 'unrealDeadline'];
+const POLICY_IDS = [...REBUTTAL_IDS, 'paymentGate'];
+const PAYMENT_RULES = ['prepay', 'cryptoOnly', 'paymentGate']; // перекрываются с возражением об оплате (postRules)
+
+// Все правила включены; персона и вызов могут выключить/включить отдельные ({ discount: false })
+function policyFor(persona, overrides = {}){
+  const on = Object.fromEntries(POLICY_IDS.map(id => [id, true]));
+  return { ...on, ...(persona?.policy || {}), ...overrides };
+}
+
+// Какие правила политики сработают на реплику: id и их контраргументы (на языке сессии)
+function policyTriggers({ stage = 'Greeting', trust = 0, userText = '', enabled = policyFor(), locale } = {}){
+  const L = getLocale(locale);
+  const fired = [];
+  const rebuttals = [];
+  for (const id of REBUTTAL_IDS) {
+    const r = L.rebuttals[id];
+    if (enabled[id] && r.rx.test(userText)) { fired.push(id); rebuttals.push(r.line); }
+  }
+  if (enabled.paymentGate && stage === 'Payment' && trust < 90) {
+    fired.push('paymentGate');
+    rebuttals.push(L.paymentGate);
+  }
+  return { fired, rebuttals };
+}
+
+// isFresh(line) — контраргумент не звучал недавно (кулдаун); повтор не произносится, но в fired остаётся
 function applyAliPurchasePolicy({
   reply = '',
   stage = 'Greeting',
   trust = 0,
-  evidences = [],
   userText = '',
-  sid = 'default',
   hasDemandEv = false,
-  hasCoopEv = false
+  hasCoopEv = false,
+  enabled = policyFor(),
+  locale,
+  isFresh = () => true
 } = {}) {
-  const rx = {
-    pressure: /(срочн|прямо сейчас|немедленн|today|сегодня|within\s*24|24\s*час)/i,
-    prepay: /(предоплат|аванс|оплатить\s*до|до\s*визы|advance\s*payment)/i,
-    cryptoOnly: /(только\s*крипт|only\s*crypto)/i,
-    discount: /(скидк|дешевле|сбросьте\s*цену|дискаунт)/i,
-    unrealDeadline: /(2\s*дня|48\s*час|за\s*два\s*дня|через\s*сутки)/i,
-    payBeforeDocs: /(оплат.*(до|без)\s*(документ|контракт|demand|регистрац))/i
-  };
-
-  const baseByStage = {
-    Greeting:  'Давайте начнём с сути вопроса.',
-    Demand:    'Сначала описание вакансии и проверяемость.',
-    Contract:  'Хочу видеть договорённости на бумаге.',
-    Candidate: 'Готов двигаться аккуратно.',
-    Payment:   'Предпочитаю банковский счёт.',
-    Closing:   'Окей, на связи.'
-  };
-
-  const rebuttals = [];
-  if (rx.pressure.test(userText)) rebuttals.push('Мне некомфортно при давлении.');
-  if (rx.prepay.test(userText) || rx.payBeforeDocs.test(userText)) rebuttals.push('Предоплату не рассматриваю. Сначала подтверждения по документам.');
-  if (rx.cryptoOnly.test(userText)) rebuttals.push('Крипту не люблю. Если дойдём до оплаты — предпочту банковский счёт.');
-  if (rx.discount.test(userText)) rebuttals.push('Торг тут не главное — важнее прозрачность и проверяемость.');
-  if (rx.unrealDeadline.test(userText)) rebuttals.push('Сроки «за два дня» звучат нереалистично.');
-
-  let needEvidence = undefined;
-  if (stage === 'Payment' && trust < 90) {
-    rebuttals.push('Нужна уверенность в процессе. Платежи — после подтверждений.');
-    needEvidence = needEvidence ?? (!hasDemandEv || !hasCoopEv);
-  }
+  const L = getLocale(locale);
+  const { fired, rebuttals } = policyTriggers({ stage, trust, userText, enabled, locale });
+  if (!fired.length) return null;
 
-  const merged = joinUniqueSentences([baseByStage[stage] || '', rebuttals.join(' ')]).trim();
-  if (!merged) return null;
+  const needEvidence = fired.includes('paymentGate') ? !hasDemandEv || !hasCoopEv : undefined;
+  const lines = rebuttals.filter(isFresh);
 
-  return { reply: merged, stage, needEvidence, actions: [] };
+  // Контраргумент — первым; ответ модели (или позиция по стадии, если он пуст) — следом
+  const merged = limitSentences(joinUniqueSentences([lines.join(' '), reply || L.stance[stage] || '']), MAX_SENTENCES);
+  return { reply: merged, stage, needEvidence, actions: [], fired, lines };
 }
 
 /* ──────────────────────────────────────────────────────────────
    ЧАСТЬ 5.3. АЛИ ПОКУПАЕТ (вероятности, условия, крипта/банк)
    ────────────────────────────────────────────────────────────── */
 
-function evaluateObjectionHandling(text=''){
-  const t = String(text).toLowerCase();
-  let score = 0;
-  const pats = [
-    /(понимаю|не\s*настаиваю|спокойно|без\s*давления)/i,
-    /(вопрос\s*не\s*в\s*цене|ценност|репутац|долгосроч)/i,
-    /(начн[её]м?\s*с\s*одн(ого|ого\s*клиент|ого\s*кандид))/i,
-    /(проверьте\s*работу|проверить\s*работу|мисси|партнер|партнёр|над[её]жн)/i,
-    /(не\s*отвечайте\s*сейчас|как\s*будете\s*готовы)/i
-  ];
-  for (const r of pats) if (r.test(t)) score++;
-  let level = 'none', bonus = 0;
-  if (score >= 4) { level = 'strong'; bonus = 0.10; }
-  else if (score >= 2) { level = 'weak'; bonus = 0.03; }
-  return { level, bonus, score };
-}
-
 function evaluateCryptoPitch(text=''){
   const t = String(text).toLowerCase();
   let score = 0;
@@ -777,13 +924,6 @@ function chooseCandidateCount(rnd = Math.random){
   return 8 + Math.floor(rnd()*3); // 8–10
 }
 
-function pluralRu(n, one, few, many){
-  const n10 = n % 10, n100 = n % 100;
-  if (n10 === 1 && n100 !== 11) return one;
-  if (n10 >= 2 && n10 <= 4 && (n100 < 12 || n100 > 14)) return few;
-  return many;
-}
-
 /**
  * Принятие решения о «покупке».
  * В режиме SIMULATOR_PAYMENT_SENT=1 Али говорит:
@@ -796,7 +936,8 @@ function applyAliPurchaseDecision({
   trust = 0,
   evidences = [],
   userText = '',
-  sid = 'default'
+  sid = 'default',
+  locale
 } = {}) {
   const S = getState(sid);
   if (S.alreadyCommitted) return null;
@@ -816,7 +957,7 @@ function applyAliPurchaseDecision({
     return 0.01; // t ∈ [70..79]
   }
 
-  const objectionFx = evaluateObjectionHandling(userText);
+  const objectionFx = evaluateObjectionHandling(userText, locale);
   const cryptoFx = evaluateCryptoPitch(userText);
 
   let pBuy = baseProbByTrust(trust) + objectionFx.bonus;
@@ -831,25 +972,18 @@ function applyAliPurchaseDecision({
 
   const simMode = process.env.SIMULATOR_PAYMENT_SENT === '1';
 
-  let buyLine;
-  if (simMode) {
-    // ✅ Тренажёр: финал как ты хотел
-    const via = wantsCrypto ? 'в криптовалюте' : 'по банковскому счёту';
-    buyLine = `Перевод отправлен за ${candidates} кандидат${pluralRu(candidates,'а','ов','ов')}, принимайте деньги у себя ${wantsCrypto ? '(в крипто)' : '(на счёту)'}. Оплата ${via}.`;
-  } else {
-    // 🔒 Боевой режим: просим реквизиты
-    buyLine = `Я готов с вами сотрудничать. Стартуем с ${candidates} кандидат${pluralRu(candidates,'ом','ами','ами')}. `;
-    buyLine += wantsCrypto
-      ? 'Предоставьте, пожалуйста, криптовалютные реквизиты для оплаты.'
-      : 'Предоставьте, пожалуйста, банковский счёт для оплаты.';
-  }
+  // ✅ Тренажёр: «перевод отправлен»; 🔒 боевой режим: просим реквизиты
+  const T = getLocale(locale).text.purchase;
+  const buyLine = simMode ? T.sent(candidates, wantsCrypto) : T.ready(candidates, wantsCrypto);
 
   S.alreadyCommitted = true;
   return {
     reply: buyLine,
     stage: 'Payment',
     needEvidence: false,
-    actions: simMode ? [] : ['invoice_request']
+    actions: simMode ? [] : ['invoice_request'],
+    mode: simMode ? 'sent' : 'ready',
+    candidates
   };
 }
 
@@ -857,45 +991,146 @@ function applyAliPurchaseDecision({
    ЧАСТЬ 5.4. LLM-ОРКЕСТРАТОР (runLLM)
    ────────────────────────────────────────────────────────────── */
 
-async function runLLM({ history, message, evidences, stage, sessionId='default', evidenceDetails }) {
-  const trust = computeTrust({
-    baseTrust: 20,
-    evidences: Array.from(new Set(evidences || [])),
-    history: history || [],
-    lastUserText: message || ''
-  });
+/*
+  История диалога — на сервере (S.history): каждый ход дописывает реплику менеджера и ответ со стадией.
+  По ней считаются доверие и контекст модели. История клиента принимается один раз — импортом в сессию без ходов,
+  и без стадий (их не проверить: поддельная «Contract» открыла бы бонусы); дальше она только сверяется с серверной.
+*/
+const HISTORY_MAX = 50; // как и у истории из запроса (sanitizeHistory)
+const historyKey = (h) => `${h.role}\u0000${String(h.content || '').replace(/<[^>]+>/g, '').trim()}`;
 
-  const safeMessage = redirectEmployerContractToCoop(message || '');
+function sessionHistory(sid, clientHistory){
+  const S = getState(sid);
+  const client = sanitizeHistory(clientHistory);
+  if (!S.turn && !S.history.length && client.length) {
+    S.history = client.map(({ role, content }) => ({ role, content }));
+    return { history: [...S.history], imported: [...S.history] };
+  }
+  // Клиент шлёт хвост истории: совпадать должен с концом серверной
+  const tail = S.history.slice(-client.length);
+  const mismatch = client.length > 0 && (client.length > S.history.length || client.some((h, i) => historyKey(h) !== historyKey(tail[i])));
+  if (mismatch) log('warn', 'client history differs from the session history; ignored', { client: client.length, server: S.history.length });
+  return { history: [...S.history], ...(mismatch ? { mismatch } : {}) };
+}
 
-  const messages = buildMessages({
-    history, message: safeMessage, trust, evidences, evidenceDetails
+function pushHistory(list, user, reply, stage, at){
+  list.push({ role: 'user', content: user, at }, { role: 'assistant', content: reply, stage, at });
+  if (list.length > HISTORY_MAX) list.splice(0, list.length - HISTORY_MAX);
+  return list;
+}
+
+/* Темп хода (pacing.js): время хода запоминается в S.turnAt — по нему анти-повторы и учёт доказательств */
+function paceTurn(sid, persona, { history, evidences = [], message, now }){
+  const S = getState(sid);
+  S.turnAt = now;
+  return pacingOf({ history, now, seen: S.seenEvidences, evidences, text: message, locale: persona.locale });
+}
+
+// В meta и в запись хода — только если темп на что-то повлиял
+function pacingMeta(p){
+  if (!p?.silence && !p?.dump) return null;
+  return { gapSec: p.gapSec, silence: p.silence, explained: p.explained, docs: p.docs, dump: p.dump };
+}
+
+/* Настроение после реплики менеджера (mood.js): новые доказательства и ещё не озвученные несоответствия — до postRules */
+function moodTurn(sid, persona, { message, evidences = [], discrepancies = [] }){
+  const S = getState(sid);
+  S.mood = updateMood(S.mood, persona, {
+    text: message,
+    locale: persona.locale,
+    newEvidences: evidences.filter(k => !S.seenEvidences.has(k)).length,
+    discrepancies: discrepancies.filter(d => !S.checksRaised.includes(d.code)).length
   });
+  return S.mood;
+}
 
-  const resp = await createChatWithRetry({
-    model: MODEL,
-    temperature: TEMPERATURE,
-    top_p: 0.9,
-    frequency_penalty: 0.4,
-    presence_penalty: 0.0,
-    max_tokens: REPLY_MAX_TOKENS,
-    response_format: { type: 'json_object' },
-    messages
+/* Доверие хода — с базой и весами персоны и штрафами за несоответствия в документах */
+function scoreTurn({ persona, evidences, history, message, discrepancies = [], pacing }){
+  return explainTrust({
+    baseTrust: persona.trust.baseTrust,
+    weights: persona.trust.weights,
+    evidences: Array.from(new Set(evidences || [])),
+    history: history || [],
+    lastUserText: message || '',
+    discrepancies,
+    locale: persona.locale,
+    pacing
+  });
+}
+
+/* Сверка документов на ходу: факты Demand (сессии + пришедшие сейчас), детали файлов, все реплики менеджера */
+function checkTurn(sid, { history = [], message = '', evidences = [], evidenceDetails = {} }){
+  const fresh = evidences.includes('demand_letter') ? extractDemandFactsFromDetails(evidenceDetails || {}) : {};
+  return checkEvidence({
+    facts: { ...getDemandFacts(sid), ...fresh },
+    details: { ...getState(sid).evidenceDetails, ...(evidenceDetails || {}) },
+    texts: [...(history || []).filter(h => h.role === 'user').map(h => h.content), message],
+    locale: localeOf(sid)
   });
+}
 
-  const raw = resp?.choices?.[0]?.message?.content || '{}';
-  const json = extractFirstJsonObject(raw) || { reply: '' };
+/*
+  Поля ответа модели → схема LLMShape: стадия в другом регистре, действие строкой или «Ask demands»,
+  числа и булевы строками. Неприводимые стадия и действия отбрасываются (стадию возьмёт postRules из запроса).
+  Возвращает список приведённых полей.
+*/
+function coerceReply(obj){
+  const out = { ...obj }, coerced = [];
+  if (out.reply != null && typeof out.reply !== 'string' && typeof out.reply !== 'object') {
+    out.reply = String(out.reply); coerced.push('reply');
+  }
+  if (out.stage != null && !STAGES.includes(out.stage)) {
+    const st = STAGES.find(x => x.toLowerCase() === String(out.stage).trim().toLowerCase());
+    if (st) out.stage = st; else delete out.stage;
+    coerced.push('stage');
+  }
+  if (out.confidence != null && !(typeof out.confidence === 'number' && out.confidence >= 0 && out.confidence <= 100)) {
+    const n = Number(out.confidence);
+    if (Number.isFinite(n)) out.confidence = clamp(n, 0, 100); else delete out.confidence;
+    coerced.push('confidence');
+  }
+  if (out.needEvidence != null && typeof out.needEvidence !== 'boolean') {
+    out.needEvidence = ['true', '1', 'yes'].includes(String(out.needEvidence).toLowerCase());
+    coerced.push('needEvidence');
+  }
+  if (out.suggestedActions != null) {
+    const list = Array.isArray(out.suggestedActions) ? out.suggestedActions : [out.suggestedActions];
+    const norm = list.map(a => String(a).trim().toLowerCase().replace(/[\s-]+/g, '_')).filter(a => ACTION_WHITELIST.includes(a));
+    if (norm.length !== list.length || norm.some((a, i) => a !== list[i])) coerced.push('suggestedActions');
+    out.suggestedActions = norm;
+  }
+  return { value: out, coerced };
+}
 
-  let parsed;
-  try {
-    parsed = LLMShape.parse(json);
-  } catch {
-    parsed = null;
+/*
+  Сырой ответ модели → { parsed, path: 'clean'|'repaired'|'coerced' } или { error, reason: 'no_json'|'schema' }.
+  Ошибка — текст для повторного запроса к модели (runLLM) и для лога.
+*/
+function parseModelReply(raw){
+  const json = repairJson(raw);
+  if (!json || typeof json.value !== 'object' || Array.isArray(json.value) || json.value === null) {
+    return { error: 'the answer contains no JSON object', reason: 'no_json' };
+  }
+  const { value, coerced } = coerceReply(json.value);
+  const r = LLMShape.safeParse(value);
+  if (!r.success) {
+    return { error: r.error.issues.map(i => `${i.path.join('.') || 'object'}: ${i.message}`).join('; '), reason: 'schema' };
   }
+  return { parsed: r.data, path: coerced.length ? 'coerced' : json.repaired ? 'repaired' : 'clean' };
+}
+
+/*
+  Сырой ответ модели → итог хода: разбор JSON, пост-правила, политика Али, хук «покупки».
+  Без сети — поэтому тот же путь используется и для replay записанных диалогов.
+*/
+function finishTurn({ raw, trust, stage, evidences, history, userText, sid, evidenceDetails, persona, discrepancies = [], intents, forcedStage, pacing }) {
+  const model = parseModelReply(raw);
+  let parsed = model.parsed || null;
+  const recovery = parsed ? model.path : 'fallback'; // для метрики в runLLM
 
   if (!parsed) {
-    const fb = stage === 'Payment'
-      ? 'Мне важны подтверждения по документам.'
-      : 'Опишите, пожалуйста, предложение или пришлите документы.';
+    const FB = getLocale(persona.locale).text.fallback;
+    const fb = stage === 'Payment' ? FB.payment : FB.other;
     parsed = {
       reply: fb,
       confidence: Math.max(0, Math.min(60, trust)),
@@ -917,29 +1152,357 @@ async function runLLM({ history, message, evidences, stage, sessionId='default',
     trust,
     evidences,
     history,
-    userText: safeMessage,
-    sid: sessionId || 'default',
-    evidenceDetails
+    userText,
+    sid,
+    evidenceDetails,
+    intents
+  });
+
+  // Стадия, навязанная тренером (admin API): политика и «покупка» ниже видят уже её
+  if (forcedStage) parsed.stage = forcedStage;
+
+  // Политика: контраргументы на давление/предоплату/торг и т.п. (что сработало — в meta.policy)
+  const policy = applyAliPurchasePolicy({
+    reply: parsed.reply,
+    stage: parsed.stage,
+    trust,
+    userText,
+    hasDemandEv: hasEvidence(sid, 'demand_letter'),
+    hasCoopEv: hasEvidence(sid, 'coop_contract_pdf'),
+    enabled: policyFor(persona),
+    locale: persona.locale,
+    isFresh: (line) => phraseFresh(sid, line)
   });
 
+  if (policy) {
+    policy.lines.forEach(line => markPhrase(sid, line));
+    parsed.reply = applyGender(policy.reply, persona.gender, persona.locale);
+    if (policy.needEvidence !== undefined) parsed.needEvidence = policy.needEvidence;
+  }
+
+  // Придирки к документам: одно несоответствие за реплику, каждое — один раз за сессию
+  const S = getState(sid);
+  const nitpick = discrepancies.find(d => !S.checksRaised.includes(d.code));
+  if (nitpick) {
+    S.checksRaised.push(nitpick.code);
+    parsed.reply = applyGender(limitSentences(joinUniqueSentences([nitpick.objection, parsed.reply]), MAX_SENTENCES), persona.gender, persona.locale);
+  }
+
+  // Темп: «вы пропали на два дня» / «не так быстро» — первой фразой
+  const paceLine = pacingLine(pacing, persona.locale);
+  if (paceLine) {
+    parsed.reply = applyGender(limitSentences(joinUniqueSentences([paceLine, parsed.reply]), MAX_SENTENCES), persona.gender, persona.locale);
+  }
+
+  // Выход (exit.js): прощание вместо ответа, сессия закрыта до сброса
+  const exit = exitReply(S, persona, { text: userText, trust });
+  if (exit) {
+    parsed.reply = exit.reply;
+    parsed.stage = 'Closing';
+    parsed.needEvidence = false;
+    parsed.suggestedActions = ['goodbye'];
+    return { result: parsed, policy: policy?.fired || [], nitpick: nitpick?.code, recovery, parseFailed: model.reason, exit: exit.reason };
+  }
+
+  // После сделки, но у собеседника реплики нет (слот назван, возврат подтверждён, месяц ещё не прошёл) — ответила модель,
+  // фаза всё равно идёт дальше (booked → done); реплики фаз — в afterSaleReplyTurn, без модели
+  const after = afterSaleNext(sid, persona, userText);
+  if (after) S.afterSale = after.state;
+
   // ★ ХУК «ПОКУПКИ»: даём шанс на финал «Перевод отправлен…» в тренажёрном режиме
   const decision = applyAliPurchaseDecision({
     reply: parsed.reply,
     stage: parsed.stage,
     trust,
     evidences,
-    userText: safeMessage,
-    sid: sessionId || 'default'
+    userText,
+    sid,
+    locale: persona.locale
   });
 
   if (decision) {
-    parsed.reply = decision.reply;
+    parsed.reply = applyGender(decision.reply, persona.gender, persona.locale);
     parsed.stage = decision.stage;
     parsed.needEvidence = !!decision.needEvidence;
     parsed.suggestedActions = normalizeActions([...(parsed.suggestedActions||[]), ...(decision.actions||[])]);
+    S.afterSale = startAfterSale({ candidates: decision.candidates, turn: S.turn, at: S.turnAt });
+  }
+
+  return { result: parsed, policy: policy?.fired || [], nitpick: nitpick?.code, recovery, parseFailed: model.reason, purchase: decision?.mode, afterSale: after?.event };
+}
+
+// Выход (exit.js): повторные гарантии/«связи», доверие на нуле, давление подряд — прощание, сессия закрыта до сброса
+function exitReply(S, persona, { text, trust }){
+  const exit = exitCheck(S.exit, persona, { text, locale: persona.locale, trust });
+  S.exit = exit.counters;
+  if (!exit.reason) return null;
+  S.closed = { reason: exit.reason, turn: S.turn, at: S.turnAt || Date.now() };
+  return { reason: exit.reason, reply: applyGender(getLocale(persona.locale).text.exit[exit.reason], persona.gender, persona.locale) };
+}
+
+// Следующий шаг после сделки: фаза — в S.afterSale (сделку отметил тренер — начинаем с одного кандидата); до сделки — null.
+// Месяцы ожидания — по времени хода (S.turnAt, его ставит paceTurn). Состояние не меняет: сохраняет тот, кто ход доиграл
+function afterSaleNext(sid, persona, userText){
+  const S = getState(sid);
+  if (!S.alreadyCommitted) return null;
+  return afterSaleStep(S.afterSale || startAfterSale({ turn: S.turn, at: S.turnAt }), {
+    text: userText, locale: persona.locale, at: S.turnAt, longtermMonths: REG_LONGTERM_MONTHS, refundEur: REG_REFUND_EUR
+  });
+}
+
+// После сделки у собеседника своя реплика по фазе (паспорта, запись, задержки, возврат): runLLM решает это до вызова
+// модели — токены не тратятся, стрим не показывает ответ, который заменила бы реплика. Выход — как в finishTurn
+function afterSaleReplyTurn({ sid, trust, persona, userText, step }){
+  const S = getState(sid);
+  S.turn = (S.turn || 0) + 1;
+  const exit = exitReply(S, persona, { text: userText, trust });
+  if (exit) return { result: { reply: exit.reply, stage: 'Closing', confidence: trust, needEvidence: false, suggestedActions: ['goodbye'] }, policy: [], exit: exit.reason };
+  S.afterSale = step.state;
+  const reply = applyGender(step.line, persona.gender, persona.locale);
+  return { result: { reply, stage: 'Closing', confidence: trust, needEvidence: false, suggestedActions: [] }, policy: [], afterSale: step.event };
+}
+
+const afterSaleMeta = (a) => ({ phase: a.phase, candidates: a.candidates, month: a.month });
+
+// Бюджет токенов исчерпан (usage.js): модель не зовём и postRules не гоняем — собеседник вежливо прощается
+function budgetTurn({ sid, trust, persona }){
+  const S = getState(sid);
+  S.turn = (S.turn || 0) + 1;
+  const reply = applyGender(getLocale(persona.locale).text.budgetGoodbye, persona.gender, persona.locale);
+  return { result: { reply, stage: 'Closing', confidence: trust, needEvidence: false, suggestedActions: ['goodbye'] }, policy: [] };
+}
+
+// Собеседник уже закончил разговор (S.closed): до сброса сессии — короткое «мы уже поговорили», без модели и postRules
+function closedTurn({ sid, trust, persona }){
+  const S = getState(sid);
+  S.turn = (S.turn || 0) + 1;
+  const reply = applyGender(getLocale(persona.locale).text.exit.closed, persona.gender, persona.locale);
+  return { result: { reply, stage: 'Closing', confidence: trust, needEvidence: false, suggestedActions: ['goodbye'] }, policy: [] };
+}
+
+/**
+ * history — история из запроса: используется только для импорта в новую сессию (см. sessionHistory).
+ * onDelta(text) — если передан, ответ модели стримится: вызывается с новыми кусками "reply"
+ * по мере генерации (ДО postRules; итоговый текст — только в возвращаемом result).
+ * tenant — школа из tenants.js: модель/температура, персона и язык по умолчанию, учёт ответов.
+ * Токены каждого вызова LLM (ответ и llm-классификатор) учитываются в usage.js; бюджет исчерпан — см. budgetTurn.
+ * Собеседник закончил разговор (exit.js, S.closed) — модель больше не зовём, см. closedTurn.
+ * После сделки у собеседника своя реплика по фазе (aftersale.js) — модель на этот ход не зовём, см. afterSaleReplyTurn.
+ */
+async function runLLM({ history, message, evidences, stage, sessionId='default', evidenceDetails, persona, scenarioId, locale, tenant, onDelta, now = Date.now() }) {
+  const sid = sessionId || 'default';
+  const P = bindPersona(sid, persona, scenarioId, locale, tenant);
+  const { history: known, imported, mismatch: historyMismatch } = sessionHistory(sid, history);
+  history = known;
+  const docs = documentEvidences(sid);
+  if (docs.keys.length) {
+    evidences = [...new Set([...(evidences || []), ...docs.keys])];
+    evidenceDetails = { ...docs.details, ...(evidenceDetails || {}) };
+  }
+  // Ручное управление тренера (admin API): отозванные доказательства не засчитываются, навязанная стадия — на этот ход
+  const { revokedEvidences: revoked, forcedStage } = getState(sid);
+  if (revoked.length) evidences = (evidences || []).filter(k => !revoked.includes(k));
+  if (forcedStage) stage = forcedStage;
+  const SC = scenarioOf(sid);
+  if (SC && !stage && !getState(sid).turn) stage = SC.initialStage;
+  const counted = countedEvidences(SC, evidences || []); // сценарий может не засчитывать часть доказательств
+  const discrepancies = checkTurn(sid, { history, message, evidences: counted, evidenceDetails });
+  const pacing = paceTurn(sid, P, { history, evidences: counted, message, now });
+  const { score: trust, breakdown: trustBreakdown } = scoreTurn({ persona: P, evidences: counted, history, message, discrepancies, pacing });
+  const mood = moodTurn(sid, P, { message, evidences: counted, discrepancies });
+
+  const safeMessage = redirectEmployerContractToCoop(message || '');
+  const model = tenant?.model || getProvider().model;
+  const spend = (usage) => recordUsage({ state: getState(sid), tenant: tenant?.id, model, usage });
+  const overBudget = budgetExceeded(getState(sid), tenant);
+  const closed = getState(sid).closed;
+  const after = closed || overBudget ? null : afterSaleNext(sid, P, safeMessage);
+  const afterLine = after?.line ? after : null;
+  const silent = Boolean(closed || overBudget || afterLine); // модель не зовём: ответ соберёт closedTurn, budgetTurn или afterSaleReplyTurn
+  const classifier = getClassifier();
+  const intents = silent ? [] : await classifier.classify(safeMessage, { locale: P.locale, history: history || [], onUsage: spend });
+
+  const messages = buildMessages({
+    history, message: safeMessage, trust, evidences, evidenceDetails, persona: P, mood, pacing,
+    afterSale: getState(sid).alreadyCommitted ? getState(sid).afterSale || startAfterSale() : null
+  });
+
+  const payload = {
+    ...(tenant?.model ? { model: tenant.model } : {}),
+    temperature: tenant?.temperature ?? TEMPERATURE,
+    top_p: 0.9,
+    frequency_penalty: 0.4,
+    presence_penalty: 0.0,
+    max_tokens: REPLY_MAX_TOKENS,
+    response_format: { type: 'json_object' },
+    messages
+  };
+
+  let raw = '', usage;
+  if (silent) {
+    /* модель не зовём */
+  } else if (onDelta) {
+    // JSON-mode Groq не стримит — полагаемся на промпт «строго JSON» + repairJson
+    const { response_format, ...streamPayload } = payload;
+    let sent = 0;
+    raw = await createChatStreamWithRetry(streamPayload, (buf) => {
+      const text = partialReply(buf);
+      if (text.length > sent) { onDelta(text.slice(sent)); sent = text.length; }
+    }, (u) => { usage = u; }) || '{}';
+  } else {
+    const resp = await createChatWithRetry(payload);
+    raw = resp?.choices?.[0]?.message?.content || '{}';
+    usage = resp?.usage;
+  }
+  let spent = silent ? null : spend(usage || estimateUsage(messages, raw));
+
+  // Не разобрался и после починки — один повторный запрос с ошибкой разбора (в записи хода — оба ответа)
+  let rawFirst;
+  const check = silent ? null : parseModelReply(raw);
+  if (check?.error) {
+    try {
+      const resp = await reaskModel(payload, raw, check.error);
+      rawFirst = raw;
+      raw = resp?.choices?.[0]?.message?.content || '{}';
+      const again = spend(resp?.usage || estimateUsage(payload.messages, raw));
+      spent = { prompt: spent.prompt + again.prompt, completion: spent.completion + again.completion };
+    } catch (e) {
+      log('warn', 'llm re-ask failed', { error: String(e?.message || e) });
+    }
+  }
+
+  const S = getState(sid);
+  const seenBefore = new Set(S.seenEvidences.keys());
+  const prevStage = S.transcript.at(-1)?.stage || 'none';
+  S.forcedStage = '';
+
+  const { result: parsed, policy, nitpick, recovery, parseFailed, purchase, exit, afterSale } = closed
+    ? closedTurn({ sid, trust, persona: P })
+    : overBudget
+    ? budgetTurn({ sid, trust, persona: P })
+    : afterLine
+    ? afterSaleReplyTurn({ sid, trust, persona: P, userText: safeMessage, step: afterLine })
+    : finishTurn({
+      raw, trust, stage, evidences: counted, history, userText: safeMessage, sid, evidenceDetails, persona: P, discrepancies, intents, forcedStage, pacing
+    });
+
+  const path = rawFirst !== undefined && recovery !== 'fallback' ? 'reask' : recovery; // undefined — модель не звали
+
+  // Итог сценария фиксируется один раз: победа/поражение
+  if (SC && !S.outcome) {
+    const outcome = evaluateOutcome(SC, {
+      turn: S.turn, trust, stage: parsed.stage, seen: S.seenEvidences,
+      committed: S.alreadyCommitted, userText: safeMessage, policy, locale: P.locale, closed: S.closed
+    });
+    if (outcome) S.outcome = { ...outcome, turn: S.turn };
   }
 
-  return { trust, evidenceCount: evidenceCountUnique(sessionId), result: parsed };
+  const paced = pacingMeta(pacing);
+  recordTurn(S, {
+    turn: S.turn,
+    at: now,
+    user: message,
+    evidences: evidences || [],
+    ...(evidenceDetails && Object.keys(evidenceDetails).length ? { evidenceDetails } : {}),
+    requestStage: stage,
+    newEvidences: Array.from(S.seenEvidences.keys()).filter(k => !seenBefore.has(k)),
+    raw,
+    ...(rawFirst !== undefined ? { rawFirst } : {}),
+    ...(imported ? { importedHistory: imported } : {}),
+    ...(path && path !== 'clean' ? { recovery: path } : {}),
+    reply: parsed.reply,
+    stage: parsed.stage,
+    trust,
+    mood: { ...mood },
+    ...(paced ? { pacing: paced } : {}),
+    actions: parsed.suggestedActions,
+    policy,
+    ...(discrepancies.length ? { checks: discrepancies.map(d => d.code) } : {}),
+    ...(nitpick ? { nitpick } : {}),
+    ...(classifier.name !== 'rules' ? { intents } : {}), // не по правилам — replay возьмёт записанные
+    ...(forcedStage ? { forcedStage } : {}),
+    ...(spent ? { tokens: { prompt: spent.prompt, completion: spent.completion } } : {}),
+    ...(overBudget && !closed ? { budget: overBudget } : {}),
+    ...(exit ? { exit } : {}),
+    ...(closed ? { closed: true } : {}),
+    ...(S.alreadyCommitted && S.afterSale ? { afterSale: afterSaleMeta(S.afterSale) } : {}),
+    persona: P.id,
+    ...(P.locale !== DEFAULT_LOCALE ? { locale: P.locale } : {}),
+    ...(SC ? { scenario: SC.id } : {}),
+    rulesetVersion: getTrustRules().version
+  });
+
+  pushHistory(S.history, message, parsed.reply, parsed.stage, now);
+  saveState(sid);
+  countUsage(tenant?.id, 'replies');
+  metrics.trust.observe({ persona: P.id }, trust);
+  const stageLabel = (st) => STAGES.includes(st) ? st : 'other'; // стадия из запроса не валидируется — метки ограничены
+  if (prevStage !== parsed.stage) metrics.stageTransitions.inc({ from: prevStage === 'none' ? 'none' : stageLabel(prevStage), to: stageLabel(parsed.stage) });
+  if (path) metrics.llmRecovery.inc({ path });
+  if (parseFailed) {
+    metrics.llmParseFailures.inc({ reason: parseFailed });
+    log('warn', 'llm reply is not valid JSON, fallback used', { reason: parseFailed, raw: raw.slice(0, 300) });
+  }
+  if (purchase) metrics.purchases.inc({ mode: purchase });
+  if (exit) metrics.exits.inc({ reason: exit });
+  if (afterSale) metrics.afterSale.inc({ transition: afterSale });
+  const checks = discrepancies.map(({ code, detail }) => ({ code, detail }));
+  return { trust, trustBreakdown, evidenceCount: evidenceCountUnique(sid), persona: P, policy, checks, intents, scenario: scenarioMeta(sid), usage: { ...S.usage }, mood: { ...mood }, ...(paced ? { pacing: paced } : {}), ...(S.closed ? { closed: S.closed } : {}), ...(S.alreadyCommitted && S.afterSale ? { afterSale: afterSaleMeta(S.afterSale) } : {}), historyMismatch, result: parsed };
+}
+
+/*
+  Replay: прогон записанного диалога через ТЕКУЩИЕ postRules и правила доверия.
+  Сырые ответы модели (и интенты не от rules) берутся из записи (LLM не вызывается). Идёт синхронно под тем же sid
+  на чистом состоянии (настоящее подменяется и возвращается), поэтому сид-рандом
+  (возражения, «покупка») совпадает с оригиналом. История для доверия — записанные реплики.
+*/
+function replaySession(sid){
+  const real = getState(sid);
+  const turns = real.transcript || [];
+  const scratch = freshState();
+  scratch.persona = real.persona;
+  scratch.scenario = real.scenario;
+  scratch.locale = real.locale;
+  swapState(sid, scratch);
+  try {
+    const P = personaOf(sid);
+    const SC = scenarioOf(sid);
+    const history = [];
+    const out = [];
+    for (const rec of turns) {
+      if (rec.importedHistory) history.push(...rec.importedHistory);
+      const evidences = countedEvidences(SC, rec.evidences);
+      const evidenceDetails = rec.evidenceDetails || {};
+      const discrepancies = checkTurn(sid, { history, message: rec.user, evidences, evidenceDetails });
+      const pacing = paceTurn(sid, P, { history, evidences, message: rec.user, now: rec.at });
+      const { score: trust } = scoreTurn({ persona: P, evidences, history, message: rec.user, discrepancies, pacing });
+      moodTurn(sid, P, { message: rec.user, evidences, discrepancies });
+      // Сделку отметил тренер (admin API): «покупки» в записи нет — реплика после сделки (Closing) без неё
+      const scr = getState(sid);
+      if (rec.afterSale && rec.stage === 'Closing' && !rec.exit && !rec.closed && !scr.alreadyCommitted) {
+        scr.alreadyCommitted = true;
+        scr.afterSale = startAfterSale({ candidates: rec.afterSale.candidates, turn: scr.turn, at: rec.at });
+      }
+      const userText = redirectEmployerContractToCoop(rec.user);
+      const after = scr.closed || rec.budget ? null : afterSaleNext(sid, P, userText);
+      const { result: parsed } = scr.closed
+        ? closedTurn({ sid, trust, persona: P })
+        : rec.budget
+        ? budgetTurn({ sid, trust, persona: P })
+        : after?.line
+        ? afterSaleReplyTurn({ sid, trust, persona: P, userText, step: after })
+        : finishTurn({
+          raw: rec.raw, trust, stage: rec.requestStage, evidences, history: [...history],
+          userText, sid, evidenceDetails, persona: P, discrepancies,
+          intents: rec.intents, forcedStage: rec.forcedStage, pacing
+        });
+      out.push(diffTurn(rec, { reply: parsed.reply, stage: parsed.stage, trust, actions: parsed.suggestedActions }));
+      pushHistory(history, rec.user, rec.reply, rec.stage, rec.at);
+    }
+    return out;
+  } finally {
+    swapState(sid, real);
+  }
 }
 
 /* ──────────────────────────────────────────────────────────────
@@ -952,7 +1515,7 @@ app.get('/', (_, res) => {
 <title>Renovogo LLM Backend</title>
 <style>body{font:14px system-ui;margin:40px;color:#0b1220}</style>
 <h1>Renovogo LLM Backend</h1>
-<p>OK. Use <code>/api/reply</code>, <code>/api/score</code>, <code>/api/ping</code>.</p>`);
+<p>OK. Use <code>/api/reply</code>, <code>/api/score</code>, <code>/api/personas</code>, <code>/api/scenarios</code>, <code>/api/ping</code>.</p>`);
 });
 
 app.get('/favicon.ico', (req, res) => {
@@ -977,7 +1540,40 @@ app.get(['/apple-touch-icon.png','/apple-touch-icon-precomposed.png'], (req, res
 
 app.get('/api/ping', (_, res) => res.json({ ok: true }));
 
-app.get('/api/version', (_,res) => res.json({ ok:true, name:'renovogo-llm-backend', version:'2025-09-16-11' }));
+// Prometheus: METRICS_TOKEN задан — только с Authorization: Bearer <токен>
+app.get('/metrics', (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token && !bearerIs(req, token)) return res.status(401).type('text').send('Unauthorized\n');
+  res.type('text/plain; version=0.0.4; charset=utf-8').send(renderMetrics());
+});
+
+app.get('/api/personas', (_, res) => res.json({ ok: true, personas: listPersonas() }));
+app.get('/api/scenarios', (_, res) => res.json({ ok: true, scenarios: listScenarios() }));
+app.get('/api/locales', (_, res) => res.json({ ok: true, locales: listLocales() }));
+
+// Своя школа по ключу: настройки (без ключей) и использование
+app.get('/api/tenant', (req, res) => {
+  if (!req.tenant) return res.status(404).json({ ok: false, error: 'Tenants are not configured' });
+  res.json({ ok: true, tenant: tenantCard(req.tenant) });
+});
+// Токены и стоимость: дни своей школы (без тенантов — открытого режима), бюджеты; ?sessionId= — ещё и сессия
+app.get('/api/usage', (req, res) => {
+  const days = Math.min(366, Math.max(1, Number(req.query.days) || 30));
+  const out = { ok: true, tenant: req.tenant?.id || null, budgets: budgetsFor(req.tenant), days: dailyUsage(req.tenant?.id, days) };
+  if (req.query.sessionId) {
+    const id = String(req.query.sessionId), sid = sessionKey(req, id);
+    if (!hasSession(sid)) return res.status(404).json({ ok: false, error: 'Session not found' });
+    out.session = { id, usage: getState(sid).usage };
+  }
+  res.json(out);
+});
+app.get('/api/version', (_,res) => res.json({ ok:true, name:'renovogo-llm-backend', version:'2025-09-16-11', rulesetVersion: getTrustRules().version, provider: getProvider().name }));
+
+// Разбор доверия — только тренеру (isAdmin) и по явному запросу (body.explain=true или ?explain=1)
+function wantsExplain(req){
+  const asked = req.body?.explain === true || req.query?.explain === '1' || req.query?.explain === 'true';
+  return asked && isAdmin(req);
+}
 
 function sanitizeHistory(arr){
   return Array.isArray(arr) ? arr.slice(-50).map(h => ({
@@ -1007,55 +1603,116 @@ function normalizeEvidenceKey(k){
   return map.get(key) || key;
 }
 
-/* /api/reply */
-app.post('/api/reply', async (req, res) => {
-  try {
-    const b = req.body || {};
+/* /api/reply: разбор тела → аргументы runLLM (общий для обычного и SSE-роута) */
+function parseReplyBody(b = {}, req){
+  const rawMessage = String(b.user_text ?? b.message ?? '').trim();
+  if (!rawMessage || rawMessage.length > 2000) return { error: 'Invalid message length' };
 
-    const rawMessage = String(b.user_text ?? b.message ?? '').trim();
-    if (!rawMessage || rawMessage.length > 2000) {
-      return res.status(400).json({ ok: false, error: 'Invalid message length' });
-    }
+  const evidences = Array.isArray(b.evidences)
+    ? [...new Set(b.evidences.map(normalizeEvidenceKey).filter(Boolean))]
+    : (Number.isFinite(b.evidence)
+        ? Array.from({ length: Math.max(0, b.evidence|0) }, (_, i) => `proof_${i+1}`)
+        : []);
 
-    const evidences = Array.isArray(b.evidences)
-      ? [...new Set(b.evidences.map(normalizeEvidenceKey).filter(Boolean))]
-      : (Number.isFinite(b.evidence)
-          ? Array.from({ length: Math.max(0, b.evidence|0) }, (_, i) => `proof_${i+1}`)
-          : []);
+  const evidenceDetails = (b.evidence_details && typeof b.evidence_details === 'object') ? b.evidence_details : {};
 
-    const evidenceDetails = (b.evidence_details && typeof b.evidence_details === 'object') ? b.evidence_details : {};
-
-    const history = sanitizeHistory(b.history);
-    const sid = String(b.sessionId || 'default');
-
-    const { trust, evidenceCount, result } = await runLLM({
-      history,
+  return {
+    args: {
+      history: sanitizeHistory(b.history),
       message: rawMessage,
       evidences,
       stage: b.stage,
-      sessionId: sid,
-      evidenceDetails
-    });
+      sessionId: sessionKey(req, b.sessionId || 'default'),
+      evidenceDetails,
+      persona: b.persona,
+      scenarioId: b.scenarioId,
+      locale: b.locale,
+      tenant: req.tenant
+    }
+  };
+}
 
-    res.json({
-      text: result.reply,
-      agent: { name: 'Али', avatar: 'https://renovogo.com/welcome/training/ali.png' },
-      evidence_delta: 0,
-      meta: {
-        ok: true,
-        trust,
-        evidenceCount,
-        stage: result.stage,
-        actions: normalizeActions(result.suggestedActions)
-      }
-    });
+function replyPayload(req, { trust, trustBreakdown, evidenceCount, persona, policy = [], checks = [], intents = [], scenario, usage, mood, pacing, closed, afterSale, historyMismatch, result }){
+  return {
+    text: result.reply,
+    agent: { id: persona.id, name: persona.names?.[persona.locale] || persona.name, avatar: persona.avatar },
+    evidence_delta: 0,
+    meta: {
+      ok: true,
+      trust,
+      evidenceCount,
+      stage: result.stage,
+      locale: persona.locale,
+      actions: normalizeActions(result.suggestedActions),
+      policy,
+      checks,
+      intents,
+      ...(mood ? { mood } : {}),
+      ...(pacing ? { pacing } : {}),
+      ...(closed ? { closed } : {}),
+      ...(afterSale ? { afterSale } : {}),
+      ...(scenario ? { scenario } : {}),
+      ...(usage ? { usage } : {}),
+      ...(historyMismatch ? { historyMismatch: true } : {}),
+      rulesetVersion: getTrustRules().version,
+      ...(wantsExplain(req) ? { trustBreakdown } : {})
+    }
+  };
+}
+
+/* /api/reply */
+app.post('/api/reply', async (req, res) => {
+  try {
+    const { args, error } = parseReplyBody(req.body || {}, req);
+    if (error) return res.status(400).json({ ok: false, error });
+
+    res.json(replyPayload(req, await runLLM(args)));
   } catch (e) {
     logError(e, '/api/reply');
     res.status(400).json({ ok: false, error: String(e.message || e) });
   }
 });
 
-/* /api/score — смягчённый ранний анализ */
+/*
+  /api/reply/stream — то же, что /api/reply, но по SSE:
+    event: delta  data: {"text":"…"}        — куски ответа по мере генерации (черновик, до postRules)
+    event: final  data: { как у /api/reply } — авторитетный итог: postRules могут переписать текст целиком
+    event: error  data: {"ok":false,"error":"…"}
+  POST — тело как у /api/reply; GET (для EventSource) — те же поля в query, evidences через запятую.
+*/
+async function replyStream(req, res){
+  const b = req.method === 'GET'
+    ? { ...req.query, evidences: req.query.evidences ? String(req.query.evidences).split(',') : undefined }
+    : (req.body || {});
+  const { args, error } = parseReplyBody(b, req);
+  if (error) return res.status(400).json({ ok: false, error });
+
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  res.on('close', () => { closed = true; });
+  const send = (event, data) => { if (!closed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`); };
+
+  try {
+    const out = await runLLM({ ...args, onDelta: (text) => send('delta', { text }) });
+    send('final', replyPayload(req, out));
+  } catch (e) {
+    logError(e, '/api/reply/stream');
+    send('error', { ok: false, error: String(e.message || e) });
+  }
+  res.end();
+}
+app.post('/api/reply/stream', replyStream);
+app.get('/api/reply/stream', replyStream);
+
+/* /api/score — скоркарта тренера: измерения, аннотации по репликам, оценка, советы.
+   final/good/bad оставлены для старых клиентов. */
 app.post('/api/score', (req, res) => {
   try {
     const b = req.body || {};
@@ -1066,41 +1723,159 @@ app.post('/api/score', (req, res) => {
           ? Array.from({ length: Math.max(0, b.evidence|0) }, (_, i) => `proof_${i+1}`)
           : []);
 
-    const history = sanitizeHistory(b.history);
+    // С sessionId — по истории сессии на сервере (как /api/reply). Присланную историю оценивает только тренер
+    // с ADMIN_TOKEN: иначе обучаемый собрал бы «идеальный» диалог и получил за него оценку и доверие
+    const sid = b.sessionId ? sessionKey(req, String(b.sessionId)) : null;
+    if (!sid && !isAdmin(req)) return res.status(400).json({ ok: false, error: 'sessionId is required' });
+    if (sid && !hasSession(sid)) return res.status(404).json({ ok: false, error: 'Session not found' });
+    const history = sid ? getState(sid).history : sanitizeHistory(b.history);
     const lastUserText = history.filter(h => h.role === 'user').slice(-1)[0]?.content || '';
-    const msgText = history.filter(h => h.role === 'user').map(h => h.content || '').join('\n');
 
-    const trust = computeTrust({ baseTrust: 20, evidences, history, lastUserText });
-    const early = history.length < 6; // ранняя стадия беседы
+    // База и веса доверия — персоны сессии (или из запроса), как у /api/reply; язык — из запроса, иначе сессии, по умолчанию ru
+    const locale = getLocale(b.locale || (sid && localeOf(sid))).id;
+    const persona = sid ? personaOf(sid) : withLocale(getPersona(b.persona), locale);
+    const { score: trust, breakdown: trustBreakdown } = explainTrust({
+      baseTrust: persona.trust.baseTrust, weights: persona.trust.weights, evidences, history, lastUserText, locale
+    });
+    const card = buildScorecard({ history, evidences, locale });
+
+    const good = Object.values(card.dimensions).filter(d => d.score >= 80).map(d => d.label);
+    const bad  = card.tips.map(t => t.tip);
 
-    const good = [];
-    const bad  = [];
+    res.json({
+      final: card.final, grade: card.grade, good, bad,
+      dimensions: card.dimensions, annotations: card.annotations, tips: card.tips,
+      trust, evidences: evidences.length,
+      ...(wantsExplain(req) ? { trustBreakdown } : {})
+    });
+  } catch (e) {
+    logError(e, '/api/score');
+    res.status(400).json({ ok: false, error: String(e.message || e) });
+  }
+});
+
+/* Записи сессий: экспорт для тренера (?format=json|md|csv). Сырые ответы модели и доверие — не для обучаемого:
+   транскрипт, история и replay — только с ADMIN_TOKEN (requireAdmin); сессия — своей школы, как у /api/reply */
+app.get('/api/sessions/:id/transcript', requireAdmin, (req, res) => {
+  try {
+    const id = String(req.params.id), sid = sessionKey(req, id);
+    if (!hasSession(sid)) return res.status(404).json({ ok: false, error: 'Session not found' });
 
-    // Позитивы
-    if (/(здрав|прив|добрый)/i.test(msgText)) good.push('Вежливое приветствие');
-    if (/renovogo|renovogo\.com/i.test(msgText)) good.push('Дали проверяемый факт');
-    if (evidences.length >= 2) good.push('Приложили ≥2 доказательства');
-    if (/(контракт|сч[её]т|инвойс|готовы начать)/i.test(msgText)) good.push('Есть финальный CTA');
+    const S = getState(sid);
+    const turns = S.transcript || [];
+    const format = String(req.query.format || 'json').toLowerCase();
 
-    // Рекомендации — мягче в начале диалога
-    if (trust < 80 && !early) {
-      bad.push('Для предметного обсуждения добавьте документы (Demand/Contract/Registry).');
+    if (format === 'md' || format === 'markdown') {
+      return res.type('text/markdown; charset=utf-8').send(renderMarkdown(id, turns, { agentName: personaOf(sid).name }));
     }
-    if (/(оплат|сч[её]т|инвойс|цен|стоим|€|eur|czk)/i.test(msgText)) {
-      bad.push('Не смешивайте сервисные платежи с зарплатой — это разные вещи.');
+    if (format === 'csv') {
+      res.attachment(`transcript-${id}.csv`);
+      return res.type('text/csv; charset=utf-8').send(renderCSV(turns));
     }
+    res.json({ ok: true, sessionId: id, persona: personaOf(sid).id, turns });
+  } catch (e) {
+    logError(e, '/api/sessions/:id/transcript');
+    res.status(400).json({ ok: false, error: String(e.message || e) });
+  }
+});
 
-    // Балл: гарантируем нижний порог вежливости
-    const baseCourtesy = /(здрав|прив|добрый)/i.test(msgText) ? 15 : 0;
-    const baseFact = /renovogo|renovogo\.com/i.test(msgText) ? 15 : 0;
-    const docPts = (evidences.length >= 2) ? 35 : 0;
-    const ctaPts = (/(контракт|сч[её]т|инвойс|готовы начать)/i.test(msgText) ? 35 : 0);
+/*
+  Документы сессии: настоящие файлы (PDF/текст, поле "file" или "files", до 5 шт.) → текст → категория
+  доказательства (+ факты Demand). Поле "kind" — подсказка фронта, перекрывает классификатор.
+*/
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: DOCUMENT_LIMITS.fileSize, files: DOCUMENT_LIMITS.files } })
+  .fields([{ name: 'file', maxCount: 1 }, { name: 'files', maxCount: DOCUMENT_LIMITS.files }]);
 
-    const final = clamp(Math.round(baseCourtesy + baseFact + docPts + ctaPts), 10, 100); // минимум 10
+async function ingestDocument(sid, file, hint = ''){
+  const S = getState(sid);
+  const base = { filename: file.originalname, mimetype: file.mimetype, size: file.size };
 
-    res.json({ final, good, bad, trust, evidences: evidences.length });
+  let text;
+  try {
+    text = await extractText(file);
   } catch (e) {
-    logError(e, '/api/score');
+    logError(e, `extractText ${file.originalname}`);
+    return { ...base, key: null, error: 'Cannot extract text' };
+  }
+
+  const cls = classifyDocument(text, file.originalname);
+  const key = hint || cls.key;
+  const doc = {
+    id: `doc_${S.documents.length + 1}`, key, detected: cls.key, confidence: cls.confidence,
+    ...base, chars: text.length, uploadedAt: Date.now()
+  };
+  S.documents.push(doc);
+  if (!key) return { ...doc, note: text ? 'Document type not recognized' : 'No text layer (scanned PDF?)' };
+
+  S.evidenceDetails[key] = {
+    ...(S.evidenceDetails[key] || {}), filename: file.originalname, excerpt: text.slice(0, 600),
+    ...(key === 'coop_contract_pdf' ? contractMarks(text) : {}) // подпись/реквизиты — для сверки (checks.js)
+  };
+  if (key === 'demand_letter') {
+    const facts = extractDemandFactsFromDetails({ demand_text: text });
+    if (Object.keys(facts).length) return { ...doc, facts: setDemandFacts(sid, facts) };
+  }
+  return doc;
+}
+
+app.post('/api/sessions/:id/documents', (req, res) => {
+  upload(req, res, async (err) => {
+    if (err) {
+      const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).json({ ok: false, error: String(err.message || err) });
+    }
+    try {
+      const id = String(req.params.id), sid = sessionKey(req, id);
+      const files = [...(req.files?.file || []), ...(req.files?.files || [])];
+      if (!files.length) return res.status(400).json({ ok: false, error: 'No files (field "file" or "files")' });
+      const bad = files.find(f => !isSupported(f));
+      if (bad) return res.status(415).json({ ok: false, error: `Unsupported file type: ${bad.originalname}` });
+
+      const hint = req.body?.kind ? normalizeEvidenceKey(req.body.kind) : '';
+      const documents = [];
+      for (const f of files) documents.push(await ingestDocument(sid, f, hint));
+      saveState(sid);
+
+      res.json({ ok: true, sessionId: id, documents, demandFacts: getDemandFacts(sid) });
+    } catch (e) {
+      logError(e, '/api/sessions/:id/documents');
+      res.status(400).json({ ok: false, error: String(e.message || e) });
+    }
+  });
+});
+
+// История диалога на сервере — та, по которой считаются доверие и контекст модели
+app.get('/api/sessions/:id/history', requireAdmin, (req, res) => {
+  const id = String(req.params.id), sid = sessionKey(req, id);
+  if (!hasSession(sid)) return res.status(404).json({ ok: false, error: 'Session not found' });
+  res.json({ ok: true, sessionId: id, history: getState(sid).history });
+});
+
+app.get('/api/sessions/:id/documents', (req, res) => {
+  const id = String(req.params.id), sid = sessionKey(req, id);
+  if (!hasSession(sid)) return res.status(404).json({ ok: false, error: 'Session not found' });
+  const S = getState(sid);
+  res.json({ ok: true, sessionId: id, documents: S.documents || [], demandFacts: S.demandFacts || {} });
+});
+
+/* Replay записанной сессии через текущие postRules и правила доверия */
+app.post('/api/sessions/:id/replay', requireAdmin, (req, res) => {
+  try {
+    const id = String(req.params.id), sid = sessionKey(req, id);
+    if (!hasSession(sid)) return res.status(404).json({ ok: false, error: 'Session not found' });
+
+    const turns = replaySession(sid);
+    const recorded = [...new Set((getState(sid).transcript || []).map(t => t.rulesetVersion).filter(Boolean))];
+    res.json({
+      ok: true,
+      sessionId: id,
+      rulesetVersion: getTrustRules().version,
+      recordedRulesetVersions: recorded,
+      changedTurns: turns.filter(t => t.changed.length).length,
+      turns
+    });
+  } catch (e) {
+    logError(e, '/api/sessions/:id/replay');
     res.status(400).json({ ok: false, error: String(e.message || e) });
   }
 });
@@ -1112,19 +1887,26 @@ app.post('/chat', async (req, res) => {
       sessionId: String(req.body?.sessionId || 'default'),
       message: String(req.body?.message || '').trim(),
       stage: req.body?.stage,
+      persona: req.body?.persona,
+      locale: req.body?.locale,
+      scenarioId: req.body?.scenarioId,
       evidences: Array.isArray(req.body?.evidences) ? req.body.evidences.map(normalizeEvidenceKey) : [],
       history: sanitizeHistory(req.body?.history)
     });
 
-    const { trust, evidenceCount, result } = await runLLM({
+    const { trust, evidenceCount, persona, scenario, closed, afterSale, historyMismatch, result } = await runLLM({
       history: data.history,
       message: data.message,
       evidences: data.evidences,
       stage: data.stage,
-      sessionId: data.sessionId
+      sessionId: sessionKey(req, data.sessionId),
+      persona: data.persona,
+      scenarioId: data.scenarioId,
+      locale: data.locale,
+      tenant: req.tenant
     });
 
-    res.json({ ok: true, trust, evidenceCount, result });
+    res.json({ ok: true, trust, evidenceCount, persona: persona.id, ...(scenario ? { scenario } : {}), ...(closed ? { closed } : {}), ...(afterSale ? { afterSale } : {}), ...(historyMismatch ? { historyMismatch: true } : {}), result });
   } catch (e) {
     logError(e, '/chat');
     res.status(400).json({ ok: false, error: String(e.message || e) });
@@ -1133,9 +1915,157 @@ app.post('/chat', async (req, res) => {
 
 app.get('/health', (_, res) => res.json({ ok: true }));
 
+/* ──────────────────────────────────────────────────────────────
+   ЧАСТЬ 6.1. АДМИН-API: живые сессии и ручное управление (для тренера)
+   Доступ — только с ADMIN_TOKEN: заголовок Authorization: Bearer <токен>.
+   Без ADMIN_TOKEN в окружении роуты выключены (503).
+   ────────────────────────────────────────────────────────────── */
+
+// Authorization: Bearer <token> — сравнение за постоянное время (и для /metrics)
+function bearerIs(req, token){
+  const got = Buffer.from(String(req.get('authorization') || '').replace(/^Bearer\s+/i, ''));
+  const want = Buffer.from(token);
+  return got.length === want.length && crypto.timingSafeEqual(got, want);
+}
+
+// Запрос тренера: ADMIN_TOKEN задан и пришёл в Authorization (ключ школы тогда — в X-Api-Key)
+function isAdmin(req){
+  const token = process.env.ADMIN_TOKEN || '';
+  return Boolean(token) && bearerIs(req, token);
+}
+
+function requireAdmin(req, res, next){
+  const token = process.env.ADMIN_TOKEN || '';
+  if (!token) return res.status(503).json({ ok: false, error: 'Admin API disabled (set ADMIN_TOKEN)' });
+  if (!bearerIs(req, token)) return res.status(401).json({ ok: false, error: 'Unauthorized' });
+  next();
+}
+
+// Карточка сессии: доверие и стадия — последнего хода (навязанная стадия — пока не сыграна)
+function sessionSummary(sid){
+  const S = getState(sid);
+  const last = (S.transcript || []).at(-1);
+  return {
+    id: sid,
+    tenant: S.tenant || null,
+    persona: personaOf(sid).id,
+    scenario: S.scenario || null,
+    locale: localeOf(sid),
+    turn: S.turn || 0,
+    trust: last?.trust ?? null,
+    stage: S.forcedStage || last?.stage || null,
+    forcedStage: S.forcedStage || null,
+    mood: S.mood,
+    closed: S.closed,
+    afterSale: S.afterSale,
+    evidences: Array.from(S.seenEvidences.keys()),
+    grantedEvidences: S.grantedEvidences,
+    revokedEvidences: S.revokedEvidences,
+    usage: S.usage,
+    alreadyCommitted: !!S.alreadyCommitted,
+    updatedAt: S.updatedAt
+  };
+}
+
+const admin = express.Router();
+admin.use(requireAdmin);
+
+// Все роуты с :id — только для существующей сессии
+admin.param('id', (req, res, next, id) => {
+  if (!hasSession(String(id))) return res.status(404).json({ ok: false, error: 'Session not found' });
+  req.sid = String(id);
+  setLogContext({ sessionId: req.sid });
+  next();
+});
+
+// После ручной правки — сохраняем и отдаём свежую карточку
+const adminDone = (res, sid) => { saveState(sid); res.json({ ok: true, session: sessionSummary(sid) }); };
+
+admin.get('/sessions', (_, res) => {
+  const sessions = listSessions().filter(hasSession).map(sessionSummary).sort((a, b) => b.updatedAt - a.updatedAt);
+  res.json({ ok: true, sessions });
+});
+
+admin.get('/sessions/:id', (req, res) => {
+  const S = getState(req.sid);
+  const { phraseCounts, lastUsedAt = new Map(), topicCounts } = S.repeatStats;
+  res.json({
+    ok: true,
+    session: {
+      ...sessionSummary(req.sid),
+      demandFacts: S.demandFacts,
+      repeatStats: { phraseCounts: Object.fromEntries(phraseCounts), lastUsedAt: Object.fromEntries(lastUsedAt), topicCounts },
+      lastObjection: S.lastObjection,
+      outcome: S.outcome,
+      history: S.history
+    }
+  });
+});
+
+admin.get('/tenants', (_, res) => {
+  res.json({ ok: true, enabled: tenantsEnabled(), tenants: (getTenants() || []).map(tenantCard) });
+});
+
+admin.get('/usage', (req, res) => {
+  res.json({ ok: true, usage: allDailyUsage(Math.min(366, Math.max(1, Number(req.query.days) || 30))) });
+});
+
+// Начать заново — в том числе после того, как собеседник закончил разговор (S.closed); обучаемому сброса нет
+admin.post('/sessions/:id/reset', (req, res) => {
+  resetState(req.sid);
+  res.json({ ok: true, sessionId: req.sid });
+});
+
+admin.post('/sessions/:id/stage', (req, res) => {
+  const stage = req.body?.stage;
+  if (!STAGES.includes(stage)) return res.status(400).json({ ok: false, error: `stage: one of ${STAGES.join(', ')}` });
+  getState(req.sid).forcedStage = stage;
+  adminDone(res, req.sid);
+});
+
+// Выдать доказательство: засчитывается на каждом следующем ходу, как загруженный файл
+admin.post('/sessions/:id/evidences', (req, res) => {
+  const key = normalizeEvidenceKey(req.body?.key);
+  if (!key) return res.status(400).json({ ok: false, error: 'key required' });
+  const S = getState(req.sid);
+  if (!S.grantedEvidences.includes(key)) S.grantedEvidences.push(key);
+  S.revokedEvidences = S.revokedEvidences.filter(k => k !== key);
+  bumpEvidence(req.sid, key, req.body?.details);
+  adminDone(res, req.sid);
+});
+
+// Отозвать: не засчитывается, даже если фронт продолжает его присылать
+admin.delete('/sessions/:id/evidences/:key', (req, res) => {
+  const key = normalizeEvidenceKey(req.params.key);
+  const S = getState(req.sid);
+  S.grantedEvidences = S.grantedEvidences.filter(k => k !== key);
+  if (!S.revokedEvidences.includes(key)) S.revokedEvidences.push(key);
+  S.seenEvidences.delete(key);
+  adminDone(res, req.sid);
+});
+
+// alreadyCommitted: { value: true|false }; без value — переключить
+admin.post('/sessions/:id/committed', (req, res) => {
+  const S = getState(req.sid);
+  const value = req.body?.value;
+  if (value !== undefined && typeof value !== 'boolean') return res.status(400).json({ ok: false, error: 'value must be boolean' });
+  S.alreadyCommitted = value ?? !S.alreadyCommitted;
+  if (!S.alreadyCommitted) S.afterSale = null; // сделку отменили — после-продажная фаза тоже
+  adminDone(res, req.sid);
+});
+
+app.use('/api/admin', admin);
+
 /* ──────────────────────────────────────────────────────────────
    ЧАСТЬ 7. СТАРТ
    ────────────────────────────────────────────────────────────── */
 
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => console.log(`LLM backend running on :${PORT}`));
+// Слушаем порт только при прямом запуске (`node server.js`); при импорте из тестов — нет
+const isMain = process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href;
+if (isMain) {
+  const PORT = process.env.PORT || 3000;
+  app.listen(PORT, () => log('info', 'listening', { port: Number(PORT), provider: getProvider().name }));
+}
+
+// Для тестов (test/*.test.js)
+export { app, runLLM, replaySession, postRules, repetitionGuard, stageFromProofs, normalizeEvidenceKey, applyAliPurchasePolicy, policyFor };
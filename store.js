@@ -0,0 +1,194 @@
+// store.js
+// Хранилище сессий Али: единый интерфейс поверх сменных бэкендов (memory | file) + TTL-истечение.
+// Импорт: import { getState, saveState } from './store.js';
+
+/*
+  Интерфейс бэкенда:
+    load(sid)        → сериализованный объект состояния | null
+    save(sid, data)  → void
+    remove(sid)      → void
+    list()           → string[] (sid всех сохранённых сессий)
+
+  Поверх бэкенда — кэш процесса: getState() синхронный (как и раньше),
+  saveState() пишет снимок в бэкенд после хода. Map-поля (seenEvidences,
+  repeatStats.*) сериализуются как { $map: [[k, v], ...] }.
+
+  ENV:
+    SESSION_STORE=file|memory     (по умолчанию file)
+    SESSION_DIR=./data/sessions   (для file)
+    SESSION_TTL_HOURS=72          (0 — без истечения)
+*/
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+const STORE_KIND = (process.env.SESSION_STORE || 'file').toLowerCase();
+const SESSION_DIR = process.env.SESSION_DIR || './data/sessions';
+const TTL_MS = Number(process.env.SESSION_TTL_HOURS ?? 72) * 3600_000;
+const SWEEP_EVERY_MS = 10 * 60_000;
+
+/* ── сериализация (Map ↔ JSON) ── */
+function replacer(_, v){ return v instanceof Map ? { $map: Array.from(v.entries()) } : v; }
+function reviver(_, v){ return (v && typeof v === 'object' && Array.isArray(v.$map)) ? new Map(v.$map) : v; }
+
+export function serializeState(state){ return JSON.stringify(state, replacer); }
+export function reviveState(json){ return JSON.parse(json, reviver); }
+
+/* ── бэкенды ── */
+function createMemoryBackend(){
+  const data = new Map(); // sid -> json
+  return {
+    kind: 'memory',
+    load: (sid) => data.has(sid) ? reviveState(data.get(sid)) : null,
+    save: (sid, state) => { data.set(sid, serializeState(state)); },
+    remove: (sid) => { data.delete(sid); },
+    list: () => Array.from(data.keys())
+  };
+}
+
+function createFileBackend(dir = SESSION_DIR){
+  fs.mkdirSync(dir, { recursive: true });
+  const fileOf = (sid) => path.join(dir, encodeURIComponent(sid) + '.json');
+  return {
+    kind: 'file',
+    load(sid){
+      try { return reviveState(fs.readFileSync(fileOf(sid), 'utf8')); }
+      catch { return null; }
+    },
+    save(sid, state){
+      // атомарно: пишем во временный файл и переименовываем
+      const file = fileOf(sid); const tmp = file + '.tmp';
+      fs.writeFileSync(tmp, serializeState(state));
+      fs.renameSync(tmp, file);
+    },
+    remove(sid){ fs.rmSync(fileOf(sid), { force: true }); },
+    list(){
+      return fs.readdirSync(dir)
+        .filter(f => f.endsWith('.json'))
+        .map(f => decodeURIComponent(f.slice(0, -5)));
+    }
+  };
+}
+
+export function createBackend(kind = STORE_KIND){
+  if (kind === 'memory') return createMemoryBackend();
+  if (kind === 'file') return createFileBackend();
+  throw new Error(`Unknown SESSION_STORE: ${kind}`);
+}
+
+/* ── состояние сессии ── */
+/*
+  state: {
+    lastReply: string,
+    lastActions: string[],
+    seenEvidences: Map<key, { count: number, lastAt: number }>, — lastAt: время хода, когда доказательство пришло
+    evidenceDetails: Record<string, any>,
+    lastObjection: string,
+    demandFacts: Record<string, any>,
+    turn: number,
+    turnAt: number,                  — время текущего (последнего) хода, ms: часы анти-повторов и учёта доказательств
+    repeatStats: { phraseCounts: Map<string, number>, lastUsedAt: Map<string, number>, topicCounts: Record<string, number> },
+    alreadyCommitted: boolean,
+    tenant: string,                  — id школы (tenants.js), '' → открытый режим
+    persona: string,                 — id персоны (personas.js), '' → по умолчанию
+    locale: string,                  — язык разговора (locales.js), '' → ru
+    scenario: string,                — id сценария (scenarios.js), '' → свободный диалог
+    outcome: { status: 'won'|'lost', reason, turn } | null — итог сценария (фиксируется один раз)
+    documents: Array<{ id, key, confidence, filename, mimetype, size, chars, uploadedAt }> — загруженные файлы (documents.js)
+    checksRaised: string[],          — коды несоответствий (checks.js), которые Али уже озвучил
+    grantedEvidences: string[],      — выданы тренером (admin API): засчитываются на каждом ходу
+    revokedEvidences: string[],      — отозваны тренером: не засчитываются, даже если пришли в запросе
+    forcedStage: string,             — стадия, навязанная тренером на следующий ход ('' — нет)
+    usage: { prompt, completion, total, calls, costUsd } — токены и стоимость вызовов LLM (usage.js)
+    mood: { irritation, curiosity, suspicion, warmth } | null — настроение собеседника (mood.js), null — до первого хода
+    exit: { red, floor, pressure } | null — счётчики поводов закончить разговор (exit.js)
+    closed: { reason, turn, at } | null — собеседник закончил разговор: до сброса — только «мы уже поговорили»
+    afterSale: { phase, candidates, month, sent, startedTurn } | null — жизнь после сделки (aftersale.js)
+    history: Array<{ role, content, stage?, at? }> — история диалога на сервере (server.js, sessionHistory); at — время хода
+    transcript: Array<turn>,         — запись ходов (transcript.js)
+    createdAt: number, updatedAt: number
+  }
+*/
+export function freshState(now = Date.now()){
+  return {
+    lastReply: '', lastActions: [],
+    seenEvidences: new Map(),
+    evidenceDetails: Object.create(null),
+    lastObjection: '', demandFacts: Object.create(null),
+    turn: 0, turnAt: 0,
+    repeatStats: { phraseCounts: new Map(), lastUsedAt: new Map(), topicCounts: Object.create(null) },
+    alreadyCommitted: false,
+    tenant: '', persona: '', locale: '',
+    scenario: '', outcome: null,
+    documents: [],
+    checksRaised: [],
+    grantedEvidences: [], revokedEvidences: [], forcedStage: '',
+    usage: { prompt: 0, completion: 0, total: 0, calls: 0, costUsd: 0 },
+    mood: null,
+    exit: null, closed: null,
+    afterSale: null,
+    history: [],
+    transcript: [],
+    createdAt: now, updatedAt: now
+  };
+}
+
+const isExpired = (state, now = Date.now()) => TTL_MS > 0 && (now - (state?.updatedAt || 0)) > TTL_MS;
+
+let backend = createBackend();
+const cache = new Map(); // sid -> state (живые объекты процесса)
+
+export function useBackend(b){ backend = b; cache.clear(); }
+export function storeKind(){ return backend.kind; }
+
+export function getState(sid = 'default'){
+  let S = cache.get(sid);
+  if (S && isExpired(S)) { cache.delete(sid); backend.remove(sid); S = undefined; }
+  if (!S) {
+    const loaded = backend.load(sid);
+    S = (loaded && !isExpired(loaded)) ? { ...freshState(), ...loaded } : freshState();
+    cache.set(sid, S);
+  }
+  return S;
+}
+
+export function saveState(sid = 'default'){
+  const S = cache.get(sid);
+  if (!S) return;
+  S.updatedAt = Date.now();
+  backend.save(sid, S);
+}
+
+// Подмена живого состояния (replay на чистом состоянии под тем же sid); возвращает прежнее
+export function swapState(sid, state){
+  const prev = getState(sid);
+  cache.set(sid, state);
+  return prev;
+}
+
+// Есть и не истекла (TTL — как у getState): истёкшую запись в файловом хранилище не отдаём
+export function hasSession(sid){
+  const S = cache.get(sid) || backend.load(sid);
+  return Boolean(S) && !isExpired(S);
+}
+
+export function resetState(sid = 'default'){
+  cache.delete(sid);
+  backend.remove(sid);
+}
+
+export function listSessions(){
+  return Array.from(new Set([...cache.keys(), ...backend.list()]));
+}
+
+/* ── периодическая уборка истёкших сессий ── */
+export function sweepExpired(now = Date.now()){
+  let removed = 0;
+  for (const sid of listSessions()) {
+    const S = cache.get(sid) || backend.load(sid);
+    if (S && isExpired(S, now)) { cache.delete(sid); backend.remove(sid); removed++; }
+  }
+  return removed;
+}
+
+if (TTL_MS > 0) setInterval(() => { try { sweepExpired(); } catch {} }, SWEEP_EVERY_MS).unref();
@@ -0,0 +1,101 @@
+// tenants.js
+// Тенанты — школы-клиенты: API-ключи, разрешённые origin'ы, модель и температура, персона и язык по умолчанию,
+// лимит запросов и учёт использования. Реестр — JSON-файл с zod-валидацией на старте (как rules.js).
+// Импорт: import { getTenants, setTenants, tenantByKey, tenantsEnabled, tenantOrigins, countUsage, tenantCard, hashKey } from './tenants.js';
+
+/*
+  Файл: TENANTS_FILE=./tenants.json (пример — tenants.example.json). Нет файла и переменной — открытый режим
+  без ключей, как раньше; переменная задана, а файла нет или он невалиден — сервер не стартует.
+
+  { "tenants": [ {
+      id, name,
+      keyHashes: string[],          — sha256(hex) ключей: сами ключи в файле не хранятся
+      origins?: string[],           — с каких сайтов можно ходить с этим ключом ([] — с любых)
+      model?, temperature?,         — поверх LLM-провайдера и TEMPERATURE
+      persona?, locale?,            — по умолчанию для новых сессий школы
+      rateLimitPerMinute?,          — общий лимит школы на /api/* и /chat (по умолчанию 40)
+      tokenBudgetSession?, tokenBudgetDay? — бюджеты токенов поверх TOKEN_BUDGET_* (usage.js; 0 — без лимита)
+  } ] }
+*/
+
+import fs from 'node:fs';
+import crypto from 'node:crypto';
+import { z } from 'zod';
+import { getPersona } from './personas.js';
+import { getLocale } from './locales.js';
+
+const TenantSchema = z.object({
+  id: z.string().regex(/^[a-z0-9-]+$/, 'id: a-z, 0-9, -'),
+  name: z.string().min(1),
+  keyHashes: z.array(z.string().regex(/^[a-f0-9]{64}$/, 'keyHashes: sha256 hex')).min(1),
+  origins: z.array(z.string().url()).default([]),
+  model: z.string().min(1).optional(),
+  temperature: z.number().min(0).max(2).optional(),
+  persona: z.string().optional(),
+  locale: z.string().optional(),
+  rateLimitPerMinute: z.number().int().min(1).default(40),
+  tokenBudgetSession: z.number().int().min(0).optional(),
+  tokenBudgetDay: z.number().int().min(0).optional()
+});
+
+export const TenantsSchema = z.object({ tenants: z.array(TenantSchema) });
+
+export const hashKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+export function parseTenants(obj){
+  const { tenants } = TenantsSchema.parse(obj);
+  const ids = new Set(), hashes = new Set();
+  for (const t of tenants) {
+    if (ids.has(t.id)) throw new Error(`Duplicate tenant id: ${t.id}`);
+    ids.add(t.id);
+    for (const h of t.keyHashes) {
+      if (hashes.has(h)) throw new Error(`Key hash used twice (tenant ${t.id})`);
+      hashes.add(h);
+    }
+    if (t.persona) t.persona = getPersona(t.persona).id; // неизвестная персона/язык — ошибка на старте
+    if (t.locale) t.locale = getLocale(t.locale).id;
+  }
+  return tenants;
+}
+
+export function loadTenants(file = process.env.TENANTS_FILE){
+  if (!file) return null;
+  let raw;
+  try { raw = JSON.parse(fs.readFileSync(file, 'utf8')); }
+  catch (e) { throw new Error(`Cannot read tenants ${file}: ${e.message}`); }
+  try { return parseTenants(raw); }
+  catch (e) { throw new Error(`Invalid tenants ${file}: ${e.message}`); }
+}
+
+/* ── Реестр ── */
+const index = (list) => new Map((list || []).flatMap(t => t.keyHashes.map(h => [h, t])));
+
+let active = loadTenants();
+let byHash = index(active);
+
+export function getTenants(){ return active; }
+// null — выключить тенантов (открытый режим)
+export function setTenants(obj){ active = obj ? parseTenants(obj) : null; byHash = index(active); return active; }
+export function tenantsEnabled(){ return Array.isArray(active); }
+export function tenantByKey(key){ return key ? byHash.get(hashKey(key)) || null : null; }
+export function tenantOrigins(){ return (active || []).flatMap(t => t.origins); }
+
+/* ── Учёт использования (с момента старта процесса) ── */
+const usage = new Map(); // tenantId -> { requests, replies, rateLimited, since }
+
+export function countUsage(tenantId, field){
+  if (!tenantId) return;
+  const u = usage.get(tenantId) || { requests: 0, replies: 0, rateLimited: 0, since: Date.now() };
+  u[field] = (u[field] || 0) + 1;
+  usage.set(tenantId, u);
+}
+
+export function tenantUsage(tenantId){
+  return usage.get(tenantId) || { requests: 0, replies: 0, rateLimited: 0, since: null };
+}
+
+// Публичная карточка тенанта — без хэшей ключей
+export function tenantCard(t){
+  const { keyHashes, ...rest } = t;
+  return { ...rest, keys: keyHashes.length, usage: tenantUsage(t.id) };
+}
@@ -0,0 +1,104 @@
+// test/admin.test.js
+// Админ-API: доступ по ADMIN_TOKEN, список и карточка сессии, сброс, навязанная стадия,
+// выдача/отзыв доказательств, alreadyCommitted — и как это видит следующий ход.
+
+import './env.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { runLLM, replaySession } from '../server.js';
+import { getState, resetState, hasSession } from '../store.js';
+import { createMockProvider, setProvider } from '../providers.js';
+import { request } from './http.js';
+
+const TOKEN = 'test-admin-token';
+
+// Запрос к /api/admin — по умолчанию с токеном тренера
+const call = (method, path, { token = TOKEN, ...rest } = {}) => request(method, `/api/admin${path}`, { token, ...rest });
+
+// Сессия с одним сыгранным ходом; возвращает историю для следующего
+async function playedSession(sid){
+  resetState(sid);
+  setProvider(createMockProvider({ replies: [{ reply: 'Слушаю.', stage: 'Greeting', confidence: 30 }] }));
+  const message = 'Здравствуйте, меня зовут Олег, RenovoGo.';
+  const out = await runLLM({ history: [], message, sessionId: sid });
+  return [{ role: 'user', content: message }, { role: 'assistant', content: out.result.reply }];
+}
+
+test('доступ: без ADMIN_TOKEN — 503, без/с чужим токеном — 401', async () => {
+  delete process.env.ADMIN_TOKEN;
+  assert.equal((await call('GET', '/sessions')).status, 503);
+  process.env.ADMIN_TOKEN = TOKEN;
+  assert.equal((await call('GET', '/sessions', { token: '' })).status, 401);
+  assert.equal((await call('GET', '/sessions', { token: 'wrong' })).status, 401);
+  assert.equal((await call('GET', '/sessions')).status, 200);
+});
+
+test('список и карточка сессии; 404 для неизвестной', async () => {
+  process.env.ADMIN_TOKEN = TOKEN;
+  await playedSession('admin-1');
+
+  const { body: list } = await call('GET', '/sessions');
+  const card = list.sessions.find(s => s.id === 'admin-1');
+  assert.equal(card.turn, 1);
+  assert.equal(card.stage, getState('admin-1').transcript[0].stage);
+  assert.equal(typeof card.trust, 'number');
+  assert.deepEqual(card.evidences, []);
+
+  const { body } = await call('GET', '/sessions/admin-1');
+  assert.deepEqual(Object.keys(body.session.repeatStats), ['phraseCounts', 'lastUsedAt', 'topicCounts']);
+  assert.equal(typeof body.session.lastObjection, 'string');
+  assert.deepEqual(body.session.demandFacts, {});
+
+  assert.equal((await call('GET', '/sessions/nope')).status, 404);
+  assert.equal((await call('POST', '/sessions/nope/stage', { body: { stage: 'Payment' } })).status, 404);
+});
+
+test('выдача и отзыв доказательств учитываются на следующем ходу', async () => {
+  process.env.ADMIN_TOKEN = TOKEN;
+  const sid = 'admin-2';
+  const history = await playedSession(sid);
+
+  const granted = await call('POST', `/sessions/${sid}/evidences`, { body: { key: 'demand' } });
+  assert.deepEqual(granted.body.session.evidences, ['demand_letter']);
+
+  const before = await runLLM({ history, message: 'Продолжим.', sessionId: sid });
+  assert.ok(getState(sid).transcript.at(-1).evidences.includes('demand_letter'));
+
+  const revoked = await call('DELETE', `/sessions/${sid}/evidences/demand_letter`);
+  assert.deepEqual(revoked.body.session.evidences, []);
+  assert.deepEqual(revoked.body.session.revokedEvidences, ['demand_letter']);
+
+  // фронт продолжает присылать — не засчитывается
+  const after = await runLLM({ history, message: 'Продолжим.', sessionId: sid, evidences: ['demand_letter'] });
+  assert.ok(after.trust < before.trust);
+  assert.deepEqual(getState(sid).transcript.at(-1).evidences, []);
+});
+
+test('навязанная стадия — на один ход, попадает в запись и в replay', async () => {
+  process.env.ADMIN_TOKEN = TOKEN;
+  const sid = 'admin-3';
+  const history = await playedSession(sid);
+
+  assert.equal((await call('POST', `/sessions/${sid}/stage`, { body: { stage: 'Launch' } })).status, 400);
+  const { body } = await call('POST', `/sessions/${sid}/stage`, { body: { stage: 'Payment' } });
+  assert.equal(body.session.forcedStage, 'Payment');
+
+  const out = await runLLM({ history, message: 'Продолжим.', sessionId: sid });
+  assert.equal(out.result.stage, 'Payment');
+  assert.equal(getState(sid).forcedStage, '');
+  assert.equal(getState(sid).transcript.at(-1).forcedStage, 'Payment');
+  assert.deepEqual(replaySession(sid).map(t => t.changed), [[], []]);
+});
+
+test('alreadyCommitted: установить, переключить; сброс сессии', async () => {
+  process.env.ADMIN_TOKEN = TOKEN;
+  const sid = 'admin-4';
+  await playedSession(sid);
+
+  assert.equal((await call('POST', `/sessions/${sid}/committed`, { body: { value: 'yes' } })).status, 400);
+  assert.equal((await call('POST', `/sessions/${sid}/committed`, { body: { value: true } })).body.session.alreadyCommitted, true);
+  assert.equal((await call('POST', `/sessions/${sid}/committed`)).body.session.alreadyCommitted, false);
+
+  assert.equal((await call('POST', `/sessions/${sid}/reset`)).status, 200);
+  assert.equal(hasSession(sid), false);
+});
@@ -0,0 +1,155 @@
+// test/aftersale.test.js
+// После сделки: паспорта кандидатов → запись в посольство → жалобы на задержки → возврат €250, если за 6 мес. слота нет;
+// названный слот или подтверждённый возврат возвращают разговор модели. Реплики фаз — без вызова модели, месяцы — по
+// времени ходов, а не по их числу. Фаза — в meta и записи хода, replay её повторяет.
+
+import './env.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { startAfterSale, afterSaleStep, AFTER_SALE_MONTH_MS } from '../aftersale.js';
+import { runLLM, replaySession } from '../server.js';
+import { getState, resetState } from '../store.js';
+import { createMockProvider, setProvider } from '../providers.js';
+
+const provider = createMockProvider({ replies: [{ reply: 'Понял, давайте обсудим детали.', stage: 'Candidate', confidence: 80 }] });
+setProvider(provider);
+
+const T0 = Date.UTC(2026, 0, 12, 9);
+const MIN = 60_000;
+
+// Сделка уже состоялась: как после «Перевод отправлен за N кандидатов»
+function committed(sid, candidates = 3){
+  resetState(sid);
+  const S = getState(sid);
+  S.alreadyCommitted = true;
+  S.afterSale = startAfterSale({ candidates });
+}
+
+// Ход — текст или [текст, время]; без времени — через минуту после предыдущего
+const play = (sid, turns, extra = {}) => turns.reduce((p, turn) => p.then(async (all) => {
+  const [message, now = T0 + all.length * MIN] = [].concat(turn);
+  return [...all, await runLLM({ message, sessionId: sid, now, ...extra })];
+}), Promise.resolve([]));
+
+test('afterSaleStep: паспорта → подтверждение → слоты; без слота — месяцы ожидания и возврат', () => {
+  let x = afterSaleStep(startAfterSale({ candidates: 2 }), { text: 'Добрый день', locale: 'ru' });
+  assert.match(x.line, /^Отправляю паспорта 2 кандидатов/);
+  assert.equal(x.event, null);
+  x = afterSaleStep(x.state, { text: 'Минуту, проверю почту.', locale: 'ru' });
+  assert.match(x.line, /^Паспорта дошли\?/);
+  x = afterSaleStep(x.state, { text: 'Не получили пока.', locale: 'ru' });
+  assert.equal(x.state.phase, 'handover');
+  x = afterSaleStep(x.state, { text: 'Да, паспорта получили, всё читается.', locale: 'ru', at: T0 });
+  assert.equal(x.event, 'handover>registration');
+
+  // месяцы — по времени хода: через пять минут новостей нет, реплики тоже (отвечает модель)
+  x = afterSaleStep(x.state, { text: 'Ждём, очереди.', locale: 'ru', at: T0 + 5 * MIN });
+  assert.deepEqual([x.line, x.state.month], ['', 0]);
+  const months = [];
+  for (const m of [1, 2, 2.5, 4, 5, 6]) {
+    x = afterSaleStep(x.state, { text: 'Ждём, очереди.', locale: 'ru', at: T0 + m * AFTER_SALE_MONTH_MS, longtermMonths: 6, refundEur: 250 });
+    months.push([x.state.month, Boolean(x.line)]);
+  }
+  assert.deepEqual(months, [[1, true], [2, true], [2, false], [4, true], [5, true], [6, true]]);
+  assert.equal(x.event, 'registration>refund');
+  assert.match(x.line, /возврат €250 за кандидата/);
+  assert.match(afterSaleStep(x.state, { text: 'Надо подождать.', locale: 'ru' }).line, /^Я жду ответа по возврату €250/);
+  assert.equal(afterSaleStep(x.state, { text: 'Не вернём, подождите.', locale: 'ru' }).state.phase, 'refund');
+  const paid = afterSaleStep(x.state, { text: 'Оформим возврат на этой неделе.', locale: 'ru' });
+  assert.equal(paid.event, 'refund>done');
+  assert.equal(afterSaleStep(paid.state, { text: 'Ещё вопросы?', locale: 'ru' }).line, '');
+});
+
+test('afterSaleStep: конкретная дата слота — booked, «скоро будет запись» — нет', () => {
+  const reg = { ...startAfterSale(), phase: 'registration', sent: true };
+  assert.equal(afterSaleStep(reg, { text: 'Запись скоро будет.', locale: 'ru' }).state.phase, 'registration');
+  const booked = afterSaleStep(reg, { text: 'Слот в посольстве на 14 ноября.', locale: 'ru' });
+  assert.equal(booked.event, 'registration>booked');
+  assert.equal(afterSaleStep(booked.state, { text: 'Паспорт и фото.', locale: 'ru' }).event, 'booked>done');
+  assert.equal(afterSaleStep(reg, { text: 'The appointment is on 12/11.', locale: 'en' }).state.phase, 'booked');
+  assert.equal(afterSaleStep(reg, { text: 'Termin w ambasadzie: 3 grudnia.', locale: 'pl' }).state.phase, 'booked');
+});
+
+test('после сделки собеседник ведёт свою линию: паспорта, запись, задержки — модель не зовём, стадия Closing', async () => {
+  const sid = 'after-flow';
+  committed(sid);
+  const calls = provider.calls;
+  const [passports, remind, slots, chat, month1, month2] = await play(sid, [
+    'Здравствуйте! Как дела?', 'Сейчас посмотрю.', 'Паспорта получили, спасибо.', 'Пока ждём.',
+    ['Пока ждём.', T0 + 2 * MIN + AFTER_SALE_MONTH_MS], ['Очереди, ждём.', T0 + 2 * MIN + 2 * AFTER_SALE_MONTH_MS]
+  ]);
+  assert.match(passports.result.reply, /^Отправляю паспорта 3 кандидатов/);
+  assert.equal(passports.result.stage, 'Closing');
+  assert.deepEqual(passports.result.suggestedActions, []);
+  assert.match(remind.result.reply, /^Паспорта дошли\?/);
+  assert.match(slots.result.reply, /Когда запись в посольство\?/);
+  // через минуту месяц не прошёл — отвечает модель, и это единственный её вызов
+  assert.deepEqual(chat.afterSale, { phase: 'registration', candidates: 3, month: 0 });
+  assert.equal(provider.calls, calls + 1);
+  assert.equal(month1.result.reply, 'Прошёл месяц. Есть новости по записи в посольство?');
+  assert.match(month2.result.reply, /^Уже 2 месяца ни слота, ни новостей/);
+  assert.deepEqual(month2.afterSale, { phase: 'registration', candidates: 3, month: 2 });
+  const { transcript } = getState(sid);
+  assert.deepEqual(transcript.map(t => t.afterSale.phase), ['handover', 'handover', 'registration', 'registration', 'registration', 'registration']);
+  assert.deepEqual(transcript.map(t => Boolean(t.tokens)), [false, false, false, true, false, false]); // токены — только за ход модели
+  assert.deepEqual(replaySession(sid).map(t => t.changed), [[], [], [], [], [], []]);
+});
+
+test('от сделки до возврата — за одну тренировку: в пределах TTL сессии и без штрафа за паузу', async () => {
+  const sid = 'after-clock';
+  committed(sid, 2);
+  const month = AFTER_SALE_MONTH_MS;
+  const turns = [['Добрый день.', T0], ['Паспорта получили.', T0 + MIN]];
+  for (let m = 1; m <= 6; m++) turns.push([`Пока ждём, месяц ${m}.`, T0 + MIN + m * month]);
+  const out = await play(sid, turns);
+
+  const last = out.at(-1);
+  assert.match(last.result.reply, /^Прошло 6 месяцев, а слота так и нет/);
+  assert.deepEqual(last.afterSale, { phase: 'refund', candidates: 2, month: 6 });
+  assert.deepEqual(out.slice(2).map(o => o.afterSale.month), [1, 2, 3, 4, 5, 6]);
+  assert.ok(6 * month + MIN < 72 * 3600_000); // SESSION_TTL_HOURS по умолчанию — 72
+  assert.ok(getState(sid).transcript.every(t => !t.pacing?.silence)); // «вы пропали» — только после суток тишины
+});
+
+test('полгода без слота — требование возврата €250; подтверждённый возврат — дальше отвечает модель', async () => {
+  const sid = 'after-refund';
+  committed(sid, 1);
+  const s = getState(sid);
+  s.afterSale = { ...s.afterSale, phase: 'registration', sent: true, month: 5, waitFrom: T0 - 5 * AFTER_SALE_MONTH_MS - MIN };
+  const [refund, again, done, after] = await play(sid, [
+    ['Пока слотов нет.', T0 + AFTER_SALE_MONTH_MS], ['Ждите.', T0 + AFTER_SALE_MONTH_MS + MIN], ['Хорошо, оформим возврат.', T0 + AFTER_SALE_MONTH_MS + 2 * MIN],
+    ['Что-то ещё?', T0 + AFTER_SALE_MONTH_MS + 3 * MIN]
+  ]);
+  assert.match(refund.result.reply, /^Прошло 6 месяцев, а слота так и нет\. По договору в этом случае положен возврат €250 за кандидата/);
+  assert.match(again.result.reply, /возврату €250/);
+  assert.equal(done.result.reply, 'Хорошо, жду возврат. Если слоты появятся — вернёмся к кандидатам.');
+  assert.doesNotMatch(after.result.reply, /возврат|паспорт|слот/); // дальше — обычный ответ через postRules
+  assert.equal(after.afterSale.phase, 'done');
+});
+
+test('сделку отметил тренер — начинаем с паспортов одного кандидата; язык и род персоны', async () => {
+  resetState('after-admin');
+  getState('after-admin').alreadyCommitted = true;
+  const deltas = [];
+  const [first] = await play('after-admin', ['Hello!'], { locale: 'en', onDelta: (text) => deltas.push(text) });
+  assert.equal(first.result.reply, 'Sending passports for 1 candidate — scans attached. Please confirm you received them.');
+  assert.deepEqual(deltas, []); // стрим не показывает ответ модели, который заменила бы реплика
+
+  resetState('after-hi');
+  getState('after-hi').alreadyCommitted = true;
+  const [hi] = await play('after-hi', ['नमस्ते'], { locale: 'hi', persona: 'maria' });
+  assert.match(hi.result.reply, /भेज रही हूँ/);
+});
+
+test('до сделки машина молчит; replay повторяет фазы', async () => {
+  resetState('after-none');
+  const [plain] = await play('after-none', ['Здравствуйте.']);
+  assert.equal(plain.afterSale, undefined);
+  assert.equal(getState('after-none').afterSale, null);
+
+  const sid = 'after-replay';
+  committed(sid, 2);
+  await play(sid, ['Добрый день.', 'Всё получили.', 'Слот на 10.12, готовьте кандидатов.', 'Паспорт и фото.']);
+  assert.equal(getState(sid).afterSale.phase, 'done');
+  assert.deepEqual(replaySession(sid).map(t => t.changed), [[], [], [], []]);
+});
@@ -0,0 +1,77 @@
+// test/checks.test.js
+// Сверка документов: несоответствия Demand ↔ слова менеджера, прайс, контракт; штраф в доверии и придирка Али.
+
+import './env.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { runLLM } from '../server.js';
+import { checkEvidence, contractMarks } from '../checks.js';
+import { explainTrust } from '../trust.js';
+import { PRICEBOOK_FEES, renderPricebook } from '../pricebook.js';
+import { getState, resetState } from '../store.js';
+import { createMockProvider, setProvider } from '../providers.js';
+
+const FACTS = {
+  salary: { value: 32000, currency: 'CZK' },
+  location: 'Pardubice',
+  period: '2 years',
+  hours_monthly: 240,
+  schedule: '8 h/day, 5 days'
+};
+
+test('checkEvidence: коды несоответствий', async (t) => {
+  const cases = [
+    [{ facts: FACTS, texts: ['Зарплата на руки 40 000 CZK'] }, ['salary_mismatch', 'hours_schedule']],
+    [{ facts: FACTS, texts: ['Работа на складе в Брно'] }, ['location_mismatch', 'hours_schedule']],
+    [{ facts: FACTS, texts: ['Контракт на 6 месяцев'] }, ['period_mismatch', 'hours_schedule']],
+    [{ facts: { ...FACTS, hours_monthly: 173 }, texts: ['Зарплата 32000 CZK, склад в Пардубице, контракт на 2 года'] }, []],
+    [{ texts: ['Сервисный сбор €380 за кандидата'] }, ['fee_not_in_pricebook']],
+    [{ texts: ['Сервисный сбор €350 за кандидата'] }, []],
+    [{ details: { coop_contract_pdf: { filename: 'c.pdf', signed: false, companyId: false } } }, ['coop_unsigned', 'coop_no_company_id']],
+    [{ details: { coop_contract_pdf: { filename: 'c.pdf' } } }, []] // отметка «из чата» без текста — не придираемся
+  ];
+  for (const [input, want] of cases) {
+    await t.test(want.join(',') || 'ok', () => assert.deepEqual(checkEvidence(input).map(d => d.code), want));
+  }
+});
+
+test('прайс — один: суммы для сверки и текст для модели из pricebook.js', () => {
+  assert.deepEqual([...PRICEBOOK_FEES].sort((a, b) => a - b), [150, 250, 270, 300, 350, 420, 450, 500, 700]);
+  const text = renderPricebook();
+  assert.match(text, /Embassy reg \(LT only\): €500 = €250 \+ €250 \(refund €250 if >6m no slot\)/);
+  for (const fee of PRICEBOOK_FEES) {
+    if (![420, 450, 700].includes(fee)) assert.match(text, new RegExp(`€${fee}\\b`)); // 420/450/700 — только суммы частей
+    assert.deepEqual(checkEvidence({ texts: [`Сервисный сбор €${fee} за кандидата`] }), []);
+  }
+});
+
+test('contractMarks: подпись и реквизиты', () => {
+  assert.deepEqual(contractMarks('Agreement on cooperation. IČO: 12345678. Signature: ____'), { signed: true, companyId: true });
+  assert.deepEqual(contractMarks('Agreement on cooperation. The parties agree.'), { signed: false, companyId: false });
+});
+
+test('explainTrust: несоответствия — отдельные вклады check.*', () => {
+  const discrepancies = checkEvidence({ facts: FACTS, texts: ['Работа в Брно'] });
+  const clean = explainTrust({ baseTrust: 40, evidences: ['demand_letter'] });
+  const dirty = explainTrust({ baseTrust: 40, evidences: ['demand_letter'], discrepancies });
+  const c = dirty.breakdown.contributions.find(x => x.key === 'check.location_mismatch');
+  assert.ok(c && c.delta < 0);
+  assert.ok(dirty.score < clean.score);
+});
+
+test('runLLM: Али озвучивает несоответствие один раз, meta.checks — на каждом ходу', async () => {
+  const sid = 'checks-1';
+  resetState(sid);
+  getState(sid).demandFacts = { ...FACTS, hours_monthly: 173 };
+  setProvider(createMockProvider({ replies: [{ reply: 'Хорошо.', stage: 'Demand' }], loop: true }));
+
+  const first = await runLLM({ history: [], message: 'Работа на заводе в Брно', evidences: ['demand_letter'], sessionId: sid });
+  assert.deepEqual(first.checks.map(c => c.code), ['location_mismatch']);
+  assert.match(first.result.reply, /Пардубице/);
+
+  const history = [{ role: 'user', content: 'Работа на заводе в Брно' }, { role: 'assistant', content: first.result.reply }];
+  const second = await runLLM({ history, message: 'Документы отправил', evidences: ['demand_letter'], sessionId: sid });
+  assert.deepEqual(second.checks.map(c => c.code), ['location_mismatch']);
+  assert.doesNotMatch(second.result.reply, /Пардубице/);
+  assert.deepEqual(getState(sid).checksRaised, ['location_mismatch']);
+});
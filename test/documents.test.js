@@ -0,0 +1,108 @@
+// test/documents.test.js
+// Загрузка документов: текст из PDF/txt, классификация в ключи доказательств, факты Demand, роут и учёт в runLLM.
+
+import './env.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { runLLM } from '../server.js';
+import { extractText, classifyDocument } from '../documents.js';
+import { getState, resetState } from '../store.js';
+import { createMockProvider, setProvider } from '../providers.js';
+import { request } from './http.js';
+
+// Минимальный PDF с текстовым слоем (Helvetica, строка на строку) — чтобы не держать бинарники в репозитории
+function makePdf(lines){
+  const esc = (s) => s.replace(/[\\()]/g, (c) => `\\${c}`);
+  const content = `BT /F1 11 Tf 50 780 Td 14 TL ${lines.map(l => `(${esc(l)}) Tj T*`).join(' ')} ET`;
+  const objs = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] /Resources << /Font << /F1 5 0 R >> >> /Contents 4 0 R >>',
+    `<< /Length ${Buffer.byteLength(content)} >>\nstream\n${content}\nendstream`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+  ];
+  let pdf = '%PDF-1.4\n';
+  const offsets = objs.map((o, i) => { const at = Buffer.byteLength(pdf); pdf += `${i + 1} 0 obj\n${o}\nendobj\n`; return at; });
+  const xref = Buffer.byteLength(pdf);
+  pdf += `xref\n0 ${objs.length + 1}\n0000000000 65535 f \n${offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('')}`;
+  pdf += `trailer\n<< /Size ${objs.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+}
+
+const DEMAND_LINES = [
+  'DEMAND LETTER',
+  'Number of workers: 10',
+  'Position: Warehouse worker',
+  'Salary net: 32000 CZK',
+  'Accommodation: 150 EUR per month',
+  'Working hours monthly: 168',
+  'Location of work: Pardubice'
+];
+
+test('extractText: текстовый слой PDF', async () => {
+  const text = await extractText({ buffer: makePdf(DEMAND_LINES), mimetype: 'application/pdf', originalname: 'x.pdf' });
+  assert.match(text, /DEMAND LETTER/);
+  assert.match(text, /Salary net: 32000 CZK/);
+});
+
+test('extractText: предупреждения pdf.js о битом файле не печатаются в stdout', async () => {
+  const printed = [];
+  const original = console.log;
+  console.log = (...args) => printed.push(args.join(' '));
+  try {
+    await assert.rejects(extractText({ buffer: Buffer.from('%PDF-1.4\nне pdf'), mimetype: 'application/pdf', originalname: 'bad.pdf' }));
+    console.log('своя строка');
+  } finally { console.log = original; }
+  assert.deepEqual(printed, ['своя строка']);
+});
+
+test('classifyDocument: категории по содержимому и имени файла', async (t) => {
+  const cases = [
+    [DEMAND_LINES.join('\n'), 'scan.pdf', 'demand_letter'],
+    ['AGREEMENT ON COOPERATION\nThe Parties agree on recruitment services. Service fee per candidate.\nSignature', 'a.pdf', 'coop_contract_pdf'],
+    ['EMPLOYMENT CONTRACT\nEmployee: ...\nTrial period: 3 months', 'c.pdf', 'sample_contract_pdf'],
+    ['Obchodní rejstřík\nIČO: 12345678\nSídlo: Praha', 'r.pdf', 'company_registry'],
+    ['VISA type D, long-term\nPassport No: X123', 'v.pdf', 'visa_sample'],
+    ['просто текст без признаков', 'notes.txt', null],
+    ['Warehouse, 10 people', 'demand_letter.txt', 'demand_letter']
+  ];
+  for (const [text, name, want] of cases) {
+    await t.test(`${name} → ${want}`, () => assert.equal(classifyDocument(text, name).key, want));
+  }
+});
+
+test('POST /api/sessions/:id/documents: Demand из PDF → факты и доказательство на следующем ходу', async () => {
+  const sid = 'docs-1';
+  resetState(sid);
+
+  const form = new FormData();
+  form.append('files', new Blob([makePdf(DEMAND_LINES)], { type: 'application/pdf' }), 'demand.pdf');
+  form.append('files', new Blob(['Obchodní rejstřík\nIČO: 12345678'], { type: 'text/plain' }), 'registry.txt');
+  const { status, body } = await request('POST', `/api/sessions/${sid}/documents`, { body: form });
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.documents.map(d => d.key), ['demand_letter', 'company_registry']);
+  assert.deepEqual(body.demandFacts.salary, { value: 32000, currency: 'CZK' });
+  assert.equal(body.demandFacts.position, 'Warehouse worker');
+  assert.equal(getState(sid).evidenceDetails.demand_letter.filename, 'demand.pdf');
+
+  setProvider(createMockProvider({ replies: [{ reply: 'Посмотрю.', stage: 'Demand' }] }));
+  const out = await runLLM({ history: [], message: 'Отправил документы', evidences: [], sessionId: sid });
+  assert.ok(out.trustBreakdown.contributions.some(c => c.key === 'evidence.hard'));
+  assert.deepEqual(getState(sid).transcript[0].newEvidences.sort(), ['company_registry', 'demand_letter']);
+});
+
+test('POST /api/sessions/:id/documents: ошибки и подсказка kind', async () => {
+  assert.equal((await request('POST', '/api/sessions/docs-2/documents', { body: new FormData() })).status, 400);
+
+  const exe = new FormData();
+  exe.append('file', new Blob(['MZ'], { type: 'application/octet-stream' }), 'tool.exe');
+  assert.equal((await request('POST', '/api/sessions/docs-2/documents', { body: exe })).status, 415);
+
+  const hinted = new FormData();
+  hinted.append('kind', 'визитка');
+  hinted.append('file', new Blob(['Иван, менеджер'], { type: 'text/plain' }), 'card.txt');
+  const { body } = await request('POST', '/api/sessions/docs-2/documents', { body: hinted });
+  assert.equal(body.documents[0].key, 'business_card');
+  assert.equal(body.documents[0].detected, null);
+});
@@ -0,0 +1,12 @@
+// test/env.js
+// Окружение тестов: без сети и без файлов. Импортировать ПЕРВЫМ — до server.js.
+
+process.env.SESSION_STORE = 'memory';
+process.env.SESSION_TTL_HOURS = '0';
+process.env.LLM_PROVIDER = 'mock';
+delete process.env.TRUST_RULES;
+delete process.env.SIMULATOR_PAYMENT_SENT;
+delete process.env.TOKEN_BUDGET_SESSION;
+delete process.env.TOKEN_BUDGET_DAY;
+delete process.env.USAGE_FILE;
+process.env.LOG_LEVEL = 'silent';
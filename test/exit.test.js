@@ -0,0 +1,125 @@
+// test/exit.test.js
+// Собеседник сам заканчивает разговор: повторные гарантии/«связи», доверие на нуле, давление подряд.
+// Сессия закрывается с причиной, дальше — «мы уже поговорили» без вызова модели; сброс возвращает разговор.
+
+import './env.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { exitCheck } from '../exit.js';
+import { runLLM, replaySession } from '../server.js';
+import { getState, resetState } from '../store.js';
+import { getPersona } from '../personas.js';
+import { getScenario, evaluateOutcome } from '../scenarios.js';
+import { createMockProvider, setProvider } from '../providers.js';
+import { request } from './http.js';
+
+const ALI = getPersona('ali');
+const GUARANTEE = 'Гарантирую визу, без отказов.';
+const EMBASSY = 'У нас связи в посольстве, всё решим.';
+const PUSH = 'Решайте срочно, это последний шанс.';
+const CALM = 'Расскажу о вакансии на складе.';
+
+const mock = () => {
+  const provider = createMockProvider({ replies: [{ reply: 'Понял.', stage: 'Demand', confidence: 30 }] });
+  setProvider(provider);
+  return provider;
+};
+
+process.env.ADMIN_TOKEN = 'exit-admin';
+
+test('exitCheck: красные флаги копятся за сессию, доверие на нуле и давление — только подряд', () => {
+  let x = exitCheck(null, ALI, { text: GUARANTEE, locale: 'ru', trust: 10 });
+  assert.deepEqual(x, { counters: { red: 1, floor: 0, pressure: 0 }, reason: null });
+  x = exitCheck(x.counters, ALI, { text: CALM, locale: 'ru', trust: 10 });
+  x = exitCheck(x.counters, ALI, { text: EMBASSY, locale: 'ru', trust: 10 });
+  assert.equal(x.reason, 'red_flags');
+
+  let f = { counters: null };
+  for (const trust of [0, 0, 12, 0, 0]) f = exitCheck(f.counters, ALI, { text: CALM, locale: 'ru', trust });
+  assert.equal(f.counters.floor, 2);
+  assert.equal(f.reason, null);
+  f = exitCheck(f.counters, ALI, { text: CALM, locale: 'ru', trust: 0 });
+  assert.equal(f.reason, 'trust_floor');
+
+  let p = { counters: null };
+  for (const text of [PUSH, PUSH, CALM, PUSH, PUSH]) p = exitCheck(p.counters, ALI, { text, locale: 'ru', trust: 30 });
+  assert.equal(p.reason, null);
+  p = exitCheck(p.counters, ALI, { text: PUSH, locale: 'ru', trust: 30 });
+  assert.equal(p.reason, 'pressure');
+
+  // персона может быть терпеливее
+  const patient = { ...ALI, exit: { pressureTurns: 5 } };
+  let q = { counters: null };
+  for (let i = 0; i < 3; i++) q = exitCheck(q.counters, patient, { text: PUSH, locale: 'ru', trust: 30 });
+  assert.equal(q.reason, null);
+});
+
+test('повторные гарантии: прощание, Closing и goodbye, сессия закрыта с причиной', async () => {
+  mock();
+  resetState('exit-red');
+  const first = await runLLM({ message: GUARANTEE, sessionId: 'exit-red' });
+  assert.notEqual(first.result.stage, 'Closing');
+  assert.equal(first.closed, undefined);
+
+  const bye = await runLLM({ message: EMBASSY, sessionId: 'exit-red' });
+  assert.match(bye.result.reply, /Думаю, нам не по пути/);
+  assert.equal(bye.result.stage, 'Closing');
+  assert.deepEqual(bye.result.suggestedActions, ['goodbye']);
+  assert.deepEqual(bye.closed, { reason: 'red_flags', turn: 2, at: getState('exit-red').turnAt });
+  assert.equal(getState('exit-red').transcript[1].exit, 'red_flags');
+});
+
+test('после закрытия — «мы уже поговорили» без вызова модели, до сброса', async () => {
+  const provider = mock();
+  resetState('exit-after');
+  for (const text of [PUSH, PUSH, PUSH]) await runLLM({ message: text, sessionId: 'exit-after' });
+  assert.equal(getState('exit-after').closed.reason, 'pressure');
+
+  const calls = provider.calls;
+  const again = await runLLM({ message: 'Давайте всё-таки обсудим.', sessionId: 'exit-after' });
+  assert.equal(again.result.reply, 'Мы уже поговорили — решение я принял. Всего доброго.');
+  assert.equal(again.result.stage, 'Closing');
+  assert.equal(provider.calls, calls);
+  assert.equal(getState('exit-after').transcript.at(-1).closed, true);
+
+  assert.equal((await request('POST', '/api/sessions/exit-after/reset')).status, 404); // публичного сброса нет
+  assert.equal((await request('POST', '/api/admin/sessions/exit-after/reset')).status, 401);
+  const reset = await request('POST', '/api/admin/sessions/exit-after/reset', { token: 'exit-admin' });
+  assert.equal(reset.status, 200);
+  const fresh = await runLLM({ message: 'Здравствуйте.', sessionId: 'exit-after' });
+  assert.notEqual(fresh.result.stage, 'Closing');
+  assert.equal(fresh.closed, undefined);
+
+  assert.equal((await request('POST', '/api/admin/sessions/exit-none/reset', { token: 'exit-admin' })).status, 404);
+});
+
+test('реплики выхода — в роде персоны и на языке сессии', async () => {
+  mock();
+  resetState('exit-maria');
+  for (const text of [PUSH, PUSH, PUSH]) await runLLM({ message: text, sessionId: 'exit-maria', persona: 'maria' });
+  const out = await runLLM({ message: 'Алло?', sessionId: 'exit-maria' });
+  assert.match(out.result.reply, /решение я приняла/);
+
+  resetState('exit-en');
+  await runLLM({ message: 'I guarantee the visa, 100%.', sessionId: 'exit-en', locale: 'en' });
+  const en = await runLLM({ message: 'We have contacts at the embassy. Guaranteed.', sessionId: 'exit-en' });
+  assert.equal(en.result.stage, 'Closing');
+  assert.match(en.result.reply, /^Nobody can guarantee a visa/);
+});
+
+test('закрытие засчитывается сценарию как поражение, если условия сценария не назвали причину точнее', () => {
+  const sc = getScenario('ten-after-visa');
+  const ctx = { turn: 3, trust: 0, stage: 'Closing', seen: new Map(), userText: 'Ок.', policy: [], locale: 'ru' };
+  assert.equal(evaluateOutcome(sc, ctx), null);
+  assert.deepEqual(evaluateOutcome(sc, { ...ctx, closed: { reason: 'trust_floor', turn: 3 } }),
+    { status: 'lost', reason: 'Собеседник закончил разговор: доверие на нуле' });
+});
+
+test('replay закрывает сессию на том же ходу', async () => {
+  mock();
+  const sid = 'exit-replay';
+  resetState(sid);
+  for (const text of [GUARANTEE, CALM, EMBASSY, 'Ну что?']) await runLLM({ message: text, sessionId: sid });
+  assert.deepEqual(getState(sid).transcript.map(t => t.stage === 'Closing'), [false, false, true, true]);
+  assert.deepEqual(replaySession(sid).map(t => t.changed), [[], [], [], []]);
+});
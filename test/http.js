@@ -0,0 +1,35 @@
+// test/http.js
+// HTTP-запрос к приложению из тестов: app на свободном порту, один fetch, сервер закрывается.
+// Импорт: import { request } from './http.js';
+
+import './env.js';
+import { app } from '../server.js';
+
+/*
+  request(method, path, { body, token, key, headers }) → { status, headers, text, body }
+    body   — объект уходит JSON-ом, FormData — как есть (multipart)
+    token  — Authorization: Bearer …; key — X-API-Key школы; headers — поверх
+    в ответе body — разобранный JSON или null (404 Express — HTML), text — сырое тело
+*/
+export async function request(method, path, { body, token, key, headers = {} } = {}){
+  const server = app.listen(0);
+  try {
+    const form = body instanceof FormData;
+    const res = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+      method,
+      headers: {
+        ...(body && !form ? { 'Content-Type': 'application/json' } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...(key ? { 'X-API-Key': key } : {}),
+        ...headers
+      },
+      ...(body ? { body: form ? body : JSON.stringify(body) } : {})
+    });
+    const text = await res.text();
+    let json = null;
+    try { json = JSON.parse(text); } catch {}
+    return { status: res.status, headers: res.headers, text, body: json };
+  } finally {
+    server.close();
+  }
+}
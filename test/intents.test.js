@@ -0,0 +1,141 @@
+// test/intents.test.js
+// Классификатор интентов: ранжирование с уверенностью, несколько интентов на реплику, бэкенды rules/local/llm,
+// ответы postRules по главным интентам.
+
+import './env.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { classifyRules, topIntents, createClassifier, setClassifier } from '../intents.js';
+import { postRules, runLLM, replaySession } from '../server.js';
+import { getState, resetState } from '../store.js';
+import { createMockProvider, setProvider } from '../providers.js';
+
+const names = (list) => list.map(x => x.intent);
+
+test('classifyRules: ранжированные интенты с уверенностью', async (t) => {
+  await t.test('«сколько стоит жильё» — про жильё, цена — второстепенно', () => {
+    const list = classifyRules('Сколько стоит жильё?');
+    assert.deepEqual(list, [{ intent: 'ask_accommodation', confidence: 0.8 }, { intent: 'ask_price', confidence: 0.5 }]);
+    assert.deepEqual(names(topIntents(list)), ['ask_accommodation']);
+  });
+  await t.test('«сколько стоит?» без темы — цена', () => {
+    assert.deepEqual(names(topIntents(classifyRules('Сколько стоит?'))), ['ask_price']);
+  });
+  await t.test('два вопроса в одной реплике — оба в главных', () => {
+    assert.deepEqual(names(topIntents(classifyRules('Какая зарплата и какое жильё?'))), ['ask_price', 'ask_accommodation']);
+  });
+  await t.test('нет совпадений — пустой список', () => {
+    assert.deepEqual(classifyRules('Добрый день'), []);
+    assert.deepEqual(topIntents([]), []);
+  });
+});
+
+test('classifyRules: новые интенты на всех языках', async (t) => {
+  const cases = [
+    ['ru', 'Вы вернёте деньги? Какие условия возврата?', 'ask_refund'],
+    ['ru', 'Что будет, если откажут в визе?', 'ask_visa_rejection'],
+    ['ru', 'Какие требования к языку?', 'ask_language_requirements'],
+    ['ru', 'Расскажите о вашей компании.', 'ask_company_background'],
+    ['en', 'What if the visa is refused?', 'ask_visa_rejection'],
+    ['en', 'Do you offer a refund?', 'ask_refund'],
+    ['pl', 'Jakie są wymagania co do znajomości języka?', 'ask_language_requirements'],
+    ['pl', 'Jak długo działacie na rynku?', 'ask_company_background'],
+    ['hi', 'क्या पैसे वापस मिलेंगे?', 'ask_refund'],
+    ['hi', 'अगर वीज़ा रिजेक्ट हो गया तो?', 'ask_visa_rejection']
+  ];
+  for (const [locale, text, want] of cases) {
+    await t.test(`${locale}: ${text}`, () => assert.equal(classifyRules(text, locale)[0]?.intent, want));
+  }
+});
+
+test('бэкенд llm: только известные интенты; мусор — откат на правила', async () => {
+  const provider = createMockProvider({ replies: [
+    { intents: [{ intent: 'ask_refund', confidence: 0.9 }, { intent: 'ask_weather', confidence: 1 }, { intent: 'ask_price', confidence: 1.7 }] },
+    'не JSON'
+  ], loop: false });
+  const llm = createClassifier('llm', { provider });
+  assert.deepEqual(await llm.classify('Верните деньги'), [{ intent: 'ask_price', confidence: 1 }, { intent: 'ask_refund', confidence: 0.9 }]);
+  assert.deepEqual(await llm.classify('Сколько стоит жильё?'), classifyRules('Сколько стоит жильё?'));
+  assert.throws(() => createClassifier('bert'), /Unknown intent backend: bert/);
+});
+
+test('бэкенд local: модель по HTTP; недоступна — откат на правила', async () => {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (c) => { body += c; });
+    req.on('end', () => {
+      const { text, locale } = JSON.parse(body);
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ intents: [{ intent: 'ask_company_background', confidence: text && locale === 'en' ? 0.7 : 0 }] }));
+    });
+  });
+  await new Promise(r => server.listen(0, r));
+  try {
+    const local = createClassifier('local', { url: `http://127.0.0.1:${server.address().port}/intents` });
+    assert.deepEqual(await local.classify('Who are you guys?', { locale: 'en' }), [{ intent: 'ask_company_background', confidence: 0.7 }]);
+  } finally {
+    await new Promise(r => server.close(r));
+  }
+  const down = createClassifier('local', { url: 'http://127.0.0.1:9/intents', timeoutMs: 500 });
+  assert.deepEqual(await down.classify('Какие требования к языку?'), classifyRules('Какие требования к языку?'));
+});
+
+test('postRules: отвечают по главным интентам', async (t) => {
+  const DF = { salary: { value: 32000, currency: 'CZK' }, accommodation: { cost_eur: 150 }, location: 'Pardubice' };
+  let seq = 0;
+  const run = (userText, { intents, demandFacts = DF } = {}) => {
+    const sid = `intents-${++seq}`;
+    resetState(sid);
+    const S = getState(sid);
+    S.turn = 3;
+    S.demandFacts = demandFacts;
+    return postRules({
+      parsed: { reply: 'Хорошо.', stage: 'Demand', confidence: 50, needEvidence: false, suggestedActions: [] },
+      trust: 60, evidences: [], history: [], userText, sid, evidenceDetails: {}, intents
+    }).reply;
+  };
+
+  await t.test('«сколько стоит жильё» — факты о жилье, не о зарплате', () => {
+    const reply = run('Сколько стоит жильё?');
+    assert.match(reply, /^По жилью из деманда/);
+    assert.doesNotMatch(reply, /нетто/);
+  });
+  await t.test('зарплата и жильё — оба факта', () => {
+    assert.match(run('Какая зарплата и какое жильё?'), /^По деманду: нетто от 32000.*По жилью из деманда/);
+  });
+  await t.test('возврат и отказ в визе — позиция персоны', () => {
+    assert.match(run('Если откажут в визе, вы вернёте деньги?'), /^Условия возврата.*Если посольство откажет/);
+  });
+  await t.test('язык: из деманда, если указан', () => {
+    assert.equal(run('Какие требования к языку?', { demandFacts: { ...DF, language: 'English A2' } }), 'Требования к языку по деманду: English A2.');
+    assert.match(run('Какие требования к языку?'), /^Язык зависит от позиции/);
+  });
+  await t.test('интенты от классификатора важнее правил', () => {
+    assert.equal(run('Ну и?', { intents: [{ intent: 'ask_location', confidence: 0.9 }] }), 'Локация в деманде: Pardubice.');
+  });
+});
+
+test('runLLM: интенты в ответе; не-rules классификатор записывается в транскрипт для replay', async () => {
+  const sid = 'intents-llm';
+  resetState(sid);
+  const provider = setProvider(createMockProvider({ replies: [
+    (messages) => /Classify the intents/.test(messages[0].content)
+      ? { intents: [{ intent: 'ask_refund', confidence: 0.8 }] }
+      : { reply: 'Понял.', stage: 'Demand', confidence: 40 }
+  ] }));
+  setClassifier(createClassifier('llm', { provider }));
+  try {
+    const out = await runLLM({ history: [], message: 'Давайте обсудим детали.', sessionId: sid });
+    assert.deepEqual(out.intents, [{ intent: 'ask_refund', confidence: 0.8 }]);
+    assert.match(out.result.reply, /Условия возврата/);
+    assert.deepEqual(getState(sid).transcript[0].intents, out.intents);
+
+    const calls = provider.calls;
+    const [turn] = replaySession(sid);
+    assert.deepEqual(turn.changed, []);
+    assert.equal(provider.calls, calls); // replay не вызывает ни модель, ни классификатор
+  } finally {
+    setClassifier(createClassifier('rules'));
+  }
+});
@@ -0,0 +1,99 @@
+// test/locales.test.js
+// Языки сессии: детекторы доверия на en/pl/hi дают те же сигналы и числа, что и русский;
+// заготовленные реплики, контраргументы, род и интенты — на языке сессии.
+
+import './env.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { runLLM } from '../server.js';
+import { classifyRules } from '../intents.js';
+import { explainTrust, textSignals } from '../trust.js';
+import { applyGender } from '../personas.js';
+import { getState, resetState } from '../store.js';
+import { createMockProvider, setProvider } from '../providers.js';
+
+// Одна и та же реплика менеджера на четырёх языках
+const SAME = [
+  {
+    ru: 'Здравствуйте, спасибо! Я менеджер RenovoGo, наш сайт https://renovogo.com. Вакансия на складе, зарплата нетто 32000 CZK, жильё есть, Brno.',
+    en: 'Hello, thank you! I am a manager at RenovoGo, our website https://renovogo.com. A warehouse vacancy, net salary 32000 CZK, accommodation provided, Brno.',
+    pl: 'Dzień dobry, dziękuję! Jestem menedżerem RenovoGo, nasza strona www https://renovogo.com. Wakat w magazynie, wynagrodzenie netto 32000 CZK, zakwaterowanie jest, Brno.',
+    hi: 'नमस्ते, धन्यवाद! मैं RenovoGo का मैनेजर हूँ, हमारी वेबसाइट https://renovogo.com है। वेयरहाउस की वैकेंसी, नेट वेतन 32000 CZK, आवास मिलेगा, Brno।'
+  },
+  {
+    ru: 'Гарантирую 100% визу, поторопитесь.',
+    en: 'I guarantee a 100% visa, hurry up.',
+    pl: 'Gwarantuję 100% wizę, pospieszcie się.',
+    hi: 'मैं 100% वीज़ा की गारंटी देता हूँ, जल्दी कीजिए।'
+  },
+  {
+    ru: 'Пожалуйста, давайте начнём с одного кандидата, вот деманд и контракт, оплата по счёту.',
+    en: 'Please, let us start with one candidate, here is the demand and the contract, payment by invoice.',
+    pl: 'Proszę, zacznijmy od jednego kandydata, oto demand i umowa, płatność przez fakturę.',
+    hi: 'कृपया, एक उम्मीदवार से शुरू करते हैं, यह रहा डिमांड और कॉन्ट्रैक्ट, भुगतान इनवॉइस से।'
+  }
+];
+
+test('explainTrust: одинаковые реплики на разных языках — одинаковые сигналы и доверие', async (t) => {
+  for (const [i, row] of SAME.entries()) {
+    await t.test(`реплика ${i + 1}`, () => {
+      const score = (locale) => {
+        const r = explainTrust({
+          baseTrust: 45, evidences: i === 2 ? ['demand_letter', 'coop_contract_pdf'] : [],
+          history: [{ role: 'user', content: row[locale] }], lastUserText: row[locale], locale
+        });
+        return { score: r.score, keys: r.breakdown.contributions.map(c => c.key) };
+      };
+      const ru = score('ru');
+      for (const locale of ['en', 'pl', 'hi']) assert.deepEqual(score(locale), ru, locale);
+    });
+  }
+});
+
+test('textSignals: русские выражения не срабатывают в английской сессии и наоборот', () => {
+  assert.deepEqual(textSignals('Гарантирую 100% визу', 'en').red, ['impossible_guarantee']); // «100%» — на любом языке
+  assert.deepEqual(textSignals('поторопитесь', 'en').red, []);
+  assert.deepEqual(textSignals('hurry up', 'ru').red, []);
+  assert.deepEqual(textSignals('hurry up', 'en').red, ['pressure']);
+});
+
+test('classifyRules: интенты на языке сессии', () => {
+  const detectIntent = (text, locale) => classifyRules(text, locale)[0]?.intent;
+  assert.equal(detectIntent('How much does it cost?', 'en'), 'ask_price');
+  assert.equal(detectIntent('Jakie dokumenty są potrzebne?', 'pl'), 'ask_docs');
+  assert.equal(detectIntent('आवास कैसा है?', 'hi'), 'ask_accommodation');
+  assert.equal(detectIntent('Сколько стоит?'), 'ask_price');
+});
+
+test('applyGender: род говорящего в польском и хинди', () => {
+  assert.equal(applyGender('Jestem gotowy, chciałbym zobaczyć umowę.', 'f', 'pl'), 'Jestem gotowa, chciałabym zobaczyć umowę.');
+  assert.equal(applyGender('मैं यह कर सकता हूँ।', 'f', 'hi'), 'मैं यह कर सकती हूँ।');
+  assert.equal(applyGender('Я рада.', 'm'), 'Я рад.');
+});
+
+test('runLLM: язык запоминается в сессии, реплики и контраргументы — на нём', async () => {
+  const sid = 'locale-en';
+  resetState(sid);
+  setProvider(createMockProvider({ replies: [{ reply: 'Hi.', stage: 'Greeting' }], loop: true }));
+
+  const first = await runLLM({ history: [], message: 'Who are you?', sessionId: sid, locale: 'en' });
+  assert.equal(first.persona.locale, 'en');
+  assert.equal(first.result.reply, 'My name is Ali.');
+  assert.equal(getState(sid).locale, 'en');
+
+  const history = [{ role: 'user', content: 'Who are you?' }, { role: 'assistant', content: first.result.reply }];
+  const second = await runLLM({ history, message: 'You must pay in advance, today only.', sessionId: sid });
+  assert.deepEqual(second.policy, ['pressure', 'prepay']);
+  assert.match(second.result.reply, /^I am not comfortable being pressured\. I do not do prepayment\./);
+
+  await assert.rejects(runLLM({ history: [], message: 'Hallo', sessionId: 'locale-x', locale: 'de' }), /Unknown locale: de/);
+});
+
+test('runLLM: польская сессия Марии — женский род в ответе и заготовках', async () => {
+  const sid = 'locale-pl';
+  resetState(sid);
+  setProvider(createMockProvider({ replies: [{ reply: 'Jestem gotowy rozmawiać.', stage: 'Greeting' }] }));
+  const out = await runLLM({ history: [], message: 'Dzień dobry, nazywam się Piotr, RenovoGo.', sessionId: sid, persona: 'maria', locale: 'pl' });
+  assert.equal(out.result.reply, 'Jestem gotowa rozmawiać.');
+  assert.equal(applyGender(out.persona.objections.budget[1], out.persona.gender, out.persona.locale), 'Na razie nie jestem gotowa zapłacić całej kwoty.');
+});
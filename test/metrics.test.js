@@ -0,0 +1,107 @@
+// test/metrics.test.js
+// Метрики Prometheus (/metrics): запросы по роутам, попытки и повторы LLM, сбои JSON, доверие и стадии;
+// JSON-логи: requestId и sessionId в каждой строке запроса.
+
+import './env.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { metrics, renderMetrics, resetMetrics } from '../metrics.js';
+import { resetState } from '../store.js';
+import { createMockProvider, setProvider } from '../providers.js';
+import { request } from './http.js';
+
+// Строки лога за время fn (stdout и stderr), разобранные из JSON; остальное (вывод раннера) — как обычно
+async function captureLogs(fn){
+  const lines = [];
+  const orig = { out: process.stdout.write, err: process.stderr.write, level: process.env.LOG_LEVEL };
+  const grab = (write) => function(chunk, ...rest){
+    if (typeof chunk === 'string' && chunk.startsWith('{"time"')) { lines.push(JSON.parse(chunk)); return true; }
+    return write.call(this, chunk, ...rest);
+  };
+  process.stdout.write = grab(orig.out); process.stderr.write = grab(orig.err);
+  process.env.LOG_LEVEL = 'info';
+  try { await fn(); }
+  finally { process.stdout.write = orig.out; process.stderr.write = orig.err; process.env.LOG_LEVEL = orig.level; }
+  return lines;
+}
+
+const scrape = async () => (await request('GET', '/metrics')).text;
+
+test('renderMetrics: формат Prometheus — HELP/TYPE, метки, бакеты гистограммы', () => {
+  resetMetrics();
+  metrics.purchases.inc({ mode: 'ready' });
+  metrics.purchases.inc({ mode: 'ready' });
+  metrics.trust.observe({ persona: 'ali' }, 55);
+  const out = renderMetrics();
+  assert.match(out, /# TYPE purchase_decisions_total counter\npurchase_decisions_total\{mode="ready"\} 2\n/);
+  assert.match(out, /trust_score_bucket\{persona="ali",le="50"\} 0\n/);
+  assert.match(out, /trust_score_bucket\{persona="ali",le="60"\} 1\n/);
+  assert.match(out, /trust_score_bucket\{persona="ali",le="\+Inf"\} 1\ntrust_score_sum\{persona="ali"\} 55\ntrust_score_count\{persona="ali"\} 1\n/);
+});
+
+test('/metrics после ответа: роут, вызов LLM, доверие, переход стадии', async () => {
+  resetMetrics();
+  resetState('metrics-1');
+  setProvider(createMockProvider({ replies: [{ reply: 'Слушаю.', stage: 'Greeting', confidence: 30 }] }));
+  assert.equal((await request('POST', '/api/reply', { body: { sessionId: 'metrics-1', message: 'Здравствуйте.' } })).status, 200);
+
+  const out = await scrape();
+  assert.match(out, /http_requests_total\{method="POST",route="\/api\/reply",status="200"\} 1/);
+  assert.match(out, /http_request_duration_seconds_count\{method="POST",route="\/api\/reply"\} 1/);
+  assert.match(out, /llm_request_duration_seconds_count\{kind="chat",outcome="ok",provider="mock"\} 1/);
+  assert.match(out, /trust_score_count\{persona="ali"\} 1/);
+  assert.match(out, /stage_transitions_total\{from="none",to="\w+"\} 1/);
+  assert.doesNotMatch(out, /llm_retries_total\{/);
+});
+
+test('повтор после сбоя провайдера и ответ не-JSON — в метриках', async () => {
+  resetMetrics();
+  resetState('metrics-2');
+  let n = 0;
+  setProvider({
+    name: 'flaky', model: 'flaky',
+    async chat(){ if (n++ === 0) throw new Error('boom'); return { choices: [{ message: { content: 'я не JSON' } }] }; },
+    async *stream(){}
+  });
+  assert.equal((await request('POST', '/api/reply', { body: { sessionId: 'metrics-2', message: 'Здравствуйте.' } })).status, 200);
+
+  const out = await scrape();
+  assert.match(out, /llm_retries_total\{kind="chat",provider="flaky"\} 1/);
+  assert.match(out, /llm_request_duration_seconds_count\{kind="chat",outcome="error",provider="flaky"\} 1/);
+  assert.match(out, /llm_json_parse_failures_total\{reason="no_json"\} 1/);
+});
+
+test('METRICS_TOKEN: без токена — 401', async () => {
+  process.env.METRICS_TOKEN = 'scrape-me';
+  try {
+    assert.equal((await request('GET', '/metrics')).status, 401);
+    assert.equal((await request('GET', '/metrics', { token: 'scrape-me' })).status, 200);
+  } finally {
+    delete process.env.METRICS_TOKEN;
+  }
+});
+
+test('логи: JSON-строки с requestId (свой или из X-Request-Id) и sessionId', async () => {
+  resetState('log-1');
+  setProvider(createMockProvider({ replies: ['не JSON'] }));
+  let res;
+  const lines = await captureLogs(async () => {
+    res = await request('POST', '/api/reply', { body: { sessionId: 'log-1', message: 'Здравствуйте.' }, headers: { 'X-Request-Id': 'req-42' } });
+  });
+  assert.equal(res.headers.get('x-request-id'), 'req-42');
+
+  const served = lines.find(l => l.msg === 'request');
+  assert.equal(served.level, 'info');
+  assert.equal(served.route, '/api/reply');
+  assert.equal(served.status, 200);
+  const fallback = lines.find(l => l.level === 'warn');
+  assert.match(fallback.msg, /not valid JSON/);
+  for (const l of [served, fallback]) {
+    assert.equal(l.requestId, 'req-42');
+    assert.equal(l.sessionId, 'log-1');
+  }
+
+  const [ping] = await captureLogs(() => request('GET', '/api/ping'));
+  assert.match(ping.requestId, /^[0-9a-f-]{36}$/);
+  assert.equal(ping.sessionId, null);
+});
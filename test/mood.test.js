@@ -0,0 +1,116 @@
+// test/mood.test.js
+// Настроение собеседника: сдвиги от давления, красных флагов и доказательств, затухание к базе персоны,
+// строка в промпте модели, влияние на возражения и встречные вопросы, replay и meta.mood.
+
+import './env.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { initialMood, updateMood, moodEffects, describeMood } from '../mood.js';
+import { runLLM, replaySession, repetitionGuard } from '../server.js';
+import { getState, resetState } from '../store.js';
+import { getPersona } from '../personas.js';
+import { getScenario, withScenario } from '../scenarios.js';
+import { createMockProvider, setProvider } from '../providers.js';
+
+const ALI = getPersona('ali');
+const PUSH = 'Срочно, последний шанс — решайте прямо сейчас!';
+
+let lastMessages = [];
+setProvider(createMockProvider({ replies: [(messages) => { lastMessages = messages; return { reply: 'Понял. Какие условия?', stage: 'Demand', confidence: 40 }; }] }));
+
+test('updateMood: давление раздражает, красный флаг настораживает, доказательства вызывают интерес', () => {
+  const base = initialMood(ALI);
+  const pushed = updateMood(base, ALI, { text: PUSH, locale: 'ru' });
+  assert.ok(pushed.irritation > base.irritation + 20);
+  assert.ok(pushed.warmth < base.warmth);
+
+  const red = updateMood(base, ALI, { text: 'Гарантирую визу без отказов.', locale: 'ru' });
+  assert.ok(red.suspicion >= base.suspicion + 20);
+
+  const docs = updateMood(base, ALI, { text: 'Вот Demand.', locale: 'ru', newEvidences: 2 });
+  assert.ok(docs.curiosity > base.curiosity);
+  assert.ok(docs.suspicion < base.suspicion);
+
+  const bad = updateMood(base, ALI, { text: 'Вот контракт.', locale: 'ru', discrepancies: 1 });
+  assert.ok(bad.suspicion > base.suspicion);
+});
+
+test('updateMood: без новых сигналов шкалы затухают к базе персоны, значения — 0..100', () => {
+  let mood = { irritation: 100, curiosity: 0, suspicion: 100, warmth: 0 };
+  for (let i = 0; i < 20; i++) mood = updateMood(mood, ALI, { text: 'Хорошо.', locale: 'ru' });
+  assert.deepEqual(mood, initialMood(ALI));
+
+  let extreme = initialMood(ALI);
+  for (let i = 0; i < 10; i++) extreme = updateMood(extreme, ALI, { text: PUSH + ' Гарантирую 100%.', locale: 'ru' });
+  assert.equal(extreme.irritation, 100);
+  assert.equal(extreme.warmth, 0);
+});
+
+test('база настроения: персона и сценарий (сценарий — поверх персоны)', () => {
+  assert.equal(initialMood(getPersona('ram')).curiosity, 50);
+  const burned = withScenario(ALI, getScenario('burned-by-scammer'));
+  assert.equal(initialMood(burned).suspicion, 65);
+  assert.equal(initialMood(burned).irritation, initialMood(ALI).irritation);
+});
+
+test('moodEffects и describeMood: пороги и подсказки', () => {
+  assert.deepEqual(moodEffects(null), { irritated: false, doubting: false, curious: false, maxQuestions: 1 });
+  const angry = { irritation: 70, curiosity: 80, suspicion: 75, warmth: 0 };
+  assert.equal(moodEffects(angry, 30).irritated, true);
+  assert.equal(moodEffects(angry, 30).curious, false);
+  assert.equal(moodEffects(angry, 30).maxQuestions, 0);
+  assert.equal(moodEffects(angry, 30).doubting, true);
+  assert.equal(moodEffects(angry, 60).doubting, false);
+  assert.equal(moodEffects({ irritation: 10, curiosity: 70, suspicion: 20, warmth: 20 }).maxQuestions, 2);
+  assert.match(describeMood(angry), /irritation=70/);
+  assert.match(describeMood(angry), /раздражение/);
+  assert.doesNotMatch(describeMood(initialMood(ALI)), /настроение:/);
+});
+
+test('настроение хода — в промпте модели, в meta.mood и в состоянии сессии', async () => {
+  resetState('mood-1');
+  const out = await runLLM({ message: PUSH, sessionId: 'mood-1' });
+  assert.ok(out.mood.irritation > initialMood(ALI).irritation);
+  assert.deepEqual(getState('mood-1').mood, out.mood);
+  assert.deepEqual(getState('mood-1').transcript[0].mood, out.mood);
+  assert.ok(lastMessages.some(m => m.role === 'system' && /— mood: irritation=\d+/.test(m.content)));
+});
+
+test('раздражённый не задаёт встречных вопросов; заинтересованный — может задать два', () => {
+  resetState('mood-q');
+  const S = getState('mood-q');
+  S.mood = { irritation: 80, curiosity: 40, suspicion: 40, warmth: 0 };
+  assert.equal(repetitionGuard('Понял. Какая зарплата? Где жильё?', 'mood-q'), 'Понял.');
+
+  resetState('mood-q');
+  getState('mood-q').mood = { irritation: 10, curiosity: 80, suspicion: 30, warmth: 30 };
+  assert.equal(repetitionGuard('Понял. Какая зарплата? Где жильё?', 'mood-q'), 'Понял. Какая зарплата? Где жильё?');
+});
+
+test('раздражённый на разговор о цене берёт паузу вместо «дорого»', async () => {
+  resetState('mood-price');
+  getState('mood-price').mood = { irritation: 90, curiosity: 20, suspicion: 40, warmth: 0 };
+  const out = await runLLM({ message: 'Цена за кандидата — 500 евро.', sessionId: 'mood-price' });
+  assert.match(out.result.reply, /Возьму время/);
+  assert.doesNotMatch(out.result.reply, /дорого/);
+});
+
+test('подозрительный сомневается и без повода, пока доверие не выросло', async () => {
+  resetState('mood-doubt');
+  getState('mood-doubt').mood = { irritation: 10, curiosity: 40, suspicion: 95, warmth: 10 };
+  const doubting = await runLLM({ message: 'Расскажу о нашей компании.', sessionId: 'mood-doubt' });
+  assert.match(doubting.result.reply, /Возьму время/);
+
+  resetState('mood-calm');
+  const calm = await runLLM({ message: 'Расскажу о нашей компании.', sessionId: 'mood-calm' });
+  assert.doesNotMatch(calm.result.reply, /Возьму время/);
+});
+
+test('replay воспроизводит настроение: те же ответы, что и вживую', async () => {
+  const sid = 'mood-replay';
+  resetState(sid);
+  await runLLM({ message: PUSH, sessionId: sid });
+  await runLLM({ message: 'Гарантирую визу, 100%.', sessionId: sid });
+  await runLLM({ message: 'Хорошо, вот Demand.', sessionId: sid, evidences: ['demand_letter'] });
+  assert.deepEqual(replaySession(sid).map(t => t.changed), [[], [], []]);
+});
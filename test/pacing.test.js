@@ -0,0 +1,108 @@
+// test/pacing.test.js
+// Темп по реальному времени: таймштампы в истории и ходах, кулдаун вежливости в секундах,
+// молчание без объяснений и «вал» документов — штраф доверия и реакция собеседника; replay — на записанном времени.
+
+import './env.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { pacingOf, pacingLine } from '../pacing.js';
+import { courtesyBonusWithCooldown, explainTrust } from '../trust.js';
+import { runLLM, replaySession } from '../server.js';
+import { getState, resetState } from '../store.js';
+import { createMockProvider, setProvider } from '../providers.js';
+
+setProvider(createMockProvider({ replies: [{ reply: 'Понял, посмотрю.', stage: 'Demand', confidence: 40 }] }));
+
+const T0 = Date.parse('2025-09-16T09:00:00Z');
+const MIN = 60_000, HOUR = 3600_000, DAY = 24 * HOUR;
+const DOCS = ['demand_letter', 'coop_contract_pdf', 'website', 'visa_sample', 'business_card'];
+
+test('pacingOf: пауза с прошлого хода, объяснение, «вал» документов', () => {
+  const history = [{ role: 'user', content: 'a', at: T0 }, { role: 'assistant', content: 'b', at: T0 }];
+  const late = pacingOf({ history, now: T0 + 2 * DAY, text: 'Так что с кандидатами?', locale: 'ru' });
+  assert.equal(late.gapSec, 2 * 86400);
+  assert.equal(late.silence, true);
+  assert.equal(late.explained, false);
+  assert.equal(pacingLine(late, 'ru'), 'Вы пропали на 2 дня. Что-то случилось?');
+  assert.match(pacingLine(late, 'en'), /^You disappeared for 2 days/);
+
+  const sorry = pacingOf({ history, now: T0 + 2 * DAY, text: 'Извините за паузу, был в отпуске.', locale: 'ru' });
+  assert.equal(sorry.explained, true);
+  assert.equal(pacingLine(sorry, 'ru'), '');
+
+  assert.equal(pacingOf({ history: [{ role: 'user', content: 'a' }], now: T0 }).gapSec, null); // история без времени
+
+  const seen = new Map([['demand_letter', { count: 1, lastAt: T0 }], ['website', { count: 1, lastAt: T0 }]]);
+  const dump = pacingOf({ now: T0 + 10_000, seen, evidences: DOCS });
+  assert.equal(dump.docs, 5);
+  assert.equal(dump.dump, true);
+  assert.equal(pacingOf({ now: T0 + 10 * MIN, seen, evidences: DOCS }).dump, false); // те два — давно
+});
+
+test('вежливость: кулдаун в секундах по таймштампам истории', () => {
+  const polite = (at) => [{ role: 'user', content: 'Подскажите, пожалуйста', at }, { role: 'assistant', content: 'Да.', at }];
+  assert.equal(courtesyBonusWithCooldown(polite(T0), 'Спасибо, подскажите ещё', undefined, 'ru', T0 + 2 * MIN), 0);
+  assert.equal(courtesyBonusWithCooldown(polite(T0), 'Спасибо, подскажите ещё', undefined, 'ru', T0 + 10 * MIN), 0.5);
+  // без таймштампов — по ходам, как раньше (текущая реплика — последняя в истории)
+  assert.equal(courtesyBonusWithCooldown([...polite(undefined), { role: 'user', content: 'Подскажите ещё' }], 'Подскажите ещё', undefined, 'ru', T0), 0);
+});
+
+test('explainTrust: штрафы темпа — отдельные вклады pace.*', () => {
+  const base = explainTrust({ baseTrust: 40, evidences: ['demand_letter'] });
+  const silent = explainTrust({ baseTrust: 40, evidences: ['demand_letter'], pacing: { at: T0, gapSec: 2 * 86400, silence: true, explained: false } });
+  const excused = explainTrust({ baseTrust: 40, evidences: ['demand_letter'], pacing: { at: T0, gapSec: 2 * 86400, silence: true, explained: true } });
+  const dumped = explainTrust({ baseTrust: 40, evidences: ['demand_letter'], pacing: { at: T0, gapSec: 5, docs: 5, dump: true } });
+  assert.ok(silent.score < base.score);
+  assert.ok(silent.breakdown.contributions.some(c => c.key === 'pace.silence'));
+  assert.equal(excused.score, base.score);
+  assert.ok(dumped.breakdown.contributions.some(c => c.key === 'pace.docDump' && c.note === '5 docs'));
+});
+
+test('вернулся через два дня без объяснений: упрёк, ниже доверие, meta.pacing; с объяснением — нет', async () => {
+  const play = async (sid, gap, text) => {
+    resetState(sid);
+    await runLLM({ message: 'Здравствуйте, я из RenovoGo.', sessionId: sid, now: T0 });
+    return runLLM({ message: text, sessionId: sid, evidences: ['demand_letter'], now: T0 + gap });
+  };
+  const soon = await play('pace-soon', 5 * MIN, 'Вот наш Demand.');
+  const gone = await play('pace-gone', 2 * DAY, 'Вот наш Demand.');
+  const sorry = await play('pace-sorry', 2 * DAY, 'Извините за задержку. Вот наш Demand.');
+
+  assert.match(gone.result.reply, /^Вы пропали на 2 дня\./);
+  assert.ok(gone.trust < soon.trust);
+  assert.equal(gone.pacing.silence, true);
+  assert.equal(getState('pace-gone').transcript[1].pacing.gapSec, 2 * 86400);
+  assert.equal(soon.pacing, undefined);
+  assert.doesNotMatch(sorry.result.reply, /пропали/);
+  assert.equal(sorry.pacing.explained, true);
+
+  const { history } = getState('pace-gone');
+  assert.deepEqual(history.map(h => h.at), [T0, T0, T0 + 2 * DAY, T0 + 2 * DAY]);
+});
+
+test('пять документов за секунды — «не так быстро» и штраф; те же документы по одному — без них', async () => {
+  resetState('pace-dump');
+  await runLLM({ message: 'Здравствуйте.', sessionId: 'pace-dump', now: T0 });
+  const dump = await runLLM({ message: 'Отправляю всё сразу.', sessionId: 'pace-dump', evidences: DOCS, now: T0 + 20_000 });
+  assert.match(dump.result.reply, /^Не так быстро/);
+  assert.ok(dump.trustBreakdown.contributions.some(c => c.key === 'pace.docDump'));
+  assert.equal(dump.pacing.dump, true);
+
+  resetState('pace-steady');
+  let out;
+  for (const [i, key] of DOCS.entries()) {
+    out = await runLLM({ message: 'Вот ещё документ.', sessionId: 'pace-steady', evidences: DOCS.slice(0, i + 1), now: T0 + i * 5 * MIN });
+    assert.doesNotMatch(out.result.reply, /Не так быстро/, key);
+  }
+  assert.ok(!out.trustBreakdown.contributions.some(c => c.key.startsWith('pace.')));
+});
+
+test('replay считает темп по записанному времени ходов', async () => {
+  const sid = 'pace-replay';
+  resetState(sid);
+  await runLLM({ message: 'Здравствуйте.', sessionId: sid, now: T0 });
+  await runLLM({ message: 'Отправляю всё сразу.', sessionId: sid, evidences: DOCS, now: T0 + 20_000 });
+  await runLLM({ message: 'Так что скажете?', sessionId: sid, evidences: DOCS, now: T0 + 3 * DAY });
+  assert.deepEqual(getState(sid).transcript.map(t => t.at), [T0, T0 + 20_000, T0 + 3 * DAY]);
+  assert.deepEqual(replaySession(sid).map(t => t.changed), [[], [], []]);
+});
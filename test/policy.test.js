@@ -0,0 +1,78 @@
+// test/policy.test.js
+// Политика Али: контраргументы между postRules и «покупкой», вкл/выкл по персоне, запись в meta.policy.
+
+import './env.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { applyAliPurchasePolicy, policyFor, runLLM } from '../server.js';
+import { getPersona } from '../personas.js';
+import { resetState } from '../store.js';
+import { createMockProvider, setProvider } from '../providers.js';
+
+test('applyAliPurchasePolicy: какие контраргументы срабатывают', async (t) => {
+  const cases = [
+    ['Нужно решить прямо сейчас',           ['pressure']],
+    ['Нужна предоплата до визы',           ['prepay']],
+    ['Работаем только крипта',             ['cryptoOnly']],
+    ['Дам скидку, если сегодня же оплатите', ['pressure', 'discount']],
+    ['Документы за два дня',               ['unrealDeadline']],
+    ['Сегодня пришлю Demand',              []]
+  ];
+  for (const [userText, want] of cases) {
+    await t.test(userText, () => {
+      const out = applyAliPurchasePolicy({ reply: 'Хорошо.', stage: 'Demand', userText });
+      assert.deepEqual(out?.fired || [], want);
+    });
+  }
+});
+
+test('applyAliPurchasePolicy: контраргумент первым, ответ модели следом', () => {
+  const out = applyAliPurchasePolicy({ reply: 'Пришлите Demand.', stage: 'Demand', userText: 'Срочно!' });
+  assert.equal(out.reply, 'Мне некомфортно при давлении. Пришлите Demand.');
+
+  const empty = applyAliPurchasePolicy({ reply: '', stage: 'Contract', userText: 'Срочно!' });
+  assert.equal(empty.reply, 'Мне некомфортно при давлении. Хочу видеть договорённости на бумаге.');
+});
+
+test('applyAliPurchasePolicy: ворота оплаты при доверии < 90', () => {
+  const out = applyAliPurchasePolicy({ reply: 'Ок.', stage: 'Payment', trust: 70, userText: 'Выставляю счёт', hasDemandEv: true });
+  assert.deepEqual(out.fired, ['paymentGate']);
+  assert.equal(out.needEvidence, true);
+  assert.equal(applyAliPurchasePolicy({ reply: 'Ок.', stage: 'Payment', trust: 95, userText: 'Выставляю счёт' }), null);
+});
+
+test('policyFor: персона и вызов выключают правила', () => {
+  assert.equal(policyFor(getPersona('ali')).discount, true);
+  assert.equal(policyFor(getPersona('ram')).discount, false);
+  assert.equal(policyFor(getPersona('ali'), { pressure: false }).pressure, false);
+
+  const off = applyAliPurchasePolicy({ reply: 'Обсудим.', userText: 'Дам скидку', enabled: policyFor(getPersona('ram')) });
+  assert.equal(off, null);
+});
+
+test('runLLM: сработавшие контраргументы — в policy и в записи хода', async () => {
+  const sid = 'policy-1';
+  resetState(sid);
+  setProvider(createMockProvider({ replies: [{ reply: 'Пришлите описание вакансии.', stage: 'Demand' }] }));
+  const out = await runLLM({ history: [], message: 'Нужна предоплата, решайте прямо сейчас', evidences: [], sessionId: sid });
+  assert.deepEqual(out.policy, ['pressure', 'prepay']);
+  assert.match(out.result.reply, /^Мне некомфортно при давлении\. Предоплату не рассматриваю\./);
+});
+
+test('runLLM: контраргумент не повторяется дословно в кулдаун и не складывается с возражением об оплате', async () => {
+  const sid = 'policy-repeat';
+  resetState(sid);
+  setProvider(createMockProvider({ replies: [{ reply: 'Понял.', stage: 'Demand' }] }));
+  const T0 = Date.parse('2025-09-16T09:00:00Z');
+  const say = (now) => runLLM({ message: 'Нужна предоплата до визы.', sessionId: sid, now });
+  const first = await say(T0);
+  assert.match(first.result.reply, /^Предоплату не рассматриваю\./);
+  assert.doesNotMatch(first.result.reply, /Возьму время|внутреннюю проверку/);
+
+  const again = await say(T0 + 2 * 60_000);
+  assert.deepEqual(again.policy, ['prepay']); // правило сработало, но реплика — не та же
+  assert.doesNotMatch(again.result.reply, /Предоплату не рассматриваю/);
+
+  const later = await say(T0 + 10 * 60_000);
+  assert.match(later.result.reply, /^Предоплату не рассматриваю\./);
+});
@@ -0,0 +1,115 @@
+// test/postRules.test.js
+// Пост-правила «клиента»: стадии от доказательств, анти-повторы, trust-гард, род персоны.
+
+import './env.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { postRules, repetitionGuard, stageFromProofs } from '../server.js';
+import { getState } from '../store.js';
+
+let seq = 0;
+const newSid = () => `post-${++seq}`;
+
+// Подготовленная сессия: ход, персона, уже полученные доказательства, факты деманда
+function session({ turn = 3, persona = '', seen = [], demandFacts } = {}){
+  const sid = newSid();
+  const S = getState(sid);
+  S.turn = turn;
+  S.persona = persona;
+  for (const k of seen) S.seenEvidences.set(k, { count: 1, lastAt: 0 });
+  if (demandFacts) S.demandFacts = demandFacts;
+  return sid;
+}
+
+function run(userText, reply, { trust = 20, evidences = [], parsed = {}, ...opts } = {}){
+  return postRules({
+    parsed: { reply, stage: 'Greeting', confidence: 50, needEvidence: false, suggestedActions: [], ...parsed },
+    trust, evidences, history: [], userText, sid: session(opts), evidenceDetails: {}
+  });
+}
+
+test('stageFromProofs: стадия растёт вместе с документами', async (t) => {
+  const cases = [
+    [[], 'Demand'],
+    [['demand_letter'], 'Contract'],
+    [['demand_letter', 'coop_contract_pdf'], 'Candidate'],
+    // ветка Payment недостижима: uniq>=2 срабатывает раньше; оплата — только через «ворота» в postRules
+    [['demand_letter', 'coop_contract_pdf', 'website'], 'Candidate']
+  ];
+  for (const [seen, want] of cases) {
+    await t.test(seen.join('+') || 'ничего', () => assert.equal(stageFromProofs(session({ seen })), want));
+  }
+});
+
+test('repetitionGuard: стоп-фразы, кулдаун, один вопрос на реплику', () => {
+  const sid = session({ turn: 1 });
+  const S = getState(sid);
+
+  assert.equal(repetitionGuard('Как вы? Где вы находитесь?', sid), 'Где вы находитесь?');
+
+  S.turn = 2;
+  assert.equal(repetitionGuard('Где вы находитесь? Есть ли жильё?', sid), 'Есть ли жильё?');
+
+  S.turn = 20; // кулдаун прошёл, но лимит «одна фраза за сессию» — нет
+  assert.equal(repetitionGuard('Где вы находитесь?', sid), 'Ок.');
+
+  assert.equal(repetitionGuard('Сколько кандидатов? Какая локация? Хорошо.', sid), 'Сколько кандидатов? Хорошо.');
+});
+
+test('postRules: быстрые ответы', async (t) => {
+  await t.test('«как вас зовут» — имя персоны', () => {
+    assert.equal(run('Как вас зовут?', 'Я агент.').reply, 'Меня зовут Али.');
+    assert.equal(run('Как вас зовут?', 'Я агент.', { persona: 'maria' }).reply, 'Меня зовут Мария, агентство из Манилы.');
+  });
+
+  await t.test('регистрация/слоты — ответ по делу', () => {
+    const r = run('Когда была последняя регистрация в посольстве?', 'Не знаю.');
+    assert.match(r.reply, /^По долгосрочному — 6 мес назад/);
+    assert.equal(r.stage, 'Demand');
+  });
+
+  await t.test('факты деманда по вопросу о цене', () => {
+    const r = run('Сколько стоит?', 'Не знаю.', { trust: 65, demandFacts: { salary: { value: 32000, currency: 'CZK' } } });
+    assert.match(r.reply, /^По деманду: нетто от 32000/);
+  });
+});
+
+test('postRules: trust-гард и документы', async (t) => {
+  await t.test('низкое доверие — просьбы документов вырезаются', () => {
+    const r = run('У нас есть вакансии', 'Пришлите Demand и контракт о сотрудничестве. Интересно.', {
+      parsed: { suggestedActions: ['ask_demands', 'ask_coop_contract'] }
+    });
+    assert.equal(r.reply, 'Интересно.');
+    assert.deepEqual(r.suggestedActions, []);
+    assert.equal(r.needEvidence, false);
+  });
+
+  await t.test('«что нужно прислать» — называет Demand и B2B-контракт', () => {
+    const r = run('Что нужно прислать?', 'Хм.');
+    assert.equal(r.reply, 'Обычно достаточно описания вакансии (Demand) и нашего B2B-контракта.');
+    assert.equal(r.needEvidence, true);
+    assert.deepEqual(r.suggestedActions, ['ask_demands', 'ask_coop_contract']);
+  });
+
+  await t.test('документы уже есть — к кандидатам', () => {
+    const r = run('Что нужно прислать?', 'Хм.', { seen: ['demand_letter', 'coop_contract_pdf'] });
+    assert.equal(r.reply, 'Документы уже есть. Давайте обсудим кандидатов.');
+    assert.equal(r.stage, 'Candidate');
+  });
+
+  await t.test('разговор об оплате при доверии < 90 — позиция по оплате; возражение не добавляется (его скажет политика)', () => {
+    const r = run('Оплата банковский счёт или крипто?', 'Ок.', { trust: 70 });
+    assert.equal(r.reply, 'Предпочитаю оплату после визы или как минимум после подтверждения регистрации. Крипту не люблю, счёт — банковский.');
+    assert.equal(r.stage, 'Payment');
+  });
+
+  await t.test('ворота оплаты: доверие ≥90 и пакет документов', () => {
+    const r = run('Вот документы', 'Хорошо, посмотрю.', { trust: 92, seen: ['demand_letter', 'coop_contract_pdf'] });
+    assert.equal(r.stage, 'Payment');
+  });
+});
+
+test('postRules: грамматический род персоны', () => {
+  assert.equal(run('Добрый день', 'Я рада знакомству, готова обсудить.').reply, 'Я рад знакомству, готов обсудить.');
+  assert.equal(run('Добрый день', 'Я рад знакомству, готов обсудить.', { persona: 'maria' }).reply, 'Я рада знакомству, готова обсудить.');
+});
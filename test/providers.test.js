@@ -0,0 +1,44 @@
+// test/providers.test.js
+// OpenAI-совместимый провайдер: зависший сервер не держит /api/reply вечно — LLM_TIMEOUT_MS обрывает запрос и стрим.
+
+import './env.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { createProvider } from '../providers.js';
+
+// Сервер, который принял запрос и молчит (или отдал один кусок стрима и замолчал)
+async function hangingServer(){
+  const server = http.createServer((req, res) => {
+    if (!req.url.endsWith('/chat/completions')) return res.end();
+    let body = '';
+    req.on('data', (c) => { body += c; });
+    req.on('end', () => {
+      if (!JSON.parse(body).stream) return; // chat: ни заголовков, ни тела
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write('data: {"choices":[{"delta":{"content":"Здрав"}}]}\n\n');
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return server;
+}
+
+test('openai: зависший сервер — ошибка по LLM_TIMEOUT_MS, а не вечное ожидание', async () => {
+  const server = await hangingServer();
+  process.env.LLM_BASE_URL = `http://127.0.0.1:${server.address().port}/v1`;
+  process.env.LLM_TIMEOUT_MS = '150';
+  try {
+    const provider = createProvider('openai');
+    await assert.rejects(provider.chat({ messages: [] }), /LLM timeout: no answer in 150 ms/);
+
+    const pieces = [];
+    await assert.rejects(async () => { for await (const p of provider.stream({ messages: [] })) pieces.push(p); },
+      /LLM timeout: no answer in 150 ms/);
+    assert.deepEqual(pieces, ['Здрав']); // то, что успело прийти, клиент увидел
+  } finally {
+    delete process.env.LLM_BASE_URL;
+    delete process.env.LLM_TIMEOUT_MS;
+    server.closeAllConnections();
+    server.close();
+  }
+});
@@ -0,0 +1,82 @@
+// test/recovery.test.js
+// Разбор ответа модели: починка JSON (запятые, «умные» кавычки, обрыв на max_tokens), приведение stage/действий,
+// один повторный запрос с ошибкой разбора, запасная реплика — и счётчик путей в /metrics.
+
+import './env.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { runLLM, replaySession } from '../server.js';
+import { repairJson } from '../llmjson.js';
+import { renderMetrics, resetMetrics } from '../metrics.js';
+import { getState, resetState } from '../store.js';
+import { createMockProvider, setProvider } from '../providers.js';
+
+test('repairJson: первый объект, а не жадно до последней скобки; валидный — без пометки о починке', () => {
+  assert.deepEqual(repairJson('Вот ответ: {"reply":"a"} и ещё {"x":1}'), { value: { reply: 'a' }, repaired: false });
+  assert.deepEqual(repairJson('{"reply":"он сказал “да”"}'), { value: { reply: 'он сказал “да”' }, repaired: false });
+  assert.equal(repairJson('без объекта'), null);
+});
+
+test('repairJson: висячие запятые, «умные» кавычки, перевод строки в строке', () => {
+  assert.deepEqual(repairJson('{"reply":"a","suggestedActions":["ask_demands",],}').value, { reply: 'a', suggestedActions: ['ask_demands'] });
+  assert.deepEqual(repairJson('{“reply”: “Привет”, “stage”: “Demand”}'), { value: { reply: 'Привет', stage: 'Demand' }, repaired: true });
+  assert.deepEqual(repairJson('{"reply":"раз\nдва"}').value, { reply: 'раз\nдва' });
+});
+
+test('repairJson: объект, оборванный на max_tokens', () => {
+  assert.deepEqual(repairJson('{"reply":"Хорошо, пришлите, пожалуйста').value, { reply: 'Хорошо, пришлите, пожалуйста' });
+  assert.deepEqual(repairJson('{"reply":"Хорошо.","stage":').value, { reply: 'Хорошо.' });
+  assert.deepEqual(repairJson('{"reply":"Хорошо.","sta').value, { reply: 'Хорошо.' });
+  assert.deepEqual(repairJson('{"reply":"Хорошо.","suggestedActions":["ask_dem').value, { reply: 'Хорошо.', suggestedActions: ['ask_dem'] });
+});
+
+async function turn(sid, replies){
+  resetState(sid);
+  const provider = setProvider(createMockProvider({ replies, loop: false }));
+  const out = await runLLM({ history: [], message: 'Здравствуйте, меня зовут Олег, RenovoGo.', sessionId: sid });
+  return { out, provider, rec: getState(sid).transcript[0] };
+}
+
+test('оборванный ответ — реплика Али сохраняется, модель повторно не зовём', async () => {
+  const { out, provider, rec } = await turn('rec-trunc', ['{"reply":"Слушаю вас внимательно.","stage":"Greeting","needEvid']);
+  assert.equal(provider.calls, 1);
+  assert.match(out.result.reply, /Слушаю вас внимательно/);
+  assert.equal(rec.recovery, 'repaired');
+});
+
+test('stage и действия приводятся к схеме по полям, а не весь ответ в запасную реплику', async () => {
+  const { out, rec } = await turn('rec-coerce', [{ reply: 'Слушаю вас внимательно.', stage: 'greeting', suggestedActions: 'Ask demands', confidence: '35' }]);
+  assert.match(out.result.reply, /Слушаю вас внимательно/);
+  assert.equal(rec.recovery, 'coerced');
+  const { out: unknown } = await turn('rec-coerce-2', [{ reply: 'Слушаю вас внимательно.', stage: 'Negotiation' }]);
+  assert.match(unknown.result.reply, /Слушаю вас внимательно/);
+});
+
+test('не починилось — один повторный запрос с ошибкой разбора; в записи оба ответа, replay совпадает', async () => {
+  let reask;
+  const { out, provider, rec } = await turn('rec-reask', [
+    'Извините, не могу ответить JSON.',
+    (messages) => { reask = messages.at(-1).content; return { reply: 'Слушаю вас внимательно.', stage: 'Greeting' }; }
+  ]);
+  assert.equal(provider.calls, 2);
+  assert.match(reask, /^Предыдущий ответ не разобран \(the answer contains no JSON object\)/);
+  assert.match(out.result.reply, /Слушаю вас внимательно/);
+  assert.equal(rec.recovery, 'reask');
+  assert.equal(rec.rawFirst, 'Извините, не могу ответить JSON.');
+  assert.equal(getState('rec-reask').usage.calls, 2);
+  assert.deepEqual(replaySession('rec-reask').map(t => t.changed), [[]]);
+});
+
+test('и повтор не помог — запасная реплика; пути разбора считаются в /metrics', async () => {
+  resetMetrics();
+  const { out, provider, rec } = await turn('rec-fallback', ['{"stage":"Demand"}']);
+  assert.equal(provider.calls, 2); // второй раз — тот же ответ без reply
+  assert.equal(rec.recovery, 'fallback');
+  assert.ok(out.result.reply); // запасная реплика (её ещё могут переписать postRules)
+
+  await turn('rec-clean', [{ reply: 'Слушаю вас внимательно.', stage: 'Greeting' }]);
+  const text = renderMetrics();
+  assert.match(text, /llm_reply_recovery_total\{path="fallback"\} 1/);
+  assert.match(text, /llm_reply_recovery_total\{path="clean"\} 1/);
+  assert.match(text, /llm_json_parse_failures_total\{reason="schema"\} 1/);
+});
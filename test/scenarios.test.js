@@ -0,0 +1,90 @@
+// test/scenarios.test.js
+// Сценарии: наложение на персону, засчитываемые доказательства, условия победы/поражения, scenarioId в runLLM.
+
+import './env.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { runLLM } from '../server.js';
+import { getScenario, listScenarios, withScenario, countedEvidences, evaluateOutcome } from '../scenarios.js';
+import { getPersona } from '../personas.js';
+import { withLocale } from '../locales.js';
+import { getState, resetState } from '../store.js';
+import { createMockProvider, setProvider } from '../providers.js';
+
+const ctx = (over = {}) => ({ turn: 1, trust: 20, stage: 'Greeting', seen: new Set(), committed: false, userText: '', policy: [], ...over });
+
+test('реестр: карточки и неизвестный id', () => {
+  const ids = listScenarios().map(s => s.id);
+  assert.deepEqual(ids, ['cold-first-contact', 'burned-by-scammer', 'ten-after-visa']);
+  assert.equal('win' in listScenarios()[0], false);
+  assert.throws(() => getScenario('nope'), /Unknown scenario: nope/);
+});
+
+test('withScenario: доверие, промпт, возражения и политика поверх персоны', () => {
+  const ali = getPersona('ali');
+  const P = withScenario(ali, getScenario('burned-by-scammer'));
+  assert.equal(P.trust.baseTrust, 5);
+  assert.deepEqual(P.trust.weights, ali.trust.weights);
+  assert.ok(P.prompt.startsWith(ali.prompt) && P.prompt.includes('[Сценарий]'));
+  assert.deepEqual(P.objections.delay, ['В прошлый раз мне тоже всё красиво показывали. Проверю сам.']);
+  assert.deepEqual(P.objections.budget, ali.objections.budget);
+  assert.equal(withScenario(ali, null), ali);
+});
+
+test('withScenario на языке сессии: вводная и возражения сценария и персоны — не русские и не общий пул', () => {
+  const ram = withLocale(getPersona('ram'), 'en');
+  const P = withScenario(ram, getScenario('ten-after-visa'));
+  assert.match(P.prompt, /\[Сценарий\]\nYou need 10 candidates/);
+  assert.deepEqual(P.objections.afterPermit, ['I need 10 people, but I pay only after the visa. That is not negotiable.']);
+  assert.deepEqual(P.objections.delay, ['I need to discuss this with my partner, I will come back later.']); // Рам, не Али
+  assert.notDeepEqual(ram.objections.budget, withLocale(getPersona('ali'), 'en').objections.budget);
+  // чего у персоны нет на языке — из пула языка
+  assert.deepEqual(withLocale(getPersona('maria'), 'pl').objections.slots, withLocale(getPersona('ali'), 'pl').objections.slots);
+  const cold = withScenario(withLocale(getPersona('ali'), 'hi'), getScenario('cold-first-contact'));
+  assert.doesNotMatch(cold.prompt.split('[Сценарий]')[1], /[а-яё]/i);
+});
+
+test('countedEvidences: сценарий может не засчитывать сайт и визитку', () => {
+  const ev = ['demand_letter', 'website', 'business_card', 'company_registry'];
+  assert.deepEqual(countedEvidences(getScenario('burned-by-scammer'), ev), ['demand_letter', 'company_registry']);
+  assert.deepEqual(countedEvidences(getScenario('cold-first-contact'), ev), ev);
+  assert.deepEqual(countedEvidences(null, ev), ev);
+});
+
+test('evaluateOutcome: победа, поражение, лимит ходов', async (t) => {
+  const cold = getScenario('cold-first-contact');
+  const docs = new Set(['demand_letter', 'coop_contract_pdf']);
+  const cases = [
+    ['в процессе',                 cold, ctx({ trust: 40, seen: docs }),                                   null],
+    ['победа',                     cold, ctx({ trust: 55, seen: docs }),                                   'won'],
+    ['красный флаг важнее победы', cold, ctx({ trust: 55, seen: docs, userText: 'Гарантирую визу' }),      'lost'],
+    ['лимит ходов',                cold, ctx({ turn: 20 }),                                                'lost'],
+    ['предоплата после «ожога»',   getScenario('burned-by-scammer'), ctx({ policy: ['prepay'] }),         'lost'],
+    ['тестовый старт',             getScenario('ten-after-visa'), ctx({ trust: 62, userText: 'Начнём с одного кандидата' }), 'won']
+  ];
+  for (const [name, sc, c, want] of cases) {
+    await t.test(name, () => assert.equal(evaluateOutcome(sc, c)?.status ?? null, want));
+  }
+});
+
+test('runLLM: scenarioId задаёт стартовое доверие, стадию и итог', async () => {
+  const sid = 'scenario-1';
+  resetState(sid);
+  setProvider(createMockProvider({ replies: [{ reply: 'Слушаю.', stage: 'Greeting' }] }));
+
+  const first = await runLLM({ history: [], message: 'Здравствуйте', evidences: ['website'], sessionId: sid, scenarioId: 'burned-by-scammer' });
+  assert.equal(first.persona.id, 'ali');
+  assert.equal(first.trustBreakdown.base, 5);
+  assert.equal(first.trustBreakdown.contributions.some(c => c.key === 'evidence.medium'), false); // сайт не засчитан
+  assert.deepEqual(first.scenario, { id: 'burned-by-scammer', title: getScenario('burned-by-scammer').title, goal: getScenario('burned-by-scammer').goal, status: 'active' });
+  assert.equal(getState(sid).transcript[0].requestStage, 'Greeting');
+
+  const second = await runLLM({ history: [], message: 'Срочно платите, поторопитесь', evidences: [], sessionId: sid });
+  assert.equal(second.scenario.status, 'lost');
+  assert.equal(second.scenario.turn, 2);
+
+  // итог фиксируется один раз
+  const third = await runLLM({ history: [], message: 'Извините, вот Demand', evidences: ['demand_letter'], sessionId: sid });
+  assert.equal(third.scenario.status, 'lost');
+  assert.equal(third.scenario.turn, 2);
+});
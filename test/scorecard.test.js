@@ -0,0 +1,149 @@
+// test/scorecard.test.js
+// Скоркарта тренера: измерения, аннотации к репликам, итог и совместимость /api/score.
+
+import './env.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildScorecard, evaluateObjectionHandling } from '../scorecard.js';
+import { getState, resetState } from '../store.js';
+import { request } from './http.js';
+
+const u = (content) => ({ role: 'user', content });
+const a = (content) => ({ role: 'assistant', content });
+
+const GOOD = [
+  u('Добрый день! Меня зовут Анна, RenovoGo, renovogo.com. Подскажите, пожалуйста, вы набираете сейчас?'),
+  a('Здравствуйте. Набираем, но я не уверен, что вам можно доверять.'),
+  u('Понимаю, без давления. Начнём с одного кандидата, проверьте работу — репутация для нас важнее.'),
+  a('Хорошо. Что у вас есть?'),
+  u('Пришлю Demand и наш B2B-контракт. Зарплата — по Demand у работодателя.'),
+  a('Жду.'),
+  u('Отправил. Сервисный платёж — отдельным счётом после проверки документов.')
+];
+
+const BAD = [
+  u('Оплата сразу, срочно платите в USDT'),
+  a('Мне некомфортно. Я не готов.'),
+  u('Гарантирую 100% визу, у нас связи в посольстве. Зарплата 350 евро.')
+];
+
+test('evaluateObjectionHandling: уровни отработки', () => {
+  assert.equal(evaluateObjectionHandling('ок').level, 'none');
+  assert.equal(evaluateObjectionHandling('Понимаю, репутация важнее').level, 'weak');
+  assert.equal(evaluateObjectionHandling('Понимаю, репутация, начнём с одного кандидата, проверьте работу').level, 'strong');
+});
+
+test('evaluateObjectionHandling: отработка на языке сессии', () => {
+  const en = 'I understand, no pressure. Let us start with one candidate so you can check our work — no need to answer now.';
+  assert.equal(evaluateObjectionHandling(en, 'en').level, 'strong');
+  assert.equal(evaluateObjectionHandling('I understand, our reputation matters more.', 'en').level, 'weak');
+  assert.equal(evaluateObjectionHandling(en, 'ru').level, 'none');
+  const pl = 'Rozumiem, bez presji. Liczy się reputacja: zacznijmy od jednego kandydata, niech pan sprawdzi naszą pracę.';
+  assert.equal(evaluateObjectionHandling(pl, 'pl').level, 'strong');
+  assert.equal(evaluateObjectionHandling('Rozumiem, reputacja jest ważniejsza.', 'pl').level, 'weak');
+  assert.equal(evaluateObjectionHandling('समझता हूँ, कोई दबाव नहीं। एक उम्मीदवार से शुरू करते हैं।', 'hi').level, 'weak');
+});
+
+test('buildScorecard: сильный диалог', () => {
+  const card = buildScorecard({ history: GOOD, evidences: ['demand_letter', 'coop_contract_pdf'] });
+  assert.equal(card.grade, 'A');
+  assert.ok(card.final >= 90);
+  assert.equal(card.dimensions.objections.score, 100);
+  assert.equal(card.dimensions.feeSalary.score, 100);
+  assert.deepEqual(card.tips, []);
+});
+
+test('buildScorecard: аннотации указывают на конкретную реплику', () => {
+  const card = buildScorecard({ history: BAD, evidences: [] });
+  assert.equal(card.grade, 'F');
+
+  const at = (dimension) => card.annotations.filter(x => x.dimension === dimension).map(x => [x.turn, x.index]);
+  assert.deepEqual(at('documents'), [[1, 0]]);
+  assert.deepEqual(at('objections'), [[2, 2]]);
+  assert.deepEqual(at('feeSalary'), [[2, 2]]);
+  assert.ok(card.annotations.some(x => x.dimension === 'redFlags' && x.message.startsWith('Обещание гарантий')));
+  assert.ok(card.annotations.every(x => x.excerpt.length <= 120));
+
+  // советы — от самого слабого измерения, со ссылкой на реплику
+  assert.ok(card.tips.length >= 3);
+  assert.match(card.tips[0].tip, /^Реплика \d+ — /);
+});
+
+test('buildScorecard: en-сессия — признаки, аннотации и советы на языке сессии', () => {
+  const good = buildScorecard({ locale: 'en', evidences: ['demand_letter', 'coop_contract_pdf'], history: [
+    u('Good afternoon! My name is Anna, RenovoGo. Could you tell me, please, are you hiring now?'),
+    a('Hello. We are, but I am not sure I can trust you.'),
+    u('I understand, no pressure. Let us start with one candidate so you can check our work — our reputation matters more.'),
+    a('Fine. What do you have?'),
+    u('I will send the Demand and our B2B contract. The salary follows the employer Demand.')
+  ] });
+  assert.equal(good.grade, 'A');
+  assert.equal(good.dimensions.objections.score, 100);
+  assert.equal(good.dimensions.rapport.label, 'Rapport and introduction');
+
+  const bad = buildScorecard({ locale: 'en', evidences: [], history: [
+    u('Pay right now, urgent, in USDT'), a('I am not comfortable. I am not ready.'), u('I guarantee a 100% visa, salary 350 euro.')
+  ] });
+  assert.ok(bad.annotations.some(x => x.dimension === 'documents' && x.message === 'Payment discussed before the Demand and the contract'));
+  assert.match(bad.tips[0].tip, /^Message \d+ — /);
+  assert.doesNotMatch(JSON.stringify(bad), /[а-яё]/i);
+});
+
+test('buildScorecard: неприменимые измерения не входят в итог', () => {
+  const card = buildScorecard({ history: [u('Здравствуйте, RenovoGo. Спасибо, что ответили.')], evidences: [] });
+  assert.equal(card.dimensions.documents.score, null);
+  assert.equal(card.dimensions.objections.score, null);
+  assert.equal(card.final, 100);
+});
+
+test('/api/score: скоркарта и старые поля', async () => {
+  const sid = 'score-fields';
+  resetState(sid);
+  getState(sid).history = BAD;
+  const { status, body } = await request('POST', '/api/score', { body: { sessionId: sid, evidences: [] } });
+  assert.equal(status, 200);
+  for (const k of ['final', 'good', 'bad', 'trust', 'evidences', 'grade', 'dimensions', 'annotations', 'tips']) assert.ok(k in body, k);
+  assert.ok(body.final >= 10);
+  assert.deepEqual(body.bad, body.tips.map(t => t.tip));
+  assert.equal('trustBreakdown' in body, false);
+});
+
+test('/api/score: база доверия — персоны сессии, а не константа', async () => {
+  const score = async (sid, persona) => {
+    resetState(sid);
+    Object.assign(getState(sid), { persona, history: [u('Здравствуйте.')] });
+    return (await request('POST', '/api/score', { body: { sessionId: sid } })).body.trust;
+  };
+  assert.equal(await score('score-ram', 'ram') - await score('score-ali', 'ali'), 5); // baseTrust 25 против 20
+});
+
+test('/api/score: присланную историю оценивает только тренер, обучаемому — только его сессия', async () => {
+  process.env.ADMIN_TOKEN = 'score-admin';
+  try {
+    const score = (token) => request('POST', '/api/score', { body: { history: GOOD, evidences: ['demand_letter', 'coop_contract_pdf'] }, token });
+    assert.equal((await score()).status, 400);
+    assert.equal((await score('wrong')).status, 400);
+    const res = await score('score-admin');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.grade, 'A');
+  } finally {
+    delete process.env.ADMIN_TOKEN;
+  }
+});
+
+test('/api/score: разбор доверия — только тренеру с ADMIN_TOKEN, explain от клиента не открывает его', async () => {
+  process.env.ADMIN_TOKEN = 'score-admin';
+  resetState('score-explain');
+  getState('score-explain').history = GOOD;
+  try {
+    const score = async (token) => (await request('POST', '/api/score?explain=1', {
+      body: { sessionId: 'score-explain', evidences: [], explain: true }, token
+    })).body;
+    assert.equal((await score()).grade, 'A');
+    assert.equal('trustBreakdown' in await score(), false);
+    assert.equal('trustBreakdown' in await score('wrong'), false);
+    assert.ok((await score('score-admin')).trustBreakdown.contributions);
+  } finally {
+    delete process.env.ADMIN_TOKEN;
+  }
+});
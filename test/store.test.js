@@ -0,0 +1,23 @@
+// test/store.test.js
+// Хранилище сессий: истёкшая по TTL запись в бэкенде не считается сессией (hasSession), как и для getState.
+
+import './env.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.SESSION_TTL_HOURS = '1'; // до импорта store.js: TTL читается при загрузке модуля
+const { useBackend, hasSession, getState, freshState } = await import('../store.js');
+
+const HOUR = 3600_000;
+
+test('hasSession: запись старше TTL — нет сессии, свежая — есть', () => {
+  const saved = new Map([
+    ['old', { ...freshState(), updatedAt: Date.now() - 2 * HOUR, transcript: [{ turn: 1 }] }],
+    ['new', { ...freshState(), updatedAt: Date.now() - HOUR / 2 }]
+  ]);
+  useBackend({ kind: 'test', load: (sid) => saved.get(sid) || null, save(){}, remove: (sid) => saved.delete(sid), list: () => [...saved.keys()] });
+  assert.equal(hasSession('old'), false);
+  assert.equal(hasSession('new'), true);
+  assert.equal(hasSession('none'), false);
+  assert.deepEqual(getState('old').transcript, []); // getState тоже не отдаёт истёкшую
+});
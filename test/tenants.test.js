@@ -0,0 +1,105 @@
+// test/tenants.test.js
+// Тенанты: ключи и origin'ы школ, изоляция сессий, модель/температура и персона по умолчанию, лимит и учёт.
+
+import './env.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTenants, setTenants, hashKey } from '../tenants.js';
+import { getState, hasSession } from '../store.js';
+import { setProvider } from '../providers.js';
+import { request } from './http.js';
+
+const TENANTS = {
+  tenants: [
+    { id: 'renovogo', name: 'RenovoGo', keyHashes: [hashKey('key-rg')], origins: ['https://renovogo.com'] },
+    { id: 'uchokoguta', name: 'Uchokoguta', keyHashes: [hashKey('key-uk')], origins: ['https://uchokoguta.pl'], model: 'small-model', temperature: 0.7, persona: 'marek', locale: 'pl' },
+    { id: 'tiny', name: 'Tiny', keyHashes: [hashKey('key-tiny')], rateLimitPerMinute: 2 }
+  ]
+};
+
+// Провайдер, запоминающий последний запрос к модели
+let lastPayload = null;
+setProvider({
+  name: 'spy', model: 'default-model',
+  async chat(payload){ lastPayload = payload; return { choices: [{ message: { content: JSON.stringify({ reply: 'Dobrze.', stage: 'Greeting' }) } }] }; },
+  async *stream(){}
+});
+
+test('parseTenants: невалидный реестр — ошибка на старте', () => {
+  const one = TENANTS.tenants[0];
+  assert.throws(() => parseTenants({ tenants: [one, one] }), /Duplicate tenant id: renovogo/);
+  assert.throws(() => parseTenants({ tenants: [{ ...one, keyHashes: ['plain-key'] }] }), /sha256 hex/);
+  assert.throws(() => parseTenants({ tenants: [{ ...one, persona: 'nobody' }] }), /Unknown persona/);
+  assert.equal(parseTenants(TENANTS)[2].rateLimitPerMinute, 2);
+  assert.equal(parseTenants(TENANTS)[0].rateLimitPerMinute, 40);
+});
+
+test('ключ и origin: /api/* и /chat — только с ключом школы и с её сайтов', async () => {
+  setTenants(TENANTS);
+  try {
+    assert.equal((await request('POST', '/api/reply', { body: { message: 'Привет' } })).status, 401);
+    assert.equal((await request('POST', '/chat', { body: { message: 'Привет' } })).status, 401);
+    assert.equal((await request('POST', '/api/reply', { key: 'nope', body: { message: 'Привет' } })).status, 401);
+    assert.equal((await request('GET', '/api/personas')).status, 200);
+    assert.equal((await request('POST', '/api/reply', { key: 'key-rg', headers: { Origin: 'https://uchokoguta.pl' }, body: { message: 'Привет' } })).status, 403);
+    assert.equal((await request('POST', '/api/reply', { key: 'key-rg', headers: { Origin: 'https://renovogo.com' }, body: { message: 'Привет' } })).status, 200);
+  } finally {
+    setTenants(null);
+  }
+});
+
+test('настройки школы: модель, температура, персона и язык; сессии школ не пересекаются', async () => {
+  setTenants(TENANTS);
+  try {
+    const uk = await request('POST', '/api/reply', { key: 'key-uk', body: { message: 'Dzień dobry', sessionId: 'shared' } });
+    assert.equal(uk.body.agent.id, 'marek');
+    assert.equal(uk.body.meta.locale, 'pl');
+    assert.equal(lastPayload.model, 'small-model');
+    assert.equal(lastPayload.temperature, 0.7);
+
+    const rg = await request('POST', '/chat', { key: 'key-rg', body: { message: 'Здравствуйте', sessionId: 'shared' } });
+    assert.equal(rg.body.persona, 'ali');
+    assert.equal(lastPayload.model, undefined);
+
+    assert.equal(getState('uchokoguta:shared').tenant, 'uchokoguta');
+    assert.equal(getState('renovogo:shared').tenant, 'renovogo');
+    assert.equal(hasSession('shared'), false);
+
+    // чужую сессию не видно: у другой школы «shared» — своя; транскрипт — тренеру школы с ADMIN_TOKEN
+    process.env.ADMIN_TOKEN = 'adm';
+    assert.equal((await request('GET', '/api/sessions/shared/transcript', { key: 'key-rg' })).status, 401);
+    const transcript = await request('GET', '/api/sessions/shared/transcript', { key: 'key-rg', token: 'adm' });
+    assert.equal(transcript.body.sessionId, 'shared');
+    assert.equal(transcript.body.persona, 'ali');
+    delete process.env.ADMIN_TOKEN;
+  } finally {
+    setTenants(null);
+  }
+});
+
+test('лимит в минуту — общий на школу; учёт запросов, ответов и отказов', async () => {
+  setTenants(TENANTS);
+  try {
+    const statuses = [];
+    for (let i = 0; i < 3; i++) statuses.push((await request('POST', '/chat', { key: 'key-tiny', body: { message: 'Hi', sessionId: `s${i}` } })).status);
+    assert.deepEqual(statuses, [200, 200, 429]);
+
+    const { body } = await request('GET', '/api/tenant', { key: 'key-uk' });
+    assert.equal(body.tenant.id, 'uchokoguta');
+    assert.equal(body.tenant.keyHashes, undefined);
+    assert.equal(body.tenant.keys, 1);
+    assert.ok(body.tenant.usage.requests >= 2);
+
+    process.env.ADMIN_TOKEN = 'adm';
+    const { body: all } = await request('GET', '/api/admin/tenants', { token: 'adm' });
+    const tiny = all.tenants.find(t => t.id === 'tiny');
+    assert.deepEqual({ ...tiny.usage, since: 0 }, { requests: 3, replies: 2, rateLimited: 1, since: 0 });
+  } finally {
+    setTenants(null);
+  }
+});
+
+test('без реестра — открытый режим, /api/tenant — 404', async () => {
+  assert.equal((await request('POST', '/api/reply', { body: { message: 'Привет', sessionId: 'open' } })).status, 200);
+  assert.equal((await request('GET', '/api/tenant')).status, 404);
+});
@@ -0,0 +1,90 @@
+// test/transcript.test.js
+// Запись ходов, экспорт (Markdown/CSV) и replay через текущие правила.
+
+import './env.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { runLLM, replaySession } from '../server.js';
+import { getState, resetState } from '../store.js';
+import { createMockProvider, setProvider } from '../providers.js';
+import { getTrustRules, setTrustRules } from '../rules.js';
+import { renderMarkdown, renderCSV } from '../transcript.js';
+
+const SID = 'transcript-1';
+
+async function playSession(){
+  resetState(SID);
+  setProvider(createMockProvider({ loop: false, replies: [
+    { reply: 'Добрый день. Слушаю.', stage: 'Greeting' },
+    { reply: 'Посмотрю деманд.', stage: 'Demand' },
+    '{"reply": "Сломанный JSON'
+  ] }));
+  const history = [];
+  for (const [message, evidences] of [
+    ['Здравствуйте, я из RenovoGo', []],
+    ['Вот Demand, "зарплата" нетто', ['demand_letter']],
+    ['Гарантирую 100% визу', ['demand_letter']]
+  ]) {
+    const out = await runLLM({ history: [...history], message, evidences, sessionId: SID });
+    history.push({ role: 'user', content: message }, { role: 'assistant', content: out.result.reply, stage: out.result.stage });
+  }
+  return getState(SID).transcript;
+}
+
+test('каждый ход записывается: текст, сырой ответ, итог, новые материалы', async () => {
+  const turns = await playSession();
+  assert.equal(turns.length, 3);
+  assert.deepEqual(turns.map(t => t.turn), [1, 2, 3]);
+  assert.equal(turns[0].raw, JSON.stringify({ reply: 'Добрый день. Слушаю.', stage: 'Greeting' }));
+  assert.deepEqual(turns[1].newEvidences, ['demand_letter']);
+  assert.deepEqual(turns[2].newEvidences, []);
+  assert.equal(turns[2].rulesetVersion, getTrustRules().version);
+  assert.ok(turns[2].trust < turns[1].trust, 'красный флаг снижает доверие');
+});
+
+test('экспорт: Markdown и CSV', async () => {
+  const turns = await playSession();
+
+  const md = renderMarkdown(SID, turns);
+  assert.match(md, /^# Сессия transcript-1/);
+  assert.match(md, /## Ход 2 /);
+  assert.match(md, /_Новые материалы:_ demand_letter/);
+
+  const lines = renderCSV(turns).trimEnd().split('\r\n');
+  assert.equal(lines.length, 4);
+  assert.match(lines[0], /^turn,at,stage,trust,actions,/);
+  assert.match(lines[2], /"Вот Demand, ""зарплата"" нетто"/); // кавычки экранированы
+});
+
+test('экспорт CSV: текст, похожий на формулу, не исполняется в таблице', () => {
+  const turn = { turn: 1, at: 0, stage: 'Greeting', trust: 20, actions: [], evidences: [], newEvidences: [], raw: '{}' };
+  const cells = ['=HYPERLINK("http://x","y")', '+1+1', '-2+3', '@SUM(A1)', '\t=1', 'Обычный текст']
+    .map(user => renderCSV([{ ...turn, user, reply: 'Ок' }]).split('\r\n')[1]);
+  assert.match(cells[0], /,"'=HYPERLINK\(""http:\/\/x"",""y""\)",/);
+  assert.match(cells[1], /,"'\+1\+1",/);
+  assert.match(cells[2], /,"'-2\+3",/);
+  assert.match(cells[3], /,"'@SUM\(A1\)",/);
+  assert.match(cells[4], /,"'\t=1",/);
+  assert.match(cells[5], /,"Обычный текст",/);
+  assert.match(cells[5], /^"1",[^,]*,"Greeting","20",/); // числа без апострофа
+});
+
+test('replay: те же правила — без изменений; новые веса — меняется доверие', async () => {
+  await playSession();
+  const same = replaySession(SID);
+  assert.deepEqual(same.map(t => t.changed), [[], [], []]);
+
+  const original = getTrustRules();
+  try {
+    setTrustRules({ ...original, version: 'test-heavier', signals: { ...original.signals, red: { ...original.signals.red, impossible_guarantee: -5 } } });
+    const after = replaySession(SID);
+    assert.deepEqual(after[2].changed.includes('trust'), true);
+    assert.ok(after[2].after.trust > after[2].before.trust);
+  } finally {
+    setTrustRules(original);
+  }
+
+  // живое состояние сессии не тронуто replay
+  assert.equal(getState(SID).transcript.length, 3);
+  assert.equal(getState(SID).turn, 3);
+});
@@ -0,0 +1,55 @@
+// test/transcripts.test.js
+// Золотые диалоги: каждый файл test/transcripts/*.json прогоняется через runLLM со «скриптованной» LLM
+// (mock-провайдер отдаёт turns[i].llm) и сверяется по ходам: стадия, доверие, действия (и текст, если задан).
+// Часы — свои: ход через 2 минуты после предыдущего (turns[i].afterSec — другая пауза), темп не зависит от машины.
+//
+// После осознанной смены правил: UPDATE_GOLDEN=1 npm test — перепишет блоки expect текущими значениями.
+
+import './env.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { runLLM } from '../server.js';
+import { resetState } from '../store.js';
+import { createMockProvider, setProvider } from '../providers.js';
+
+const DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'transcripts');
+const UPDATE = process.env.UPDATE_GOLDEN === '1';
+const START = Date.parse('2025-09-16T09:00:00Z');
+
+for (const file of fs.readdirSync(DIR).filter(f => f.endsWith('.json')).sort()) {
+  const golden = JSON.parse(fs.readFileSync(path.join(DIR, file), 'utf8'));
+
+  test(`transcript: ${golden.name || file}`, async (t) => {
+    const sid = `golden:${file}`;
+    resetState(sid);
+    setProvider(createMockProvider({ replies: golden.turns.map(x => x.llm), loop: false }));
+
+    const history = [];
+    let now = START;
+    for (const [i, turn] of golden.turns.entries()) {
+      now += (turn.afterSec ?? 120) * 1000;
+      const out = await runLLM({
+        history: [...history],
+        message: turn.user,
+        evidences: turn.evidences || [],
+        evidenceDetails: turn.evidence_details || {},
+        sessionId: sid,
+        persona: golden.persona,
+        now
+      });
+      const got = { stage: out.result.stage, trust: out.trust, actions: out.result.suggestedActions };
+      if (turn.expect?.reply !== undefined) got.reply = out.result.reply;
+
+      if (UPDATE) turn.expect = got;
+      else await t.test(`#${i + 1} ${turn.user}`, () => assert.deepEqual(got, turn.expect));
+
+      history.push({ role: 'user', content: turn.user });
+      history.push({ role: 'assistant', content: out.result.reply, stage: out.result.stage });
+    }
+
+    if (UPDATE) fs.writeFileSync(path.join(DIR, file), JSON.stringify(golden, null, 2) + '\n');
+  });
+}
@@ -0,0 +1,114 @@
+// test/trust.test.js
+// Таблицы правил доверия: сигналы, личные вопросы, вежливость, ворота и итоговые числа computeTrust.
+
+import './env.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  computeTrust, explainTrust, countKinds, textSignals,
+  personalLifeAdjustment, courtesyBonusWithCooldown
+} from '../trust.js';
+import { getTrustRules, parseTrustRules } from '../rules.js';
+
+const userMsgs = (n, text) => Array.from({ length: n }, () => ({ role: 'user', content: text }));
+
+test('textSignals: красные, зелёные и серые флаги', async (t) => {
+  const cases = [
+    ['Гарантирую визу без отказов',        { red: ['impossible_guarantee'] }],
+    ['Только сегодня, поторопитесь',       { red: ['pressure'] }],
+    ['Оплата в USDT сразу',                { red: ['crypto_upfront'] }],
+    ['У нас связи в посольстве',           { red: ['embassy_connections_claim'] }],
+    ['Документы будут завтра',             { red: ['unrealistic_timeline'] }],
+    ['Зарплата 350 евро',                  { red: ['fee_salary_confusion'] }],
+    ['Реквизиты возьмите из demand',       { red: ['requisites_from_demand'], green: ['mentions_demand'] }],
+    ['Выставим счёт, банковский перевод',  { green: ['mentions_bank_payment'] }],
+    ['Наш сайт https://renovogo.com',      { green: ['mentions_website'] }],
+    ['Начнём с одного кандидата',          { green: ['test_one_candidate'] }],
+    ['Давайте потом',                      { gray: ['postpone'] }],
+    ['Добрый день',                        {}]
+  ];
+  for (const [text, want] of cases) {
+    await t.test(text, () => {
+      assert.deepEqual(textSignals(text), { red: [], green: [], gray: [], ...want });
+    });
+  }
+});
+
+test('countKinds: категории из набора правил, дубли не считаются', () => {
+  const k = countKinds(['demand_letter', 'DEMAND_LETTER', 'website', 'business_card', 'unknown_key']);
+  assert.equal(k.hard, 1);
+  assert.equal(k.med, 1);
+  assert.equal(k.sup, 1);
+  assert.equal(k.uniq, 4);
+});
+
+test('personalLifeAdjustment: бракеты и квота личных вопросов', async (t) => {
+  const cases = [
+    ['не личный вопрос — 0',           { trustNow: 55, history: [],                      lastUserText: 'Какая вакансия?' }, 0],
+    ['ранний оффтоп (<40) — штраф',     { trustNow: 30, history: [],                      lastUserText: 'У вас есть дети?' }, -4],
+    ['50+ в пределах квоты — +1',       { trustNow: 55, history: userMsgs(1, 'дети?'),    lastUserText: 'Какое хобби?' }, 1],
+    ['50+ квота исчерпана — 0',         { trustNow: 55, history: userMsgs(4, 'дети?'),    lastUserText: 'Какое хобби?' }, 0],
+    ['100+ (квота 8) — +3',             { trustNow: 100, history: userMsgs(4, 'дети?'),   lastUserText: 'Какое хобби?' }, 3]
+  ];
+  for (const [name, args, want] of cases) {
+    await t.test(name, () => assert.equal(personalLifeAdjustment(args), want));
+  }
+});
+
+test('courtesyBonusWithCooldown: +0.5 не чаще раза в 6 ходов', async (t) => {
+  const cases = [
+    ['не вежливо — 0',                    [],                                                    'ок', 0],
+    ['первая вежливость — 0.5',           [],                                                    'Подскажите, пожалуйста', 0.5],
+    ['вежливость 2 хода назад — 0',       [...userMsgs(1, 'пожалуйста'), ...userMsgs(2, 'x')],  'Подскажите', 0],
+    ['вежливость 8 ходов назад — 0.5',    [...userMsgs(1, 'пожалуйста'), ...userMsgs(8, 'x')],  'Подскажите', 0.5]
+  ];
+  for (const [name, history, text, want] of cases) {
+    await t.test(name, () => assert.equal(courtesyBonusWithCooldown(history, text), want));
+  }
+});
+
+test('computeTrust: итоговые числа и ворота', async (t) => {
+  const warmHistory = [
+    { role: 'user', content: 'Здравствуйте, renovogo.com, спасибо', stage: 'contract' },
+    { role: 'assistant', content: 'Добрый день.', stage: 'candidate' }
+  ];
+  const fullPack = ['demand_letter', 'coop_contract_pdf', 'website', 'visa_sample', 'business_card'];
+  const cases = [
+    ['пустой старт',                         {},                                                                           21, []],
+    ['давление без документов',              { lastUserText: 'срочно платите' },                                            5, []],
+    ['Gate 1: без hard-доказательств ≤30',   { evidences: ['website', 'company_registry', 'visa_sample', 'reviews', 'business_card'] }, 30, ['gate1']],
+    ['Gate 2: один hard без medium ≤60',     { baseTrust: 60, evidences: ['demand_letter'] },                               60, ['gate2']],
+    ['Gate 3: красный флаг при полном пакете ≤75', { baseTrust: 80, evidences: fullPack, lastUserText: 'Гарантирую 100%' }, 75, ['gate3']],
+    ['полный пакет + тёплая история',        { evidences: fullPack, history: warmHistory, lastUserText: 'Прага, 2025, €, вакансия, контракт, demand, счёт' }, 80, []],
+    ['штраф за раннюю стадию Payment',       { evidences: ['demand_letter'], history: [{ role: 'assistant', content: '…', stage: 'Payment' }] }, 23, ['paymentStage']]
+  ];
+  for (const [name, args, want, gates] of cases) {
+    await t.test(name, () => {
+      const { score, breakdown } = explainTrust(args);
+      assert.equal(score, want);
+      assert.equal(computeTrust(args), score);
+      assert.deepEqual(breakdown.gates.map(g => g.gate), gates);
+    });
+  }
+});
+
+test('Gate 2: пороги — из набора правил; старый набор без них — 2 hard или 1 hard + 1 medium', () => {
+  const args = { baseTrust: 60, evidences: ['demand_letter'] };
+  const base = getTrustRules();
+  const lenient = { ...base, gates: { ...base.gates, gate2: { ...base.gates.gate2, minHard: 1 } } };
+  assert.deepEqual(explainTrust({ ...args, rules: lenient }).breakdown.gates, []);
+  assert.deepEqual(explainTrust({ ...args, rules: base }).breakdown.gates.map(g => g.gate), ['gate2']);
+
+  const legacy = JSON.parse(JSON.stringify(base));
+  legacy.gates.gate2 = { cap: 60 };
+  assert.deepEqual(parseTrustRules(legacy).gates.gate2, { cap: 60, minHard: 2, minHardWithMedium: 1, minMedium: 1 });
+});
+
+test('computeTrust: веса персоны переопределяют набор правил', () => {
+  const args = { lastUserText: 'Зарплата 350 евро' };
+  const base = explainTrust(args);
+  const heavy = explainTrust({ ...args, weights: { red: { fee_salary_confusion: -20 } } });
+  const hit = (r) => r.breakdown.contributions.find(c => c.key === 'red.fee_salary_confusion').delta;
+  assert.equal(hit(base), -12);
+  assert.equal(hit(heavy), -20);
+});
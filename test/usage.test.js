@@ -0,0 +1,146 @@
+// test/usage.test.js
+// Учёт токенов: вызов → сессия, школа и день, цена по модели, оценка для стрима без usage,
+// GET /api/usage и бюджеты — исчерпан бюджет: прощание (goodbye) без вызова модели.
+
+import './env.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { runLLM, replaySession } from '../server.js';
+import { recordUsage, estimateUsage, budgetExceeded, dailyUsage } from '../usage.js';
+import { setTenants, hashKey } from '../tenants.js';
+import { getState, resetState } from '../store.js';
+import { createMockProvider, setProvider } from '../providers.js';
+import { createClassifier, setClassifier } from '../intents.js';
+import { request } from './http.js';
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const mock = () => setProvider(createMockProvider({ replies: [{ reply: 'Слушаю.', stage: 'Greeting', confidence: 30 }] }));
+
+test('recordUsage: сессия и день школы складываются, цена — по модели или из LLM_PRICE_*', () => {
+  const state = {};
+  const now = Date.parse('2025-03-01T12:00:00Z');
+  const a = recordUsage({ state, tenant: 'price-test', model: 'llama-3.1-8b-instant', usage: { prompt_tokens: 1_000_000, completion_tokens: 500_000 }, now });
+  assert.deepEqual(a, { prompt: 1_000_000, completion: 500_000, total: 1_500_000, costUsd: 0.09 });
+
+  process.env.LLM_PRICE_IN = '1'; process.env.LLM_PRICE_OUT = '2';
+  try {
+    recordUsage({ state, tenant: 'price-test', model: 'unknown', usage: { prompt_tokens: 1000, completion_tokens: 500, total_tokens: 1500 }, now });
+  } finally {
+    delete process.env.LLM_PRICE_IN; delete process.env.LLM_PRICE_OUT;
+  }
+  assert.deepEqual(state.usage, { prompt: 1_001_000, completion: 500_500, total: 1_501_500, calls: 2, costUsd: 0.092 });
+  assert.deepEqual(dailyUsage('price-test'), [{ day: '2025-03-01', ...state.usage }]);
+  assert.deepEqual(dailyUsage('nobody'), []);
+});
+
+test('estimateUsage: ~4 символа на токен, помечено как оценка', () => {
+  assert.deepEqual(estimateUsage([{ content: 'abcdefgh' }], 'abcd'),
+    { prompt_tokens: 2, completion_tokens: 1, total_tokens: 3, estimated: true });
+});
+
+test('runLLM: токены ответа — в сессии, транскрипте и meta; GET /api/usage', async () => {
+  const sid = 'usage-1';
+  resetState(sid);
+  mock();
+  const out = await runLLM({ history: [], message: 'Здравствуйте, меня зовут Олег.', sessionId: sid });
+  assert.equal(out.usage.calls, 1);
+  assert.ok(out.usage.prompt > 0 && out.usage.completion > 0);
+  assert.deepEqual(getState(sid).transcript[0].tokens, { prompt: out.usage.prompt, completion: out.usage.completion });
+
+  const { body } = await request('GET', `/api/usage?sessionId=${sid}`);
+  assert.equal(body.tenant, null);
+  assert.deepEqual(body.budgets, { session: 0, day: 0 });
+  assert.equal(body.days[0].day, today());
+  assert.ok(body.days[0].total >= out.usage.total);
+  assert.deepEqual(body.session, { id: sid, usage: getState(sid).usage });
+  assert.equal((await request('GET', '/api/usage?sessionId=nope')).status, 404);
+});
+
+test('стрим: usage из последнего чанка, а без него — оценка', async () => {
+  const sid = 'usage-stream';
+  resetState(sid);
+  mock();
+  await runLLM({ history: [], message: 'Добрый день.', sessionId: sid, onDelta: () => {} });
+  assert.equal(getState(sid).usage.calls, 1);
+  assert.equal(getState(sid).transcript[0].tokens.completion, Math.ceil(getState(sid).transcript[0].raw.length / 4));
+
+  resetState(sid);
+  const raw = JSON.stringify({ reply: 'Слушаю.', stage: 'Greeting' });
+  setProvider({ name: 'silent', model: 'silent', chat: async () => ({}), async *stream(){ yield raw; } });
+  await runLLM({ history: [], message: 'Добрый день.', sessionId: sid, onDelta: () => {} });
+  assert.equal(getState(sid).usage.completion, Math.ceil(raw.length / 4));
+});
+
+test('llm-классификатор: его токены тоже в счёт сессии', async () => {
+  const sid = 'usage-classifier';
+  resetState(sid);
+  const provider = setProvider(createMockProvider({ replies: [
+    (messages) => /Classify the intents/.test(messages[0].content)
+      ? { intents: [] }
+      : { reply: 'Понял.', stage: 'Demand', confidence: 40 }
+  ] }));
+  setClassifier(createClassifier('llm', { provider }));
+  try {
+    await runLLM({ history: [], message: 'Давайте обсудим детали.', sessionId: sid });
+    assert.equal(getState(sid).usage.calls, 2);
+  } finally {
+    setClassifier(createClassifier('rules'));
+  }
+});
+
+test('бюджет сессии: исчерпан — прощание с goodbye, модель не вызывается, replay совпадает', async () => {
+  const sid = 'usage-budget';
+  resetState(sid);
+  const provider = mock();
+  process.env.TOKEN_BUDGET_SESSION = '1';
+  try {
+    const history = [{ role: 'user', content: 'Здравствуйте.' }];
+    const first = await runLLM({ history: [], message: history[0].content, sessionId: sid });
+    history.push({ role: 'assistant', content: first.result.reply });
+    assert.equal(first.usage.calls, 1); // до первого вызова бюджет не исчерпан
+    assert.equal(budgetExceeded(getState(sid), null), 'session');
+
+    const calls = provider.calls;
+    const second = await runLLM({ history, message: 'Так что, работаем?', sessionId: sid });
+    assert.equal(provider.calls, calls);
+    assert.match(second.result.reply, /^На сегодня, пожалуй, достаточно/);
+    assert.equal(second.result.stage, 'Closing');
+    assert.deepEqual(second.result.suggestedActions, ['goodbye']);
+    assert.equal(second.usage.calls, 1);
+
+    const rec = getState(sid).transcript[1];
+    assert.equal(rec.budget, 'session');
+    assert.equal(rec.tokens, undefined);
+    assert.deepEqual(replaySession(sid).map(t => t.changed), [[], []]);
+  } finally {
+    delete process.env.TOKEN_BUDGET_SESSION;
+  }
+});
+
+test('дневной бюджет школы: из tenants.json, на любую её сессию; в /api/usage — только своя школа', async () => {
+  setTenants({ tenants: [
+    { id: 'frugal', name: 'Frugal', keyHashes: [hashKey('key-frugal')], tokenBudgetDay: 1, locale: 'en' },
+    { id: 'other', name: 'Other', keyHashes: [hashKey('key-other')] }
+  ] });
+  try {
+    const { body: before } = await request('GET', '/api/usage', { key: 'key-frugal' });
+    assert.deepEqual(before.budgets, { session: 0, day: 1 });
+    assert.deepEqual(before.days, []);
+
+    mock();
+    const tenant = { id: 'frugal', tokenBudgetDay: 1, locale: 'en' };
+    resetState('frugal:a'); resetState('frugal:b');
+    await runLLM({ history: [], message: 'Hello.', sessionId: 'frugal:a', tenant });
+    const out = await runLLM({ history: [], message: 'Hello.', sessionId: 'frugal:b', tenant });
+    assert.equal(out.result.reply, 'That is enough for today — I have to go now. Let us continue another time. Goodbye!');
+    assert.equal(getState('frugal:b').transcript[0].budget, 'day');
+
+    const { body } = await request('GET', '/api/usage', { key: 'key-frugal' });
+    assert.equal(body.tenant, 'frugal');
+    assert.equal(body.days[0].calls, 1);
+    assert.deepEqual((await request('GET', '/api/usage', { key: 'key-other' })).body.days, []);
+  } finally {
+    setTenants(null);
+  }
+});
@@ -0,0 +1,86 @@
+// transcript.js
+// Запись ходов сессии для разбора тренером: запись, экспорт (JSON/Markdown/CSV), сравнение для replay.
+// Импорт: import { recordTurn, renderMarkdown, renderCSV, diffTurn } from './transcript.js';
+
+/*
+  turn: {
+    turn, at,                          — номер хода (S.turn) и время хода (ms): по нему replay восстанавливает темп
+    user,                              — текст менеджера как пришёл
+    evidences, newEvidences,           — доказательства в запросе / впервые полученные на этом ходу
+    evidenceDetails?, requestStage?,   — то, что нужно для точного replay
+    importedHistory?,                  — история клиента, принятая в новую сессию (только у первого хода)
+    raw,                               — сырой ответ модели ('' — модель не вызывалась)
+    rawFirst?, recovery?,              — первый ответ, если был повторный запрос; путь разбора, если не clean (server.js)
+    tokens?: { prompt, completion },   — токены ответа модели (usage.js)
+    budget?: 'session'|'day',          — бюджет токенов исчерпан: прощание вместо ответа модели
+    exit?: 'red_flags'|'trust_floor'|'pressure' — на этом ходу собеседник закончил разговор (exit.js)
+    closed?: true,                     — разговор уже закончен: «мы уже поговорили» вместо ответа модели
+    afterSale?: { phase, candidates, month } — после сделки: фаза после этого хода (aftersale.js)
+    reply, stage, trust, actions,      — итог после postRules
+    mood,                              — настроение собеседника после реплики менеджера (mood.js)
+    pacing?: { gapSec, silence, explained, docs, dump } — темп хода, если он на что-то повлиял (pacing.js)
+    persona, rulesetVersion
+  }
+*/
+
+const MAX_TURNS = 500; // защита от бесконечных сессий
+
+export function recordTurn(S, entry){
+  if (!Array.isArray(S.transcript)) S.transcript = [];
+  S.transcript.push({ at: Date.now(), ...entry });
+  if (S.transcript.length > MAX_TURNS) S.transcript.splice(0, S.transcript.length - MAX_TURNS);
+  return S.transcript.length;
+}
+
+/* ── Markdown ── */
+const mdQuote = (t = '') => String(t).split('\n').map(l => `> ${l}`).join('\n');
+
+export function renderMarkdown(sid, turns = [], { agentName = 'Али' } = {}){
+  const out = [`# Сессия ${sid}`, ''];
+  if (turns.length) {
+    const first = turns[0], last = turns[turns.length - 1];
+    out.push(`- Ходов: ${turns.length}`);
+    out.push(`- Начало: ${new Date(first.at).toISOString()}; последний ход: ${new Date(last.at).toISOString()}`);
+    out.push(`- Итог: стадия **${last.stage}**, доверие **${last.trust}**`, '');
+  }
+  for (const t of turns) {
+    out.push(`## Ход ${t.turn} · ${new Date(t.at).toISOString()}`, '');
+    out.push('**Менеджер:**', mdQuote(t.user), '');
+    if (t.newEvidences?.length) out.push(`_Новые материалы:_ ${t.newEvidences.join(', ')}`, '');
+    out.push(`**${agentName}:**`, mdQuote(t.reply), '');
+    out.push(`_stage:_ ${t.stage} · _trust:_ ${t.trust} · _actions:_ ${(t.actions || []).join(', ') || '—'}`, '');
+  }
+  return out.join('\n');
+}
+
+/* ── CSV (RFC 4180: кавычки удваиваются, поле в кавычках) ──
+   Текст пишет обучаемый, а CSV тренер открывает в Excel/Sheets: ячейка с = + - @ (или таба/CR) в начале стала бы
+   формулой — такие строки начинаем с апострофа. Числа (ход, доверие) не трогаем. */
+const CSV_COLUMNS = ['turn', 'at', 'stage', 'trust', 'actions', 'evidences', 'newEvidences', 'user', 'reply', 'raw', 'rulesetVersion'];
+const FORMULA_START = /^[=+\-@\t\r]/;
+const csvCell = (v) => {
+  const s = String(v ?? '');
+  return `"${(typeof v === 'string' && FORMULA_START.test(s) ? `'${s}` : s).replace(/"/g, '""')}"`;
+};
+
+export function renderCSV(turns = []){
+  const rows = turns.map(t => CSV_COLUMNS.map(c => {
+    if (c === 'at') return csvCell(new Date(t.at).toISOString());
+    if (Array.isArray(t[c])) return csvCell(t[c].join(' '));
+    return csvCell(t[c]);
+  }).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+/* ── Replay: было (запись) → стало (текущие правила) ── */
+const sameList = (a = [], b = []) => a.length === b.length && a.every((x, i) => x === b[i]);
+
+export function diffTurn(rec, now){
+  const before = { reply: rec.reply, stage: rec.stage, trust: rec.trust, actions: rec.actions || [] };
+  const changed = [];
+  if (before.reply !== now.reply) changed.push('reply');
+  if (before.stage !== now.stage) changed.push('stage');
+  if (before.trust !== now.trust) changed.push('trust');
+  if (!sameList(before.actions, now.actions)) changed.push('actions');
+  return { turn: rec.turn, user: rec.user, before, after: now, changed };
+}
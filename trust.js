@@ -1,6 +1,13 @@
 // trust.js
 // Доверие Али: правило-ориентированный скоринг с «человечной» кривой.
 // Совместимо с server.js v2025-09-16-11 (ключи evidences уже нормализованы).
+// Все веса, категории доказательств и пороги ворот — в версионируемом наборе rules/trust-rules.json (см. rules.js).
+// Детекторы сигналов (вежливость, давление, флаги, личные вопросы) — на языке сессии, из locales.js.
+
+import { getTrustRules } from './rules.js';
+import { getLocale, DEFAULT_LOCALE } from './locales.js';
+
+const signalsOf = (locale = DEFAULT_LOCALE) => getLocale(locale).signals;
 
 /*
   НОВОЕ:
@@ -18,144 +25,94 @@
                   по текущему trust-бракету; сверх лимита — бонус не даём (и штрафов тоже не даём).
                   На раннем этапе (<40) за личные вопросы — небольшой минус (−4).
   — Вежливость: за «сэр/пожалуйста/извините/подскажите» давать +0.5, но не спамить.
-      Кулдаун ~360 сек: т.к. таймштампов нет, используем эквивалент 6 ходов (COOLDOWN_TURNS = 6).
+      Кулдаун 360 сек по таймштампам истории (courtesy.cooldownSec); история без них (от клиента, старые сессии) —
+      эквивалент 6 ходов (courtesy.cooldownTurns).
+  — Темп (pacing.js): молчание сутки+ без объяснений и «вал» документов за секунды — штраф на ходе (pacing.*).
+  Числа выше — значения набора правил по умолчанию; меняются в JSON без правки кода.
 */
 
-const COOLDOWN_TURNS = 6; // ~эквивалент 360с без таймштампов
-
-// ==== Категории доказательств (нормализованные ключи) ====
-const HARD_PROOFS = new Set([
-  'demand_letter',
-  'coop_contract_pdf',
-  'contract_pdf'
-]);
-
-const MEDIUM_PROOFS = new Set([
-  'website',
-  'company_registry',
-  'registry_proof',
-  'visa_sample',
-  'reviews'
-]);
-
-const SUPPORT_PROOFS = new Set([
-  'sample_contract_pdf',
-  'price_breakdown',
-  'slot_plan',
-  'nda',
-  'invoice_template',
-  'business_card',
-  'presentation',
-  'video'
-]);
-
-function countKinds(evidences = []) {
+// ==== Категории доказательств (нормализованные ключи, из набора правил) ====
+function countKinds(evidences = [], rules = getTrustRules()) {
   const uniqSet = new Set((evidences || []).map(e => String(e).trim().toLowerCase()));
+  const { hard: H, medium: M, support: SP } = rules.evidence;
   let hard = 0, med = 0, sup = 0;
   for (const e of uniqSet) {
-    if (HARD_PROOFS.has(e)) hard++;
-    else if (MEDIUM_PROOFS.has(e)) med++;
-    else if (SUPPORT_PROOFS.has(e)) sup++;
+    if (H.includes(e)) hard++;
+    else if (M.includes(e)) med++;
+    else if (SP.includes(e)) sup++;
   }
   return { uniq: uniqSet.size, hard, med, sup, uniqSet };
 }
 
 // ==== Анализ тона и сигналы ====
 
-function politenessScoreLite(text='') {
+function politenessScoreLite(text='', locale) {
+  const L = signalsOf(locale);
   const t = String(text).toLowerCase();
   let sc = 0;
-  if (/(здрав|добрый день|доброе утро|добрый вечер|приветствую)/.test(t)) sc += 2;
-  if (/(спасибо|благодарю|пожалуйста)/.test(t)) sc += 1;
-  if (/(рад(а)? знакомству|приятно познакомиться)/.test(t)) sc += 2;
+  if (L.greet.test(t)) sc += 2;
+  if (L.thanks.test(t)) sc += 1;
+  if (L.niceToMeet.test(t)) sc += 2;
   if (/renovogo(\.com)?/i.test(t)) sc += 1;
   return sc;
 }
 
-function pressureScore(text='') {
+function pressureScore(text='', locale) {
+  const L = signalsOf(locale);
   const t = String(text).toLowerCase();
   let sc = 0;
-  if (/(срочно|немедленно|давайте быстрее|прямо сейчас|сегодня же)/.test(t)) sc -= 4;
-  if (/(или мы уйд[её]м|иначе|последний шанс)/.test(t)) sc -= 4;
+  if (L.urgent.test(t)) sc -= 4;
+  if (L.threat.test(t)) sc -= 4;
   return sc;
 }
 
-function unrealisticTimeline(text='') {
-  const t = String(text).toLowerCase();
-  const talksDocs = /(документ|контракт|офер|виза|слот|приглашени|регистрац)/.test(t);
-  const fast = /\b(1|2|3|4|5)\s*(дн(я|ей)?|day|days|сут|час(а|ов)?|hour|hours)\b|48\s*час|завтра/.test(t);
-  return talksDocs && fast;
-}
-
 // Конкретика: числа/даты/локации/валюты
-function concretenessScore(text='') {
+function concretenessScore(text='', locale) {
+  const L = signalsOf(locale);
   const t = String(text);
   let sc = 0;
   if (/\b\d{1,3}(\s?[-–]\s?\d{1,3})?\b/.test(t)) sc += 1;
   if (/(€|\bEUR\b|\bCZK\b|\bPLN\b|\$|\bUSD\b)/i.test(t)) sc += 1;
-  if (/\b(янв|фев|мар|апр|май|июн|июл|авг|сен|окт|ноя|дек|jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)\w*/i.test(t) ||
-      /\b20\d{2}\b/.test(t)) sc += 1;
-  if (/\b(Прага|Brno|Пльзень|Warsaw|Варшава|Wrocław|Вроцлав|Katowice|Катовице|Чех|Польш)\w*/i.test(t)) sc += 1;
+  if (L.months.test(t) || /\b20\d{2}\b/.test(t)) sc += 1;
+  if (L.places.test(t)) sc += 1;
   return Math.min(sc, 3);
 }
 
-function toneFromHistory(history=[]) {
+function toneFromHistory(history=[], locale) {
+  const L = signalsOf(locale);
   const lastMsgs = (history || []).slice(-6);
   let polite = 0, press = 0, obseq = 0;
   for (const h of lastMsgs) {
     if (!h || !h.content) continue;
     const c = String(h.content);
-    polite += politenessScoreLite(c);
-    press  += pressureScore(c);
-    if (/(ок($|[.!?])|окей|да, конечно|что угодно|как скажете)/i.test(c) && /подбор|ищите|занимайтесь/i.test(c)) {
+    polite += politenessScoreLite(c, locale);
+    press  += pressureScore(c, locale);
+    if (L.agreeable.test(c) && L.delegating.test(c)) {
       obseq += 1;
     }
   }
   return { polite, press, obseq };
 }
 
-function textSignals(text = '') {
+// Флаг срабатывает, если совпали все его выражения (например, «крипта» + «сразу»)
+function textSignals(text = '', locale) {
+  const L = signalsOf(locale);
   const t = (text || '').toLowerCase();
-  const red = [], green = [], gray = [];
-
-  if (/\bкрипт|usdt|btc|eth\b/.test(t) && /сразу|предоплат|аванс/.test(t)) red.push('crypto_upfront');
-  if (/гарантирую|100%|сто процентов|без отказов/.test(t)) red.push('impossible_guarantee');
-  if (/поторопитесь|только сегодня|срочно платите/.test(t)) red.push('pressure');
-  if (/связи в посольстве|решаем через знакомых/.test(t)) red.push('embassy_connections_claim');
-  if (unrealisticTimeline(t)) red.push('unrealistic_timeline');
-
-  if (/(зарплат|salary)/.test(t) && /(€\s*350|350\s*€|\b350\b)/.test(t)) red.push('fee_salary_confusion');
-  if (/реквизит/.test(t) && /demand/.test(t)) red.push('requisites_from_demand');
-
-  if (/сч[её]т|инвойс|банковск/.test(t)) green.push('mentions_bank_payment');
-  if (/сайт|website|https?:\/\//.test(t)) green.push('mentions_website');
-  if (/деманд|demand/.test(t)) green.push('mentions_demand');
-  if (/контракт|офер|соглашени/i.test(t)) green.push('mentions_contract');
-  if (/тест(овый)? кандидат|с одного кандидата|1-?2 кандидата/i.test(t)) green.push('test_one_candidate');
-
-  if (/позже|вернусь|через неделю|давайте потом/.test(t)) gray.push('postpone');
-
-  return { red, green, gray };
+  const hits = (list) => list.filter(([, ...rxs]) => rxs.every(rx => rx.test(t))).map(([id]) => id);
+  return { red: hits(L.red), green: hits(L.green), gray: hits(L.gray) };
 }
 
-function businessFocusScore(text='') {
+function businessFocusScore(text='', locale) {
   const t = String(text).toLowerCase();
-  let sc = 0;
-  if (/(ваканси|позици|role|position|должност)/.test(t)) sc += 1;
-  if (/(зарплат|salary|нетто|брутто)/.test(t)) sc += 1;
-  if (/(жиль|accommodat|общежит|проживан)/.test(t)) sc += 1;
-  if (/(график|смен|hours|schedule|work\s*time)/.test(t)) sc += 1;
-  if (/(локац|город|location|where)/.test(t)) sc += 1;
-  if (/(контракт|demand|документ|офер|agreement)/.test(t)) sc += 1;
+  const sc = Object.values(signalsOf(locale).focus).filter(rx => rx.test(t)).length;
   return Math.min(3, sc);
 }
 
 // ==== ЛИЧНЫЕ ВОПРОСЫ ====
 
-const PERSONAL_RX = /(семья|дети|женат|замужем|личн(ая|ые)|хобби|возраст|год(а)?|сколько лет|любим(ый|ая)|увлечен|чем увлекаешь|откуда ты|где живешь|семейное положение)/i;
-
-function countPersonalQuestions(history=[]) {
+function countPersonalQuestions(history=[], locale) {
   // считаем количество сообщений пользователя, где есть "личная" тема (по 1 за сообщение)
+  const PERSONAL_RX = signalsOf(locale).personal;
   const userMsgs = (history || []).filter(m => String(m.role||'').toLowerCase()==='user');
   let cnt = 0;
   for (const m of userMsgs) {
@@ -165,27 +122,22 @@ function countPersonalQuestions(history=[]) {
   return cnt;
 }
 
-function personalQuestionsCapByTrust(trust=0) {
-  if (trust >= 100) return { cap: 8, bonus: 3 };
-  if (trust >= 90)  return { cap: 7, bonus: 3 };
-  if (trust >= 80)  return { cap: 6, bonus: 2 };
-  if (trust >= 70)  return { cap: 5, bonus: 2 };
-  if (trust >= 60)  return { cap: 4, bonus: 1 };
-  if (trust >= 50)  return { cap: 3, bonus: 1 };
-  if (trust >= 40)  return { cap: 2, bonus: 1 };
-  return { cap: 0, bonus: 0 }; // <40 — не поощряем, будет минус
+function personalQuestionsCapByTrust(trust=0, rules = getTrustRules()) {
+  // бракеты отсортированы по убыванию min (rules.js)
+  const b = rules.personal.brackets.find(x => trust >= x.min);
+  return b ? { cap: b.cap, bonus: b.bonus } : { cap: 0, bonus: 0 }; // ниже младшего — не поощряем, будет минус
 }
 
-function personalLifeAdjustment({ trustNow=0, history=[], lastUserText='' }) {
-  const askedPersonalNow = PERSONAL_RX.test(lastUserText || '');
+function personalLifeAdjustment({ trustNow=0, history=[], lastUserText='', rules = getTrustRules(), locale }) {
+  const askedPersonalNow = signalsOf(locale).personal.test(lastUserText || '');
   if (!askedPersonalNow) return 0;
 
-  const totalPersonalAsked = countPersonalQuestions(history);
-  const { cap, bonus } = personalQuestionsCapByTrust(trustNow);
+  const totalPersonalAsked = countPersonalQuestions(history, locale);
+  const { cap, bonus } = personalQuestionsCapByTrust(trustNow, rules);
 
-  if (trustNow < 40) {
+  if (trustNow < rules.personal.earlyBelow) {
     // ранний оффтоп — штраф
-    return -4;
+    return rules.personal.earlyPenalty;
   }
 
   // Если уже исчерпал квоту для текущего trust-бракетa — бонус не даём
@@ -195,16 +147,23 @@ function personalLifeAdjustment({ trustNow=0, history=[], lastUserText='' }) {
   return bonus;
 }
 
-// ==== Вежливость с кулдауном (+0.5, не чаще чем раз в 6 ходов) ====
-
-const COURTESY_RX = /(сэр|sir|пожалуйста|плиз|пжл|извините|простите|подскажите|будьте добры)/i;
+// ==== Вежливость с кулдауном (+0.5, не чаще чем раз в 360 сек или 6 ходов — по умолчанию) ====
 
-function courtesyBonusWithCooldown(history=[], lastUserText='') {
+function courtesyBonusWithCooldown(history=[], lastUserText='', rules = getTrustRules(), locale, now) {
+  const COURTESY_RX = signalsOf(locale).courtesy;
   const isPoliteNow = COURTESY_RX.test(String(lastUserText).toLowerCase());
   if (!isPoliteNow) return 0;
 
   // ищем, когда последний раз встречалась вежливая фраза у пользователя
   const userMsgs = (history || []).filter(m => String(m.role||'').toLowerCase()==='user');
+
+  // есть время хода и таймштампы в истории — кулдаун в секундах
+  if (now !== undefined && userMsgs.some(m => Number.isFinite(m.at))) {
+    const lastPolite = userMsgs.filter(m => m.at < now && COURTESY_RX.test(String(m.content || '').toLowerCase())).at(-1);
+    if (lastPolite && (now - lastPolite.at) / 1000 < rules.courtesy.cooldownSec) return 0;
+    return rules.courtesy.bonus;
+  }
+
   let lastPoliteIdx = -Infinity;
   for (let i = userMsgs.length - 2; i >= 0; i--) { // -2: исключаем текущую
     const t = (userMsgs[i].text || userMsgs[i].content || userMsgs[i].message || '').toString().toLowerCase();
@@ -214,29 +173,52 @@ function courtesyBonusWithCooldown(history=[], lastUserText='') {
   const idxNow = userMsgs.length - 1;
   const deltaTurns = idxNow - lastPoliteIdx;
 
-  if (deltaTurns <= COOLDOWN_TURNS) {
+  if (deltaTurns <= rules.courtesy.cooldownTurns) {
     // слишком часто — не даём бонус
     return 0;
   }
-  return 0.5; // единичный бонус
+  return rules.courtesy.bonus; // единичный бонус
 }
 
 // ==== Основной расчёт ====
 
-export function computeTrust({ baseTrust = 20, evidences = [], history = [], lastUserText = '' }) {
+/*
+  explainTrust() — тот же расчёт, что computeTrust(), плюс разбор для тренера:
+    {
+      score,                                   — итог (как computeTrust)
+      breakdown: {
+        rulesetVersion, base,
+        contributions: [{ key, delta, note? }],  — каждый ненулевой вклад по порядку
+        signals: { red, green, gray },           — какие флаги сработали в последней реплике
+        preGate,                                 — счёт до ворот
+        gates: [{ gate, from, to }],             — какие ворота срезали счёт
+        final
+      }
+    }
+  В текст для стажёра разбор не попадает — только в meta по запросу (explain).
+*/
+export function explainTrust({ baseTrust = 20, evidences = [], history = [], lastUserText = '', weights = {}, discrepancies = [], locale = DEFAULT_LOCALE, pacing, rules = getTrustRules() }) {
   let score = clamp01_100(baseTrust);
+  const EW = rules.evidenceWeights;
+  const contributions = [];
+  const gates = [];
+  const add = (key, delta, note) => {
+    if (!delta) return;
+    score += delta;
+    contributions.push(note === undefined ? { key, delta } : { key, delta, note });
+  };
+  const cap = (gate, to) => { gates.push({ gate, from: score, to }); score = to; };
 
   // 1) Документы
-  const { uniq, hard, med, sup, uniqSet } = countKinds(evidences);
+  const { uniq, hard, med, sup, uniqSet } = countKinds(evidences, rules);
   const hasCoop = uniqSet.has('coop_contract_pdf') || uniqSet.has('contract_pdf');
 
-  score += hard * 10;
-  score += Math.min(3, med) * 4;
-  score += Math.min(3, sup) * 2;
-  if (hasCoop) score += 4;
+  add('evidence.hard', hard * EW.hardEach, `${hard} hard`);
+  add('evidence.medium', Math.min(EW.mediumMax, med) * EW.mediumEach, `${med} medium`);
+  add('evidence.support', Math.min(EW.supportMax, sup) * EW.supportEach, `${sup} support`);
+  if (hasCoop) add('evidence.coop', EW.coopBonus);
 
-  if (uniq >= 3) score += 3;
-  if (uniq >= 5) score += 3;
+  for (const b of EW.uniqBonuses) if (uniq >= b.min) add(`evidence.uniq>=${b.min}`, b.bonus);
 
   // 2) Стадии
   const stages = (history || []).map(h => String(h.stage || '').toLowerCase());
@@ -244,57 +226,65 @@ export function computeTrust({ baseTrust = 20, evidences = [], history = [], las
   const sawCandidateStage = stages.includes('candidate');
   const sawPaymentStage   = stages.includes('payment');
 
-  if (sawCandidateStage && (hard + med) > 0) score += 2;
-  if (sawContractStage  && hard > 0)         score += 3;
+  if (sawCandidateStage && (hard + med) > 0) add('stage.candidate', rules.stages.candidateWithProof);
+  if (sawContractStage  && hard > 0)         add('stage.contract', rules.stages.contractWithHard);
 
   // 3) Тон/конкретика/фокус
-  const tone = toneFromHistory(history);
-  score += Math.min(4, tone.polite);
-  score += tone.press;
-  if (tone.obseq >= 2) score -= 3;
-
-  const concrete = concretenessScore(lastUserText || '');
-  const bizFocus = businessFocusScore(lastUserText || '');
-  score += concrete;
-  score += bizFocus;
-
-  // 4) Красные/зелёные флаги
-  const sig = textSignals(lastUserText || '');
-  for (const r of sig.red) {
-    if (r === 'crypto_upfront')                 score -= 25;
-    else if (r === 'impossible_guarantee')      score -= 30;
-    else if (r === 'pressure')                  score -= 16;
-    else if (r === 'embassy_connections_claim') score -= 30;
-    else if (r === 'unrealistic_timeline')      score -= 12;
-    else if (r === 'fee_salary_confusion')      score -= 12;
-    else if (r === 'requisites_from_demand')    score -= 10;
-  }
-  if (sig.green.includes('mentions_bank_payment')) score += 2;
-  if (sig.green.includes('mentions_website'))      score += 1;
-  if (sig.green.includes('mentions_demand'))       score += 2;
-  if (sig.green.includes('mentions_contract'))     score += 2;
-  if (sig.green.includes('test_one_candidate'))    score += 2;
+  const tone = toneFromHistory(history, locale);
+  add('tone.polite', Math.min(rules.tone.politeMax, tone.polite));
+  add('tone.pressure', tone.press);
+  if (tone.obseq >= rules.tone.obsequiousMin) add('tone.obsequious', -rules.tone.obsequiousPenalty);
+
+  add('text.concrete', concretenessScore(lastUserText || '', locale));
+  add('text.businessFocus', businessFocusScore(lastUserText || '', locale));
+
+  // 4) Красные/зелёные флаги (веса персоны переопределяют дефолтные)
+  const redW   = { ...rules.signals.red,   ...(weights.red   || {}) };
+  const greenW = { ...rules.signals.green, ...(weights.green || {}) };
+  const sig = textSignals(lastUserText || '', locale);
+  for (const r of sig.red)   add(`red.${r}`, redW[r] ?? 0);
+  for (const g of sig.green) add(`green.${g}`, greenW[g] ?? 0);
+
+  // 4.1) Несоответствия в документах (checks.js) — штраф, пока не исправлены
+  for (const d of discrepancies) add(`check.${d.code}`, rules.checks[d.code] ?? 0, d.detail);
 
   // 5) Персональные вопросы — по твоим новым правилам
-  const personalAdj = personalLifeAdjustment({ trustNow: score, history, lastUserText });
-  score += personalAdj;
+  const personalAdj = personalLifeAdjustment({ trustNow: score, history, lastUserText, rules, locale });
+  add('personal', personalAdj, `asked ${countPersonalQuestions(history, locale)} total`);
+
+  // 6) Вежливость с кулдауном (время хода — из pacing)
+  add('courtesy', courtesyBonusWithCooldown(history, lastUserText, rules, locale, pacing?.at));
 
-  // 6) Вежливость с кулдауном
-  score += courtesyBonusWithCooldown(history, lastUserText);
+  // 6.1) Темп: молчание без объяснений и «вал» документов (pacing.js)
+  if (pacing?.silence && !pacing.explained) add('pace.silence', rules.pacing.silencePenalty, `${Math.round(pacing.gapSec / 3600)}h`);
+  if (pacing?.dump) add('pace.docDump', rules.pacing.dumpPenalty, `${pacing.docs} docs`);
 
   // 7) Микро-кредиты за нормальный диалог (без раннего давления)
   const micro = dialogMicroCredits(history, hard, med);
-  score += Math.min(8, micro.uniqInfoKeysCount);
-  if (!micro.recentEarlyPayPressure) score += 1;
+  add('micro.infoKeys', Math.min(rules.micro.infoKeysMax, micro.uniqInfoKeysCount));
+  if (!micro.recentEarlyPayPressure) add('micro.noEarlyPayPressure', rules.micro.noEarlyPayPressureBonus);
 
   // 8) Нелинейные ворота
-  if (score > 30 && hard < 1) score = 30; // Gate 1
-  const passGate2 = (hard >= 2) || (hard >= 1 && med >= 1);
-  if (score > 60 && !passGate2) score = 60; // Gate 2
-  if (score > 75 && (hard < 2 || sig.red.length > 0)) score = 75; // Gate 3
-  if (sawPaymentStage && score < 75) score = Math.max(0, score - 8);
-
-  return Math.round(clamp01_100(score));
+  const preGate = score;
+  const G = rules.gates;
+  if (score > G.gate1.cap && hard < G.gate1.minHard) cap('gate1', G.gate1.cap); // Gate 1
+  if (score > G.gate2.cap && !passesGate2(hard, med, G.gate2)) cap('gate2', G.gate2.cap); // Gate 2
+  if (score > G.gate3.cap && (hard < G.gate3.minHard || sig.red.length > 0)) cap('gate3', G.gate3.cap); // Gate 3
+  if (sawPaymentStage && score < G.paymentStage.below) cap('paymentStage', Math.max(0, score - G.paymentStage.penalty));
+
+  const final = Math.round(clamp01_100(score));
+  return {
+    score: final,
+    breakdown: {
+      rulesetVersion: rules.version,
+      base: clamp01_100(baseTrust),
+      contributions,
+      signals: sig,
+      preGate,
+      gates,
+      final
+    }
+  };
 
   // ===== Helpers =====
   function clamp01_100(x){ return Math.max(0, Math.min(100, Number(x) || 0)); }
@@ -302,15 +292,7 @@ export function computeTrust({ baseTrust = 20, evidences = [], history = [], las
   function dialogMicroCredits(hist=[], hardCount=0, medCount=0) {
     const userMsgs = (hist || []).filter(m => String(m.role||'').toLowerCase()==='user').slice(-12);
 
-    const KEY_REGEXPS = {
-      vacancy: /(ваканси|позици|role|position|должност)/i,
-      salary: /(зарплат|salary|net|gross|нетто|брутто)/i,
-      housing: /(жиль|accommodat|общежит|проживан)/i,
-      schedule: /(график|смен|hours|schedule|work\s*time)/i,
-      location: /(локац|город|location|where|city)/i,
-      documents: /(контракт|офер|demand|документ|agreement)/i,
-      website: /(сайт|website|https?:\/\/)/i
-    };
+    const KEY_REGEXPS = signalsOf(locale).infoKeys;
 
     const foundKeys = new Set();
     for (const m of userMsgs) {
@@ -320,10 +302,9 @@ export function computeTrust({ baseTrust = 20, evidences = [], history = [], las
       }
     }
 
-    const payRx = /(оплат|плат[её]ж|инвойс|сч[её]т|реквизит(ы)?)/i;
+    const payRx = signalsOf(locale).payment;
     const earlyPayHits = userMsgs.slice(-6).filter(m => payRx.test((m.text||m.content||'')+'')).length;
-    const pass2 = (hardCount >= 2) || (hardCount >= 1 && medCount >= 1);
-    const recentEarlyPayPressure = (earlyPayHits >= 2) && !pass2;
+    const recentEarlyPayPressure = (earlyPayHits >= 2) && !passesGate2(hardCount, medCount, rules.gates.gate2);
 
     return {
       uniqInfoKeysCount: foundKeys.size,
@@ -331,3 +312,15 @@ export function computeTrust({ baseTrust = 20, evidences = [], history = [], las
     };
   }
 }
+
+// Gate 2 пройден: достаточно жёстких доказательств или жёсткие + средние (пороги — rules.gates.gate2)
+function passesGate2(hard, med, g2){
+  return hard >= g2.minHard || (hard >= g2.minHardWithMedium && med >= g2.minMedium);
+}
+
+export function computeTrust(args) {
+  return explainTrust(args).score;
+}
+
+// Для тестов (test/trust.test.js)
+export { countKinds, textSignals, pressureScore, personalLifeAdjustment, courtesyBonusWithCooldown };
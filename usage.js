@@ -0,0 +1,124 @@
+// usage.js
+// Учёт токенов и стоимости: каждый вызов LLM складывается в сессию (её состояние), школу и день; бюджеты токенов.
+// Импорт: import { recordUsage, estimateUsage, budgetExceeded, budgetsFor, dailyUsage, allDailyUsage } from './usage.js';
+
+/*
+  Usage: { prompt, completion, total, calls, costUsd }
+    state.usage                  — сессия (store.js, сохраняется вместе с ней)
+    дни: `${tenant}|YYYY-MM-DD`  — школа ('' — открытый режим) за сутки UTC
+
+  Цена — $ за 1M токенов (вход/выход) по модели из PRICES; LLM_PRICE_IN / LLM_PRICE_OUT перекрывают для любой модели.
+  Бюджеты в токенах (0 — без лимита): TOKEN_BUDGET_SESSION, TOKEN_BUDGET_DAY;
+  у школы — tokenBudgetSession / tokenBudgetDay в tenants.json (поверх переменных).
+  Дневные итоги — USAGE_FILE (по умолчанию ./data/usage.json при SESSION_STORE=file; при memory — только в памяти).
+*/
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+const PRICES = {
+  'llama-3.1-8b-instant': [0.05, 0.08],
+  'llama-3.3-70b-versatile': [0.59, 0.79],
+  'llama3-70b-8192': [0.59, 0.79],
+  'mock': [0, 0]
+};
+
+const USAGE_FILE = process.env.USAGE_FILE
+  || ((process.env.SESSION_STORE || 'file').toLowerCase() === 'file' ? './data/usage.json' : '');
+
+export const emptyUsage = () => ({ prompt: 0, completion: 0, total: 0, calls: 0, costUsd: 0 });
+
+const dayOf = (now) => new Date(now).toISOString().slice(0, 10);
+const round6 = (x) => Math.round(x * 1e6) / 1e6;
+
+function priceOf(model = ''){
+  const [inp, out] = PRICES[model] || [0, 0];
+  return [Number(process.env.LLM_PRICE_IN ?? inp), Number(process.env.LLM_PRICE_OUT ?? out)];
+}
+
+/* ── Дневные итоги (и файл, если включён) ── */
+const days = loadDays();
+
+function loadDays(){
+  if (!USAGE_FILE) return new Map();
+  try { return new Map(Object.entries(JSON.parse(fs.readFileSync(USAGE_FILE, 'utf8')))); }
+  catch { return new Map(); }
+}
+
+function saveDays(){
+  if (!USAGE_FILE) return;
+  fs.mkdirSync(path.dirname(USAGE_FILE), { recursive: true });
+  const tmp = USAGE_FILE + '.tmp'; // атомарно, как сессии в store.js
+  fs.writeFileSync(tmp, JSON.stringify(Object.fromEntries(days)));
+  fs.renameSync(tmp, USAGE_FILE);
+}
+
+function add(acc, call){
+  acc.prompt += call.prompt;
+  acc.completion += call.completion;
+  acc.total += call.total;
+  acc.calls += 1;
+  acc.costUsd = round6(acc.costUsd + call.costUsd);
+  return acc;
+}
+
+// Грубая оценка (~4 символа на токен) — когда провайдер не вернул usage (стрим без итогового чанка)
+export function estimateUsage(messages = [], text = ''){
+  const tok = (s) => Math.ceil(String(s || '').length / 4);
+  const prompt_tokens = tok(messages.map(m => m.content).join('\n'));
+  const completion_tokens = tok(text);
+  return { prompt_tokens, completion_tokens, total_tokens: prompt_tokens + completion_tokens, estimated: true };
+}
+
+/*
+  Один вызов LLM: usage в форме OpenAI ({ prompt_tokens, completion_tokens, total_tokens }).
+  state — состояние сессии (или null, если вызов вне сессии), tenant — id школы.
+  Возвращает учтённый вызов: { prompt, completion, total, costUsd, estimated? }.
+*/
+export function recordUsage({ state, tenant = '', model, usage, now = Date.now() }){
+  const prompt = Number(usage?.prompt_tokens) || 0;
+  const completion = Number(usage?.completion_tokens) || 0;
+  const [pin, pout] = priceOf(model);
+  const call = {
+    prompt, completion,
+    total: Number(usage?.total_tokens) || prompt + completion,
+    costUsd: round6((prompt * pin + completion * pout) / 1e6),
+    ...(usage?.estimated ? { estimated: true } : {})
+  };
+  if (state) state.usage = add({ ...emptyUsage(), ...state.usage }, call);
+  const key = `${tenant}|${dayOf(now)}`;
+  days.set(key, add(days.get(key) || emptyUsage(), call));
+  saveDays();
+  return call;
+}
+
+/* ── Бюджеты ── */
+export function budgetsFor(tenant){
+  return {
+    session: tenant?.tokenBudgetSession ?? Number(process.env.TOKEN_BUDGET_SESSION || 0),
+    day: tenant?.tokenBudgetDay ?? Number(process.env.TOKEN_BUDGET_DAY || 0)
+  };
+}
+
+// 'session' | 'day' — какой бюджет исчерпан (проверяется ДО вызова модели), null — можно звать
+export function budgetExceeded(state, tenant, now = Date.now()){
+  const b = budgetsFor(tenant);
+  if (b.session > 0 && (state?.usage?.total || 0) >= b.session) return 'session';
+  if (b.day > 0 && (days.get(`${tenant?.id || ''}|${dayOf(now)}`)?.total || 0) >= b.day) return 'day';
+  return null;
+}
+
+/* ── Отчёты ── */
+// Последние n дней школы (только дни с вызовами), новые — первыми
+export function dailyUsage(tenant = '', n = 30){
+  return Array.from(days)
+    .filter(([k]) => k.startsWith(`${tenant}|`))
+    .map(([k, u]) => ({ day: k.slice(k.indexOf('|') + 1), ...u }))
+    .sort((a, b) => b.day.localeCompare(a.day))
+    .slice(0, n);
+}
+
+export function allDailyUsage(n = 30){
+  const tenants = [...new Set(Array.from(days.keys(), k => k.slice(0, k.indexOf('|'))))];
+  return tenants.map(t => ({ tenant: t || null, days: dailyUsage(t, n) }));
+}